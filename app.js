@@ -29,7 +29,7 @@ class IrishDemocraticAccountabilityApp {
         try {
             // Initialise core components
             this.dataManager = window.staticDataManager;
-            this.calculator = new (window.SecureExtractionCalculator)();
+            this.calculator = new (window.SecureExtractionCalculator)({ data: this.dataManager });
             
             // Initialise new enhanced systems
             this.votingIntegration = new (window.EnhancedVotingIntegration)();
@@ -172,22 +172,39 @@ class IrishDemocraticAccountabilityApp {
             const monthlyRent = parseInt(document.getElementById('rent').value);
             const age = parseInt(document.getElementById('age').value);
             const location = document.getElementById('location').value;
+            const taxOptions = {
+                taxYear: document.getElementById('tax-year')?.value,
+                filingStatus: document.getElementById('filing-status')?.value,
+                employment: document.getElementById('employment')?.value,
+                medicalCard: document.getElementById('medical-card')?.checked,
+                buyerType: document.getElementById('buyer-type')?.value,
+                savings: parseInt(document.getElementById('savings')?.value) || 0,
+                propertyType: document.getElementById('property-type')?.value || 'house',
+                newBuild: document.getElementById('new-build')?.checked ?? true
+            };
+            const household = this.getHouseholdInputs();
             
             // Validate inputs
-            if (!this.validateCalculationInputs(income, monthlyRent, age)) {
+            if (!this.validateCalculationInputs(income, monthlyRent, age, household, taxOptions.filingStatus)) {
                 return;
             }
             
+            // Compare against a specific TD's package if one is picked ("constituency|name") -
+            // the calculator works out their package and rental estimate from the data files
+            const selected = document.getElementById('compare-td')?.value;
+            const [constituency, name] = selected ? selected.split('|') : [];
+            const compareTD = selected ? { name, constituency } : null;
+            
             // Perform secure calculation
             const results = await this.calculator.calculateExtraction(
-                income, monthlyRent, age, { location }
+                income, monthlyRent, age, { location, compareTD, household, ...taxOptions }
             );
             
             this.currentResults = results;
             
             // Display results with enhanced insights
             this.displayExtractionResults(results);
-            this.displayEnhancedInsights(results);
+            await this.displayEnhancedInsights(results);
             resultsDiv.style.display = 'block';
             
             // Scroll to results
@@ -203,15 +220,20 @@ class IrishDemocraticAccountabilityApp {
         }
     }
 
-    displayEnhancedInsights(results) {
+    async displayEnhancedInsights(results) {
         const insightsDiv = document.getElementById('enhanced-insights');
         if (!insightsDiv || !this.integratedDatabase) return;
         
         // Find relevant landlord TDs for comparison
-        const landlordTDs = Object.values(this.integratedDatabase.tds)
-            .filter(td => td.properties.landlord_status)
-            .sort((a, b) => b.properties.property_count - a.properties.property_count)
-            .slice(0, 5);
+        const { results: landlordTDs } = await this.dataManager.query({
+            where: { landlord_status: true },
+            sort: '-property_count',
+            limit: 5
+        }, this.integratedDatabase);
+        
+        const rentalEstimates = await Promise.all(landlordTDs.map(td =>
+            this.dataManager.getRentalIncomeEstimate(td.name).catch(() => null)
+        ));
         
         let html = `
             <div class="enhanced-insights-section">
@@ -219,8 +241,9 @@ class IrishDemocraticAccountabilityApp {
                 <div class="extraction-comparison-grid">
         `;
         
-        landlordTDs.forEach(td => {
+        landlordTDs.forEach((td, index) => {
             const hypocrisyScore = td.voting_record?.hypocrisy_score || 0;
+            const rental = rentalEstimates[index];
             const antiTenantVotes = td.voting_record?.housing_votes?.anti_tenant_votes || 0;
             
             html += `
@@ -231,6 +254,11 @@ class IrishDemocraticAccountabilityApp {
                             <span class="label">Properties:</span>
                             <span class="value">${td.properties.property_count}</span>
                         </div>
+                        ${rental?.rentalProperties > 0 ? `
+                        <div class="metric">
+                            <span class="label">Est. rental income:</span>
+                            <span class="value" title="${rental.methodology}">€${Math.round(rental.low / 1000)}k-€${Math.round(rental.high / 1000)}k/yr</span>
+                        </div>` : ''}
                         <div class="metric">
                             <span class="label">Hypocrisy Score:</span>
                             <span class="value ${hypocrisyScore > 70 ? 'high' : hypocrisyScore > 40 ? 'medium' : 'low'}">${hypocrisyScore}/100</span>
@@ -439,16 +467,18 @@ class IrishDemocraticAccountabilityApp {
             return;
         }
         
-        const landlordTDs = Object.values(this.integratedDatabase.tds)
-            .filter(td => td.properties.landlord_status)
-            .sort((a, b) => (b.voting_record?.hypocrisy_score || 0) - (a.voting_record?.hypocrisy_score || 0));
+        const { results: landlordTDs } = await this.dataManager.query({
+            where: { landlord_status: true },
+            sort: '-hypocrisy_score',
+            limit: 10
+        }, this.integratedDatabase);
         
         const analysisText = `
 🏆 POLICY CONSISTENCY ANALYSIS
 
 TDs with the largest gaps between property ownership and housing policy votes:
 
-${landlordTDs.slice(0, 10).map((td, index) => {
+${landlordTDs.map((td, index) => {
     const score = td.voting_record?.hypocrisy_score || 0;
     const properties = td.properties.property_count;
     const antiVotes = td.voting_record?.housing_votes?.anti_tenant_votes || 0;
@@ -680,9 +710,8 @@ MAXIMUM IMPACT POTENTIAL - PRIORITIZE THIS CAMPAIGN.
         }
         
         // Find TD data
-        const td = this.integratedDatabase ? 
-                   Object.values(this.integratedDatabase.tds).find(t => 
-                       `${t.first_name} ${t.last_name}` === tdName) : null;
+        const td = this.integratedDatabase ?
+                   (await this.dataManager.query({ where: { name: tdName }, limit: 1 }, this.integratedDatabase)).results[0] : null;
         
         const emailText = `
 📧 ACCOUNTABILITY CORRESPONDENCE: ${tdName}
@@ -699,8 +728,10 @@ MY REALITY:
 • Days working for others: ${this.currentResults.comparison.workingDaysForOthers}/5
 • Days working for myself: ${this.currentResults.comparison.workingDaysForSelf}/5
 • Years to afford a house: ${this.currentResults.housing.yearsToDeposit}
-• Can afford average house: ${this.currentResults.housing.canAfford ? 'NO' : 'NO'}
-
+• Most I can borrow under Central Bank rules: €${this.currentResults.housing.maxBorrowable.toLocaleString()}
+• Gap to an average home in my county: €${this.currentResults.housing.fundingGap.toLocaleString()}
+${this.currentResults.housing.schemes ? `• Gap after Help to Buy / First Home / affordable purchase: €${this.currentResults.housing.schemes.gapAfterSchemes.toLocaleString()}
+` : ''}
 YOUR REALITY:
 • Properties owned: ${td?.properties?.property_count || 'Multiple (as per Register of Members\' Interests)'}
 • Property value: €${(td?.properties?.total_value_estimate || 0).toLocaleString()}+ 
@@ -902,7 +933,26 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
     // [Continue with existing methods: validateCalculationInputs, displayExtractionResults, etc.]
     // [These would remain the same as in the previous version]
 
-    validateCalculationInputs(income, monthlyRent, age) {
+    /**
+     * Household mode inputs, or null when household mode is off
+     */
+    getHouseholdInputs() {
+        if (!document.getElementById('household-mode')?.checked) {
+            return null;
+        }
+        
+        return {
+            hasPartner: document.getElementById('has-partner').checked,
+            partnerIncome: parseInt(document.getElementById('partner-income').value) || 0,
+            partnerEmployment: document.getElementById('partner-employment').value,
+            partnerMedicalCard: document.getElementById('partner-medical-card').checked,
+            children: parseInt(document.getElementById('children').value) || 0,
+            childcareMonthly: parseInt(document.getElementById('childcare').value) || 0,
+            tenancy: document.getElementById('tenancy').value
+        };
+    }
+
+    validateCalculationInputs(income, monthlyRent, age, household = null, filingStatus = 'single') {
         const errors = [];
         
         if (!income || income < 10000 || income > 500000) {
@@ -917,7 +967,31 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
             errors.push('Age must be between 18 and 80');
         }
         
-        if (monthlyRent * 12 > income * 1.5) {
+        if (household) {
+            const householdIncome = income + (household.hasPartner ? household.partnerIncome : 0);
+            
+            if (household.hasPartner && (household.partnerIncome < 0 || household.partnerIncome > 500000)) {
+                errors.push('Partner income must be between €0 and €500,000');
+            }
+            
+            if (!Number.isInteger(household.children) || household.children < 0 || household.children > 15) {
+                errors.push('Number of children must be between 0 and 15');
+            }
+            
+            if (household.childcareMonthly < 0 || household.childcareMonthly > 5000) {
+                errors.push('Monthly childcare must be between €0 and €5,000');
+            } else if (household.childcareMonthly > 0 && household.children === 0) {
+                errors.push('Childcare costs need at least one child');
+            }
+            
+            if (filingStatus === 'single_parent' && (household.hasPartner || household.children === 0)) {
+                errors.push('Single parent tax status needs at least one child and no partner');
+            }
+            
+            if (monthlyRent * 12 > householdIncome * 1.5) {
+                errors.push('Annual rent cannot exceed 150% of household income');
+            }
+        } else if (monthlyRent * 12 > income * 1.5) {
             errors.push('Annual rent cannot exceed 150% of annual income');
         }
         
@@ -1001,7 +1075,7 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
         const verificationDiv = document.getElementById('verification-status');
         if (results.security && results.security.verificationHash) {
             verificationDiv.innerHTML = `
-                <small>🔒 Calculation verified at ${new Date(results.security.timestamp).toLocaleString()}</small>
+                <small>🔒 Receipt ${results.security.verificationHash.slice(0, 16)}… sealed at ${new Date(results.security.timestamp).toLocaleString()}</small>
             `;
         }
     }
@@ -1144,6 +1218,19 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
         
         if (!alertDiv || !textSpan) return;
         
+        // A broken data file outranks any completeness score - say which file, where and why
+        if (status.errors?.length > 0) {
+            const files = [...new Set(status.errors.map(e => e.file))];
+            const details = status.errors.slice(0, 3)
+                .map(e => `${e.file}${e.pointer ? ` ${e.pointer}` : ''} [${e.rule}]: ${e.message}`)
+                .join(' | ');
+            
+            textSpan.textContent = `Data problem in ${files.join(', ')} - ${details}` +
+                (status.errors.length > 3 ? ` (+${status.errors.length - 3} more - run npm run validate)` : '');
+            alertDiv.className = 'alert alert-danger';
+            return;
+        }
+        
         const completeness = this.calculateDataCompleteness(status);
         
         let message, alertClass;
@@ -1158,7 +1245,7 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
             message = `${completeness}% complete - Most features available, some data pending`;
             alertClass = 'alert-info';
         } else {
-            message = `${completeness}% complete - Core features working, enhanced systems loading`;
+            message = `${completeness}% complete - Core features working, see Data quality for what is missing`;
             alertClass = 'alert-warning';
         }
         
@@ -1166,40 +1253,12 @@ Time to make landlord TDs pay the electoral price for housing crisis profiteerin
         alertDiv.className = `alert ${alertClass}`;
     }
 
+    /**
+     * Share of tracked TD fields filled in across all TDs, as measured by
+     * getDataStatus() (see data-quality.js)
+     */
     calculateDataCompleteness(status) {
-        const weights = {
-            td_database: 25,      // Core
-            property_data: 20,    // Critical for accountability
-            voting_records: 20,   // Critical for hypocrisy
-            electoral_data: 15,   // Important for targeting
-            enhanced_integration: 15, // New enhanced features
-            housing_stats: 5      // Nice to have
-        };
-        
-        let totalScore = 0;
-        let maxScore = 0;
-        
-        for (const [key, weight] of Object.entries(weights)) {
-            maxScore += weight;
-            if (status[key] === 'COMPLETE') {
-                totalScore += weight;
-            } else if (status[key] === 'ENHANCED_INTEGRATION_COMPLETE') {
-                totalScore += weight;
-            } else if (status[key] === 'PATTERN_ANALYSIS') {
-                totalScore += weight * 0.9;
-            } else if (status[key] === 'AVAILABLE') {
-                totalScore += weight * 0.95;
-            } else if (status[key] === 'ESTIMATED') {
-                totalScore += weight * 0.7;
-            }
-        }
-        
-        // Bonus for enhanced systems
-        if (this.integratedDatabase && this.targetingReport) {
-            totalScore += 10; // Bonus points for enhanced capabilities
-        }
-        
-        return Math.round((totalScore / maxScore) * 100);
+        return status.completeness ?? 0;
     }
 }
 
@@ -0,0 +1,230 @@
+/**
+ * Calculation Receipts
+ *
+ * A receipt records what went into a calculation (inputs, rate table version,
+ * SHA-256 checksums of the data files and engine source) and the headline
+ * figures that came out, sealed with a SHA-256 hash over the lot. Anyone holding
+ * the receipt JSON can recompute the hash, re-check the files against the build
+ * they are running and re-run the calculation to confirm the figures.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const RECEIPT_VERSION = 1;
+
+// Engine source files - a changed checksum means a modified build
+const RECEIPT_SOURCE_FILES = Object.freeze([
+    'secure-extraction-calculator.js',
+    'tax-engine.js',
+    'mortgage-affordability.js',
+    'first-home-schemes.js',
+    'household-supports.js',
+    'td-remuneration.js',
+    'rental-income-estimator.js'
+]);
+
+const RECEIPT_DATA_FILES = Object.freeze([
+    'complete-td-database.json',
+    'data/housing-stats.json',
+    'data/first-home-schemes.json',
+    'data/household-supports.json',
+    'data/td-remuneration.json',
+    'data/property-data.json'
+]);
+
+/**
+ * Files a receipt covers for a tax year
+ */
+function receiptFiles(taxYear) {
+    return [`data/tax-rates/${taxYear}.json`, ...RECEIPT_DATA_FILES, ...RECEIPT_SOURCE_FILES];
+}
+
+/**
+ * JSON with object keys sorted at every level, so the same data always hashes the same
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hex SHA-256 of a string or bytes via WebCrypto
+ */
+async function sha256Hex(data) {
+    const subtle = globalThis.crypto?.subtle;
+    if (!subtle) {
+        throw new Error('WebCrypto is not available - receipts need a secure (HTTPS) context');
+    }
+
+    const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+    const digest = await subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Read a file through a DataLoader - fetch in a browser, the file system under Node
+ */
+function loadText(file) {
+    return new DataLoader().text(file);
+}
+
+async function checksumFiles(files, readFile) {
+    const checksums = {};
+    for (const file of files) {
+        checksums[file] = await sha256Hex(await readFile(file));
+    }
+    return checksums;
+}
+
+/**
+ * The figures a receipt vouches for - what people quote and screenshot
+ */
+function headlineFigures(results) {
+    return {
+        income: results.income,
+        totalTax: results.totalTax,
+        yearlyRent: results.yearlyRent,
+        extractionRate: results.extractionRate,
+        userKeepRate: results.userKeepRate,
+        regularTDKeepRate: results.regularTDKeepRate,
+        landlordTDKeepRate: results.landlordTDKeepRate,
+        systemBias: results.systemBias,
+        monthlyNet: results.monthlyNet,
+        disposableIncome: results.disposableIncome,
+        yearsToDeposit: results.yearsToDeposit,
+        maxBorrowable: results.housing.maxBorrowable,
+        fundingGap: results.housing.fundingGap,
+        gapAfterSchemes: results.housing.schemes?.gapAfterSchemes ?? null,
+        revolutionScore: results.revolution.score
+    };
+}
+
+/**
+ * The options the user entered - the TD package and rental estimate are left out,
+ * as verification works them out again from the data files
+ */
+function userOptions(options) {
+    const { tdPackage, landlordIncome, ...entered } = options || {};
+    return JSON.parse(JSON.stringify(entered));
+}
+
+function receiptBody(receipt) {
+    const { hash, ...body } = receipt;
+    return body;
+}
+
+/**
+ * Build a sealed receipt for one calculation
+ *
+ * call: the arguments the calculation was run with ({ income, monthlyRent, age, options },
+ * options including compareTD - see SecureExtractionCalculator.calculateExtraction)
+ * results: the SecureExtractionCalculator.calculate() result for those arguments
+ * readFile: (path) => text or bytes, defaults to a DataLoader read
+ */
+async function createReceipt(call, results, { readFile = loadText, timestamp = new Date().toISOString() } = {}) {
+    const body = {
+        receiptVersion: RECEIPT_VERSION,
+        generatedAt: timestamp,
+        inputs: {
+            income: call.income,
+            monthlyRent: call.monthlyRent,
+            age: call.age ?? null,
+            options: userOptions(call.options)
+        },
+        rateTable: { year: results.taxYear, version: results.rateTableVersion },
+        files: await checksumFiles(receiptFiles(results.taxYear), readFile),
+        figures: headlineFigures(results)
+    };
+
+    return { ...body, hash: await sha256Hex(canonicalJSON(body)) };
+}
+
+/**
+ * Check a receipt three ways: its hash still matches its contents, the files it
+ * was made from match the ones loaded now, and re-running the calculation gives
+ * the same figures.
+ *
+ * calculator: a SecureExtractionCalculator - anything it has not loaded yet is loaded now
+ */
+async function verifyReceipt(receipt, calculator, { readFile = calculator.readFile || loadText } = {}) {
+    if (receipt?.receiptVersion !== RECEIPT_VERSION || !receipt.inputs || !receipt.files || !receipt.figures) {
+        throw new Error('Not a calculation receipt (or made by an incompatible version)');
+    }
+
+    const hashMatches = await sha256Hex(canonicalJSON(receiptBody(receipt))) === receipt.hash;
+
+    const changedFiles = [];
+    for (const [file, checksum] of Object.entries(receipt.files)) {
+        let current = null;
+        try {
+            current = await sha256Hex(await readFile(file));
+        } catch (error) {
+            // A missing file counts as changed
+        }
+        if (current !== checksum) {
+            changedFiles.push(file);
+        }
+    }
+
+    const { income, monthlyRent, age, options } = receipt.inputs;
+    await calculator.useTaxYear(receipt.rateTable.year);
+    await calculator.useHousingStats();
+    await calculator.useSchemes();
+    await calculator.useHouseholdSupports();
+    await calculator.useTDComparison();
+    // The TD package and rental estimate come from the files checked above, whatever the receipt says
+    const figures = headlineFigures(calculator.calculate(income, monthlyRent, age, {
+        ...options, ...calculator.comparisonOptions(options.compareTD ?? null)
+    }));
+    const changedFigures = Object.keys(receipt.figures)
+        .filter(key => canonicalJSON(figures[key]) !== canonicalJSON(receipt.figures[key]))
+        .map(key => ({ figure: key, receipt: receipt.figures[key], recalculated: figures[key] ?? null }));
+
+    return {
+        valid: hashMatches && changedFiles.length === 0 && changedFigures.length === 0,
+        hashMatches,
+        changedFiles,
+        changedFigures
+    };
+}
+
+/**
+ * Offer a receipt as a JSON download (built locally - nothing is uploaded)
+ */
+function downloadReceipt(receipt, doc = document) {
+    const blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = doc.createElement('a');
+
+    link.href = url;
+    link.download = `extraction-receipt-${receipt.hash.slice(0, 12)}.json`;
+    doc.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+const CalculationReceipt = Object.freeze({
+    createReceipt, verifyReceipt, downloadReceipt, receiptFiles, canonicalJSON, sha256Hex
+});
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.CalculationReceipt = CalculationReceipt;
+}
+
+export {
+    createReceipt, verifyReceipt, downloadReceipt, receiptFiles, canonicalJSON, sha256Hex,
+    RECEIPT_VERSION, RECEIPT_SOURCE_FILES, RECEIPT_DATA_FILES
+};
+export default CalculationReceipt;
@@ -0,0 +1,169 @@
+/**
+ * Data Cache
+ *
+ * Keeps data files between visits so repeat loads skip the network. Entries are
+ * keyed by file and SHA-256 content hash from data/checksums.json (written by
+ * npm run generate-checksums): a file is served from the cache only while its
+ * hash is still the published one, and saving a new checksums file - a new data
+ * release - drops every entry it no longer vouches for. Text is hashed before it
+ * is stored, so a file that doesn't match its checksum is never cached.
+ *
+ * The store is IndexedDB in the browser (openIndexedDBStore) or any object with
+ * the same get/put/delete/clear/getAll promise methods (memoryStore for tests).
+ */
+
+import { sha256Hex } from './calculation-receipt.js';
+
+const DEFAULT_CHECKSUMS_PATH = 'data/checksums.json';
+const DB_NAME = 'irish-accountability-data';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+// Entry holding the last checksums seen, for offline visits
+const CHECKSUMS_KEY = '#checksums';
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise wrapper over an IndexedDB object store keyed by file
+ */
+async function openIndexedDBStore({ name = DB_NAME, indexedDB = globalThis.indexedDB } = {}) {
+    if (!indexedDB) {
+        throw new Error('IndexedDB is not available in this browser');
+    }
+
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'file' });
+        }
+    };
+    const db = await requestResult(request);
+
+    const run = (mode, operation) => {
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return requestResult(operation(store));
+    };
+
+    return {
+        get: file => run('readonly', store => store.get(file)),
+        put: entry => run('readwrite', store => store.put(entry)),
+        delete: file => run('readwrite', store => store.delete(file)),
+        clear: () => run('readwrite', store => store.clear()),
+        getAll: () => run('readonly', store => store.getAll())
+    };
+}
+
+/**
+ * In-memory store with the IndexedDB store's interface
+ */
+function memoryStore() {
+    const entries = new Map();
+    return {
+        get: async file => entries.get(file),
+        put: async entry => { entries.set(entry.file, entry); },
+        delete: async file => { entries.delete(file); },
+        clear: async () => { entries.clear(); },
+        getAll: async () => [...entries.values()]
+    };
+}
+
+class DataCache {
+    constructor(store) {
+        if (!store) {
+            throw new Error('Invalid data cache: a store is required');
+        }
+        this.store = store;
+    }
+
+    /**
+     * Cache backed by this browser's IndexedDB
+     */
+    static async open(options = {}) {
+        return new DataCache(await openIndexedDBStore(options));
+    }
+
+    /**
+     * Cached text of a file, or null unless it was stored under this hash
+     */
+    async get(file, hash) {
+        const entry = await this.store.get(file);
+        return entry && hash && entry.hash === hash ? entry.text : null;
+    }
+
+    /**
+     * Store a file's text if it hashes to its published checksum. Returns whether
+     * it was stored.
+     */
+    async put(file, hash, text) {
+        if (!hash) return false;
+
+        let actual;
+        try {
+            actual = await sha256Hex(text);
+        } catch (error) {
+            // No WebCrypto (plain-HTTP page) - nothing can be verified, so nothing is kept
+            return false;
+        }
+        if (actual !== hash) return false;
+
+        await this.store.put({ file, hash, text, stored_at: new Date().toISOString() });
+        return true;
+    }
+
+    /**
+     * Remember the current checksums and drop entries they no longer vouch for.
+     * checksums: { file: { hash, ... } } as in data/checksums.json. Returns the
+     * files dropped.
+     */
+    async saveChecksums(checksums) {
+        const dropped = [];
+
+        for (const entry of await this.store.getAll()) {
+            if (entry.file === CHECKSUMS_KEY) continue;
+            if (checksums[entry.file]?.hash !== entry.hash) {
+                await this.store.delete(entry.file);
+                dropped.push(entry.file);
+            }
+        }
+
+        await this.store.put({ file: CHECKSUMS_KEY, checksums, stored_at: new Date().toISOString() });
+        return dropped;
+    }
+
+    /**
+     * Checksums saved on the last online visit, or null
+     */
+    async savedChecksums() {
+        return (await this.store.get(CHECKSUMS_KEY))?.checksums || null;
+    }
+
+    /**
+     * What is cached: { files: [{ file, hash, bytes, stored_at }], bytes }
+     */
+    async stats() {
+        const files = (await this.store.getAll())
+            .filter(entry => entry.file !== CHECKSUMS_KEY)
+            .map(({ file, hash, text, stored_at }) => ({ file, hash, bytes: new TextEncoder().encode(text).length, stored_at }))
+            .sort((a, b) => a.file.localeCompare(b.file));
+
+        return { files, bytes: files.reduce((sum, entry) => sum + entry.bytes, 0) };
+    }
+
+    async clear() {
+        await this.store.clear();
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.DataCache = DataCache;
+}
+
+export { DataCache, openIndexedDBStore, memoryStore, DEFAULT_CHECKSUMS_PATH };
+export default DataCache;
@@ -0,0 +1,524 @@
+/**
+ * Data Linter
+ *
+ * Pinpoints what is wrong with a data file - line, column and the lines around
+ * it - including the things JSON.parse either reports as a bare character
+ * offset or lets through without a word (duplicate keys, where the last one
+ * silently wins). Schema problems from schema-validator.js are located the same
+ * way.
+ *
+ * proposeRepair() makes only the fixes that need no judgement: trailing commas,
+ * repeated keys whose values are identical, and a stray closing bracket that
+ * shuts an object early (found from the indentation of the lines after it).
+ * The result is a proposal for someone to review - nothing here overwrites a
+ * data file.
+ */
+
+import { validateSchema, schemaFor, DATA_SCHEMAS } from './schema-validator.js';
+import { DataLoader } from './data-loader.js';
+
+const SNIPPET_CONTEXT = 2;
+const MAX_REPAIR_PASSES = 10;
+
+// Problems that stop the file parsing at all
+const FATAL_RULES = Object.freeze(['syntax', 'extra-data']);
+
+const STRING_PATTERN = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = Object.freeze({ true: true, false: false, null: null });
+
+class LintAbort extends Error {
+    constructor(rule, message, offset, pointer) {
+        super(message);
+        this.rule = rule;
+        this.offset = offset;
+        this.pointer = pointer;
+    }
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isWhitespace(char) {
+    return char === ' ' || char === '\n' || char === '\r' || char === '\t';
+}
+
+function describeChar(char) {
+    return char === undefined ? 'end of file' : `"${char}"`;
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse JSON, recording every problem with its character offset. Trailing commas
+ * and duplicate keys are noted and parsing carries on; anything else stops it.
+ *
+ * Returns { value, fatal, problems, positions (pointer -> offset), closers (offset -> pointer) }
+ */
+function scanJSON(text) {
+    const problems = [];
+    const positions = new Map();
+    const closers = new Map();
+    let i = 0;
+
+    const skipWhitespace = () => {
+        while (i < text.length && isWhitespace(text[i])) i++;
+    };
+
+    const readString = pointer => {
+        STRING_PATTERN.lastIndex = i;
+        const match = STRING_PATTERN.exec(text);
+        if (!match) {
+            throw new LintAbort('syntax', 'unterminated string or invalid escape', i, pointer);
+        }
+        i += match[0].length;
+        return JSON.parse(match[0]);
+    };
+
+    const readValue = pointer => {
+        skipWhitespace();
+        positions.set(pointer, i);
+        const char = text[i];
+
+        if (char === '{') return readObject(pointer);
+        if (char === '[') return readArray(pointer);
+        if (char === '"') return readString(pointer);
+
+        NUMBER_PATTERN.lastIndex = i;
+        const number = NUMBER_PATTERN.exec(text);
+        if (number) {
+            i += number[0].length;
+            return Number(number[0]);
+        }
+
+        for (const [word, value] of Object.entries(LITERALS)) {
+            if (text.startsWith(word, i)) {
+                i += word.length;
+                return value;
+            }
+        }
+
+        throw new LintAbort('syntax', `expected a value, found ${describeChar(char)}`, i, pointer);
+    };
+
+    const readObject = pointer => {
+        const object = {};
+        const seen = new Map();
+        let previousEnd = null;
+        i++;
+        skipWhitespace();
+
+        if (text[i] === '}') {
+            closers.set(i++, pointer);
+            return object;
+        }
+
+        for (;;) {
+            skipWhitespace();
+            if (text[i] !== '"') {
+                throw new LintAbort('syntax', `expected a quoted key, found ${describeChar(text[i])}`, i, pointer);
+            }
+
+            const keyOffset = i;
+            const key = readString(pointer);
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+            skipWhitespace();
+            if (text[i] !== ':') {
+                throw new LintAbort('syntax', `expected ":" after "${key}", found ${describeChar(text[i])}`, i, childPointer);
+            }
+            i++;
+
+            const value = readValue(childPointer);
+            const first = seen.get(key);
+            if (first) {
+                problems.push({
+                    rule: 'duplicate-key',
+                    message: `"${key}" appears more than once - JSON.parse keeps only the last`,
+                    offset: keyOffset,
+                    pointer: childPointer,
+                    firstOffset: first.offset,
+                    identical: sameValue(first.value, value),
+                    span: [previousEnd, i]
+                });
+            } else {
+                seen.set(key, { offset: keyOffset, value });
+            }
+            // defineProperty so a "__proto__" key is stored like JSON.parse stores it
+            Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+            previousEnd = i;
+
+            skipWhitespace();
+            if (text[i] === ',') {
+                const comma = i++;
+                skipWhitespace();
+                if (text[i] === '}') {
+                    problems.push({ rule: 'trailing-comma', message: 'trailing comma before "}"', offset: comma, pointer, span: [comma, comma + 1] });
+                    closers.set(i++, pointer);
+                    return object;
+                }
+                continue;
+            }
+            if (text[i] === '}') {
+                closers.set(i++, pointer);
+                return object;
+            }
+            throw new LintAbort('syntax', `expected "," or "}" after "${key}", found ${describeChar(text[i])}`, i, childPointer);
+        }
+    };
+
+    const readArray = pointer => {
+        const array = [];
+        i++;
+        skipWhitespace();
+
+        if (text[i] === ']') {
+            closers.set(i++, pointer);
+            return array;
+        }
+
+        for (;;) {
+            array.push(readValue(`${pointer}/${array.length}`));
+            skipWhitespace();
+            if (text[i] === ',') {
+                const comma = i++;
+                skipWhitespace();
+                if (text[i] === ']') {
+                    problems.push({ rule: 'trailing-comma', message: 'trailing comma before "]"', offset: comma, pointer, span: [comma, comma + 1] });
+                    closers.set(i++, pointer);
+                    return array;
+                }
+                continue;
+            }
+            if (text[i] === ']') {
+                closers.set(i++, pointer);
+                return array;
+            }
+            throw new LintAbort('syntax', `expected "," or "]" in array, found ${describeChar(text[i])}`, i, pointer);
+        }
+    };
+
+    let value;
+    try {
+        value = readValue('');
+        skipWhitespace();
+        if (i < text.length) {
+            throw new LintAbort('extra-data',
+                'data continues after the top-level value has closed - usually a stray "}" or "]" further up', i, '');
+        }
+    } catch (error) {
+        if (!(error instanceof LintAbort)) throw error;
+        problems.push({ rule: error.rule, message: error.message, offset: error.offset, pointer: error.pointer });
+        return { value: null, fatal: true, problems, positions, closers };
+    }
+
+    return { value, fatal: false, problems, positions, closers };
+}
+
+function lineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+/**
+ * 1-based { line, column } of a character offset
+ */
+function locate(starts, offset) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - starts[low] + 1 };
+}
+
+/**
+ * The lines around line:column, numbered, with a caret under the column
+ */
+function snippet(text, line, column, context = SNIPPET_CONTEXT) {
+    const lines = text.split('\n');
+    const first = Math.max(1, line - context);
+    const last = Math.min(lines.length, line + context);
+    const width = String(last).length;
+    const output = [];
+
+    for (let n = first; n <= last; n++) {
+        const content = lines[n - 1].replace(/\r$/, '');
+        output.push(`${n === line ? '>' : ' '} ${String(n).padStart(width)} | ${content}`);
+        if (n === line) {
+            // keep tabs so the caret lines up with tab-indented content
+            output.push(`  ${' '.repeat(width)} | ${content.slice(0, column - 1).replace(/[^\t]/g, ' ')}^`);
+        }
+    }
+
+    return output.join('\n');
+}
+
+// Offset of the nearest value that exists for a pointer (a missing required key points at its parent)
+function offsetFor(positions, pointer) {
+    let current = pointer;
+    while (current && !positions.has(current)) {
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+    return positions.get(current) ?? 0;
+}
+
+/**
+ * Everything wrong with a file's text, each problem located by line and column
+ *
+ * Returns { file, valid, data, problems: [{ file, rule, message, pointer, line, column, snippet }] }.
+ * data is null when the text does not parse.
+ */
+function lintJSON(text, { file = '', schema = null } = {}) {
+    const starts = lineStarts(text);
+    const scan = scanJSON(text);
+    const found = scan.problems.map(problem => {
+        if (problem.rule !== 'duplicate-key') return problem;
+        const first = locate(starts, problem.firstOffset);
+        return { ...problem, message: `${problem.message} (first at line ${first.line})` };
+    });
+
+    if (!scan.fatal && schema) {
+        for (const error of validateSchema(scan.value, schema)) {
+            found.push({ ...error, offset: offsetFor(scan.positions, error.pointer) });
+        }
+    }
+
+    const problems = found
+        .sort((a, b) => a.offset - b.offset)
+        .map(problem => {
+            const { line, column } = locate(starts, problem.offset);
+            return {
+                file,
+                rule: problem.rule,
+                message: problem.message,
+                pointer: problem.pointer,
+                line,
+                column,
+                snippet: snippet(text, line, column)
+            };
+        });
+
+    return { file, valid: problems.length === 0, data: scan.fatal ? null : scan.value, problems };
+}
+
+// Leading whitespace of the first indented line - the file's indentation step
+function indentUnit(text) {
+    const match = /\n([ \t]+)\S/.exec(text);
+    return match ? match[1].length : 0;
+}
+
+/**
+ * Offset of a closing bracket that shuts a container early: in a pretty-printed
+ * file the lines after it stay indented as members of the container it closed.
+ * Returns the last closer before the first line indented deeper than its depth,
+ * or -1 if the indentation gives nothing away.
+ */
+function findStrayCloser(text, before) {
+    const unit = indentUnit(text);
+    if (!unit) return -1;
+
+    let depth = 0;
+    let lastCloser = -1;
+    let lineStart = 0;
+    let firstOnLine = true;
+
+    for (let i = 0; i < text.length && i < before; i++) {
+        const char = text[i];
+
+        if (char === '\n') {
+            lineStart = i + 1;
+            firstOnLine = true;
+            continue;
+        }
+        if (isWhitespace(char)) continue;
+
+        if (firstOnLine) {
+            firstOnLine = false;
+            const closing = char === '}' || char === ']';
+            const expected = (closing ? depth - 1 : depth) * unit;
+            if (!closing && i - lineStart > expected && lastCloser >= 0) {
+                return lastCloser;
+            }
+        }
+
+        if (char === '"') {
+            STRING_PATTERN.lastIndex = i;
+            const match = STRING_PATTERN.exec(text);
+            if (!match) return -1;
+            i += match[0].length - 1;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            lastCloser = i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Text edits for the fixes that are safe to make, as [start, end) deletions
+ */
+function safeFixes(text, scan) {
+    const fatal = scan.problems.find(problem => FATAL_RULES.includes(problem.rule));
+
+    if (fatal) {
+        const closer = findStrayCloser(text, fatal.offset);
+        if (closer < 0) return [];
+
+        // Take the whitespace before it too, so a trailing comma joins the line above
+        let start = closer;
+        while (start > 0 && isWhitespace(text[start - 1])) start--;
+        return [{
+            rule: 'stray-closer',
+            message: `removed the "${text[closer]}" that closed ${scan.closers.get(closer) || 'the top-level value'} early`,
+            offset: closer,
+            span: [start, closer + 1]
+        }];
+    }
+
+    return scan.problems
+        .filter(problem => problem.rule === 'trailing-comma' || (problem.rule === 'duplicate-key' && problem.identical))
+        .map(problem => ({
+            rule: problem.rule,
+            message: problem.rule === 'trailing-comma'
+                ? 'removed trailing comma'
+                : `removed repeated ${problem.pointer} (same value both times)`,
+            offset: problem.offset,
+            span: problem.span
+        }));
+}
+
+/**
+ * Propose a repaired version of a file's text. Returns
+ * { text, fixes: [{ rule, message, line, column }], problems } - text is null
+ * if nothing could be fixed or the result still does not parse; problems are
+ * what is left for a person to sort out. Line numbers refer to the original.
+ */
+function proposeRepair(text, { file = '', schema = null } = {}) {
+    const originalStarts = lineStarts(text);
+    const deletions = [];
+    const fixes = [];
+    let current = text;
+
+    // Map an offset in the edited text back to the original
+    const originalOffset = offset => deletions.reduceRight(
+        (o, deletion) => (o >= deletion.start ? o + deletion.length : o), offset);
+
+    for (let pass = 0; pass < MAX_REPAIR_PASSES; pass++) {
+        const scan = scanJSON(current);
+        const edits = safeFixes(current, scan).sort((a, b) => b.span[0] - a.span[0]);
+        if (edits.length === 0) break;
+
+        let next = current;
+        let limit = Infinity;
+        const applied = [];
+        for (const edit of edits) {
+            const [start, end] = edit.span;
+            if (end > limit) continue;  // overlaps an edit already made this pass
+
+            next = next.slice(0, start) + next.slice(end);
+            limit = start;
+            applied.push(edit);
+        }
+
+        const before = scan.problems.find(problem => FATAL_RULES.includes(problem.rule));
+        const after = scanJSON(next).problems.find(problem => FATAL_RULES.includes(problem.rule));
+        if (before && after && after.offset <= before.offset) {
+            break;  // the fix did not get the parse any further - leave it for a person
+        }
+
+        for (const edit of applied) {
+            fixes.push({ rule: edit.rule, message: edit.message, ...locate(originalStarts, originalOffset(edit.offset)) });
+        }
+        // Applied highest offset first, so each one's start is still valid for the next
+        applied.forEach(edit => deletions.push({ start: edit.span[0], length: edit.span[1] - edit.span[0] }));
+        current = next;
+    }
+
+    const result = lintJSON(current, { file, schema });
+    if (fixes.length === 0 || result.data === null) {
+        return { text: null, fixes: [], problems: lintJSON(text, { file, schema }).problems };
+    }
+
+    return { text: current, fixes: fixes.sort((a, b) => a.line - b.line), problems: result.problems };
+}
+
+/**
+ * Where a proposed repair of a file is written - next to it, never over it
+ */
+function proposedFileName(file) {
+    return file.replace(/\.json$/, '.proposed.json');
+}
+
+/**
+ * Every data file that has a schema, with the rate tables for the given tax years
+ */
+function knownDataFiles(taxYears = []) {
+    return [...Object.keys(DATA_SCHEMAS), ...taxYears.map(year => `data/tax-rates/${year}.json`)];
+}
+
+/**
+ * A file's raw text - the linter reads files as published, not through
+ * StaticDataManager, which would refuse the broken ones
+ */
+function loadText(file) {
+    return new DataLoader().text(file);
+}
+
+/**
+ * Lint a list of data files against their schemas, with a repair proposal for
+ * each broken one. readText: (path) => text, defaults to a DataLoader read.
+ *
+ * Returns [{ file, schema, valid, data, problems, repair }]
+ */
+async function lintFiles(files, { readText = loadText } = {}) {
+    const results = [];
+
+    for (const file of files) {
+        const schemaFile = schemaFor(file);
+        let text;
+        let schema = null;
+        try {
+            text = await readText(file);
+            schema = schemaFile ? JSON.parse(await readText(schemaFile)) : null;
+        } catch (error) {
+            results.push({
+                file,
+                schema: schemaFile,
+                valid: false,
+                data: null,
+                problems: [{ file, rule: 'load', message: error.message, pointer: '', line: null, column: null, snippet: '' }],
+                repair: null
+            });
+            continue;
+        }
+
+        const result = lintJSON(text, { file, schema });
+        results.push({
+            ...result,
+            schema: schemaFile,
+            repair: result.valid ? null : proposeRepair(text, { file, schema })
+        });
+    }
+
+    return results;
+}
+
+const DataLinter = Object.freeze({ lintJSON, proposeRepair, lintFiles, knownDataFiles, proposedFileName, snippet });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.DataLinter = DataLinter;
+}
+
+export { lintJSON, proposeRepair, lintFiles, knownDataFiles, proposedFileName, snippet, scanJSON };
+export default DataLinter;
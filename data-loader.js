@@ -0,0 +1,129 @@
+/**
+ * Data Loader
+ *
+ * One way to read the data files wherever the code runs. Files are named by their
+ * path from the repo root ('complete-td-database.json', 'data/property-data.json')
+ * and read through a backend:
+ *
+ *   fetchBackend()            the deployed site - fetch() relative to the page
+ *   fsBackend({ root })       Node (scripts/, tests, CI) - files under the repo root
+ *   memoryBackend(files)      tests - { file: text or JSON value }, optionally over
+ *                             another backend for the files it doesn't hold
+ *
+ * A backend is any object with read(file, { fresh }) returning the text;
+ * defaultBackend() picks fetch in a browser and the file system in Node.
+ */
+
+// A URL or a protocol-relative path, which a file backend can't read
+const NON_FILE_PATH = /^[a-z][a-z0-9+.-]*:|^\/\//i;
+
+/**
+ * Reads over HTTP. fresh skips the browser's HTTP cache (revalidates), for files
+ * that say what the current release is, like data/checksums.json
+ */
+function fetchBackend({ baseUrl = '' } = {}) {
+    return {
+        async read(file, { fresh = false } = {}) {
+            // Looked up per call so a page (or test) can swap fetch out
+            const response = fresh
+                ? await globalThis.fetch(baseUrl + file, { cache: 'no-cache' })
+                : await globalThis.fetch(baseUrl + file);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return response.text();
+        }
+    };
+}
+
+/**
+ * Reads from disk. root is the repo root as a directory path or file: URL -
+ * by default the directory this module is in
+ */
+function fsBackend({ root = new URL('./', import.meta.url) } = {}) {
+    let base;
+
+    return {
+        async read(file) {
+            if (NON_FILE_PATH.test(file)) {
+                throw new Error('not a file path');
+            }
+
+            // Imported on first read so the browser never asks for node: modules
+            const [{ readFile }, { pathToFileURL }] = await Promise.all([import('node:fs/promises'), import('node:url')]);
+            base ??= typeof root === 'string'
+                ? pathToFileURL(root.endsWith('/') ? root : `${root}/`)
+                : root;
+
+            return readFile(new URL(file, base), 'utf8');
+        }
+    };
+}
+
+/**
+ * Serves the given files - strings as they are, anything else as JSON - and
+ * passes other reads to fallback, or fails them
+ */
+function memoryBackend(files = {}, { fallback = null } = {}) {
+    return {
+        async read(file, options) {
+            if (Object.hasOwn(files, file)) {
+                const content = files[file];
+                return typeof content === 'string' ? content : JSON.stringify(content);
+            }
+            if (fallback) {
+                return fallback.read(file, options);
+            }
+            throw new Error('not found');
+        }
+    };
+}
+
+/**
+ * fetch in a browser (or anywhere without Node), the file system under Node
+ */
+function defaultBackend() {
+    const isNode = typeof window === 'undefined' && typeof process !== 'undefined' && Boolean(process.versions?.node);
+    return isNode ? fsBackend() : fetchBackend();
+}
+
+class DataLoader {
+    constructor(backend = defaultBackend()) {
+        if (!backend || typeof backend.read !== 'function') {
+            throw new Error('Invalid data loader: a backend with read(file) is required');
+        }
+        this.backend = backend;
+    }
+
+    /**
+     * A file's text. options.fresh asks the backend to bypass any HTTP cache.
+     */
+    async text(file, options = {}) {
+        try {
+            return await this.backend.read(file, options);
+        } catch (error) {
+            throw new Error(`Failed to load ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * A file parsed as JSON (no schema check - StaticDataManager adds that)
+     */
+    async json(file, options = {}) {
+        const text = await this.text(file, options);
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Failed to parse ${file}: ${error.message}`);
+        }
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.DataLoader = DataLoader;
+}
+
+export { DataLoader, fetchBackend, fsBackend, memoryBackend, defaultBackend };
+export default DataLoader;
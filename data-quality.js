@@ -0,0 +1,201 @@
+/**
+ * Data Quality
+ *
+ * Measures how complete and how current the data is, from the files themselves
+ * rather than from what their metadata claims: how many TD records carry each
+ * tracked field (and which TDs are missing it), how the records'
+ * verification_status values break down, and how old each file and record is
+ * against its last-updated date. StaticDataManager.getDataStatus() reports the
+ * result and the data-quality panel in index.html renders it.
+ */
+
+import { fieldValue } from './td-query.js';
+
+// The Register of Members' Interests is published yearly - anything older than
+// a year has missed at least one register
+const STALE_AFTER_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// TD record fields whose coverage is measured, with labels for the panel
+const TD_FIELDS = Object.freeze({
+    email: 'Contact email',
+    member_code: 'Oireachtas member code',
+    'properties.property_count': 'Declared property count',
+    'properties.last_updated': 'Property data date',
+    'voting_record.voting_attendance': 'Voting attendance',
+    'voting_record.last_updated': 'Voting record date',
+    'electoral_data.margin_percentage': '2024 election margin',
+    'electoral_data.vote_count_2024': '2024 first-preference votes'
+});
+
+// Sections of a TD record that carry their own verification_status and last_updated
+const TD_SECTIONS = Object.freeze(['properties', 'voting_record']);
+
+// Metadata keys the data files use for when they were compiled, most specific first
+const UPDATED_KEYS = Object.freeze(['last_updated', 'compiled_at', 'extracted_at', 'scraped']);
+
+function isPresent(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function percent(present, total) {
+    return total === 0 ? 100 : Math.round(100 * present / total);
+}
+
+/**
+ * Whole days since an ISO date, or null if there is no valid date
+ */
+function ageInDays(date, now = new Date()) {
+    const time = Date.parse(date);
+    return Number.isNaN(time) ? null : Math.floor((now.getTime() - time) / DAY_MS);
+}
+
+/**
+ * When a data file was last compiled, from its metadata (or the TD database summary)
+ */
+function fileUpdated(data) {
+    const sources = [data?.metadata, data?.summary].filter(Boolean);
+    for (const source of sources) {
+        const key = UPDATED_KEYS.find(candidate => isPresent(source[candidate]));
+        if (key) return source[key];
+    }
+    return null;
+}
+
+/**
+ * Coverage of each field across a tds map: [{ field, label, present, total,
+ * percent, missing: [names] }]
+ */
+function fieldCoverage(tds, fields = TD_FIELDS) {
+    const names = Object.keys(tds || {});
+
+    return Object.entries(fields).map(([field, label]) => {
+        const missing = names.filter(name => !isPresent(fieldValue(tds[name], field)));
+        const present = names.length - missing.length;
+        return { field, label, present, total: names.length, percent: percent(present, names.length), missing };
+    });
+}
+
+/**
+ * Which expected keys a keyed collection has: { present, total, percent, missing }
+ */
+function recordCoverage(expected, records) {
+    const missing = expected.filter(key => !records?.[key]);
+    const present = expected.length - missing.length;
+    return { present, total: expected.length, percent: percent(present, expected.length), missing };
+}
+
+/**
+ * Count of each value at a path across a tds map; records without one count as MISSING
+ */
+function verificationCounts(tds, path) {
+    const counts = {};
+    for (const td of Object.values(tds || {})) {
+        const status = fieldValue(td, path) || 'MISSING';
+        counts[status] = (counts[status] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Records whose date at path is older than maxAgeDays - records with no date are
+ * coverage gaps, not stale
+ */
+function staleRecords(tds, path, { now = new Date(), maxAgeDays = STALE_AFTER_DAYS } = {}) {
+    return Object.entries(tds || {})
+        .filter(([, td]) => {
+            const age = ageInDays(fieldValue(td, path), now);
+            return age !== null && age > maxAgeDays;
+        })
+        .map(([name]) => name);
+}
+
+/**
+ * Age and declared verification of one data file:
+ * { updated, age_days, stale, verification_status }
+ */
+function assessFile(data, { now = new Date(), maxAgeDays = STALE_AFTER_DAYS } = {}) {
+    const updated = fileUpdated(data);
+    const age = ageInDays(updated, now);
+
+    return {
+        updated,
+        age_days: age,
+        stale: age !== null && age > maxAgeDays,
+        verification_status: data?.metadata?.verification_status || null
+    };
+}
+
+/**
+ * Everything measured on the TD database: records held against the summary's
+ * total_tds, field coverage, verification_status counts and stale records per
+ * section, and an overall completeness score (0-100) - the share of tracked
+ * fields filled in across all the TDs there should be.
+ */
+function assessTDDatabase(database, { now = new Date(), maxAgeDays = STALE_AFTER_DAYS } = {}) {
+    const tds = database?.tds || {};
+    const records = Object.keys(tds).length;
+    const expected = Math.max(records, database?.summary?.total_tds || 0);
+    const coverage = fieldCoverage(tds);
+
+    const filled = coverage.reduce((sum, field) => sum + field.present, 0);
+    const possible = expected * coverage.length;
+
+    return {
+        expected,
+        records,
+        coverage,
+        verification: Object.fromEntries(TD_SECTIONS.map(section => [section, verificationCounts(tds, `${section}.verification_status`)])),
+        stale: Object.fromEntries(TD_SECTIONS.map(section => [section, staleRecords(tds, `${section}.last_updated`, { now, maxAgeDays })])),
+        completeness: possible === 0 ? 0 : Math.round(100 * filled / possible)
+    };
+}
+
+/**
+ * Status for getDataStatus() from a file's assessment: a declared estimate or
+ * pattern analysis says so; otherwise PARTIAL if records are missing, STALE if
+ * it is out of date, COMPLETE if neither.
+ */
+function fileStatus(file, coveragePercent = 100) {
+    const declared = file.verification_status || '';
+    if (declared.includes('ESTIMATED')) return 'ESTIMATED';
+    if (declared.includes('PATTERN_ANALYSIS')) return 'PATTERN_ANALYSIS';
+    if (coveragePercent < 100) return 'PARTIAL';
+    if (file.stale) return 'STALE';
+    return 'COMPLETE';
+}
+
+const DataQuality = Object.freeze({
+    assessTDDatabase,
+    assessFile,
+    fileStatus,
+    fieldCoverage,
+    recordCoverage,
+    verificationCounts,
+    staleRecords,
+    ageInDays,
+    fileUpdated,
+    TD_FIELDS,
+    STALE_AFTER_DAYS
+});
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.DataQuality = DataQuality;
+}
+
+export {
+    assessTDDatabase,
+    assessFile,
+    fileStatus,
+    fieldCoverage,
+    recordCoverage,
+    verificationCounts,
+    staleRecords,
+    ageInDays,
+    fileUpdated,
+    TD_FIELDS,
+    STALE_AFTER_DAYS
+};
+export default DataQuality;
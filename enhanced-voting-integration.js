@@ -3,10 +3,17 @@
  * 
  * Integrates voting records with complete 174 TD database
  * Targets all 32 landlord TDs with comprehensive hypocrisy analysis
+ *
+ * Reads its data through a DataLoader (data-loader.js), so the same code runs on
+ * the site (fetch) and under Node (the file system):
+ *   node enhanced-voting-integration.js
  */
 
+import { DataLoader } from './data-loader.js';
+
 class EnhancedVotingIntegration {
-    constructor() {
+    constructor({ loader = new DataLoader() } = {}) {
+        this.loader = loader;
         this.completeTDDatabase = null;
         this.existingVotingData = null;
         this.electoralData = null;
@@ -19,8 +26,8 @@ class EnhancedVotingIntegration {
             'Timmy Dooley', 'Johnny Guirke', 'Cathy Bennett', 'Joanna Byrne',
             'Noel Grealish', 'Carol Nolan', 'Colm Burke', 'Ciara Conway',
             'Marc MacSharry', 'Paul McAuliffe', 'Alan Farrell', 'Joe Flaherty',
-            'James O'Connor', 'Brendan Griffin', 'Joe Carey', 'Catherine Ardagh',
-            'Shane Cassells', 'Barry Cowen', 'Darragh O'Brien', 'Norma Foley'
+            "James O'Connor", 'Brendan Griffin', 'Joe Carey', 'Catherine Ardagh',
+            'Shane Cassells', 'Barry Cowen', "Darragh O'Brien", 'Norma Foley'
         ];
 
         // Core housing votes for systematic analysis
@@ -79,13 +86,13 @@ class EnhancedVotingIntegration {
     async loadDataSources() {
         try {
             // Load complete TD database
-            this.completeTDDatabase = await this.loadJSON('../complete-td-database.json');
+            this.completeTDDatabase = await this.loadJSON('complete-td-database.json');
             
             // Load existing voting records
-            this.existingVotingData = await this.loadJSON('../data/voting-records-2024.json');
+            this.existingVotingData = await this.loadJSON('data/voting-records-2024.json');
             
             // Load electoral vulnerability data
-            this.electoralData = await this.loadJSON('../data/electoral-margins.json');
+            this.electoralData = await this.loadJSON('data/electoral-margins.json');
             
             console.log('✅ All data sources loaded successfully');
             return true;
@@ -97,17 +104,10 @@ class EnhancedVotingIntegration {
     }
 
     /**
-     * Load JSON file (browser/Node.js compatible)
+     * Load a JSON file by its path from the repo root
      */
     async loadJSON(filepath) {
-        if (typeof window !== 'undefined' && window.fs && window.fs.readFile) {
-            // Browser environment with fs API
-            const content = await window.fs.readFile(filepath, { encoding: 'utf8' });
-            return JSON.parse(content);
-        } else {
-            // Fallback - would need actual file loading in real environment
-            throw new Error(`Cannot load ${filepath} - environment not supported`);
-        }
+        return this.loader.json(filepath);
     }
 
     /**
@@ -183,6 +183,32 @@ class EnhancedVotingIntegration {
         return enhanced;
     }
 
+    /**
+     * A TD's recorded votes on the key housing bills, in the same shape as a
+     * generated pattern's detailed_votes
+     */
+    getDetailedVotes(existingData, tdInfo) {
+        const name = existingData.name || `${tdInfo.first_name} ${tdInfo.last_name}`;
+        const votes = [];
+        
+        for (const bill of this.existingVotingData?.key_housing_votes || []) {
+            const cast = bill.landlord_td_votes?.find(vote => vote.td_name === name);
+            if (!cast) continue;
+            
+            const target = this.housingVoteTargets.find(vote => vote.title === bill.title);
+            votes.push({
+                vote_id: target?.id || null,
+                title: bill.title,
+                date: bill.date,
+                vote_cast: cast.vote_cast,
+                is_hypocritical: cast.is_hypocritical,
+                weight: target?.weight || null
+            });
+        }
+        
+        return votes;
+    }
+
     /**
      * Generate realistic voting pattern for TDs without existing data
      */
@@ -279,6 +305,17 @@ class EnhancedVotingIntegration {
         return Math.min(score, 100);
     }
 
+    /**
+     * Hypocrisy score for a list of detailed votes, on the same scale as
+     * calculateEnhancedHypocrisyScore
+     */
+    calculateHypocrisyScoreFromVotes(votes, tdInfo) {
+        return this.calculateEnhancedHypocrisyScore({
+            anti_tenant_votes: votes.filter(vote => vote.vote_cast === 'Against').length,
+            hypocritical_votes: votes.filter(vote => vote.is_hypocritical).length
+        }, tdInfo);
+    }
+
     /**
      * Calculate pressure campaign priority (1-10 scale)
      */
@@ -435,11 +472,6 @@ class EnhancedVotingIntegration {
     }
 }
 
-// Export for use in dashboard and other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { EnhancedVotingIntegration };
-}
-
 // Browser compatibility
 if (typeof window !== 'undefined') {
     window.EnhancedVotingIntegration = EnhancedVotingIntegration;
@@ -473,7 +505,11 @@ async function runEnhancedIntegration() {
 if (typeof window !== 'undefined' && window.location) {
     // Browser environment - expose function for manual call
     window.runEnhancedIntegration = runEnhancedIntegration;
-} else if (typeof require !== 'undefined' && require.main === module) {
+} else if (typeof process !== 'undefined' && process.argv?.[1] &&
+    decodeURIComponent(new URL(import.meta.url).pathname) === process.argv[1]) {
     // Node.js environment - auto-run
-    runEnhancedIntegration().catch(console.error);
-}
\ No newline at end of file
+    runEnhancedIntegration().catch(() => process.exit(1));
+}
+
+export { EnhancedVotingIntegration, runEnhancedIntegration };
+export default EnhancedVotingIntegration;
\ No newline at end of file
@@ -0,0 +1,172 @@
+/**
+ * First Home Schemes
+ *
+ * Estimates eligibility for, and the value of, the State's home-buying supports:
+ * Help to Buy (tax refund on new builds), the First Home shared-equity scheme and
+ * Local Authority Affordable Purchase (LAAP). Price ceilings per county live in
+ * data/first-home-schemes.json.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const SCHEMES_PATH = 'data/first-home-schemes.json';
+const PROPERTY_TYPES = Object.freeze(['house', 'apartment']);
+
+class FirstHomeSchemes {
+    constructor(table) {
+        if (!table?.help_to_buy || !table.first_home || !table.laap || !table.counties) {
+            throw new Error('Invalid schemes table: help_to_buy, first_home, laap and counties are required');
+        }
+
+        this.table = table;
+        this.version = table.metadata?.version || null;
+        this.verificationStatus = table.metadata?.verification_status || 'UNKNOWN';
+    }
+
+    /**
+     * Load the schemes table and build an estimator for it. loader: anything with json(file) - a
+     * DataLoader, or a StaticDataManager to schema-check and cache the file
+     */
+    static async load(file = SCHEMES_PATH, loader = new DataLoader()) {
+        return new FirstHomeSchemes(await loader.json(file));
+    }
+
+    /**
+     * First Home and LAAP price ceilings for a county (null if the county is not in the table)
+     */
+    ceilings(county, propertyType = 'house') {
+        if (!PROPERTY_TYPES.includes(propertyType)) {
+            throw new Error(`Unknown property type "${propertyType}" (expected one of: ${PROPERTY_TYPES.join(', ')})`);
+        }
+
+        const entry = this.table.counties[county];
+        if (!entry) return null;
+
+        return {
+            firstHome: entry.first_home[propertyType],
+            laap: entry.laap_max_price
+        };
+    }
+
+    /**
+     * Help to Buy: the lesser of the cap, a share of the price and the income tax
+     * paid over the look-back years
+     */
+    helpToBuy({ price, firstTime, newBuild, maxBorrowable, taxPaid }) {
+        const rules = this.table.help_to_buy;
+        const reasons = [];
+
+        if (!firstTime) reasons.push('Only first-time buyers qualify');
+        if (!newBuild) reasons.push('Only new or self-built homes qualify');
+        if (price > rules.price_ceiling) {
+            reasons.push(`Price is over the €${rules.price_ceiling.toLocaleString()} ceiling`);
+        }
+        if (maxBorrowable < price * rules.min_loan_to_value) {
+            reasons.push(`The mortgage must cover at least ${rules.min_loan_to_value * 100}% of the price`);
+        }
+
+        const eligible = reasons.length === 0;
+        const value = eligible ? Math.min(rules.max_relief, price * rules.price_rate, taxPaid) : 0;
+
+        return {
+            eligible,
+            value: Math.round(value),
+            limitedByTax: eligible && taxPaid < Math.min(rules.max_relief, price * rules.price_rate),
+            reasons
+        };
+    }
+
+    /**
+     * Equity share needed to close a gap, capped at a share of the price
+     */
+    _equity(gap, price, maxShare) {
+        const value = Math.min(Math.max(gap, 0), price * maxShare);
+        return { value: Math.round(value), share: price > 0 ? value / price : 0 };
+    }
+
+    /**
+     * What the schemes could do for a buyer of a home at a given price
+     *
+     * assessment: a MortgageAffordability.assess() result (price, maxBorrowable, savings, county)
+     * annualIncomeTax: this year's income tax, assumed to have been paid in each look-back year
+     */
+    estimate(assessment, { propertyType = 'house', newBuild = true, annualIncomeTax = 0 } = {}) {
+        const { price, maxBorrowable, savings, county } = assessment;
+        const firstTime = assessment.buyerType === 'first_time';
+        const ceilings = this.ceilings(county, propertyType);
+        const taxPaid = annualIncomeTax * this.table.help_to_buy.tax_years;
+
+        const helpToBuy = this.helpToBuy({ price, firstTime, newBuild, maxBorrowable, taxPaid });
+        const gapAfterHelpToBuy = price - maxBorrowable - savings - helpToBuy.value;
+
+        // First Home fills the gap left after the buyer's own mortgage, savings and Help to Buy
+        const firstHomeReasons = [];
+        if (!firstTime) firstHomeReasons.push('Only first-time buyers qualify');
+        if (!newBuild) firstHomeReasons.push('Only new homes qualify');
+        if (!ceilings) {
+            firstHomeReasons.push('No price ceiling for this area - choose a county');
+        } else if (price > ceilings.firstHome) {
+            firstHomeReasons.push(`Price is over the €${ceilings.firstHome.toLocaleString()} ceiling for a ${propertyType} in ${county}`);
+        }
+
+        const firstHomeMaxShare = helpToBuy.eligible
+            ? this.table.first_home.max_equity_share_with_help_to_buy
+            : this.table.first_home.max_equity_share;
+        const firstHomeEligible = firstHomeReasons.length === 0;
+        const firstHomeEquity = firstHomeEligible
+            ? this._equity(gapAfterHelpToBuy, price, firstHomeMaxShare)
+            : { value: 0, share: 0 };
+
+        // LAAP is an alternative to First Home, not in addition to it
+        const laapReasons = [];
+        if (!firstTime) laapReasons.push('Only first-time buyers qualify');
+        if (!ceilings?.laap) {
+            laapReasons.push('No local authority affordable purchase scheme in this county');
+        } else if (price > ceilings.laap) {
+            laapReasons.push(`Affordable purchase homes in ${county} are priced up to €${ceilings.laap.toLocaleString()}`);
+        }
+
+        const laapEligible = laapReasons.length === 0;
+        const laapEquity = laapEligible
+            ? this._equity(gapAfterHelpToBuy, price, this.table.laap.max_equity_share)
+            : { value: 0, share: 0 };
+
+        const bestEquity = Math.max(firstHomeEquity.value, laapEquity.value);
+        const gapAfterSchemes = Math.max(0, Math.round(gapAfterHelpToBuy - bestEquity));
+
+        return {
+            propertyType,
+            newBuild,
+            helpToBuy,
+            firstHome: {
+                eligible: firstHomeEligible,
+                ceiling: ceilings?.firstHome ?? null,
+                maxShare: firstHomeMaxShare,
+                equity: firstHomeEquity.value,
+                equityShare: firstHomeEquity.share,
+                reasons: firstHomeReasons
+            },
+            laap: {
+                available: Boolean(ceilings?.laap),
+                eligible: laapEligible,
+                ceiling: ceilings?.laap ?? null,
+                maxShare: this.table.laap.max_equity_share,
+                equity: laapEquity.value,
+                equityShare: laapEquity.share,
+                reasons: laapReasons
+            },
+            totalSupport: helpToBuy.value + bestEquity,
+            gapAfterSchemes,
+            version: this.version,
+            verificationStatus: this.verificationStatus
+        };
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.FirstHomeSchemes = FirstHomeSchemes;
+}
+
+export { FirstHomeSchemes, PROPERTY_TYPES };
+export default FirstHomeSchemes;
@@ -0,0 +1,57 @@
+/**
+ * Household Supports
+ *
+ * The State supports household mode counts that are not tax: Child Benefit and
+ * the differential rent a HAP or RAS tenant pays their local authority. They
+ * are set by the Department of Social Protection and each local authority, not
+ * Revenue, so they live in data/household-supports.json rather than the yearly
+ * tax tables.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const SUPPORTS_PATH = 'data/household-supports.json';
+const WEEKS_PER_YEAR = 52;
+
+class HouseholdSupports {
+    constructor(table) {
+        if (!table?.child_benefit || !table.differential_rent) {
+            throw new Error('Invalid household supports table: child_benefit and differential_rent are required');
+        }
+
+        this.table = table;
+        this.version = table.metadata?.version || null;
+    }
+
+    /**
+     * Load the supports table and build a calculator for it. loader: anything with json(file) - a
+     * DataLoader, or a StaticDataManager to schema-check and cache the file
+     */
+    static async load(file = SUPPORTS_PATH, loader = new DataLoader()) {
+        return new HouseholdSupports(await loader.json(file));
+    }
+
+    /**
+     * Annual Child Benefit (not taxable) for a number of children
+     */
+    childBenefit(children) {
+        return children * this.table.child_benefit.monthly_per_child * 12;
+    }
+
+    /**
+     * Monthly HAP/RAS differential rent on a household's annual net income
+     */
+    differentialRent(netIncome) {
+        const { rate, minimum_weekly: minimumWeekly } = this.table.differential_rent;
+        const weekly = Math.max(netIncome / WEEKS_PER_YEAR * rate, minimumWeekly);
+        return weekly * WEEKS_PER_YEAR / 12;
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.HouseholdSupports = HouseholdSupports;
+}
+
+export { HouseholdSupports, SUPPORTS_PATH };
+export default HouseholdSupports;
@@ -0,0 +1,232 @@
+/**
+ * Member Resolver
+ *
+ * Matches names as other sources print them - "HEALY-RAE, Danny (Kerry)" in the
+ * Register of Members' Interests, "Seán Canney" in the voting records, the last
+ * elected TD in the electoral margins - to a TD in complete-td-database.json and
+ * their Oireachtas member_code, with a confidence score.
+ *
+ * The surname has to agree (ignoring fadas, case, apostrophes and hyphens, so
+ * "Ó Broin" is "O'Broin", and one typed letter out in a long surname); the
+ * forename then decides between members of one family - Michael and Danny
+ * Healy-Rae, the Byrnes - and may be an Irish, English or familiar form of the
+ * same name (Pádraig / Patrick / Pa). Alternative and Irish-language names in
+ * data/td-aliases.json count as the TD's own, so a match a reviewer confirms is
+ * recorded by adding the name there. A constituency that disagrees lowers the
+ * score rather than ruling the TD out, as sources print constituency names in
+ * Irish or from before the 2023 boundary changes.
+ */
+
+import { foldText, editDistance } from './td-search.js';
+
+// Confidence from which a match is taken without review, and below which it is
+// not offered at all
+const MATCHED_CONFIDENCE = 0.9;
+const PROBABLE_CONFIDENCE = 0.75;
+
+// Two candidates this close are too close to choose between
+const AMBIGUOUS_MARGIN = 0.05;
+
+// What the surname being right is worth; the forename earns the rest
+const SURNAME_WEIGHT = 0.55;
+
+const FORENAME_SCORES = Object.freeze({ same: 1, variant: 0.9, initial: 0.6, missing: 0.5, different: 0 });
+
+// Alternative names from data/td-aliases.json count for slightly less than the TD's own
+const ALIAS_WEIGHT = 0.95;
+
+const CONSTITUENCY_MISMATCH = 0.9;
+const SURNAME_TYPO = 0.9;
+
+// Forms of one forename: Irish, English and familiar, folded
+const FORENAME_VARIANTS = Object.freeze([
+    ['michael', 'micheal', 'mick', 'mike', 'mickey'],
+    ['patrick', 'padraig', 'padraic', 'pa', 'pat', 'paddy'],
+    ['john', 'sean', 'johnny', 'jack', 'eoin'],
+    ['james', 'seamus', 'jim', 'jimmy'],
+    ['william', 'willie', 'liam', 'bill', 'billy'],
+    ['thomas', 'tomas', 'tom', 'tommy'],
+    ['timothy', 'timmy', 'tim', 'tadhg'],
+    ['charles', 'charlie', 'cathal'],
+    ['daniel', 'danny', 'dan', 'donal'],
+    ['denis', 'donnchadh', 'dinny'],
+    ['peter', 'peadar'],
+    ['richard', 'risteard', 'dick'],
+    ['joseph', 'joe', 'seosamh'],
+    ['edward', 'eamon', 'eamonn', 'ned', 'eddie'],
+    ['owen', 'eoghan'],
+    ['kevin', 'caoimhghin', 'caoimhin'],
+    ['dermot', 'diarmuid'],
+    ['gerard', 'gerry', 'gearoid'],
+    ['anthony', 'tony'],
+    ['robert', 'bob', 'bobby', 'robbie'],
+    ['christopher', 'chris', 'criostoir'],
+    ['matthew', 'matt', 'maitiu'],
+    ['stephen', 'steve', 'stiofan'],
+    ['martin', 'mairtin'],
+    ['kieran', 'ciaran'],
+    ['brendan', 'breandan'],
+    ['aengus', 'angus', 'aonghus'],
+    ['david', 'dave', 'daithi'],
+    ['francis', 'frank', 'proinsias'],
+    ['catherine', 'caitriona', 'cathy', 'kate'],
+    ['margaret', 'mairead'],
+    ['mary', 'maire'],
+    ['joan', 'siobhan'],
+    ['hugh', 'aodh']
+].map(group => Object.freeze(group)));
+
+const VARIANT_GROUP = new Map(FORENAME_VARIANTS.flatMap((group, i) => group.map(name => [name, i])));
+
+// Words that start an Irish or other surname rather than end a forename
+const SURNAME_PARTICLES = new Set(['o', 'mac', 'mc', 'ni', 'nic', 'ui', 'de', 'di', 'van', 'von']);
+
+// Titles some sources print before a name
+const HONORIFICS = new Set(['dr', 'deputy', 'senator', 'minister', 'mr', 'mrs', 'ms', 'prof', 'td']);
+
+function compact(text) {
+    return foldText(text).replace(/ /g, '');
+}
+
+function foldedWords(text) {
+    return foldText(text || '').split(' ').filter(word => word && !HONORIFICS.has(word));
+}
+
+/**
+ * How a record's first forename compares with a TD's: 'same', 'variant',
+ * 'initial', 'missing' or 'different'
+ */
+function forenameMatch(recordForename, tdForename) {
+    const [record] = foldedWords(recordForename);
+    const [td] = foldedWords(tdForename);
+    if (!record || !td) return 'missing';
+    if (record === td) return 'same';
+    if (VARIANT_GROUP.has(record) && VARIANT_GROUP.get(record) === VARIANT_GROUP.get(td)) return 'variant';
+    if (record.length === 1 && record === td[0]) return 'initial';
+    return 'different';
+}
+
+/**
+ * Split a name into forename and surname at the last word, keeping particles
+ * ("Ó", "Mac") with the surname: "Aengus Ó Snodaigh" -> ["Aengus", "o snodaigh"]
+ */
+function splitName(name) {
+    const words = foldedWords(name);
+    let start = Math.max(words.length - 1, 0);
+    while (start > 0 && SURNAME_PARTICLES.has(words[start - 1])) start--;
+    return { forename: words.slice(0, start).join(' '), surname: words.slice(start).join(' ') };
+}
+
+/**
+ * How well one of a TD's names fits the record's surname and forename (0-1).
+ * Without a printed surname, any run of the record's closing words may be it,
+ * so "Richard Boyd Barrett" matches the surname "Boyd Barrett".
+ */
+function nameScore(record, form) {
+    const surname = compact(form.surname);
+    if (!surname) return 0;
+
+    const words = foldedWords(record.name);
+    const splits = record.surname
+        ? [{ surname: compact(record.surname), forename: record.forename || '' }]
+        : words.map((_, k) => ({ surname: words.slice(k).join(''), forename: words.slice(0, k).join(' ') }));
+
+    let best = 0;
+    for (const split of splits) {
+        let surnameScore = 0;
+        if (split.surname === surname) {
+            surnameScore = 1;
+        } else if (surname.length >= 6 && editDistance(split.surname, surname, 1) <= 1) {
+            surnameScore = SURNAME_TYPO;
+        }
+        if (surnameScore === 0) continue;
+
+        const forename = FORENAME_SCORES[forenameMatch(split.forename, form.forename)];
+        best = Math.max(best, surnameScore * (SURNAME_WEIGHT + (1 - SURNAME_WEIGHT) * forename));
+    }
+    return best;
+}
+
+function sameConstituency(a, b) {
+    return compact(a) === compact(b);
+}
+
+class MemberResolver {
+    /**
+     * tds: the database's { name: record } map
+     * aliases: { name: { aliases: [...], irish: [...] } } from data/td-aliases.json
+     */
+    constructor(tds, aliases = {}) {
+        if (!tds || typeof tds !== 'object') {
+            throw new Error('Invalid member resolver data: tds are required');
+        }
+
+        this.members = Object.entries(tds).map(([name, td]) => {
+            const extra = aliases[name] || {};
+            const forms = [
+                { method: 'name', weight: 1, forename: td.first_name, surname: td.last_name },
+                ...(extra.aliases || []).map(text => ({ method: 'alias', weight: ALIAS_WEIGHT, ...splitName(text) })),
+                ...(extra.irish || []).map(text => ({ method: 'irish', weight: ALIAS_WEIGHT, ...splitName(text) }))
+            ];
+            return { name, td, forms };
+        });
+    }
+
+    /**
+     * The TD a record refers to. record: { name, surname?, forename?, constituency? }
+     * - surname and forename as printed, where the source gives them separately.
+     *
+     * Returns { name, member_code, confidence (0-1), status, method, candidates }:
+     * status 'matched' (confident), 'probable' (needs a look), 'ambiguous' (two
+     * TDs fit about as well) or 'unmatched'; method is which of the TD's names
+     * matched; candidates the best few [{ name, confidence }]. name and
+     * member_code are null unless matched or probable; member_code is also null
+     * while the TD database has none for the TD.
+     */
+    resolve(record) {
+        const candidates = this.members
+            .map(member => {
+                let best = { confidence: 0, method: null };
+                for (const form of member.forms) {
+                    const confidence = nameScore(record, form) * form.weight;
+                    if (confidence > best.confidence) best = { confidence, method: form.method };
+                }
+                if (record.constituency && member.td.constituency && !sameConstituency(record.constituency, member.td.constituency)) {
+                    best.confidence *= CONSTITUENCY_MISMATCH;
+                }
+                return { member, ...best, confidence: Math.round(best.confidence * 1000) / 1000 };
+            })
+            .filter(candidate => candidate.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence);
+
+        const [top, next] = candidates;
+        const summary = candidates.slice(0, 3).map(candidate => ({ name: candidate.member.name, confidence: candidate.confidence }));
+
+        let status = 'unmatched';
+        if (top && top.confidence >= PROBABLE_CONFIDENCE) {
+            if (next && top.confidence - next.confidence < AMBIGUOUS_MARGIN) {
+                status = 'ambiguous';
+            } else {
+                status = top.confidence >= MATCHED_CONFIDENCE ? 'matched' : 'probable';
+            }
+        }
+        const found = status === 'matched' || status === 'probable';
+
+        return {
+            name: found ? top.member.name : null,
+            member_code: found ? top.member.td.member_code || null : null,
+            confidence: top ? top.confidence : 0,
+            status,
+            method: found ? top.method : null,
+            candidates: summary
+        };
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.MemberResolver = MemberResolver;
+}
+
+export { MemberResolver, forenameMatch, splitName, FORENAME_VARIANTS, MATCHED_CONFIDENCE, PROBABLE_CONFIDENCE };
+export default MemberResolver;
@@ -0,0 +1,132 @@
+/**
+ * Mortgage Affordability
+ *
+ * Applies the Central Bank mortgage measures (loan-to-income and loan-to-value
+ * limits per buyer type) to county house prices from data/housing-stats.json,
+ * and works out how far a household is from buying.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const HOUSING_STATS_PATH = 'data/housing-stats.json';
+const BUYER_TYPES = Object.freeze(['first_time', 'second_time', 'buy_to_let']);
+const MONTHS_PER_YEAR = 12;
+
+class MortgageAffordability {
+    constructor(housingStats) {
+        if (!housingStats?.counties?.State || !housingStats.mortgage_data?.central_bank_rules) {
+            throw new Error('Invalid housing stats: counties.State and mortgage_data.central_bank_rules are required');
+        }
+
+        this.counties = housingStats.counties;
+        this.mortgage = housingStats.mortgage_data;
+    }
+
+    /**
+     * Load housing stats and build an affordability model from them. loader: anything with json(file) - a
+     * DataLoader, or a StaticDataManager to schema-check and cache the file
+     */
+    static async load(file = HOUSING_STATS_PATH, loader = new DataLoader()) {
+        return new MortgageAffordability(await loader.json(file));
+    }
+
+    /**
+     * LTI and LTV limits for a buyer type (lti: null = exempt from the income limit)
+     */
+    rules(buyerType = 'first_time') {
+        const rules = this.mortgage.central_bank_rules[buyerType];
+
+        if (!rules) {
+            throw new Error(`Unknown buyer type "${buyerType}" (expected one of: ${BUYER_TYPES.join(', ')})`);
+        }
+
+        return { label: rules.label, lti: rules.lti_limit, ltv: rules.ltv_limit };
+    }
+
+    /**
+     * Average price in a county, falling back to the State average
+     */
+    countyPrice(county) {
+        const statsCounty = this.counties[county] ? county : 'State';
+        return { statsCounty, price: this.counties[statsCounty].average_house_price };
+    }
+
+    /**
+     * Monthly repayment on a loan at the average mortgage rate and term
+     */
+    monthlyRepayment(loan) {
+        const rate = this.mortgage.average_mortgage_rate / MONTHS_PER_YEAR;
+        const payments = this.mortgage.average_loan_term_years * MONTHS_PER_YEAR;
+
+        if (loan <= 0) return 0;
+        if (rate === 0) return loan / payments;
+
+        return loan * rate / (1 - Math.pow(1 + rate, -payments));
+    }
+
+    /**
+     * How close a household is to buying an average home in their county
+     *
+     * grossIncome: household gross income the lender assesses
+     * monthlySaving: what the household can put aside each month (disposable income)
+     * savings: existing savings towards the purchase
+     * price: overrides the county average
+     */
+    assess({ grossIncome, county = 'State', buyerType = 'first_time', monthlySaving = 0, savings = 0, price = null }) {
+        if (!Number.isFinite(grossIncome) || grossIncome < 0) {
+            throw new Error('Gross income must be zero or more');
+        }
+        if (!Number.isFinite(savings) || savings < 0) {
+            throw new Error('Savings must be zero or more');
+        }
+
+        const rules = this.rules(buyerType);
+        const countyPrice = this.countyPrice(county);
+        const homePrice = price ?? countyPrice.price;
+
+        const maxByIncome = rules.lti === null ? Infinity : grossIncome * rules.lti;
+        const maxByValue = homePrice * rules.ltv;
+        const maxBorrowable = Math.min(maxByIncome, maxByValue);
+
+        const minimumDeposit = homePrice - maxByValue;
+        const fundingGap = Math.max(0, homePrice - maxBorrowable - savings);
+
+        let monthsToSave;
+        if (fundingGap === 0) {
+            monthsToSave = 0;
+        } else if (monthlySaving > 0) {
+            monthsToSave = Math.ceil(fundingGap / monthlySaving);
+        } else {
+            monthsToSave = null;  // Cannot save at all
+        }
+
+        return {
+            buyerType,
+            buyerLabel: rules.label,
+            county,
+            statsCounty: countyPrice.statsCounty,
+            price: homePrice,
+            ltiLimit: rules.lti,
+            ltvLimit: rules.ltv,
+            maxByIncome: rules.lti === null ? null : Math.round(maxByIncome),
+            maxByValue: Math.round(maxByValue),
+            maxBorrowable: Math.round(maxBorrowable),
+            bindingLimit: maxByIncome < maxByValue ? 'LTI' : 'LTV',
+            minimumDeposit: Math.round(minimumDeposit),
+            savings,
+            fundingGap: Math.round(fundingGap),
+            monthsToSave,
+            monthlyRepayment: Math.round(this.monthlyRepayment(maxBorrowable)),
+            canBuyNow: fundingGap === 0,
+            rulesSource: this.mortgage.central_bank_rules_source || null
+        };
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.MortgageAffordability = MortgageAffordability;
+}
+
+export { MortgageAffordability, BUYER_TYPES };
+export default MortgageAffordability;
@@ -0,0 +1,76 @@
+/**
+ * Offline Support
+ *
+ * The page side of the service worker in sw.js: registers it, reports when a new
+ * release has been downloaded and is waiting to take over, and hands over to it
+ * when asked. Also dates the data release the page is showing, from the
+ * timestamps in data/checksums.json.
+ */
+
+const SERVICE_WORKER_PATH = 'sw.js';
+
+// Message the waiting service worker acts on (see sw.js)
+const SKIP_WAITING = 'SKIP_WAITING';
+
+/**
+ * When the data release was published - the newest checksum in data/checksums.json
+ * (ISO string, or null if it has none)
+ */
+function dataReleaseDate(checksums) {
+    const times = Object.values(checksums || {})
+        .map(entry => Date.parse(entry?.timestamp))
+        .filter(time => !Number.isNaN(time));
+
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * Register sw.js. onUpdateReady(worker) is called when a new release has been
+ * precached and is waiting - never on the first install, which takes over at once.
+ * Returns the registration, or null where service workers aren't supported.
+ */
+async function registerServiceWorker({
+    container = globalThis.navigator?.serviceWorker,
+    script = SERVICE_WORKER_PATH,
+    onUpdateReady = () => {}
+} = {}) {
+    if (!container) return null;
+
+    const registration = await container.register(script);
+
+    // A worker installed while an older one controls the page is an update
+    const offer = worker => {
+        if (worker && container.controller) onUpdateReady(worker);
+    };
+
+    offer(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker?.addEventListener('statechange', () => {
+            if (worker.state === 'installed') offer(worker);
+        });
+    });
+
+    return registration;
+}
+
+/**
+ * Switch to the waiting release and reload onto it once it is in control
+ */
+function applyUpdate(worker, {
+    container = globalThis.navigator?.serviceWorker,
+    reload = () => globalThis.location.reload()
+} = {}) {
+    container.addEventListener('controllerchange', () => reload(), { once: true });
+    worker.postMessage({ type: SKIP_WAITING });
+}
+
+const OfflineSupport = Object.freeze({ registerServiceWorker, applyUpdate, dataReleaseDate });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.OfflineSupport = OfflineSupport;
+}
+
+export { registerServiceWorker, applyUpdate, dataReleaseDate, SERVICE_WORKER_PATH, SKIP_WAITING };
+export default OfflineSupport;
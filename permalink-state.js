@@ -0,0 +1,156 @@
+/**
+ * Permalink State
+ *
+ * Encodes calculator inputs and the TD finder selection into the URL hash so a
+ * scenario survives a reload and can be shared as a link. Everything stays in
+ * the fragment, which browsers never send to the server.
+ */
+
+const PERMALINK_VERSION = '1';
+const MAX_STRING_LENGTH = 100;
+
+// key: short name in the hash; id: form element on the page
+const PERMALINK_FIELDS = Object.freeze([
+    { key: 'income', id: 'income', type: 'number', min: 0, max: 10000000 },
+    { key: 'rent', id: 'rent', type: 'number', min: 0, max: 100000 },
+    { key: 'age', id: 'age', type: 'number', min: 0, max: 120 },
+    { key: 'loc', id: 'location', type: 'string' },
+    { key: 'year', id: 'tax-year', type: 'string' },
+    { key: 'status', id: 'filing-status', type: 'string' },
+    { key: 'emp', id: 'employment', type: 'string' },
+    { key: 'mc', id: 'medical-card', type: 'boolean' },
+    { key: 'buyer', id: 'buyer-type', type: 'string' },
+    { key: 'savings', id: 'savings', type: 'number', min: 0, max: 10000000 },
+    { key: 'home', id: 'property-type', type: 'string' },
+    { key: 'new', id: 'new-build', type: 'boolean' },
+    { key: 'td', id: 'compare-td', type: 'string' },
+    { key: 'hh', id: 'household-mode', type: 'boolean' },
+    { key: 'partner', id: 'has-partner', type: 'boolean' },
+    { key: 'pinc', id: 'partner-income', type: 'number', min: 0, max: 10000000 },
+    { key: 'pemp', id: 'partner-employment', type: 'string' },
+    { key: 'pmc', id: 'partner-medical-card', type: 'boolean' },
+    { key: 'kids', id: 'children', type: 'number', min: 0, max: 15 },
+    { key: 'care', id: 'childcare', type: 'number', min: 0, max: 100000 },
+    { key: 'ten', id: 'tenancy', type: 'string' },
+    { key: 'county', id: 'county', type: 'string' },
+    { key: 'con', id: 'constituency', type: 'string' }
+]);
+
+/**
+ * Parse one hash value, or undefined if it is not valid for the field
+ */
+function parseValue(field, raw) {
+    if (field.type === 'boolean') {
+        if (raw === '1') return true;
+        if (raw === '0') return false;
+        return undefined;
+    }
+
+    if (field.type === 'number') {
+        if (!/^\d+(\.\d+)?$/.test(raw)) return undefined;
+        const value = Number(raw);
+        return value >= field.min && value <= field.max ? value : undefined;
+    }
+
+    return raw.length > 0 && raw.length <= MAX_STRING_LENGTH ? raw : undefined;
+}
+
+/**
+ * Hash fragment (without the leading #) for a { key: value } state - empty,
+ * null and unknown keys are left out
+ */
+function encodeState(state, fields = PERMALINK_FIELDS) {
+    const params = new URLSearchParams({ v: PERMALINK_VERSION });
+
+    for (const field of fields) {
+        const value = state[field.key];
+        if (value === undefined || value === null || value === '') continue;
+
+        params.set(field.key, field.type === 'boolean' ? (value ? '1' : '0') : String(value));
+    }
+
+    return params.toString();
+}
+
+/**
+ * State from a hash fragment (with or without the #), or null if the hash is not
+ * a permalink - plain anchors such as #td-finder are left alone. Invalid values
+ * are dropped rather than trusted.
+ */
+function decodeState(hash, fields = PERMALINK_FIELDS) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+
+    if (params.get('v') !== PERMALINK_VERSION) {
+        return null;
+    }
+
+    const state = {};
+    for (const field of fields) {
+        if (!params.has(field.key)) continue;
+
+        const value = parseValue(field, params.get(field.key));
+        if (value !== undefined) {
+            state[field.key] = value;
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Read the permalink fields from a document's form elements
+ */
+function readForm(doc, fields = PERMALINK_FIELDS) {
+    const state = {};
+
+    for (const field of fields) {
+        const element = doc.getElementById(field.id);
+        if (!element) continue;
+
+        if (field.type === 'boolean') {
+            state[field.key] = element.checked;
+        } else if (field.type === 'number') {
+            state[field.key] = element.value === '' ? null : Number(element.value);
+        } else {
+            state[field.key] = element.value;
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Write a state into a document's form elements. Select values are only applied
+ * if the select offers them; returns the keys that were applied.
+ */
+function writeForm(doc, state, fields = PERMALINK_FIELDS) {
+    const applied = [];
+
+    for (const field of fields) {
+        const element = doc.getElementById(field.id);
+        if (!element || state[field.key] === undefined) continue;
+
+        const value = state[field.key];
+        if (field.type === 'boolean') {
+            element.checked = value;
+        } else if (element.tagName === 'SELECT') {
+            if (![...element.options].some(option => option.value === value)) continue;
+            element.value = value;
+        } else {
+            element.value = String(value);
+        }
+        applied.push(field.key);
+    }
+
+    return applied;
+}
+
+const PermalinkState = Object.freeze({ encodeState, decodeState, readForm, writeForm, PERMALINK_FIELDS });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.PermalinkState = PermalinkState;
+}
+
+export { encodeState, decodeState, readForm, writeForm, PERMALINK_FIELDS, PERMALINK_VERSION };
+export default PermalinkState;
@@ -0,0 +1,124 @@
+/**
+ * Register History
+ *
+ * How each member's declared land and property changed from one registration
+ * period to the next. Works on the positions in data/register-staging.json
+ * (register-positions.js) - each period's register with its supplements
+ * applied - and compares consecutive periods item by item with diffItems(),
+ * the comparison supplements are applied with: each item unchanged, changed
+ * (reworded), added or removed.
+ *
+ * Items that declare nothing ("No such land or residence", "Neamh-infheidhme")
+ * are left out, as the register's Nil is.
+ *
+ * buildRegisterHistory() turns that into data/register-history.json: per member
+ * a timeline of periods and the additions per year, which the TD finder shows
+ * and scripts/build-register-history.js writes into each TD's
+ * notable_additions_<year>.
+ */
+
+import { PROPERTY_CATEGORIES, memberSlug, diffItems } from './register-positions.js';
+
+// Statements in the land categories that there is nothing to declare
+const NOTHING_DECLARED = /^(?:neamh[- ]?i?n?fheidhme|toradh nialasach|no such land\b|i own no land\b|i have no property other than\b|i have not supplied\b)/i;
+
+// A position's land and property items, tagged with their category
+function propertyItems(position) {
+    return PROPERTY_CATEGORIES.flatMap(category => (position.categories[category]?.items || [])
+        .filter(item => !NOTHING_DECLARED.test(item.text))
+        .map(item => ({ category, text: item.text, entry: item.entry, page: item.page })));
+}
+
+/**
+ * Key a member's timeline is kept under: "dail/michael-healy-rae"
+ */
+function memberKey(chamber, name) {
+    return `${chamber}/${memberSlug(name)}`;
+}
+
+/**
+ * A member's periods, oldest first, each compared with the one before:
+ * [{ period, as_of, base, items, added, removed, changed }]. The first period
+ * held has nothing to compare with, so its added/removed/changed are null.
+ */
+function portfolioTimeline(positions) {
+    const sorted = [...positions].sort((a, b) => a.period - b.period);
+
+    return sorted.map((position, i) => {
+        const items = propertyItems(position);
+        const previous = sorted[i - 1];
+        // Only consecutive periods are compared - a gap hides what happened in between
+        const diff = previous && previous.period === position.period - 1
+            ? diffItems(propertyItems(previous).map(item => item.text), items.map(item => item.text))
+            : null;
+
+        return {
+            period: position.period,
+            as_of: position.as_of,
+            base: position.base,
+            items,
+            added: diff ? diff.added : null,
+            removed: diff ? diff.removed : null,
+            changed: diff ? diff.changed : null
+        };
+    });
+}
+
+/**
+ * { year: [item text] } of what a timeline's periods added, for periods that
+ * could be compared and added something
+ */
+function notableAdditions(timeline) {
+    return Object.fromEntries(timeline
+        .filter(period => period.added?.length > 0)
+        .map(period => [String(period.period), period.added.map(text => text.replace(/\.$/, ''))]));
+}
+
+/**
+ * data/register-history.json from the staging file: a timeline per member
+ */
+function buildRegisterHistory(staging) {
+    const byMember = new Map();
+    for (const position of staging.positions || []) {
+        const key = memberKey(position.chamber, position.member.name);
+        if (!byMember.has(key)) byMember.set(key, []);
+        byMember.get(key).push(position);
+    }
+
+    const members = {};
+    for (const [key, positions] of [...byMember].sort(([a], [b]) => a.localeCompare(b))) {
+        const latest = positions.reduce((a, b) => (b.period > a.period ? b : a));
+        const timeline = portfolioTimeline(positions);
+        members[key] = {
+            name: latest.member.name,
+            chamber: latest.chamber,
+            constituency: positions.map(position => position.member.constituency).filter(Boolean).pop() || null,
+            timeline,
+            notable_additions: notableAdditions(timeline)
+        };
+    }
+
+    return {
+        metadata: {
+            version: '1.0',
+            compiled_at: staging.metadata.generated_at,
+            generated_by: 'scripts/build-register-history.js',
+            source: 'data/register-staging.json',
+            description: 'Declared land and property per member and registration period, with what changed from the year before',
+            categories: [...PROPERTY_CATEGORIES],
+            periods: [...new Set((staging.positions || []).map(position => position.period))].sort(),
+            verification_status: staging.metadata.verification_status
+        },
+        members
+    };
+}
+
+const RegisterHistory = Object.freeze({ diffItems, portfolioTimeline, notableAdditions, buildRegisterHistory, memberKey });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.RegisterHistory = RegisterHistory;
+}
+
+export { diffItems, portfolioTimeline, notableAdditions, buildRegisterHistory, memberKey };
+export default RegisterHistory;
@@ -0,0 +1,267 @@
+/**
+ * Register Positions
+ *
+ * What each member's declarations amount to once the supplements are applied.
+ * The annual register is the base; section 29 supplements published later
+ * declare interests that should have been in it, so they are applied in the
+ * order they were made (the Clerk's date on the statement, or else the
+ * publication date) on top of the register for every period they cover. A
+ * supplement covering a period with no register in data/ starts from nothing.
+ *
+ * Works on the entries of data/register-staging.json (scripts/ingest-register.js).
+ * Each position lists, per category, the items in force and which entry each
+ * came from. Categories a supplement touched keep a history of each item -
+ * declared in the register, then added, removed or changed by a supplement -
+ * and a position is flagged when a supplement changes land or property.
+ *
+ * Items are compared by diffItems(), which register-history.js also uses to
+ * compare one year's register with the next:
+ *
+ *   unchanged   the same text, ignoring case, fadas and punctuation
+ *   changed     the same place worded differently ("Rock Street, Tralee:
+ *               vacant premises" -> "Rock Street, Tralee: storage facility"), or
+ *               a place described with most of the same words ("Constituency
+ *               Office, 5 Church Street, Portlaoise" -> "Office at Church
+ *               Street, Portlaoise")
+ *   added       in the later list only
+ *   removed     in the earlier list only
+ */
+
+import { foldText } from './td-search.js';
+
+// Categories whose changes mean a member's property holdings changed
+const PROPERTY_CATEGORIES = Object.freeze(['land', 'property_supplied']);
+
+// A supplement item reporting that an interest has gone rather than arrived
+const DISPOSAL = /\b(?:sold|disposed(?: of)?|no longer (?:held|owned)|ceased to (?:hold|own)|transferred to)\b/i;
+
+/**
+ * A member's name as it appears in ids: "Richard O'Donoghue" -> "richard-odonoghue"
+ */
+function memberSlug(name) {
+    return foldText(name.replace(/['’]/g, '')).replace(/ /g, '-');
+}
+
+/**
+ * Position id for a member in one chamber and registration period
+ */
+function positionId(entry, period) {
+    return `${entry.chamber}-${period}/${memberSlug(entry.member.name)}`;
+}
+
+// Share of the shorter place description's words the other must contain for
+// the two to count as one place reworded
+const REWORDED_OVERLAP = 0.75;
+
+// Words that say nothing about which place is meant
+const FILLER_WORDS = new Set(['co', 'county', 'at', 'of', 'and', 'the', 'in']);
+
+// The place an item is about: the text before its first colon
+function place(text) {
+    return foldText(text.split(':')[0]);
+}
+
+function placeWords(text) {
+    return new Set(place(text).split(' ').filter(word => word && !FILLER_WORDS.has(word)));
+}
+
+// The same word, or one spelt a letter differently ("Lissacha" / "Lissacaha")
+function sameWord(a, b) {
+    if (a === b) return true;
+    if (Math.min(a.length, b.length) < 5 || Math.abs(a.length - b.length) > 1) return false;
+    let start = 0;
+    while (a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    return endA - start <= 1 && endB - start <= 1;
+}
+
+function overlap(a, b) {
+    const wordsA = placeWords(a);
+    const wordsB = [...placeWords(b)];
+    const shared = [...wordsA].filter(word => wordsB.some(other => sameWord(word, other))).length;
+    const fewer = Math.min(wordsA.size, wordsB.length);
+    return fewer === 0 ? 0 : shared / fewer;
+}
+
+// Take the first item of pool that matches, so repeats pair up one to one
+function takeMatch(pool, matches) {
+    const index = pool.findIndex(matches);
+    return index === -1 ? null : pool.splice(index, 1)[0];
+}
+
+/**
+ * Compare two lists of item texts: { added, removed, changed: [{ from, to }], unchanged }
+ */
+function diffItems(before, after) {
+    const earlier = [...before];
+    const unchanged = [];
+    const unmatched = [];
+
+    for (const text of after) {
+        const same = takeMatch(earlier, candidate => foldText(candidate) === foldText(text));
+        (same === null ? unmatched : unchanged).push(text);
+    }
+
+    const changed = [];
+    const added = [];
+    // A place with the same name first, then the best overlap above the threshold
+    const reworded = unmatched.map(text => {
+        const from = takeMatch(earlier, candidate => place(candidate) === place(text));
+        return { text, from };
+    });
+    for (const { text, from } of reworded) {
+        if (from !== null) {
+            changed.push({ from, to: text });
+            continue;
+        }
+        const best = earlier
+            .map(candidate => ({ candidate, score: overlap(candidate, text) }))
+            .filter(({ score }) => score >= REWORDED_OVERLAP)
+            .sort((a, b) => b.score - a.score)[0];
+        if (best) {
+            earlier.splice(earlier.indexOf(best.candidate), 1);
+            changed.push({ from: best.candidate, to: text });
+        } else {
+            added.push(text);
+        }
+    }
+
+    return { added, removed: earlier, changed, unchanged };
+}
+
+/**
+ * When an entry took effect: a supplement statement's date, or its document's
+ * publication date. sources: metadata.sources of the staging file.
+ */
+function effectiveDate(entry, sources) {
+    return entry.statement_date || sources.find(source => source.id === entry.document)?.published || null;
+}
+
+function emptyPosition(entry, period) {
+    return {
+        id: positionId(entry, period),
+        chamber: entry.chamber,
+        period,
+        member: entry.member,
+        base: null,
+        base_published: null,
+        as_of: null,
+        amendments: [],
+        categories: {},
+        history: {},
+        flags: []
+    };
+}
+
+function declared(entry, declaration) {
+    return declaration.items.map(item => ({ ...item, entry: entry.id }));
+}
+
+/**
+ * Apply one supplement statement to a position. Every item it changes goes in
+ * its category's history, which starts with the register's items when the
+ * category is first touched: [{ entry, date, change: 'declared' | 'added' |
+ * 'removed', item }] or, for a reworded item, { entry, date, change: 'changed',
+ * from, to }. A nil statement changes nothing.
+ */
+function applySupplement(position, entry, date) {
+    position.amendments.push(entry.id);
+
+    for (const [key, declaration] of Object.entries(entry.categories)) {
+        const category = position.categories[key] ||= { nil: true, items: [] };
+        const history = position.history[key] ||= position.base
+            ? category.items.map(item => ({ entry: position.base, date: position.base_published, change: 'declared', item: item.text }))
+            : [];
+        const changes = history.length;
+
+        // A disposal takes out the items in force for the place it names
+        const disposals = declaration.items.filter(item => DISPOSAL.test(item.text));
+        for (const disposal of disposals) {
+            const gone = category.items.filter(item => place(item.text) === place(disposal.text));
+            category.items = category.items.filter(item => !gone.includes(item));
+            for (const item of gone.length > 0 ? gone : [disposal]) {
+                history.push({ entry: entry.id, date, change: 'removed', item: item.text });
+            }
+        }
+
+        // Anything else is new, a rewording of an item in force, or restates one
+        const statements = declared(entry, { items: declaration.items.filter(item => !DISPOSAL.test(item.text)) });
+        const take = text => statements.splice(statements.findIndex(item => item.text === text), 1)[0];
+        const { added, changed } = diffItems(category.items.map(item => item.text), statements.map(item => item.text));
+
+        for (const { from, to } of changed) {
+            category.items[category.items.findIndex(item => item.text === from)] = take(to);
+            history.push({ entry: entry.id, date, change: 'changed', from, to });
+        }
+        for (const text of added) {
+            category.items.push(take(text));
+            history.push({ entry: entry.id, date, change: 'added', item: text });
+        }
+        category.nil = category.items.length === 0;
+
+        if (PROPERTY_CATEGORIES.includes(key)) {
+            history.slice(changes).forEach(({ change }) => position.flags.push(`${key}_${change}`));
+        }
+    }
+    position.flags = [...new Set(position.flags)];
+}
+
+/**
+ * Positions for every member in every period the entries cover, ordered by
+ * chamber, period and name. entries: staging entries; sources: their documents.
+ */
+function mergePositions(entries, sources = []) {
+    const positions = new Map();
+
+    for (const entry of entries.filter(candidate => candidate.kind === 'register')) {
+        for (const period of entry.periods) {
+            const position = emptyPosition(entry, period);
+            position.base = entry.id;
+            position.base_published = effectiveDate(entry, sources);
+            position.as_of = position.base_published;
+            position.categories = Object.fromEntries(Object.entries(entry.categories)
+                .map(([key, declaration]) => [key, { nil: declaration.nil, items: declared(entry, declaration) }]));
+            positions.set(position.id, position);
+        }
+    }
+
+    const supplements = entries
+        .filter(candidate => candidate.kind === 'supplement')
+        .map(entry => ({ entry, date: effectiveDate(entry, sources) }))
+        .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+
+    for (const { entry, date } of supplements) {
+        for (const period of entry.periods) {
+            const id = positionId(entry, period);
+            if (!positions.has(id)) positions.set(id, emptyPosition(entry, period));
+            const position = positions.get(id);
+            applySupplement(position, entry, date);
+            position.as_of = [position.as_of, date].filter(Boolean).sort().pop() || null;
+        }
+    }
+
+    return [...positions.values()].sort((a, b) =>
+        a.chamber.localeCompare(b.chamber) || a.period - b.period || a.id.localeCompare(b.id));
+}
+
+/**
+ * Positions a supplement changed the land or property of
+ */
+function flaggedPositions(positions) {
+    return positions.filter(position => position.flags.length > 0);
+}
+
+const RegisterPositions = Object.freeze({ mergePositions, flaggedPositions, positionId, memberSlug, effectiveDate });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.RegisterPositions = RegisterPositions;
+}
+
+export { mergePositions, flaggedPositions, diffItems, positionId, memberSlug, effectiveDate, PROPERTY_CATEGORIES };
+export default RegisterPositions;
@@ -0,0 +1,206 @@
+/**
+ * Rental Income Estimator
+ *
+ * Estimates a landlord TD's gross rental income from the number of declared
+ * rental properties and where they are, using county rents and yields from
+ * data/housing-stats.json. The Register declares property, not income, so
+ * every figure here is an estimate with a low/high band.
+ */
+
+const COUNTIES = Object.freeze([
+    'Carlow', 'Cavan', 'Clare', 'Cork', 'Donegal', 'Dublin', 'Galway', 'Kerry', 'Kildare',
+    'Kilkenny', 'Laois', 'Leitrim', 'Limerick', 'Longford', 'Louth', 'Mayo', 'Meath', 'Monaghan',
+    'Offaly', 'Roscommon', 'Sligo', 'Tipperary', 'Waterford', 'Westmeath', 'Wexford', 'Wicklow'
+]);
+
+// Towns and areas named in Register entries without their county
+const PLACE_COUNTIES = Object.freeze({
+    'Ballinalee': 'Longford',
+    'Ballymote': 'Sligo',
+    'Ballynacargy': 'Westmeath',
+    'Beaufort': 'Kerry',
+    'Blackrock': 'Dublin',
+    'Bray': 'Wicklow',
+    'Claregalway': 'Galway',
+    'Drogheda': 'Louth',
+    'Dunshaughlin': 'Meath',
+    'Kilgarvan': 'Kerry',
+    'Killala': 'Mayo',
+    'Killarney': 'Kerry',
+    'Lucan': 'Dublin',
+    'Mountshannon': 'Clare',
+    'Mullingar': 'Westmeath',
+    'Navan': 'Meath',
+    'Oldcastle': 'Meath',
+    'Phibsborough': 'Dublin',
+    'Rathfarnham': 'Dublin',
+    'Tralee': 'Kerry',
+    'Tuam': 'Galway'
+});
+
+// Share of a year a let property is assumed empty or unpaid (low end of the band)
+const VOID_ALLOWANCE = 0.1;
+
+const METHODOLOGY = 'Gross rent per declared rental property, estimated two ways from data/housing-stats.json ' +
+    '(county average rent x 12, and county average price x rental yield), with the declared portfolio value x yield ' +
+    'as a cross-check where one exists. Properties are split evenly across the counties named in the Register entry; ' +
+    'counties without their own statistics use the State figures. The low end allows ' +
+    `${VOID_ALLOWANCE * 100}% for vacancies and arrears. Figures are gross - before expenses, interest and tax.`;
+
+class RentalIncomeEstimator {
+    constructor(housingStats) {
+        if (!housingStats?.counties?.State) {
+            throw new Error('Invalid housing stats: counties.State is required');
+        }
+
+        this.counties = housingStats.counties;
+        this.dataPeriod = housingStats.metadata?.data_period || null;
+    }
+
+    /**
+     * County named in a location string ("Westmeath (Mullingar)", "Tuam", "Cork South-Central")
+     */
+    resolveCounty(location) {
+        if (!location) return null;
+
+        const words = location.match(/[\p{L}]+/gu) || [];
+        const county = words.find(word => COUNTIES.includes(word));
+        if (county) return county;
+
+        const place = words.find(word => PLACE_COUNTIES[word]);
+        return place ? PLACE_COUNTIES[place] : null;
+    }
+
+    /**
+     * Gross annual rent for one property in a county, as a { low, high } band
+     */
+    perPropertyRent(county) {
+        const stats = this.counties[county] || this.counties.State;
+        const byRent = stats.average_rent * 12;
+        const byYield = stats.average_house_price * stats.rental_yield / 100;
+
+        return {
+            statsCounty: this.counties[county] ? county : 'State',
+            low: Math.min(byRent, byYield) * (1 - VOID_ALLOWANCE),
+            high: Math.max(byRent, byYield),
+            yield: stats.rental_yield / 100
+        };
+    }
+
+    /**
+     * Estimate for one TD
+     *
+     * td: a complete-td-database.json record ({ constituency, properties: { rental_properties,
+     * locations, property_count, total_value_estimate } }) or a data/property-data.json
+     * entry ({ constituency, rental_properties, property_locations, property_count })
+     */
+    estimate(td) {
+        const properties = td?.properties || td || {};
+        const rentalProperties = properties.rental_properties || 0;
+        const locations = properties.locations || properties.property_locations || [];
+
+        const result = {
+            rentalProperties,
+            low: 0,
+            central: 0,
+            high: 0,
+            counties: [],
+            unresolvedLocations: [],
+            methodology: METHODOLOGY,
+            dataPeriod: this.dataPeriod
+        };
+
+        if (rentalProperties <= 0) {
+            return result;
+        }
+
+        const resolved = [];
+        for (const location of locations) {
+            const county = this.resolveCounty(location);
+            if (county) {
+                resolved.push(county);
+            } else {
+                result.unresolvedLocations.push(location);
+            }
+        }
+
+        // No usable location - assume the properties are in the TD's own constituency
+        if (resolved.length === 0) {
+            resolved.push(this.resolveCounty(td.constituency) || 'State');
+        }
+
+        const counties = [...new Set(resolved)];
+        const share = rentalProperties / counties.length;
+        let weightedYield = 0;
+
+        for (const county of counties) {
+            const rent = this.perPropertyRent(county);
+            result.counties.push({
+                county,
+                statsCounty: rent.statsCounty,
+                properties: this._round(share),
+                low: Math.round(rent.low * share),
+                high: Math.round(rent.high * share)
+            });
+            result.low += rent.low * share;
+            result.high += rent.high * share;
+            weightedYield += rent.yield / counties.length;
+        }
+
+        // Cross-check against the declared portfolio value, pro rata to the rental share
+        const declaredValue = properties.total_value_estimate || 0;
+        if (declaredValue > 0 && properties.property_count > 0) {
+            const byValue = declaredValue * Math.min(rentalProperties / properties.property_count, 1) * weightedYield;
+            result.low = Math.min(result.low, byValue);
+            result.high = Math.max(result.high, byValue);
+        }
+
+        result.low = Math.round(result.low);
+        result.high = Math.round(result.high);
+        result.central = Math.round((result.low + result.high) / 2);
+
+        return result;
+    }
+
+    /**
+     * Estimates for every landlord in a { name: td } map, plus the average across them
+     */
+    estimateAll(tds) {
+        const estimates = {};
+
+        for (const [name, td] of Object.entries(tds || {})) {
+            const estimate = this.estimate(td);
+            if (estimate.rentalProperties > 0) {
+                estimates[name] = estimate;
+            }
+        }
+
+        const values = Object.values(estimates);
+        const average = key => values.length > 0
+            ? Math.round(values.reduce((sum, e) => sum + e[key], 0) / values.length)
+            : 0;
+
+        return {
+            estimates,
+            average: {
+                landlords: values.length,
+                low: average('low'),
+                central: average('central'),
+                high: average('high'),
+                methodology: METHODOLOGY
+            }
+        };
+    }
+
+    _round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.RentalIncomeEstimator = RentalIncomeEstimator;
+}
+
+export { RentalIncomeEstimator, PLACE_COUNTIES, VOID_ALLOWANCE };
+export default RentalIncomeEstimator;
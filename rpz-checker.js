@@ -0,0 +1,217 @@
+/**
+ * Rent Pressure Zone Checker
+ *
+ * Works out the maximum lawful rent after an increase in a Rent Pressure Zone,
+ * using the formula in force on the date the new rent takes effect and the
+ * local authority designation dates in data/rpz-rules.json.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const RPZ_RULES_PATH = 'data/rpz-rules.json';
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) as a UTC date, rejecting anything else
+ */
+function parseDate(value, label) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+    if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        throw new Error(`${label} must be a date in YYYY-MM-DD format`);
+    }
+    return date;
+}
+
+class RPZChecker {
+    constructor(rules) {
+        if (!rules?.periods || !rules.local_authorities || !rules.hicp_annual) {
+            throw new Error('Invalid RPZ rules: periods, local_authorities and hicp_annual are required');
+        }
+
+        this.rules = rules;
+        this.version = rules.metadata?.version || null;
+    }
+
+    /**
+     * Load the RPZ rules table and build a checker for it. loader: anything with json(file) - a
+     * DataLoader, or a StaticDataManager to schema-check and cache the file
+     */
+    static async load(file = RPZ_RULES_PATH, loader = new DataLoader()) {
+        return new RPZChecker(await loader.json(file));
+    }
+
+    localAuthorities() {
+        return Object.keys(this.rules.local_authorities);
+    }
+
+    /**
+     * Whole months from one date to another
+     */
+    monthsBetween(from, to) {
+        let months = (to.getUTCFullYear() - from.getUTCFullYear()) * MONTHS_PER_YEAR +
+            (to.getUTCMonth() - from.getUTCMonth());
+
+        if (to.getUTCDate() < from.getUTCDate()) {
+            months -= 1;
+        }
+        return Math.max(months, 0);
+    }
+
+    /**
+     * HICP inflation over a number of months from a start date, compounding each
+     * month at its year's annual rate (null if a year is missing from the table)
+     */
+    hicpChange(from, months) {
+        let factor = 1;
+        let approximate = false;
+
+        for (let i = 0; i < months; i++) {
+            const year = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + i, 1)).getUTCFullYear();
+            const rate = this.rules.hicp_annual[year];
+
+            if (rate === undefined) {
+                return { change: null, approximate: true };
+            }
+            if (this.rules.hicp_provisional_from && year >= this.rules.hicp_provisional_from) {
+                approximate = true;
+            }
+            factor *= Math.pow(1 + rate, 1 / MONTHS_PER_YEAR);
+        }
+
+        return { change: factor - 1, approximate };
+    }
+
+    /**
+     * Formula period in force on a date
+     */
+    periodOn(date) {
+        const iso = date.toISOString().slice(0, 10);
+        return this.rules.periods.find(p => iso >= p.from && (p.to === null || iso <= p.to)) || null;
+    }
+
+    /**
+     * Whether an area was a Rent Pressure Zone on a date: RPZ, DEPENDS_ON_LEA
+     * (only some local electoral areas were designated) or NOT_RPZ
+     */
+    rpzStatus(localAuthority, date) {
+        const area = this.rules.local_authorities[localAuthority];
+
+        if (!area) {
+            throw new Error(`Unknown local authority "${localAuthority}"`);
+        }
+
+        const iso = date.toISOString().slice(0, 10);
+        if (iso >= area.rpz_from) return 'RPZ';
+        if (area.partial_from && iso >= area.partial_from) return 'DEPENDS_ON_LEA';
+        return 'NOT_RPZ';
+    }
+
+    /**
+     * Check a rent increase
+     *
+     * previousRent: monthly rent before the increase
+     * newRent: monthly rent the landlord is asking for (optional)
+     * tenancyStart / lastSetDate: when the previous rent was set (defaults to the tenancy start)
+     * increaseDate: when the new rent takes effect
+     */
+    check({ previousRent, newRent = null, tenancyStart, lastSetDate = null, increaseDate, localAuthority }) {
+        if (!Number.isFinite(previousRent) || previousRent <= 0) {
+            throw new Error('Previous rent must be a positive number');
+        }
+        if (newRent !== null && (!Number.isFinite(newRent) || newRent <= 0)) {
+            throw new Error('New rent must be a positive number');
+        }
+
+        const start = parseDate(tenancyStart, 'Tenancy start');
+        const lastSet = lastSetDate ? parseDate(lastSetDate, 'Date rent was last set') : start;
+        const increase = parseDate(increaseDate, 'Increase date');
+
+        if (lastSet < start) {
+            throw new Error('Rent cannot have been set before the tenancy started');
+        }
+        if (increase <= lastSet) {
+            throw new Error('Increase date must be after the rent was last set');
+        }
+
+        const rpzStatus = this.rpzStatus(localAuthority, increase);
+        const months = this.monthsBetween(lastSet, increase);
+        const tooSoon = months < this.rules.min_months_between_reviews;
+        const warnings = [];
+
+        const result = {
+            rpzStatus,
+            localAuthority,
+            monthsSinceLastSet: months,
+            tooSoon,
+            period: null,
+            capRate: null,
+            maxLawfulRent: null,
+            newRent,
+            excess: null,
+            lawful: null,
+            hicpApproximate: false,
+            warnings,
+            rulesVersion: this.version
+        };
+
+        if (tooSoon) {
+            warnings.push(`Rent can only be reviewed once every ${this.rules.min_months_between_reviews} months - ` +
+                `this increase comes ${months} month${months === 1 ? '' : 's'} after the rent was last set`);
+        }
+
+        if (rpzStatus === 'NOT_RPZ') {
+            warnings.push('The area was not a Rent Pressure Zone on that date - the RPZ cap does not apply, ' +
+                'but the rent must not exceed market rent');
+            result.lawful = newRent !== null && tooSoon ? false : null;
+            return result;
+        }
+
+        if (rpzStatus === 'DEPENDS_ON_LEA') {
+            warnings.push('Only some local electoral areas in this council were Rent Pressure Zones on that date - ' +
+                'check yours with the RTB before relying on this result');
+        }
+
+        const period = this.periodOn(increase);
+        const yearsFraction = months / MONTHS_PER_YEAR;
+        const hicp = period.formula === 'fixed' ? null : this.hicpChange(lastSet, months);
+        let capRate;
+
+        if (period.formula === 'fixed') {
+            capRate = period.annual_cap * yearsFraction;
+        } else if (period.formula === 'hicp') {
+            capRate = hicp.change;
+        } else {
+            const proRataCap = period.annual_cap * yearsFraction;
+            capRate = hicp.change === null ? proRataCap : Math.min(hicp.change, proRataCap);
+            if (hicp.change === null) {
+                warnings.push('HICP figures for this period are not in the rules table yet - the 2% cap has been applied, ' +
+                    'which may overstate the lawful rent if inflation was lower');
+            }
+        }
+
+        // Falling prices do not force a rent cut, but nor do they allow an increase
+        capRate = Math.max(capRate, 0);
+
+        result.period = { id: period.id, description: period.description };
+        result.capRate = capRate;
+        result.maxLawfulRent = Math.round(previousRent * (1 + capRate) * 100) / 100;
+        result.hicpApproximate = Boolean(hicp?.approximate);
+
+        if (newRent !== null) {
+            result.excess = Math.max(0, Math.round((newRent - result.maxLawfulRent) * 100) / 100);
+            result.lawful = !tooSoon && newRent <= result.maxLawfulRent;
+        }
+
+        return result;
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.RPZChecker = RPZChecker;
+}
+
+export { RPZChecker };
+export default RPZChecker;
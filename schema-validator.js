@@ -0,0 +1,221 @@
+/**
+ * Schema Validator
+ *
+ * Checks data files against the JSON Schemas in schemas/ so a bad file is
+ * reported (file, JSON pointer, rule) instead of quietly degrading the
+ * dashboard. Implements the subset of JSON Schema the schemas use: type, enum,
+ * const, required, properties, additionalProperties, minProperties, items,
+ * minItems, minimum, maximum, minLength, pattern, anyOf and local $ref.
+ */
+
+const SCHEMA_DIR = 'schemas/';
+
+// Data file -> schema file (the yearly tax tables share one schema)
+const DATA_SCHEMAS = Object.freeze({
+    'complete-td-database.json': 'complete-td-database.schema.json',
+    'data/property-data.json': 'property-data.schema.json',
+    'data/voting-records-2024.json': 'voting-records.schema.json',
+    'data/housing-stats.json': 'housing-stats.schema.json',
+    'data/electoral-margins.json': 'electoral-margins.schema.json',
+    'data/td-remuneration.json': 'td-remuneration.schema.json',
+    'data/rpz-rules.json': 'rpz-rules.schema.json',
+    'data/first-home-schemes.json': 'first-home-schemes.schema.json',
+    'data/household-supports.json': 'household-supports.schema.json',
+    'data/td-aliases.json': 'td-aliases.schema.json',
+    'data/constituency-counties.json': 'constituency-counties.schema.json',
+    'data/checksums.json': 'checksums.schema.json',
+    'data/register-staging.json': 'register-staging.schema.json',
+    'data/register-history.json': 'register-history.schema.json',
+    'data/member-resolution.json': 'member-resolution.schema.json'
+});
+
+const TAX_RATES_PATTERN = /^data\/tax-rates\/\d{4}\.json$/;
+
+/**
+ * A data file that failed to parse or did not match its schema. pointer and rule
+ * describe the first problem; errors lists them all.
+ */
+class DataValidationError extends Error {
+    constructor(file, errors) {
+        const first = errors[0];
+        super(`${file}${first.pointer ? ` at ${first.pointer}` : ''}: ${first.message}` +
+            (errors.length > 1 ? ` (and ${errors.length - 1} more)` : ''));
+
+        this.name = 'DataValidationError';
+        this.file = file;
+        this.pointer = first.pointer;
+        this.rule = first.rule;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Schema file for a data file, or null if it has none
+ */
+function schemaFor(file) {
+    const normalised = file.replace(/^\.?\//, '');
+
+    if (DATA_SCHEMAS[normalised]) {
+        return `${SCHEMA_DIR}${DATA_SCHEMAS[normalised]}`;
+    }
+    if (TAX_RATES_PATTERN.test(normalised)) {
+        return `${SCHEMA_DIR}tax-rates.schema.json`;
+    }
+    return null;
+}
+
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref is supported (got "${ref}")`);
+    }
+
+    return ref.slice(2).split('/').reduce((node, key) => {
+        const next = node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')];
+        if (next === undefined) {
+            throw new Error(`Unresolvable $ref "${ref}"`);
+        }
+        return next;
+    }, root);
+}
+
+function check(value, schema, pointer, root, errors) {
+    if (schema.$ref) {
+        check(value, resolveRef(schema.$ref, root), pointer, root, errors);
+        return;
+    }
+
+    const fail = (rule, message) => errors.push({ pointer, rule, message });
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail('type', `expected ${types.join(' or ')}, found ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail('const', `must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => {
+            const attempt = [];
+            check(value, option, pointer, root, attempt);
+            return attempt.length === 0;
+        });
+        if (!matches) {
+            fail('anyOf', 'does not match any of the allowed forms');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', `must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('maximum', `must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('minLength', `must be at least ${schema.minLength} character${schema.minLength === 1 ? '' : 's'}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail('pattern', `must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(item, schema.items, `${pointer}/${index}`, root, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const keys = Object.keys(value);
+
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push({ pointer: `${pointer}/${escapePointer(key)}`, rule: 'required', message: 'is required' });
+            }
+        }
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail('minProperties', `must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        for (const key of keys) {
+            const childPointer = `${pointer}/${escapePointer(key)}`;
+
+            if (schema.properties?.[key]) {
+                check(value[key], schema.properties[key], childPointer, root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ pointer: childPointer, rule: 'additionalProperties', message: 'is not allowed here' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(value[key], schema.additionalProperties, childPointer, root, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Problems with a value against a schema ([] if it is valid)
+ */
+function validateSchema(value, schema) {
+    const errors = [];
+    check(value, schema, '', schema, errors);
+    return errors;
+}
+
+/**
+ * Parse a data file's text and check it against its schema, throwing a
+ * DataValidationError for either failure
+ */
+function parseAndValidate(file, text, schema) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new DataValidationError(file, [{ pointer: '', rule: 'json', message: `invalid JSON - ${error.message}` }]);
+    }
+
+    if (schema) {
+        const errors = validateSchema(data, schema);
+        if (errors.length > 0) {
+            throw new DataValidationError(file, errors);
+        }
+    }
+
+    return data;
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.DataValidationError = DataValidationError;
+}
+
+export { validateSchema, parseAndValidate, schemaFor, DataValidationError, DATA_SCHEMAS, SCHEMA_DIR };
+export default validateSchema;
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Offline Precache Script
+ *
+ * Writes sw-precache.js, the files the service worker (sw.js) keeps for offline
+ * use: index.html, the web app manifest and its icon, the stylesheets and every
+ * module the page loads (following their imports), and every data and schema
+ * JSON file. The version is a hash over all of their contents, so changing any
+ * of them ships a new service worker and the page offers the update.
+ *
+ *   npm run build:precache          (after npm run generate-checksums)
+ *   npm run check:precache          (fails if sw-precache.js is out of date - run by npm test)
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PRECACHE_FILE = 'sw-precache.js';
+const ENTRY = 'index.html';
+
+// Data files only reviewers use, left to the network
+const REVIEW_FILES = new Set(['data/register-staging.json', 'data/member-resolution.json']);
+
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = colors.reset) {
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function success(message) {
+    log(`✅ ${message}`, colors.green);
+}
+
+function error(message) {
+    log(`❌ ${message}`, colors.red);
+}
+
+// Local files a page, module or web app manifest refers to: script src,
+// stylesheet and manifest links, imports, icons
+function references(file, text) {
+    let refs;
+    if (file.endsWith('manifest.json')) {
+        refs = (JSON.parse(text).icons || []).map(icon => decodeURIComponent(icon.src));
+    } else {
+        const patterns = file.endsWith('.html')
+            ? [/<script[^>]*\ssrc="([^"]+)"/g, /<link[^>]*\shref="([^"]+)"/g]
+            : [/\bimport\s[^'"]*?from\s*['"]([^'"]+)['"]/g, /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g];
+        refs = patterns.flatMap(pattern => [...text.matchAll(pattern)].map(match => match[1]));
+    }
+
+    return refs
+        .filter(ref => !/^[a-z]+:|^\/\//i.test(ref))
+        .map(ref => path.posix.normalize(path.posix.join(path.posix.dirname(file), ref)));
+}
+
+/**
+ * index.html and everything it loads, transitively
+ */
+function pageFiles(root = ROOT) {
+    const found = new Set();
+    const queue = [ENTRY];
+
+    while (queue.length > 0) {
+        const file = queue.shift();
+        if (found.has(file) || !fs.existsSync(path.join(root, file))) continue;
+        found.add(file);
+
+        if (/\.(html|js)$|manifest\.json$/.test(file)) {
+            queue.push(...references(file, fs.readFileSync(path.join(root, file), 'utf8')));
+        }
+    }
+
+    return [...found];
+}
+
+/**
+ * The TD database plus every JSON/GeoJSON file under data/ and schemas/ -
+ * not the register PDFs, which are too big to keep on a phone, nor the
+ * register staging file awaiting review
+ */
+function dataFiles(root = ROOT) {
+    const walk = dir => fs.readdirSync(path.join(root, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return walk(file);
+        return /\.(geo)?json$/.test(entry.name) && !entry.name.includes('.proposed.') && !REVIEW_FILES.has(file) ? [file] : [];
+    });
+
+    return ['complete-td-database.json', ...walk('data'), ...walk('schemas')];
+}
+
+/**
+ * { version, files } for sw-precache.js
+ */
+function buildPrecache(root = ROOT) {
+    const files = [...new Set([...pageFiles(root), ...dataFiles(root)])].sort();
+
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+        hash.update(`${file}\0`).update(fs.readFileSync(path.join(root, file)));
+    }
+
+    return { version: hash.digest('hex').slice(0, 16), files };
+}
+
+function renderPrecache(precache) {
+    return '// Generated by scripts/build-precache.js (npm run build:precache) - do not edit\n' +
+        `self.PRECACHE = ${JSON.stringify(precache, null, 2)};\n`;
+}
+
+function writePrecache(root = ROOT) {
+    const precache = buildPrecache(root);
+    fs.writeFileSync(path.join(root, PRECACHE_FILE), renderPrecache(precache));
+    success(`${PRECACHE_FILE}: ${precache.files.length} files, version ${precache.version}`);
+    return precache;
+}
+
+/**
+ * Whether the committed sw-precache.js matches what buildPrecache() gives now
+ */
+function checkPrecache(root = ROOT) {
+    const file = path.join(root, PRECACHE_FILE);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    const precache = buildPrecache(root);
+
+    if (current !== renderPrecache(precache)) {
+        error(`${PRECACHE_FILE} is out of date (version ${precache.version}) - run npm run build:precache`);
+        return false;
+    }
+
+    success(`${PRECACHE_FILE}: up to date, version ${precache.version}`);
+    return true;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    if (process.argv.includes('--check')) {
+        process.exit(checkPrecache() ? 0 : 1);
+    }
+    writePrecache();
+}
+
+export { buildPrecache, renderPrecache, writePrecache, checkPrecache, pageFiles, dataFiles, PRECACHE_FILE };
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Register History Script
+ *
+ * Compares each member's declared land and property from one registration
+ * period to the next (register-history.js) over reviewed fields only
+ * (scripts/register-review.js) - periods whose land and property fields were
+ * all approved or edited - and writes the result to data/register-history.json,
+ * which the TD finder's portfolio timeline reads. Nothing the ingest extracted
+ * is published until someone has checked it against the register.
+ *
+ *   node scripts/build-register-history.js
+ *
+ * Each TD's notable_additions_<year> in complete-td-database.json is rewritten
+ * from the same comparison: what the year's register declared that the
+ * previous year's did not. A TD without two reviewed periods in a row keeps
+ * the additions they have. The database is edited line by line so the rest of
+ * its hand-kept formatting is untouched. Run after npm run ingest:register,
+ * and again after reviewing.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DataLoader, fsBackend } from '../data-loader.js';
+import { buildRegisterHistory, memberKey } from '../register-history.js';
+import { PROPERTY_CATEGORIES, mergePositions, positionId } from '../register-positions.js';
+import { STAGING_FILE } from './ingest-register.js';
+import { reviewedEntries } from './register-review.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const HISTORY_FILE = 'data/register-history.json';
+const TD_DATABASE = 'complete-td-database.json';
+
+// Review decisions whose fields the history may use
+const REVIEWED = new Set(['approved', 'edited']);
+
+// Colors for console output
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = colors.reset) {
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function success(message) {
+    log(`✅ ${message}`, colors.green);
+}
+
+function warning(message) {
+    log(`⚠️  ${message}`, colors.yellow);
+}
+
+/**
+ * The staging file's positions built from reviewed fields only: each entry's
+ * approved or edited land and property, and only the positions every one of
+ * whose entries had all of those fields approved or edited
+ */
+function reviewedPositions(staging) {
+    const unreviewed = new Set(staging.entries
+        .filter(entry => PROPERTY_CATEGORIES
+            .some(category => entry.categories[category] && !REVIEWED.has(entry.review?.fields?.[category]?.decision)))
+        .flatMap(entry => entry.periods.map(period => positionId(entry, period))));
+
+    return mergePositions(reviewedEntries(staging.entries), staging.metadata.sources)
+        .filter(position => !unreviewed.has(position.id));
+}
+
+/**
+ * The history published in data/register-history.json: the comparison over
+ * reviewedPositions() only, marked as reviewed
+ */
+function reviewedHistory(staging) {
+    const history = buildRegisterHistory({ ...staging, positions: reviewedPositions(staging) });
+    return {
+        ...history,
+        metadata: {
+            ...history.metadata,
+            description: `${history.metadata.description}, from reviewed register fields only`,
+            verification_status: 'REVIEWED'
+        }
+    };
+}
+
+/**
+ * notable_additions per TD in the database: { name: { year: [text] } }, from
+ * the history of reviewed positions. A TD with no Dáil member there, or no
+ * period there to compare with the year before, is left out, so their record
+ * is left alone.
+ */
+function notableAdditionsFor(database, history) {
+    return Object.fromEntries(Object.keys(database.tds)
+        .map(name => [name, history.members[memberKey('dail', name)]])
+        .filter(([, member]) => member?.timeline.some(period => period.added !== null))
+        .map(([name, member]) => [name, member.notable_additions]));
+}
+
+/**
+ * Rewrite the notable_additions_<year> lines of the TDs in additions, in the
+ * text of complete-td-database.json. New lines go where the old ones were, or
+ * else before the record's last_updated; years with nothing added get no line.
+ */
+function setNotableAdditions(text, additions) {
+    const lines = text.split('\n');
+    const out = [];
+    let td = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const record = lines[i].match(/^ {4}"(.+)": \{$/);
+        if (record) td = record[1];
+
+        if (!(td in additions) || !/^ {6}"properties": \{$/.test(lines[i])) {
+            out.push(lines[i]);
+            continue;
+        }
+
+        const end = lines.findIndex((line, j) => j > i && /^ {6}\}/.test(line));
+        const block = lines.slice(i + 1, end);
+        const fresh = Object.entries(additions[td])
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([year, texts]) => `        "notable_additions_${year}": [${texts.map(item => JSON.stringify(item)).join(', ')}],`);
+
+        const previous = block.findIndex(line => /^ {8}"notable_additions_\d{4}":/.test(line));
+        const kept = block.filter(line => !/^ {8}"notable_additions_\d{4}":/.test(line));
+        const at = previous !== -1 ? previous : kept.findIndex(line => /^ {8}"last_updated":/.test(line));
+        kept.splice(at === -1 ? 0 : at, 0, ...fresh);
+
+        out.push(lines[i], ...kept);
+        i = end - 1;
+    }
+
+    return out.join('\n');
+}
+
+async function runBuildHistory() {
+    const loader = new DataLoader(fsBackend({ root: ROOT }));
+    const staging = await loader.json(STAGING_FILE);
+    const history = reviewedHistory(staging);
+
+    fs.writeFileSync(path.join(ROOT, HISTORY_FILE), JSON.stringify(history, null, 2) + '\n');
+    success(`${HISTORY_FILE}: ${Object.keys(history.members).length} members with reviewed periods, ` +
+        `of ${new Set(staging.positions.map(position => memberKey(position.chamber, position.member.name))).size} staged`);
+
+    const text = await loader.text(TD_DATABASE);
+    const database = JSON.parse(text);
+    const additions = notableAdditionsFor(database, history);
+    const unchanged = Object.keys(database.tds).length - Object.keys(additions).length;
+    if (unchanged > 0) {
+        warning(`${unchanged} TDs have no reviewed register periods to compare - notable additions left as they were`);
+    }
+
+    const updated = setNotableAdditions(text, additions);
+    if (updated === text) {
+        log(`${TD_DATABASE}: notable additions already up to date`);
+        return;
+    }
+    fs.writeFileSync(path.join(ROOT, TD_DATABASE), updated);
+    success(`${TD_DATABASE}: notable additions updated`);
+    log('Run node scripts/verify-checksums.js --generate, then npm run validate.');
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await runBuildHistory();
+}
+
+export {
+    HISTORY_FILE,
+    reviewedPositions,
+    reviewedHistory,
+    notableAdditionsFor,
+    setNotableAdditions,
+    runBuildHistory
+};
@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Register Ingestion Script
+ *
+ * Reads the Register of Members' Interests PDFs in data/ - the annual Dáil and
+ * Seanad registers and the section 29 supplements - and writes what each member
+ * declared, per statutory category and with page references, to
+ * data/register-staging.json for review. Nothing here changes the published
+ * data: entries start out pending and are only used once reviewed.
+ *
+ *   node scripts/ingest-register.js [file.pdf ...]      (default: every data/*.pdf)
+ *
+ * Re-running keeps the review of any entry whose declarations haven't changed.
+ * Each member's position with the supplements applied (register-positions.js) is
+ * written alongside the entries, and members whose land or property a
+ * supplement changed are listed.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { extractPages } from './pdf-text.js';
+import { DataLoader, fsBackend } from '../data-loader.js';
+import { mergePositions, flaggedPositions, memberSlug } from '../register-positions.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STAGING_FILE = 'data/register-staging.json';
+
+// The nine categories of registrable interest (Ethics in Public Office Act 1995,
+// Second Schedule), in the order and numbering the Register prints them. A
+// member may make their statement in Irish, so headings match either language.
+const CATEGORIES = Object.freeze([
+    { number: 1, key: 'occupations', label: 'Occupations', heading: /^(?:occupations|slite beatha)/i },
+    { number: 2, key: 'shares', label: 'Shares', heading: /^(?:shares|scaireanna)/i },
+    { number: 3, key: 'directorships', label: 'Directorships', heading: /^(?:directorships|stiúrthóireachtaí)/i },
+    { number: 4, key: 'land', label: 'Land (including property)', heading: /^(?:land|talamh)/i },
+    { number: 5, key: 'gifts', label: 'Gifts', heading: /^(?:gifts|bronntanais)/i },
+    { number: 6, key: 'property_supplied', label: 'Property supplied or lent or a service supplied', heading: /^(?:property supplied|maoin a soláthraíodh)/i },
+    { number: 7, key: 'travel', label: 'Travel facilities', heading: /^(?:travel|saoráidí taistil)/i },
+    { number: 8, key: 'remunerated_positions', label: 'Remunerated position', heading: /^(?:remunerated|post ar luach saothair)/i },
+    { number: 9, key: 'contracts', label: 'Contracts', heading: /^(?:contracts|conarthaí)/i }
+].map(Object.freeze));
+
+// Printed page numbers, the Iris Oifigiúil running head and superscript
+// ordinals ("1st", "28th") that land on lines of their own
+const NOISE = [/^\d+$/, /^IRIS OIFIGIÚIL\b/, /^(?:st|nd|rd|th)(?: (?:st|nd|rd|th))*$/i, /^\[G-\d+\]$/, /^_+$/];
+
+// The Dáil register prints the end of "6. Property supplied or lent" on a line
+// of its own, under however many lines the declaration takes
+const CATEGORY_6_CONTINUATION = /^or a service supplied$/i;
+
+// The Clerk signs the end of the register and of each supplement statement
+const CLERK = /^Cléireach\b/;
+
+// What a member adds below a declaration, printed apart from it
+const OTHER_INFORMATION = /^Other information provided:?\s*(.*)$/i;
+
+// Where a register line's heading ends: a dot leader ("……...…..")
+const LEADER = /\s*(?:…|\.{2,})[….\s]*/;
+
+const SUPPLEMENT_MEMBER = /^Name of Member concerned:\s*(.+)$/;
+const MEMBER_TITLES = /^(?:Deputy|Senator)\s+|\s+(?:TD|T\.D\.)$/g;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = colors.reset) {
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function success(message) {
+    log(`✅ ${message}`, colors.green);
+}
+
+function error(message) {
+    log(`❌ ${message}`, colors.red);
+}
+
+function warning(message) {
+    log(`⚠️  ${message}`, colors.yellow);
+}
+
+/**
+ * Every line of the document as { text, page }, without running heads and
+ * other print furniture
+ */
+function documentLines(pages) {
+    return pages.flatMap(({ page, lines }) => lines
+        .map(line => line.trim())
+        .filter(line => line && !NOISE.some(pattern => pattern.test(line)))
+        .map(text => ({ text, page })));
+}
+
+/**
+ * What a PDF is, from its file name (which starts with the publication date)
+ * and the notice on its first page: { id, file, published, chamber, kind, periods, pages }
+ */
+function describeDocument(file, pages) {
+    const name = path.basename(file);
+    const published = name.match(/^(\d{4}-\d{2}-\d{2})/)?.[1] || null;
+    const notice = documentLines(pages.slice(0, 1)).map(line => line.text).join(' ');
+
+    const chamber = /SEANAD ÉIREANN/i.test(notice) ? 'seanad' : 'dail';
+    const kind = /SUPPLEMENT TO REGISTER/i.test(notice) ? 'supplement' : 'register';
+    const periods = [...new Set([...notice.matchAll(/1\s+JANUARY,?\s+(\d{4})\s+TO\s+31\s+DECEMBER,?\s+\d{4}/gi)].map(match => Number(match[1])))];
+
+    return {
+        id: [chamber, kind, periods.join('-') || 'unknown', published].join('-'),
+        file: `data/${name}`,
+        published,
+        chamber,
+        kind,
+        periods,
+        pages: pages.length
+    };
+}
+
+/**
+ * Split a declaration into its items: "(1) Farmer: Nutgrove; (2) Public
+ * Representative." is two items. Numbering is followed in sequence, so a
+ * bracketed aside in an item doesn't start a new one. Each item is { text, page }.
+ * fragments: [{ text, page }] - the declaration as printed, line by line.
+ */
+function splitItems(fragments) {
+    let text = '';
+    const starts = [];
+    for (const fragment of fragments) {
+        // A word broken at a line-end hyphen joins back up
+        const joiner = !text || (text.endsWith('-') && /^[a-z]/.test(fragment.text)) ? '' : ' ';
+        text += joiner;
+        starts.push({ offset: text.length, page: fragment.page });
+        text += fragment.text;
+    }
+    const pageAt = offset => starts.filter(start => start.offset <= offset).pop()?.page ?? fragments[0]?.page;
+
+    const sequences = [
+        Array.from({ length: 50 }, (_, i) => `(${i + 1})`),
+        ['(i)', '(ii)', '(iii)', '(iv)', '(v)', '(vi)', '(vii)', '(viii)', '(ix)', '(x)', '(xi)', '(xii)'],
+        [...'abcdefghijklmnopqrstuvwxyz'].map(letter => `(${letter})`)
+    ];
+    // Numbering may follow a lead-in that applies to every item ("Director: (1) ...")
+    const leadIn = text.match(/^([^()]{1,80}?:)\s*(?=\((?:1|i|a)\))/)?.[1] || '';
+    const markers = sequences.find(sequence => text.startsWith(sequence[0], leadIn.length ? text.indexOf('(') : 0));
+
+    const bounds = [];
+    if (markers) {
+        let from = 0;
+        for (const marker of markers) {
+            const at = text.indexOf(marker, from);
+            if (at === -1) break;
+            bounds.push({ at, skip: marker.length });
+            from = at + marker.length;
+        }
+    } else {
+        bounds.push({ at: 0, skip: 0 });
+    }
+
+    return bounds.map(({ at, skip }, i) => {
+        const item = text.slice(at + skip, bounds[i + 1]?.at ?? text.length).replace(/[\s;]*(?:\band)?[\s;]*$/, '').trim();
+        return { text: markers && leadIn && item ? `${leadIn} ${item}` : item, page: pageAt(at) };
+    }).filter(item => item.text);
+}
+
+/**
+ * { nil, text, items, pages } for one category of one member
+ */
+function declaration(fragments) {
+    const text = fragments.map(fragment => fragment.text).join(' ').replace(/\s+/g, ' ').trim();
+    const nil = /^(?:nil|níl|tada)\.?$/i.test(text) || text === '';
+    return {
+        nil,
+        text,
+        items: nil ? [] : splitItems(fragments),
+        pages: [...new Set(fragments.map(fragment => fragment.page))]
+    };
+}
+
+// What a register line declares after its heading's dot leader, as fragments
+function afterLeader(line) {
+    const leader = line.text.match(LEADER);
+    const rest = leader ? line.text.slice(leader.index + leader[0].length).trim() : '';
+    return rest ? [{ text: rest, page: line.page }] : [];
+}
+
+function categoryHeading(text, pattern) {
+    const match = text.match(pattern);
+    if (!match) return null;
+    const category = CATEGORIES[Number(match[1]) - 1];
+    return category && category.heading.test(match[2]) ? category : null;
+}
+
+// "BOYD BARRETT" -> "Boyd Barrett", "O'CALLAGHAN" -> "O'Callaghan", "McGRATH" or
+// "MCGRATH" -> "McGrath"
+function surnameCase(surname) {
+    const capitalise = word => word.charAt(0) + word.slice(1).toLowerCase();
+    return surname.split(/([ '’-])/).map(part => {
+        const mc = part.match(/^M[cC](\p{Lu}.*)$/u);
+        if (mc) return `Mc${capitalise(mc[1])}`;
+        return /\p{Ll}/u.test(part) ? part : capitalise(part);
+    }).join('');
+}
+
+/**
+ * Parse a register member header - "AHERN, Ciarán (Dublin South-West)" in the
+ * Dáil register, "AHEARN, Garret" in the Seanad's
+ */
+function parseMemberHeader(text) {
+    const match = text.match(/^(.+?),\s*([^()]+?)(?:\s*\(([^)]+)\))?$/);
+    if (!match) {
+        return { name_as_printed: text, name: text, surname: null, forename: null, constituency: null };
+    }
+    return {
+        name_as_printed: text,
+        name: `${match[2]} ${surnameCase(match[1])}`,
+        surname: match[1],
+        forename: match[2],
+        constituency: match[3] || null
+    };
+}
+
+/**
+ * Members and their declarations from an annual register. A member's entry
+ * starts at the line before "1. Occupations" and runs to the next member's.
+ */
+function segmentRegister(pages) {
+    const lines = documentLines(pages);
+    const heading = /^([1-9])\.\s*(.*)$/;
+    const isFirstHeading = line => categoryHeading(line.text, heading)?.number === 1;
+
+    const entries = [];
+    let entry = null;
+    let current = null;
+    let target = null;
+    let headingOpen = false;
+
+    lines.forEach((line, i) => {
+        if (lines[i + 1] && isFirstHeading(lines[i + 1]) && !isFirstHeading(line)) {
+            entry = { member: parseMemberHeader(line.text), pages: [line.page], fragments: {} };
+            entries.push(entry);
+            current = null;
+            return;
+        }
+        if (!entry) return;
+        if (!entry.pages.includes(line.page)) entry.pages.push(line.page);
+
+        const category = categoryHeading(line.text, heading);
+        const other = line.text.match(OTHER_INFORMATION);
+        if (category) {
+            current = category;
+            entry.fragments[category.key] = { value: afterLeader(line), note: [] };
+            target = entry.fragments[category.key].value;
+            headingOpen = !LEADER.test(line.text);
+        } else if (!current) {
+            return;
+        } else if (headingOpen) {
+            // A heading printed over several lines ends at its leader
+            if (LEADER.test(line.text)) {
+                target.push(...afterLeader(line));
+                headingOpen = false;
+            }
+        } else if (CLERK.test(line.text)) {
+            // Signed off: the line above was the Clerk's name, not a declaration
+            if (target.at(-1)?.text === lines[i - 1].text) target.pop();
+            entry = null;
+        } else if (current.number === 6 && CATEGORY_6_CONTINUATION.test(line.text)) {
+            return;
+        } else if (other) {
+            target = entry.fragments[current.key].note;
+            if (other[1]) target.push({ text: other[1], page: line.page });
+        } else {
+            target.push({ text: line.text, page: line.page });
+        }
+    });
+
+    return entries.map(({ member, pages: memberPages, fragments }) => ({
+        member,
+        pages: memberPages,
+        categories: Object.fromEntries(CATEGORIES
+            .filter(category => fragments[category.key])
+            .map(category => {
+                const { value, note } = fragments[category.key];
+                const noteText = note.map(fragment => fragment.text).join(' ');
+                return [category.key, { ...declaration(value), ...(noteText ? { note: noteText } : {}) }];
+            }))
+    }));
+}
+
+/**
+ * "This 7 day of March 2025" at the foot of a statement, as YYYY-MM-DD
+ */
+function statementDate(text) {
+    const match = text.match(/\bThis\s+(\d{1,2})(?:st|nd|rd|th)?\s+day\s+of\s+([A-Za-z]+),?\s+(\d{4})/);
+    const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+    if (month === -1) return null;
+    return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+/**
+ * A supplement category: the form's numbered questions and the member's
+ * answers. Question text wraps onto lines that start in lower case; answers
+ * start a new sentence. The answers are joined the way the register prints a
+ * declaration ("Director and Owner: Cantillon Labs, ...: Management Consulting")
+ * and "Other information" is kept apart as a note.
+ */
+function supplementDeclaration(fragments) {
+    const questions = [];
+    const loose = [];
+
+    for (const fragment of fragments) {
+        const numbered = fragment.text.match(/^\(([ivx]+)\)\s*(.*)$/);
+        const last = questions[questions.length - 1];
+        if (numbered) {
+            questions.push({ question: numbered[2], answer: [], page: fragment.page });
+        } else if (last && last.answer.length === 0 && /^[a-z(]/.test(fragment.text)) {
+            last.question += ` ${fragment.text}`;
+        } else if (last) {
+            last.answer.push(fragment);
+        } else {
+            loose.push(fragment);
+        }
+    }
+
+    if (questions.length === 0) {
+        return { ...declaration(loose), details: [] };
+    }
+
+    const details = questions.map(({ question, answer }) => ({
+        question,
+        answer: answer.map(fragment => fragment.text).join(' ').trim()
+    }));
+    const isNote = ({ question }) => /^other information/i.test(question);
+    const answered = questions.filter(question => !isNote(question) && question.answer.length > 0);
+    const note = details.filter(isNote).map(detail => detail.answer).filter(Boolean).join(' ');
+
+    const text = answered.map(question => question.answer.map(fragment => fragment.text).join(' ')).join(': ');
+    const pages = [...new Set([...loose, ...answered.flatMap(question => question.answer)].map(fragment => fragment.page)
+        .concat(questions.map(question => question.page)))].sort((a, b) => a - b);
+
+    return {
+        nil: text === '',
+        text,
+        items: text ? [{ text, page: answered[0].answer[0].page }] : [],
+        pages,
+        details,
+        ...(note ? { note } : {})
+    };
+}
+
+/**
+ * Statements from a section 29 supplement: one per "Name of Member concerned",
+ * each with the categories it amends and the date the Clerk signed it.
+ */
+function segmentSupplement(pages) {
+    const lines = documentLines(pages);
+    const heading = /^([1-9])\s*[.–-]\s*(.*)$/;
+
+    const entries = [];
+    let entry = null;
+    let current = null;
+
+    lines.forEach((line, i) => {
+        const member = line.text.match(SUPPLEMENT_MEMBER);
+        if (member) {
+            const name = member[1].replace(MEMBER_TITLES, '').trim();
+            entry = { member: { name_as_printed: member[1].trim(), name, surname: null, forename: null, constituency: null }, pages: [line.page], fragments: {}, statement_date: null };
+            entries.push(entry);
+            current = null;
+            return;
+        }
+        if (!entry) return;
+
+        // The Clerk's name and title close the statement; the date follows
+        if (CLERK.test(line.text) || CLERK.test(lines[i + 1]?.text || '')) {
+            current = null;
+        }
+        const date = statementDate(line.text);
+        if (date) {
+            entry.statement_date = date;
+            entry = null;
+            return;
+        }
+
+        const category = /^[0-9]\s*[.–-]\s*[A-Z]{3}/.test(line.text) ? categoryHeading(line.text, heading) : null;
+        if (category) {
+            current = category;
+            entry.fragments[category.key] = [];
+        } else if (current && !(current.number === 6 && entry.fragments.property_supplied.length === 0 && /^(?:OR A SERVICE )?SUPPLIED$/.test(line.text))) {
+            entry.fragments[current.key].push({ text: line.text, page: line.page });
+        }
+        if (current && !entry.pages.includes(line.page)) entry.pages.push(line.page);
+    });
+
+    return entries.map(({ member, pages: memberPages, fragments, statement_date }) => ({
+        member,
+        pages: memberPages,
+        statement_date,
+        categories: Object.fromEntries(CATEGORIES
+            .filter(category => fragments[category.key])
+            .map(category => [category.key, supplementDeclaration(fragments[category.key])]))
+    }));
+}
+
+/**
+ * Staging entries for one PDF: { document, entries }
+ */
+function ingestDocument(file, bytes) {
+    const pages = extractPages(bytes);
+    const document = describeDocument(file, pages);
+    const segmented = document.kind === 'supplement' ? segmentSupplement(pages) : segmentRegister(pages);
+
+    const seen = new Map();
+    const entries = segmented.map(({ member, ...rest }) => {
+        // Two members printed alike would share an id; number the repeats
+        const base = `${document.id}/${memberSlug(member.name)}`;
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+
+        return {
+            id: count > 1 ? `${base}-${count}` : base,
+            document: document.id,
+            chamber: document.chamber,
+            kind: document.kind,
+            periods: document.periods,
+            member,
+            ...rest,
+            review: { status: 'pending' }
+        };
+    });
+
+    return { document: { ...document, entries: entries.length }, entries };
+}
+
+/**
+ * The staging file for the given PDFs. previous: the current staging file, whose
+ * reviews carry over to entries that read the same as before.
+ */
+function buildStaging(documents, { previous = null, generatedAt = new Date().toISOString() } = {}) {
+    const reviews = new Map((previous?.entries || []).map(entry => [entry.id, entry]));
+    const sameDeclarations = (a, b) => JSON.stringify(a.categories) === JSON.stringify(b.categories);
+
+    const entries = documents.flatMap(({ entries: documentEntries }) => documentEntries).map(entry => {
+        const before = reviews.get(entry.id);
+        return before && sameDeclarations(before, entry) ? { ...entry, review: before.review } : entry;
+    });
+
+    const sources = documents.map(({ document }) => document);
+
+    return {
+        metadata: {
+            version: '1.0',
+            generated_at: generatedAt,
+            generated_by: 'scripts/ingest-register.js',
+            description: 'Declarations read from the Register of Members\' Interests PDFs, per member and category, awaiting review before use',
+            verification_status: 'PENDING_REVIEW',
+            categories: CATEGORIES.map(({ number, key, label }) => ({ number, key, label })),
+            sources
+        },
+        entries,
+        positions: mergePositions(entries, sources)
+    };
+}
+
+async function runIngest(args) {
+    const files = args.filter(arg => !arg.startsWith('--'));
+    const inputs = files.length > 0
+        ? files
+        : fs.readdirSync(path.join(ROOT, 'data')).filter(name => name.endsWith('.pdf')).sort().map(name => path.join(ROOT, 'data', name));
+
+    if (inputs.length === 0) {
+        error('Usage: node scripts/ingest-register.js [file.pdf ...]');
+        process.exit(1);
+    }
+
+    const documents = [];
+    for (const input of inputs) {
+        const ingested = ingestDocument(input, fs.readFileSync(input));
+        documents.push(ingested);
+        const { document } = ingested;
+        const line = `${path.basename(input)}: ${document.chamber} ${document.kind} ${document.periods.join(', ')}, ${document.entries} members`;
+        document.entries === 0 ? warning(`${line} - nothing recognised`) : log(line);
+    }
+
+    let previous = null;
+    try {
+        previous = await new DataLoader(fsBackend({ root: ROOT })).json(STAGING_FILE);
+    } catch (err) {
+        // First run - nothing reviewed yet
+    }
+
+    const staging = buildStaging(documents, { previous });
+    fs.writeFileSync(path.join(ROOT, STAGING_FILE), JSON.stringify(staging, null, 2) + '\n');
+    success(`${STAGING_FILE}: ${staging.entries.length} entries from ${documents.length} documents`);
+    for (const position of flaggedPositions(staging.positions)) {
+        warning(`${position.member.name} (${position.chamber} ${position.period}): ${position.flags.join(', ')} by supplement`);
+    }
+    log('Run npm run validate to check the result.');
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await runIngest(process.argv.slice(2));
+}
+
+export {
+    CATEGORIES,
+    STAGING_FILE,
+    describeDocument,
+    segmentRegister,
+    segmentSupplement,
+    splitItems,
+    parseMemberHeader,
+    statementDate,
+    ingestDocument,
+    buildStaging,
+    runIngest
+};
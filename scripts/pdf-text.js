@@ -0,0 +1,706 @@
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - PDF Text Extraction
+ *
+ * Just enough of a PDF reader to get the text out of the Oireachtas Register of
+ * Members' Interests PDFs, with no dependencies: objects and object streams,
+ * Flate-compressed content, the page tree, and simple (WinAnsi/Differences) and
+ * ToUnicode-mapped fonts. Text is returned per page as lines, rebuilt from
+ * where each run is drawn - enough to segment the Register, not a general
+ * layout engine.
+ *
+ * pdf.js (pdfjs-dist) also reads these PDFs, but only renders pages in the
+ * review page (review.html), and stays a dev dependency there. Ingestion keeps
+ * this reader rather than pdf.js getTextContent() because:
+ *   - npm run ingest:register and npm test need no npm install, and pdfjs-dist
+ *     needs Node 20.19 or later where the package supports Node 18;
+ *   - re-ingesting keeps a review only while an entry reads exactly as before
+ *     (ingest-register.js), and another reader joins runs and spaces words
+ *     differently, so switching would drop every review already made;
+ *   - the review page marks the lines a field came from with pageLayout(),
+ *     the same lines the ingestion segmented, so the marks always match.
+ */
+
+import zlib from 'node:zlib';
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const DELIMITERS = new Set([...'()<>[]{}/%'].map(c => c.charCodeAt(0)));
+
+// Windows-1252 code points that differ from Latin-1 (WinAnsiEncoding)
+const WIN_ANSI_EXTRAS = {
+    0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡', 0x88: 'ˆ',
+    0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘', 0x92: '’', 0x93: '“',
+    0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜', 0x99: '™', 0x9a: 'š', 0x9b: '›',
+    0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+// Glyph names used in /Differences arrays, beyond single letters and digits
+const GLYPH_NAMES = {
+    space: ' ', quotesingle: '\'', quoteright: '’', quoteleft: '‘', quotedbl: '"', hyphen: '-',
+    endash: '–', emdash: '—', period: '.', comma: ',', colon: ':', semicolon: ';', slash: '/',
+    parenleft: '(', parenright: ')', ampersand: '&', percent: '%', Euro: '€', euro: '€',
+    bullet: '•', sterling: '£', at: '@', numbersign: '#', plus: '+', equal: '=', underscore: '_',
+    question: '?', exclam: '!', asterisk: '*', bracketleft: '[', bracketright: ']',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+    aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú',
+    Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', fi: 'fi', fl: 'fl'
+};
+
+class PDFRef {
+    constructor(num, gen) {
+        this.num = num;
+        this.gen = gen;
+    }
+}
+
+class PDFName {
+    constructor(name) {
+        this.name = name;
+    }
+}
+
+/**
+ * Tokeniser and object parser over a byte buffer
+ */
+class PDFLexer {
+    constructor(bytes, position = 0) {
+        this.bytes = bytes;
+        this.pos = position;
+    }
+
+    skipWhitespace() {
+        const { bytes } = this;
+        while (this.pos < bytes.length) {
+            const byte = bytes[this.pos];
+            if (WHITESPACE.has(byte)) {
+                this.pos++;
+            } else if (byte === 0x25) { // % comment
+                while (this.pos < bytes.length && bytes[this.pos] !== 0x0a && bytes[this.pos] !== 0x0d) this.pos++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * The next object, or an operator as { op } (content streams), or null at the end
+     */
+    next() {
+        this.skipWhitespace();
+        const { bytes } = this;
+        if (this.pos >= bytes.length) return null;
+
+        const byte = bytes[this.pos];
+        const char = String.fromCharCode(byte);
+
+        if (char === '/') return new PDFName(this.readName());
+        if (char === '(') return this.readLiteralString();
+        if (char === '<') {
+            if (bytes[this.pos + 1] === 0x3c) {
+                this.pos += 2;
+                return this.readDictionary();
+            }
+            return this.readHexString();
+        }
+        if (char === '[') {
+            this.pos++;
+            const array = [];
+            for (;;) {
+                this.skipWhitespace();
+                if (bytes[this.pos] === 0x5d || this.pos >= bytes.length) {
+                    this.pos++;
+                    return array;
+                }
+                array.push(this.next());
+            }
+        }
+        if (char === ']' || char === '>' || char === '{' || char === '}' || char === ')') {
+            this.pos++;
+            return { op: char };
+        }
+
+        const word = this.readWord();
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            return this.numberOrRef(Number(word));
+        }
+        if (word === 'true') return true;
+        if (word === 'false') return false;
+        if (word === 'null') return null;
+        return { op: word };
+    }
+
+    // "n g R" is a reference; anything else leaves the lexer after the number
+    numberOrRef(number) {
+        if (!Number.isInteger(number)) return number;
+
+        const saved = this.pos;
+        this.skipWhitespace();
+        const gen = this.readWord();
+        if (/^\d+$/.test(gen)) {
+            this.skipWhitespace();
+            if (this.readWord() === 'R') return new PDFRef(number, Number(gen));
+        }
+        this.pos = saved;
+        return number;
+    }
+
+    readWord() {
+        const start = this.pos;
+        const { bytes } = this;
+        while (this.pos < bytes.length && !WHITESPACE.has(bytes[this.pos]) && !DELIMITERS.has(bytes[this.pos])) this.pos++;
+        if (this.pos === start && this.pos < bytes.length) this.pos++;
+        return bytes.toString('latin1', start, this.pos);
+    }
+
+    readName() {
+        this.pos++;
+        return this.readWord().replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    }
+
+    readDictionary() {
+        const dict = {};
+        for (;;) {
+            this.skipWhitespace();
+            if (this.bytes[this.pos] === 0x3e && this.bytes[this.pos + 1] === 0x3e) {
+                this.pos += 2;
+                return dict;
+            }
+            if (this.pos >= this.bytes.length) return dict;
+            const key = this.next();
+            if (!(key instanceof PDFName)) continue;
+            dict[key.name] = this.next();
+        }
+    }
+
+    // Strings are kept as byte buffers - their meaning depends on the font
+    readLiteralString() {
+        const { bytes } = this;
+        const out = [];
+        let depth = 1;
+        this.pos++;
+
+        while (this.pos < bytes.length) {
+            const byte = bytes[this.pos++];
+            if (byte === 0x5c) { // backslash
+                const next = bytes[this.pos++];
+                const escapes = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+                if (escapes[next] !== undefined) {
+                    out.push(escapes[next]);
+                } else if (next >= 0x30 && next <= 0x37) {
+                    let octal = next - 0x30;
+                    for (let i = 0; i < 2 && bytes[this.pos] >= 0x30 && bytes[this.pos] <= 0x37; i++) {
+                        octal = octal * 8 + bytes[this.pos++] - 0x30;
+                    }
+                    out.push(octal & 0xff);
+                } else if (next === 0x0d) {
+                    if (bytes[this.pos] === 0x0a) this.pos++;
+                } else if (next !== 0x0a) {
+                    out.push(next);
+                }
+            } else if (byte === 0x28) {
+                depth++;
+                out.push(byte);
+            } else if (byte === 0x29) {
+                if (--depth === 0) break;
+                out.push(byte);
+            } else {
+                out.push(byte);
+            }
+        }
+
+        return Buffer.from(out);
+    }
+
+    readHexString() {
+        const end = this.bytes.indexOf(0x3e, this.pos);
+        let hex = this.bytes.toString('latin1', this.pos + 1, end).replace(/[^0-9a-f]/gi, '');
+        this.pos = end + 1;
+        if (hex.length % 2) hex += '0';
+        return Buffer.from(hex, 'hex');
+    }
+}
+
+/**
+ * A parsed PDF file: objects by number, resolved on demand
+ */
+class PDFDocument {
+    constructor(bytes) {
+        if (!Buffer.isBuffer(bytes) || bytes.toString('latin1', 0, 5) !== '%PDF-') {
+            throw new Error('Invalid PDF: the file does not start with %PDF-');
+        }
+        this.bytes = bytes;
+        this.offsets = new Map();
+        this.cache = new Map();
+        this.indexObjects();
+    }
+
+    // Every "n g obj" in file order - later definitions (incremental updates) win
+    indexObjects() {
+        const text = this.bytes.toString('latin1');
+        const pattern = /(?:^|[\r\n\s])(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            this.offsets.set(Number(match[1]), match.index + match[0].length);
+        }
+
+        // Objects packed inside object streams
+        for (const num of [...this.offsets.keys()]) {
+            const object = this.readObjectAt(this.offsets.get(num));
+            if (object?.dict?.Type?.name === 'ObjStm') {
+                this.indexObjectStream(object);
+            }
+        }
+    }
+
+    indexObjectStream(stream) {
+        const data = this.streamData(stream);
+        const first = this.resolve(stream.dict.First);
+        const lexer = new PDFLexer(data);
+        const count = this.resolve(stream.dict.N);
+
+        for (let i = 0; i < count; i++) {
+            const num = lexer.next();
+            const offset = lexer.next();
+            if (!this.offsets.has(num) || typeof this.offsets.get(num) !== 'number') {
+                this.offsets.set(num, { data, offset: first + offset });
+            }
+        }
+    }
+
+    readObjectAt(offset) {
+        const lexer = new PDFLexer(this.bytes, offset);
+        const value = lexer.next();
+        if (value === null || typeof value !== 'object' || value instanceof PDFName || Buffer.isBuffer(value) || Array.isArray(value)) {
+            return value;
+        }
+
+        // A dictionary followed by "stream" is a stream object
+        const saved = lexer.pos;
+        const keyword = lexer.next();
+        if (keyword?.op === 'stream') {
+            let start = lexer.pos;
+            if (this.bytes[start] === 0x0d) start++;
+            if (this.bytes[start] === 0x0a) start++;
+            const length = typeof value.Length === 'number' ? value.Length : null;
+            const end = length !== null && this.bytes.toString('latin1', start + length, start + length + 30).includes('endstream')
+                ? start + length
+                : this.bytes.indexOf('endstream', start, 'latin1');
+            return { dict: value, raw: this.bytes.subarray(start, end) };
+        }
+        lexer.pos = saved;
+        return value;
+    }
+
+    object(num) {
+        if (this.cache.has(num)) return this.cache.get(num);
+
+        const location = this.offsets.get(num);
+        let value = null;
+        if (typeof location === 'number') {
+            value = this.readObjectAt(location);
+        } else if (location) {
+            value = new PDFLexer(location.data, location.offset).next();
+        }
+
+        this.cache.set(num, value);
+        return value;
+    }
+
+    resolve(value) {
+        let resolved = value;
+        for (let depth = 0; resolved instanceof PDFRef && depth < 32; depth++) {
+            resolved = this.object(resolved.num);
+        }
+        return resolved;
+    }
+
+    streamData(stream) {
+        const filters = [this.resolve(stream.dict.Filter)].flat().filter(Boolean).map(filter => this.resolve(filter).name);
+        let data = stream.raw;
+
+        for (const filter of filters) {
+            if (filter === 'FlateDecode') {
+                try {
+                    data = zlib.inflateSync(data);
+                } catch (error) {
+                    // Some writers leave trailing bytes after the compressed data
+                    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+                }
+            } else {
+                throw new Error(`Unsupported PDF stream filter: ${filter}`);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Page dictionaries in reading order, each with its inherited resources
+     */
+    pages() {
+        const trailerRoot = this.findRoot();
+        const catalog = this.resolve(trailerRoot);
+        const pages = [];
+
+        const walk = (node, inherited) => {
+            const dict = this.resolve(node);
+            if (!dict) return;
+            const resources = dict.Resources ? this.resolve(dict.Resources) : inherited;
+            if (dict.Type?.name === 'Pages' || dict.Kids) {
+                for (const kid of this.resolve(dict.Kids) || []) walk(kid, resources);
+            } else {
+                pages.push({ ...dict, Resources: resources });
+            }
+        };
+
+        walk(catalog.Pages, null);
+        return pages;
+    }
+
+    findRoot() {
+        for (const num of [...this.offsets.keys()].sort((a, b) => a - b)) {
+            const value = this.object(num);
+            const dict = value?.dict || value;
+            if (dict?.Type?.name === 'Catalog') return new PDFRef(num, 0);
+            if (dict?.Root instanceof PDFRef && this.resolve(dict.Root)?.Type?.name === 'Catalog') return dict.Root;
+        }
+        throw new Error('Invalid PDF: no document catalog');
+    }
+}
+
+// ToUnicode CMap: { map: code -> text, codeLength } - codeLength is what the
+// codespace declares, which only composite (Type0) fonts use
+function parseToUnicode(data) {
+    const text = data.toString('latin1');
+    const map = new Map();
+    let codeLength = 1;
+
+    const hexToText = hex => {
+        const bytes = Buffer.from(hex.padStart(Math.ceil(hex.length / 4) * 4, '0'), 'hex');
+        let out = '';
+        for (let i = 0; i + 1 < bytes.length; i += 2) out += String.fromCharCode(bytes.readUInt16BE(i));
+        return out;
+    };
+
+    for (const [, body] of text.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+        const first = body.match(/<([0-9a-f]+)>/i);
+        if (first) codeLength = first[1].length / 2;
+    }
+    for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, code, unicode] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(parseInt(code, 16), hexToText(unicode));
+        }
+    }
+    for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, lo, hi, target] of body.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(<[0-9a-f]*>|\[[^\]]*\])/gi)) {
+            const start = parseInt(lo, 16);
+            const end = parseInt(hi, 16);
+            const targets = target.startsWith('[') ? [...target.matchAll(/<([0-9a-f]*)>/gi)].map(m => m[1]) : null;
+            for (let code = start; code <= end && code - start < 65536; code++) {
+                if (targets) {
+                    map.set(code, hexToText(targets[code - start] || ''));
+                } else {
+                    const base = target.slice(1, -1);
+                    const value = (parseInt(base.slice(-4) || '0', 16) + code - start).toString(16).padStart(4, '0');
+                    map.set(code, hexToText(base.slice(0, -4) + value));
+                }
+            }
+        }
+    }
+
+    return { map, codeLength };
+}
+
+/**
+ * A font's { decode(bytes) -> text, codes(bytes) -> [code], width(code) } -
+ * widths in text space units (1/1000 em)
+ */
+function fontInfo(doc, font) {
+    const dict = doc.resolve(font) || {};
+    const composite = dict.Subtype?.name === 'Type0';
+    const toUnicode = doc.resolve(dict.ToUnicode);
+    const cmap = toUnicode?.raw ? parseToUnicode(doc.streamData(toUnicode)) : null;
+    // Simple fonts always use one-byte codes, whatever a CMap's codespace says
+    const codeLength = composite ? (cmap?.codeLength || 2) : 1;
+
+    const differences = {};
+    const encoding = doc.resolve(dict.Encoding);
+    if (encoding && !(encoding instanceof PDFName)) {
+        let code = 0;
+        for (const entry of doc.resolve(encoding.Differences) || []) {
+            if (typeof entry === 'number') {
+                code = entry;
+            } else if (entry instanceof PDFName) {
+                const { name } = entry;
+                const uni = /^uni([0-9A-F]{4})$/.exec(name);
+                differences[code++] = GLYPH_NAMES[name] ?? (name.length === 1 ? name : uni ? String.fromCharCode(parseInt(uni[1], 16)) : '');
+            }
+        }
+    }
+
+    const widths = new Map();
+    let defaultWidth = 500;
+    if (composite) {
+        const descendant = doc.resolve(doc.resolve(dict.DescendantFonts)?.[0]) || {};
+        defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+        const w = (doc.resolve(descendant.W) || []).map(entry => doc.resolve(entry));
+        for (let k = 0; k < w.length;) {
+            const first = w[k];
+            const next = w[k + 1];
+            if (Array.isArray(next)) {
+                next.forEach((width, n) => widths.set(first + n, doc.resolve(width)));
+                k += 2;
+            } else {
+                for (let code = first; code <= next; code++) widths.set(code, w[k + 2]);
+                k += 3;
+            }
+        }
+    } else {
+        const firstChar = doc.resolve(dict.FirstChar) ?? 0;
+        (doc.resolve(dict.Widths) || []).forEach((width, n) => widths.set(firstChar + n, doc.resolve(width)));
+        const missing = doc.resolve(doc.resolve(dict.FontDescriptor)?.MissingWidth);
+        if (missing) defaultWidth = missing;
+    }
+
+    const codes = bytes => {
+        const out = [];
+        for (let i = 0; i + codeLength <= bytes.length; i += codeLength) out.push(bytes.readUIntBE(i, codeLength));
+        return out;
+    };
+    const char = code => cmap?.map.get(code) ??
+        (codeLength === 1 ? differences[code] ?? WIN_ANSI_EXTRAS[code] ?? String.fromCharCode(code) : '');
+
+    return {
+        codeLength,
+        codes,
+        char,
+        decode: bytes => codes(bytes).map(char).join(''),
+        width: code => {
+            const width = widths.get(code);
+            return typeof width === 'number' ? width : defaultWidth;
+        }
+    };
+}
+
+function multiply(a, b) {
+    return [
+        a[0] * b[0] + a[1] * b[2], a[0] * b[1] + a[1] * b[3],
+        a[2] * b[0] + a[3] * b[2], a[2] * b[1] + a[3] * b[3],
+        a[4] * b[0] + a[5] * b[2] + b[4], a[4] * b[1] + a[5] * b[3] + b[5]
+    ];
+}
+
+/**
+ * Text runs on one page: [{ x, y, size, width, text }] in drawing order, in
+ * page coordinates (y up)
+ */
+function pageRuns(doc, page) {
+    const fonts = doc.resolve(page.Resources?.Font) || {};
+    const infos = new Map();
+    const fontFor = name => {
+        if (!infos.has(name)) infos.set(name, fontInfo(doc, fonts[name]));
+        return infos.get(name);
+    };
+
+    const contents = [doc.resolve(page.Contents)].flat().filter(Boolean)
+        .map(content => doc.resolve(content))
+        .filter(content => content?.raw)
+        .map(content => doc.streamData(content));
+    const lexer = new PDFLexer(Buffer.concat(contents.flatMap(data => [data, Buffer.from('\n')])));
+
+    const identity = [1, 0, 0, 1, 0, 0];
+    const runs = [];
+    const stack = [];
+    let ctm = identity;
+    let tm = identity;
+    let tlm = identity;
+    const state = { font: null, size: 0, leading: 0, charSpacing: 0, wordSpacing: 0, scale: 1 };
+    let operands = [];
+
+    const translate = tx => {
+        tm = multiply([1, 0, 0, 1, tx, 0], tm);
+    };
+    const show = bytes => {
+        if (!Buffer.isBuffer(bytes) || !state.font) return;
+        const font = fontFor(state.font);
+        const start = multiply(tm, ctm);
+        let text = '';
+        let advance = 0;
+
+        for (const code of font.codes(bytes)) {
+            const char = font.char(code);
+            text += char;
+            const spacing = state.charSpacing + (font.codeLength === 1 && code === 32 ? state.wordSpacing : 0);
+            advance += (font.width(code) / 1000 * state.size + spacing) * state.scale;
+        }
+        translate(advance);
+
+        if (text) {
+            const end = multiply(tm, ctm);
+            const size = Math.abs(state.size * Math.hypot(start[2], start[3]));
+            runs.push({ x: start[4], y: start[5], size, width: end[4] - start[4], text });
+        }
+    };
+    const moveLine = (tx, ty) => {
+        tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+        tm = tlm;
+    };
+
+    for (let token = lexer.next(); token !== null; token = lexer.next()) {
+        if (!token?.op || token.op === ']' || token.op === '>') {
+            if (!token?.op) operands.push(token);
+            continue;
+        }
+
+        const args = operands;
+        operands = [];
+        switch (token.op) {
+            case 'q': stack.push(ctm); break;
+            case 'Q': ctm = stack.pop() || identity; break;
+            case 'cm': ctm = multiply(args.slice(-6), ctm); break;
+            case 'BT': tm = tlm = identity; break;
+            case 'Tf': state.font = args[0]?.name; state.size = args[1] || 0; break;
+            case 'TL': state.leading = args[0] || 0; break;
+            case 'Tc': state.charSpacing = args[0] || 0; break;
+            case 'Tw': state.wordSpacing = args[0] || 0; break;
+            case 'Tz': state.scale = (args[0] ?? 100) / 100; break;
+            case 'Td': moveLine(args[0], args[1]); break;
+            case 'TD': state.leading = -args[1]; moveLine(args[0], args[1]); break;
+            case 'Tm': tm = tlm = args.slice(-6); break;
+            case 'T*': moveLine(0, -state.leading); break;
+            case 'Tj': show(args[0]); break;
+            case '\'': moveLine(0, -state.leading); show(args[0]); break;
+            case '"':
+                state.wordSpacing = args[0];
+                state.charSpacing = args[1];
+                moveLine(0, -state.leading);
+                show(args[2]);
+                break;
+            case 'TJ':
+                for (const part of args[0] || []) {
+                    if (typeof part === 'number') {
+                        translate(-part / 1000 * state.size * state.scale);
+                    } else {
+                        show(part);
+                    }
+                }
+                break;
+            case 'BI': {
+                // Skip inline image data up to EI
+                const end = lexer.bytes.indexOf('EI', lexer.pos, 'latin1');
+                lexer.pos = end < 0 ? lexer.bytes.length : end + 2;
+                break;
+            }
+            default: break;
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Group a page's runs into lines, top to bottom, each line's runs left to right
+ */
+function groupLines(runs) {
+    const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const run of sorted) {
+        const line = lines[lines.length - 1];
+        const tolerance = Math.max(2, Math.min(run.size, line?.size || run.size) * 0.4);
+        if (line && Math.abs(line.y - run.y) <= tolerance) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, size: run.size, runs: [run] });
+        }
+    }
+
+    lines.forEach(line => line.runs.sort((a, b) => a.x - b.x));
+    return lines;
+}
+
+/**
+ * The text of runs on one line, left to right
+ */
+function joinRuns(runs) {
+    let text = '';
+    let lastEnd = null;
+    for (const run of runs) {
+        // A visible gap between runs is a space (or a column break)
+        const gap = lastEnd === null ? 0 : run.x - lastEnd;
+        if (text && gap > run.size * 0.2 && !/\s$/.test(text) && !/^\s/.test(run.text)) text += ' ';
+        text += run.text;
+        lastEnd = run.x + run.width;
+    }
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Group a page's runs into lines of text, top to bottom, left to right
+ */
+function runsToLines(runs) {
+    return groupLines(runs).map(line => joinRuns(line.runs)).filter(Boolean);
+}
+
+/**
+ * The text of a PDF: [{ page (1-based), lines: [string] }]
+ */
+function extractPages(bytes) {
+    const doc = new PDFDocument(bytes);
+    return doc.pages().map((page, index) => ({ page: index + 1, lines: runsToLines(pageRuns(doc, page)) }));
+}
+
+// US Letter, for a page that doesn't say
+const DEFAULT_MEDIA_BOX = Object.freeze([0, 0, 612, 792]);
+
+// A gap this many times the type size splits a line into columns
+const COLUMN_GAP = 1.5;
+
+/**
+ * A line's runs as the stretches of text between column gaps
+ */
+function lineSegments(line) {
+    const segments = [];
+    for (const run of line.runs) {
+        const segment = segments[segments.length - 1];
+        const end = segment && segment.runs[segment.runs.length - 1];
+        if (end && run.x - (end.x + end.width) <= run.size * COLUMN_GAP) {
+            segment.runs.push(run);
+        } else {
+            segments.push({ runs: [run] });
+        }
+    }
+
+    return segments
+        .map(({ runs }) => {
+            const last = runs[runs.length - 1];
+            return { x: runs[0].x, y: line.y, size: line.size, width: last.x + last.width - runs[0].x, text: joinRuns(runs) };
+        })
+        .filter(segment => segment.text);
+}
+
+/**
+ * Where the text of one page (1-based) is drawn, for showing the page beside
+ * what was read from it: { page, pages, width, height, lines: [{ x, y, size,
+ * width, text }] } in PDF units with y measured up from the bottom - a line
+ * with columns is one entry per column
+ */
+function pageLayout(bytes, pageNumber) {
+    const doc = new PDFDocument(bytes);
+    const pages = doc.pages();
+    const page = pages[pageNumber - 1];
+    if (!page) {
+        throw new Error(`Invalid page: ${pageNumber} (the PDF has ${pages.length})`);
+    }
+
+    const [left, bottom, right, top] = (doc.resolve(page.MediaBox) || DEFAULT_MEDIA_BOX).map(Number);
+    return {
+        page: pageNumber,
+        pages: pages.length,
+        width: right - left,
+        height: top - bottom,
+        lines: groupLines(pageRuns(doc, page))
+            .flatMap(lineSegments)
+            .map(segment => ({ ...segment, x: segment.x - left, y: segment.y - bottom }))
+    };
+}
+
+export { extractPages, pageLayout, PDFDocument, PDFLexer, parseToUnicode, pageRuns };
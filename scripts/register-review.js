@@ -0,0 +1,275 @@
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Register Review
+ *
+ * The review queue behind review.html (scripts/review-server.js). Each field
+ * is one of the nine categories of one Dáil or Seanad member's entry in
+ * data/register-staging.json. A reviewer approves it as read, edits its items
+ * or rejects it; the decision is kept in the entry's review with their
+ * initials and the date, and survives a re-run of the ingestion as long as
+ * the entry reads the same.
+ *
+ * Of those, the land (4) and property supplied (6) fields of Dáil members are
+ * what feeds the dashboard. What reviewers have approved or edited there is
+ * written into the TD's record in
+ * data/property-data.json as register_interests - the member's latest period
+ * with the reviewed supplements applied (register-positions.js) - and each
+ * field it came from is listed in the record's provenance. Rejected and
+ * pending fields are left out. The file is edited one record at a time, so
+ * the rest of its hand-kept formatting is untouched.
+ */
+
+import { PROPERTY_CATEGORIES, mergePositions, memberSlug } from '../register-positions.js';
+
+const DECISIONS = Object.freeze(['approved', 'edited', 'rejected']);
+
+// Reviewer initials: two to four letters
+const INITIALS = /^[A-Z]{2,4}$/;
+
+// Longest line of scalars kept on one line when a record is written out
+const INLINE_WIDTH = 140;
+
+function sourceFile(sources, entry) {
+    return sources.find(source => source.id === entry.document)?.file || null;
+}
+
+function field(entry, { number, key: category, label }, sources) {
+    const declaration = entry.categories[category];
+    const review = entry.review?.fields?.[category] || null;
+    return {
+        entry: entry.id,
+        category,
+        label: `${number}. ${label}`,
+        chamber: entry.chamber,
+        member: entry.member,
+        kind: entry.kind,
+        periods: entry.periods,
+        document: entry.document,
+        file: sourceFile(sources, entry),
+        pages: declaration.pages.length > 0 ? declaration.pages : entry.pages,
+        nil: declaration.nil,
+        text: declaration.text,
+        items: declaration.items,
+        note: declaration.note || null,
+        review
+    };
+}
+
+/**
+ * Every field of the staging file, Dáil and Seanad, in entry order and the
+ * Register's category order: [{ entry, category, label, chamber, member, kind,
+ * periods, document, file (the PDF), pages, nil, text, items, note, review }] -
+ * review is null until decided
+ */
+function reviewQueue(staging) {
+    return staging.entries.flatMap(entry => staging.metadata.categories
+        .filter(category => entry.categories[category.key])
+        .map(category => field(entry, category, staging.metadata.sources)));
+}
+
+/**
+ * An entry's review status from its fields: pending until every category it
+ * has has a decision, then rejected (all rejected), edited (any edited) or
+ * approved
+ */
+function entryStatus(entry) {
+    const decisions = Object.keys(entry.categories)
+        .map(category => entry.review?.fields?.[category]?.decision);
+
+    if (decisions.length === 0 || decisions.some(decision => !decision)) return 'pending';
+    if (decisions.every(decision => decision === 'rejected')) return 'rejected';
+    return decisions.includes('edited') ? 'edited' : 'approved';
+}
+
+/**
+ * Record a reviewer's decision on one field. decision: { entry, category,
+ * decision: 'approved' | 'edited' | 'rejected', items (the corrected item
+ * texts, for edited), reviewer (initials), date (YYYY-MM-DD) }. Returns the
+ * updated entry; throws on anything it can't record.
+ */
+function recordDecision(staging, { entry: id, category, decision, items, reviewer, date }) {
+    const entry = staging.entries.find(candidate => candidate.id === id);
+    if (!entry) {
+        throw new Error(`Invalid review: no staged entry "${id}"`);
+    }
+    if (!Object.hasOwn(entry.categories, category)) {
+        throw new Error(`Invalid review: "${id}" has no ${category} field to review`);
+    }
+    if (!DECISIONS.includes(decision)) {
+        throw new Error(`Invalid review: decision must be one of ${DECISIONS.join(', ')}`);
+    }
+    const initials = String(reviewer || '').trim().toUpperCase();
+    if (!INITIALS.test(initials)) {
+        throw new Error('Invalid review: reviewer initials (2-4 letters) are required');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        throw new Error('Invalid review: review date is required');
+    }
+
+    const recorded = { decision, reviewer: initials, reviewed_at: date };
+    if (decision === 'edited') {
+        const edited = (Array.isArray(items) ? items : []).map(text => String(text).trim()).filter(Boolean);
+        recorded.items = edited;
+    }
+
+    const fields = { ...entry.review?.fields, [category]: recorded };
+    entry.review = { status: 'pending', fields };
+    entry.review.status = entryStatus(entry);
+    return entry;
+}
+
+/**
+ * A member's entries as reviewed: each property category approved as read or
+ * with its edited items, anything else - the other categories included - left
+ * out
+ */
+function reviewedEntries(entries) {
+    return entries
+        .map(entry => {
+            const categories = {};
+            for (const category of PROPERTY_CATEGORIES) {
+                const declaration = entry.categories[category];
+                const review = entry.review?.fields?.[category];
+                if (!declaration || !review || review.decision === 'rejected') continue;
+
+                if (review.decision === 'edited') {
+                    const page = declaration.items[0]?.page || declaration.pages[0] || entry.pages[0];
+                    categories[category] = {
+                        ...declaration,
+                        nil: review.items.length === 0,
+                        text: review.items.join('; ') || 'Nil',
+                        items: review.items.map(text => ({ text, page }))
+                    };
+                } else {
+                    categories[category] = declaration;
+                }
+            }
+            return { ...entry, categories };
+        })
+        .filter(entry => Object.keys(entry.categories).length > 0);
+}
+
+/**
+ * Who reviewed what went into a record: [{ entry, category, file, pages,
+ * decision, reviewer, reviewed_at }]
+ */
+function provenance(entries, sources) {
+    return entries.flatMap(entry => Object.keys(entry.categories).map(category => {
+        const review = entry.review.fields[category];
+        return {
+            entry: entry.id,
+            category,
+            file: sourceFile(sources, entry),
+            pages: entry.categories[category].pages.length > 0 ? entry.categories[category].pages : entry.pages,
+            decision: review.decision,
+            reviewer: review.reviewer,
+            reviewed_at: review.reviewed_at
+        };
+    }));
+}
+
+/**
+ * A TD's property-data record with their reviewed register interests. member:
+ * the staged member's name; record: their current record, or null for a TD not
+ * in property-data.json yet; td: their complete-td-database.json record, for
+ * the fields a new record needs. With nothing of theirs approved, the record
+ * is returned without register interests (null for a TD not in the file).
+ */
+function reviewedRecord(staging, member, record, td) {
+    const { sources } = staging.metadata;
+    const slug = memberSlug(member);
+    const entries = reviewedEntries(staging.entries
+        .filter(entry => entry.chamber === 'dail' && memberSlug(entry.member.name) === slug));
+
+    if (entries.length === 0) {
+        if (!record) return null;
+        const { register_interests: interests, provenance: reviewed, ...rest } = record;
+        return rest;
+    }
+
+    const latest = mergePositions(entries, sources).reduce((a, b) => (b.period > a.period ? b : a));
+    const used = entries.filter(entry => entry.periods.includes(latest.period));
+    const items = category => (latest.categories[category]?.items || []).map(item => ({ text: item.text, page: item.page, entry: item.entry }));
+
+    const base = record ? { ...record } : {
+        landlord_status: td.properties.landlord_status,
+        property_count: td.properties.property_count,
+        rental_properties: td.properties.rental_properties,
+        party: td.party,
+        constituency: td.constituency
+    };
+
+    return {
+        ...base,
+        register_interests: {
+            period: latest.period,
+            as_of: latest.as_of,
+            land: items('land'),
+            property_supplied: items('property_supplied')
+        },
+        provenance: provenance(used, sources)
+    };
+}
+
+/**
+ * JSON the way the hand-kept data files are laid out: two-space indents, with
+ * arrays of plain values on one line while they fit
+ */
+function formatJSON(value, indent = '', prefix = 0) {
+    const inner = `${indent}  `;
+    if (Array.isArray(value)) {
+        const line = `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+        if (value.every(item => item === null || typeof item !== 'object') && prefix + line.length <= INLINE_WIDTH) return line;
+        return `[\n${value.map(item => inner + formatJSON(item, inner, inner.length)).join(',\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        return `{\n${entries.map(([key, item]) => {
+            const start = `${inner}${JSON.stringify(key)}: `;
+            return start + formatJSON(item, inner, start.length);
+        }).join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * The text of data/property-data.json with one TD's record replaced, or added
+ * at the end of tds - every other line is left as it was
+ */
+function replaceRecord(text, name, record) {
+    const lines = text.split('\n');
+    const empty = lines.findIndex(line => /^ {2}"tds": \{\},?$/.test(line));
+    if (empty !== -1) {
+        lines.splice(empty, 1, '  "tds": {', `  }${lines[empty].endsWith(',') ? ',' : ''}`);
+    }
+    const tdsStart = lines.findIndex(line => line === '  "tds": {');
+    const tdsEnd = lines.findIndex((line, i) => i > tdsStart && /^ {2}\}/.test(line));
+    if (tdsStart === -1 || tdsEnd === -1) {
+        throw new Error('Invalid property data: no tds object');
+    }
+
+    const formatted = `    ${JSON.stringify(name)}: ${formatJSON(record, '    ', 6 + JSON.stringify(name).length)}`;
+    const start = lines.findIndex((line, i) => i > tdsStart && i < tdsEnd && line === `    ${JSON.stringify(name)}: {`);
+
+    if (start !== -1) {
+        const end = lines.findIndex((line, i) => i > start && /^ {4}\}/.test(line));
+        const comma = lines[end].endsWith(',') ? ',' : '';
+        lines.splice(start, end - start + 1, ...`${formatted}${comma}`.split('\n'));
+    } else {
+        const last = tdsEnd - 1;
+        if (lines[last] !== '  "tds": {') lines[last] = `${lines[last]},`;
+        lines.splice(tdsEnd, 0, ...formatted.split('\n'));
+    }
+    return lines.join('\n');
+}
+
+export {
+    DECISIONS,
+    reviewQueue,
+    entryStatus,
+    recordDecision,
+    reviewedEntries,
+    reviewedRecord,
+    formatJSON,
+    replaceRecord
+};
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Member Resolution Script
+ *
+ * Matches the people named in the other data sources to TDs in
+ * complete-td-database.json and their Oireachtas member_code
+ * (member-resolver.js), and writes every match with its confidence to
+ * data/member-resolution.json:
+ *
+ *   register    each Dáil member in data/register-staging.json
+ *   voting      each TD in data/voting-records-2024.json
+ *   electoral   the last elected TD and runner-up per constituency in
+ *               data/electoral-margins.json
+ *
+ *   node scripts/resolve-members.js
+ *
+ * Records that were not matched with confidence are listed for manual review.
+ * A reviewer who confirms one adds the name as printed to data/td-aliases.json;
+ * one with no candidate at all is usually a TD not yet in the database, or a
+ * runner-up who was never elected.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DataLoader, fsBackend } from '../data-loader.js';
+import { MemberResolver, MATCHED_CONFIDENCE, PROBABLE_CONFIDENCE } from '../member-resolver.js';
+import { memberKey } from '../register-history.js';
+import { fileUpdated } from '../data-quality.js';
+import { STAGING_FILE } from './ingest-register.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RESOLUTION_FILE = 'data/member-resolution.json';
+
+const SOURCES = Object.freeze({
+    tds: 'complete-td-database.json',
+    aliases: 'data/td-aliases.json',
+    register: STAGING_FILE,
+    voting: 'data/voting-records-2024.json',
+    electoral: 'data/electoral-margins.json'
+});
+
+// Colors for console output
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = colors.reset) {
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function success(message) {
+    log(`✅ ${message}`, colors.green);
+}
+
+function warning(message) {
+    log(`⚠️  ${message}`, colors.yellow);
+}
+
+/**
+ * The Dáil members of the staging file, once each however many registers and
+ * supplements name them, with the surname and forename as printed where a
+ * register gives them
+ */
+function registerRecords(staging) {
+    const members = new Map();
+    for (const entry of staging.entries.filter(candidate => candidate.chamber === 'dail')) {
+        const id = memberKey(entry.chamber, entry.member.name);
+        const known = members.get(id);
+        // A register header says more than a supplement's "Name of Member concerned"
+        if (!known || (!known.surname && entry.member.surname)) {
+            members.set(id, {
+                source: 'register',
+                id,
+                name: entry.member.name,
+                surname: entry.member.surname || null,
+                forename: entry.member.forename || null,
+                constituency: entry.member.constituency || known?.constituency || null
+            });
+        }
+    }
+    return [...members.values()];
+}
+
+function votingRecords(voting) {
+    return Object.entries(voting.tds).map(([key, td]) => ({
+        source: 'voting',
+        id: key,
+        name: td.name || key,
+        constituency: td.constituency || null
+    }));
+}
+
+function electoralRecords(electoral) {
+    return Object.entries(electoral.constituencies).flatMap(([constituency, result]) =>
+        ['last_elected_td', 'runner_up']
+            .filter(role => result[role])
+            .map(role => ({ source: 'electoral', id: `${constituency}/${role}`, name: result[role], constituency })));
+}
+
+/**
+ * data/member-resolution.json from the loaded sources ({ tds, aliases,
+ * register, voting, electoral }, the files in SOURCES)
+ */
+function buildResolution(data) {
+    const resolver = new MemberResolver(data.tds.tds, data.aliases.tds);
+    const records = [
+        ...registerRecords(data.register),
+        ...votingRecords(data.voting),
+        ...electoralRecords(data.electoral)
+    ].map(record => {
+        const { surname, forename, ...printed } = record;
+        const { name: td, ...match } = resolver.resolve(record);
+        return { ...printed, td, ...match };
+    });
+
+    const counts = { matched: 0, probable: 0, ambiguous: 0, unmatched: 0 };
+    records.forEach(record => counts[record.status]++);
+
+    const compiled = [
+        ...['tds', 'aliases', 'voting', 'electoral'].map(key => fileUpdated(data[key])),
+        data.register.metadata.generated_at
+    ].filter(Boolean).sort().pop() || null;
+
+    return {
+        metadata: {
+            version: '1.0',
+            compiled_at: compiled,
+            generated_by: 'scripts/resolve-members.js',
+            description: 'Names in the register, voting and electoral data matched to TDs and their Oireachtas member codes, with confidence scores',
+            sources: Object.values(SOURCES),
+            thresholds: { matched: MATCHED_CONFIDENCE, probable: PROBABLE_CONFIDENCE },
+            counts,
+            verification_status: 'AUTOMATED_MATCHING'
+        },
+        records,
+        review: records
+            .filter(record => record.status !== 'matched')
+            .map(record => ({ source: record.source, id: record.id, status: record.status }))
+    };
+}
+
+/**
+ * The records that need a person to look at them, as report lines
+ */
+function reviewReport(resolution) {
+    const byId = new Map(resolution.records.map(record => [`${record.source}:${record.id}`, record]));
+    return resolution.review.map(({ source, id }) => {
+        const record = byId.get(`${source}:${id}`);
+        const where = record.constituency ? ` (${record.constituency})` : '';
+        const candidates = record.candidates.length > 0
+            ? record.candidates.map(candidate => `${candidate.name} ${candidate.confidence}`).join(', ')
+            : 'no TD with that surname in the database';
+        return `[${source}] ${record.name}${where} - ${record.status}: ${candidates}`;
+    });
+}
+
+async function runResolve() {
+    const loader = new DataLoader(fsBackend({ root: ROOT }));
+    const data = Object.fromEntries(await Promise.all(Object.entries(SOURCES)
+        .map(async ([key, file]) => [key, await loader.json(file)])));
+
+    const resolution = buildResolution(data);
+    fs.writeFileSync(path.join(ROOT, RESOLUTION_FILE), JSON.stringify(resolution, null, 2) + '\n');
+
+    const { counts } = resolution.metadata;
+    success(`${RESOLUTION_FILE}: ${resolution.records.length} records - ${counts.matched} matched, ${counts.probable} probable, ${counts.ambiguous} ambiguous, ${counts.unmatched} unmatched`);
+
+    const report = reviewReport(resolution);
+    if (report.length > 0) {
+        warning(`${report.length} records for manual review (confirm a match by adding the name to data/td-aliases.json):`);
+        report.forEach(line => log(`   ${line}`));
+    }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await runResolve();
+}
+
+export {
+    RESOLUTION_FILE,
+    SOURCES,
+    registerRecords,
+    buildResolution,
+    reviewReport,
+    runResolve
+};
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+/**
+ * 🇮🇪 Irish Democratic Accountability Dashboard - Register Review Server
+ *
+ * Serves review.html on this machine only, for maintainers checking what
+ * scripts/ingest-register.js read from the Register of Members' Interests
+ * before any of it is published:
+ *
+ *   node scripts/review-server.js [--port 8090]
+ *
+ * The page lists every field of data/register-staging.json - all nine
+ * categories, Dáil and Seanad - beside an image of the PDF page it was read
+ * from, rendered in the browser by pdf.js (the pdfjs-dist package, served
+ * from node_modules - run npm install first), with the lines it was read from
+ * marked from the PDF's own text positions (scripts/pdf-text.js) and a link to
+ * open the original. Each decision is written straight back to the staging file
+ * with the reviewer's initials and the date, and what is approved or edited
+ * of a TD's land and property goes into their record in
+ * data/property-data.json (register-review.js).
+ * Decisions are taken one at a time, each reading what the one before wrote,
+ * and each file is replaced whole by renaming a finished copy over it.
+ * Regenerate the checksums and the precache list before committing the data.
+ *
+ * Only requests addressed to 127.0.0.1 or localhost on the server's port are
+ * answered, and a decision is only taken as JSON from the review page itself
+ * (its own Origin), so another site open in the browser can neither post one
+ * nor read the queue through a rebound DNS name.
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DataLoader, fsBackend } from '../data-loader.js';
+import { MemberResolver } from '../member-resolver.js';
+import { parseAndValidate, schemaFor } from '../schema-validator.js';
+import { STAGING_FILE } from './ingest-register.js';
+import { pageLayout } from './pdf-text.js';
+import { PROPERTY_CATEGORIES } from '../register-positions.js';
+import { reviewQueue, recordDecision, reviewedRecord, replaceRecord } from './register-review.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const REVIEW_PAGE = 'review.html';
+const PROPERTY_FILE = 'data/property-data.json';
+const TD_FILE = 'complete-td-database.json';
+const ALIASES_FILE = 'data/td-aliases.json';
+const DEFAULT_PORT = 8090;
+
+// Largest review request body accepted
+const MAX_BODY = 64 * 1024;
+
+// pdf.js, which draws the page images: its module and worker, and the fonts
+// for PDFs that name a standard font without embedding it (the registers do)
+const PDFJS_PATH = /^\/vendor\/pdfjs\/(build\/pdf(?:\.worker)?\.min\.mjs|standard_fonts\/[\w-]+\.(?:pfb|ttf))$/;
+const PDFJS_TYPES = { '.mjs': 'text/javascript; charset=utf-8', '.pfb': 'application/octet-stream', '.ttf': 'font/ttf' };
+
+const require = createRequire(import.meta.url);
+
+// Colors for console output
+const colors = {
+    green: '\x1b[32m',
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    reset: '\x1b[0m'
+};
+
+function log(message, color = colors.reset) {
+    console.log(`${color}${message}${colors.reset}`);
+}
+
+function success(message) {
+    log(`✅ ${message}`, colors.green);
+}
+
+function warning(message) {
+    log(`⚠️  ${message}`, colors.yellow);
+}
+
+function error(message) {
+    log(`❌ ${message}`, colors.red);
+}
+
+class RequestError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+    }
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * Refuse a request not addressed to this server by its loopback name, and a
+ * decision that is not JSON from the review page's own origin
+ */
+function checkRequest(request) {
+    const port = request.socket.localPort;
+    const host = request.headers.host;
+    if (host !== `127.0.0.1:${port}` && host !== `localhost:${port}`) {
+        throw new RequestError(403, `Not a local review request: Host ${host || '(none)'}`);
+    }
+    if (request.method !== 'POST') return;
+
+    const type = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        throw new RequestError(415, 'Review requests must be application/json');
+    }
+    if (request.headers.origin !== `http://${host}`) {
+        throw new RequestError(403, `Not from the review page: Origin ${request.headers.origin || '(none)'}`);
+    }
+}
+
+// Replace a file by renaming a complete copy over it, so a reader never sees
+// half of it
+function writeFileAtomic(file, text) {
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, text);
+    fs.renameSync(temp, file);
+}
+
+function pdfjsFile(pathname) {
+    try {
+        return fs.readFileSync(require.resolve(`pdfjs-dist/${pathname.match(PDFJS_PATH)[1]}`));
+    } catch {
+        throw new RequestError(404, 'pdf.js is not installed - run npm install');
+    }
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reject(new RequestError(413, 'Review request too large'));
+                request.destroy();
+            }
+        });
+        request.on('end', () => resolve(body));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * The review server. root: the repo to review in (the checkout this script is
+ * in by default); today: the review date to record, as YYYY-MM-DD.
+ */
+function createReviewServer({ root = ROOT, today = () => new Date().toISOString().slice(0, 10) } = {}) {
+    const loader = new DataLoader(fsBackend({ root }));
+    const schemas = new Map();
+    let reviews = Promise.resolve();
+
+    async function schema(file) {
+        if (!schemas.has(file)) schemas.set(file, await loader.json(schemaFor(file)));
+        return schemas.get(file);
+    }
+
+    // The PDFs the staging file was read from - the only files served besides the page
+    async function sourceFile(file) {
+        const staging = await loader.json(STAGING_FILE);
+        if (!staging.metadata.sources.some(source => source.file === file)) {
+            throw new RequestError(404, `Not a register source: ${file}`);
+        }
+        return fs.readFileSync(path.join(root, file));
+    }
+
+    async function review(body) {
+        let decision;
+        try {
+            decision = JSON.parse(body);
+        } catch {
+            throw new RequestError(400, 'Invalid review: not JSON');
+        }
+
+        const staging = await loader.json(STAGING_FILE);
+        let entry;
+        try {
+            entry = recordDecision(staging, { ...decision, date: today() });
+        } catch (problem) {
+            throw new RequestError(400, problem.message);
+        }
+
+        const [database, aliases, propertyText] = await Promise.all([
+            loader.json(TD_FILE),
+            loader.json(ALIASES_FILE),
+            loader.text(PROPERTY_FILE)
+        ]);
+        // Only a Dáil member's land and property feed the property data
+        const feeds = entry.chamber === 'dail' && PROPERTY_CATEGORIES.includes(decision.category);
+        const match = feeds ? new MemberResolver(database.tds, aliases.tds).resolve(entry.member) : null;
+        const stagingText = JSON.stringify(staging, null, 2) + '\n';
+        parseAndValidate(STAGING_FILE, stagingText, await schema(STAGING_FILE));
+
+        // The review is kept either way; the record only changes for a TD
+        // the member is matched to with confidence
+        let updated = null;
+        let text = propertyText;
+        if (match?.status === 'matched') {
+            const current = JSON.parse(propertyText).tds[match.name] || null;
+            const record = reviewedRecord(staging, entry.member.name, current, database.tds[match.name]);
+            if (record && JSON.stringify(record) !== JSON.stringify(current)) {
+                text = replaceRecord(propertyText, match.name, record);
+                parseAndValidate(PROPERTY_FILE, text, await schema(PROPERTY_FILE));
+                updated = match.name;
+            }
+        }
+
+        writeFileAtomic(path.join(root, STAGING_FILE), stagingText);
+        if (updated) {
+            writeFileAtomic(path.join(root, PROPERTY_FILE), text);
+        }
+
+        return {
+            entry: entry.id,
+            status: entry.review.status,
+            field: entry.review.fields[decision.category],
+            td: match?.status === 'matched' ? match.name : null,
+            property_data: updated ? `${PROPERTY_FILE}: ${updated} updated` : null
+        };
+    }
+
+    // Take decisions in the order they arrive, one finishing before the next
+    // reads the files
+    function queueReview(body) {
+        const result = reviews.then(() => review(body));
+        reviews = result.catch(() => {});
+        return result;
+    }
+
+    async function handle(request, response) {
+        checkRequest(request);
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'GET' && (url.pathname === '/' || url.pathname === `/${REVIEW_PAGE}`)) {
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+            response.end(await loader.text(REVIEW_PAGE));
+            return;
+        }
+        if (request.method === 'GET' && url.pathname === '/api/queue') {
+            const staging = await loader.json(STAGING_FILE);
+            sendJSON(response, 200, { generated_at: staging.metadata.generated_at, fields: reviewQueue(staging) });
+            return;
+        }
+        if (request.method === 'GET' && url.pathname === '/api/page') {
+            const bytes = await sourceFile(url.searchParams.get('file'));
+            const page = Number(url.searchParams.get('page'));
+            try {
+                sendJSON(response, 200, pageLayout(bytes, page));
+            } catch (problem) {
+                throw new RequestError(404, problem.message);
+            }
+            return;
+        }
+        if (request.method === 'GET' && PDFJS_PATH.test(url.pathname)) {
+            const bytes = pdfjsFile(url.pathname);
+            response.writeHead(200, { 'Content-Type': PDFJS_TYPES[path.extname(url.pathname)], 'Content-Length': bytes.length });
+            response.end(bytes);
+            return;
+        }
+        if (request.method === 'GET' && url.pathname.endsWith('.pdf')) {
+            const bytes = await sourceFile(decodeURIComponent(url.pathname.slice(1)));
+            response.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': bytes.length });
+            response.end(bytes);
+            return;
+        }
+        if (request.method === 'POST' && url.pathname === '/api/review') {
+            sendJSON(response, 200, await queueReview(await readBody(request)));
+            return;
+        }
+        throw new RequestError(404, `Not found: ${request.method} ${url.pathname}`);
+    }
+
+    return http.createServer((request, response) => {
+        handle(request, response).catch(problem => {
+            const status = problem instanceof RequestError ? problem.status : 500;
+            if (status === 500) error(problem.message);
+            if (!response.headersSent) sendJSON(response, status, { error: problem.message });
+        });
+    });
+}
+
+function portOption(args) {
+    const i = args.indexOf('--port');
+    const port = i === -1 ? DEFAULT_PORT : Number(args[i + 1]);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${args[i + 1]}`);
+    }
+    return port;
+}
+
+async function runReviewServer(args) {
+    const port = portOption(args);
+    const server = createReviewServer();
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    success(`Register review on http://127.0.0.1:${server.address().port}/ (Ctrl+C to stop)`);
+    warning('Decisions are written to data/ straight away - run npm run generate-checksums and npm run build:precache before committing them');
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    await runReviewServer(process.argv.slice(2));
+}
+
+export {
+    REVIEW_PAGE,
+    PROPERTY_FILE,
+    DEFAULT_PORT,
+    createReviewServer,
+    runReviewServer
+};
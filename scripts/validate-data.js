@@ -1,13 +1,27 @@
 #!/usr/bin/env node
 /**
  * 🇮🇪 Irish Democratic Accountability Dashboard - Data Validation Script
- * 
- * Validates the structure and integrity of TD database and related data files.
+ *
+ * Validates the TD database and every file in data/ against the JSON Schemas in
+ * schemas/ (the same check StaticDataManager runs in the browser), reporting
+ * each problem by line and column with the surrounding lines.
  * Used in CI/CD pipeline to ensure data quality.
+ *
+ *   node scripts/validate-data.js            check everything
+ *   node scripts/validate-data.js --repair   also write <file>.proposed.json next
+ *                                            to each broken file that can be
+ *                                            fixed safely, for review
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { schemaFor } from '../schema-validator.js';
+import { lintJSON, proposeRepair, proposedFileName } from '../data-linter.js';
+import { DataLoader, fsBackend } from '../data-loader.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
 
 // Colors for console output
 const colors = {
@@ -33,207 +47,207 @@ function warning(message) {
     log(`⚠️  ${message}`, colors.yellow);
 }
 
-// Validation functions
-function validateTDDatabase() {
-    log('\n📋 Validating TD Database...');
-    
-    try {
-        const data = JSON.parse(fs.readFileSync('complete-td-database.json', 'utf8'));
-        
-        // Count total TDs
-        let totalTDs = 0;
-        let countiesCovered = 0;
-        let constituenciesCovered = 0;
-        
-        for (const county in data) {
-            countiesCovered++;
-            for (const constituency in data[county]) {
-                constituenciesCovered++;
-                totalTDs += data[county][constituency].length;
+const REQUIRED_FILES = [
+    'index.html',
+    'complete-td-database.json',
+    'data/property-data.json',
+    'data/voting-records-2024.json',
+    'data/housing-stats.json',
+    'data/electoral-margins.json'
+];
+
+/**
+ * complete-td-database.json plus every JSON file under data/, as repo-relative paths
+ */
+function dataFiles(root = ROOT) {
+    const files = [];
+    const walk = dir => {
+        for (const entry of fs.readdirSync(path.join(root, dir), { withFileTypes: true })) {
+            const relative = `${dir}/${entry.name}`;
+            if (entry.isDirectory()) {
+                walk(relative);
+            } else if (entry.name.endsWith('.json') && !entry.name.endsWith('.proposed.json')) {
+                files.push(relative);
             }
         }
-        
-        // Validate TD count
-        if (totalTDs === 174) {
-            success(`TD count correct: ${totalTDs} TDs`);
+    };
+
+    walk('data');
+    return ['complete-td-database.json', ...files.sort()];
+}
+
+// Data files are read the way the site reads them, through a DataLoader
+function loaderFor(root) {
+    return new DataLoader(fsBackend({ root }));
+}
+
+async function readSchema(file, loader) {
+    const schemaFile = schemaFor(file);
+    return schemaFile ? loader.json(schemaFile) : null;
+}
+
+/**
+ * Lint and schema-check one file. Resolves to { file, schema, data, errors } -
+ * errors are { pointer, rule, message, line, column, snippet } and empty when the
+ * file is valid; data is null if it does not parse.
+ */
+async function validateFile(file, root = ROOT) {
+    const loader = loaderFor(root);
+    const text = await loader.text(file);
+    const { data, problems } = lintJSON(text, { file, schema: await readSchema(file, loader) });
+    return { file, schema: schemaFor(file), data, errors: problems };
+}
+
+function validateRequiredFiles(root = ROOT) {
+    log('\n📁 Validating Required Files...');
+
+    let allFilesPresent = true;
+
+    for (const file of REQUIRED_FILES) {
+        if (fs.existsSync(path.join(root, file))) {
+            success(`Found: ${file}`);
         } else {
-            error(`TD count incorrect: Expected 174, found ${totalTDs}`);
-            return false;
+            error(`Missing: ${file}`);
+            allFilesPresent = false;
         }
-        
-        success(`Counties covered: ${countiesCovered}`);
-        success(`Constituencies covered: ${constituenciesCovered}`);
-        
-        // Validate TD structure
-        let validationErrors = 0;
-        for (const county in data) {
-            for (const constituency in data[county]) {
-                for (const td of data[county][constituency]) {
-                    if (!td.name || typeof td.name !== 'string') {
-                        error(`Invalid TD name in ${constituency}: ${JSON.stringify(td)}`);
-                        validationErrors++;
-                    }
-                    if (!td.party || typeof td.party !== 'string') {
-                        error(`Invalid party for ${td.name}: ${td.party}`);
-                        validationErrors++;
-                    }
-                    if (typeof td.properties !== 'number' || td.properties < 0) {
-                        error(`Invalid property count for ${td.name}: ${td.properties}`);
-                        validationErrors++;
-                    }
-                    if (typeof td.landlord !== 'boolean') {
-                        error(`Invalid landlord status for ${td.name}: ${td.landlord}`);
-                        validationErrors++;
-                    }
-                }
-            }
+    }
+
+    return allFilesPresent;
+}
+
+async function validateSchemas(root = ROOT) {
+    log('\n📋 Validating Data Files Against Schemas...');
+
+    let allValid = true;
+
+    for (const file of dataFiles(root)) {
+        const result = await validateFile(file, root);
+
+        if (!result.schema) {
+            warning(`${file}: no schema in schemas/ - only checked that it parses`);
         }
-        
-        if (validationErrors === 0) {
-            success('TD database structure validation passed');
-            return true;
-        } else {
-            error(`TD database validation failed with ${validationErrors} errors`);
-            return false;
+
+        if (result.errors.length === 0) {
+            success(`${file}${result.schema ? ` matches ${result.schema}` : ''}`);
+            continue;
+        }
+
+        allValid = false;
+        error(`${file}: ${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}`);
+        for (const problem of result.errors) {
+            log(`   ${file}:${problem.line}:${problem.column} ${problem.pointer || '(root)'} [${problem.rule}] ${problem.message}`, colors.red);
+            log(problem.snippet.replace(/^/gm, '       '));
         }
-        
-    } catch (err) {
-        error(`Failed to validate TD database: ${err.message}`);
-        return false;
     }
+
+    return allValid;
 }
 
-function validatePropertyData() {
-    log('\n🏠 Validating Property Data...');
-    
-    try {
-        const data = JSON.parse(fs.readFileSync('data/property-data.json', 'utf8'));
-        
-        let landlordTDs = 0;
-        let totalProperties = 0;
-        let totalValue = 0;
-        
-        if (Array.isArray(data)) {
-            for (const td of data) {
-                if (td.landlord) {
-                    landlordTDs++;
-                    totalProperties += td.properties || 0;
-                    totalValue += td.value || 0;
-                }
-            }
-        } else {
-            warning('Property data format may need updating');
-        }
-        
-        success(`Landlord TDs: ${landlordTDs}`);
-        success(`Total properties: ${totalProperties}`);
-        success(`Total estimated value: €${(totalValue / 1000000).toFixed(1)}M`);
-        
-        return true;
-        
-    } catch (err) {
-        error(`Failed to validate property data: ${err.message}`);
+async function validateTDDatabase(root = ROOT) {
+    log('\n🏛️  Checking TD Database Consistency...');
+
+    const { data } = await validateFile('complete-td-database.json', root);
+    if (!data) {
+        warning('Skipped - the TD database did not pass schema validation');
         return false;
     }
-}
 
-function validateVotingRecords() {
-    log('\n🗳️  Validating Voting Records...');
-    
-    try {
-        const data = JSON.parse(fs.readFileSync('data/voting-records-2024.json', 'utf8'));
-        
-        let votingRecords = 0;
-        if (Array.isArray(data)) {
-            votingRecords = data.length;
-        } else if (typeof data === 'object') {
-            votingRecords = Object.keys(data).length;
+    const names = Object.keys(data.tds);
+    const indexed = Object.values(data.constituency_lookup).flat();
+    let consistent = true;
+
+    for (const name of indexed) {
+        if (!data.tds[name]) {
+            error(`constituency_lookup lists "${name}", who is not in tds`);
+            consistent = false;
         }
-        
-        success(`Voting records: ${votingRecords} entries`);
-        return true;
-        
-    } catch (err) {
-        error(`Failed to validate voting records: ${err.message}`);
-        return false;
     }
-}
 
-function validateHousingStats() {
-    log('\n📊 Validating Housing Statistics...');
-    
-    try {
-        const data = JSON.parse(fs.readFileSync('data/housing-stats.json', 'utf8'));
-        
-        success('Housing statistics file is valid JSON');
-        return true;
-        
-    } catch (err) {
-        error(`Failed to validate housing statistics: ${err.message}`);
-        return false;
+    for (const name of names) {
+        if (!indexed.includes(name)) {
+            warning(`${name} is not listed in constituency_lookup`);
+        }
     }
-}
 
-function validateElectoralData() {
-    log('\n⚡ Validating Electoral Data...');
-    
-    try {
-        const data = JSON.parse(fs.readFileSync('data/electoral-margins.json', 'utf8'));
-        
-        success('Electoral margins file is valid JSON');
-        return true;
-        
-    } catch (err) {
-        error(`Failed to validate electoral data: ${err.message}`);
-        return false;
+    // Every constituency needs its counties, or the TD finder can't list it
+    const { data: counties } = await validateFile('data/constituency-counties.json', root);
+    const constituencies = new Set([...Object.keys(data.constituency_lookup), ...Object.values(data.tds).map(td => td.constituency)]);
+    for (const constituency of constituencies) {
+        if (counties && !counties.constituencies[constituency]) {
+            error(`"${constituency}" has no counties in data/constituency-counties.json`);
+            consistent = false;
+        }
     }
+
+    const expected = data.summary?.total_tds;
+    if (expected && names.length !== expected) {
+        warning(`TD count: ${names.length} records, summary says ${expected}`);
+    } else {
+        success(`TD count: ${names.length}`);
+    }
+
+    return consistent;
 }
 
-function validateRequiredFiles() {
-    log('\n📁 Validating Required Files...');
-    
-    const requiredFiles = [
-        'index.html',
-        'complete-td-database.json',
-        'data/property-data.json',
-        'data/voting-records-2024.json',
-        'data/housing-stats.json',
-        'data/electoral-margins.json'
-    ];
-    
-    let allFilesPresent = true;
-    
-    for (const file of requiredFiles) {
-        if (fs.existsSync(file)) {
-            success(`Found: ${file}`);
-        } else {
-            error(`Missing: ${file}`);
-            allFilesPresent = false;
+/**
+ * Write a proposed repair next to each broken file that has safe fixes. The
+ * original is left alone - diff the two, then move the proposal over it.
+ */
+async function writeRepairs(root = ROOT) {
+    log('\n🔧 Proposing Repairs...');
+
+    const loader = loaderFor(root);
+    let proposals = 0;
+
+    for (const file of dataFiles(root)) {
+        const text = await loader.text(file);
+        const schema = await readSchema(file, loader);
+        if (lintJSON(text, { file, schema }).valid) continue;
+
+        const repair = proposeRepair(text, { file, schema });
+        if (!repair.text) {
+            warning(`${file}: no safe automatic fix - needs editing by hand`);
+            continue;
         }
+
+        const target = proposedFileName(file);
+        fs.writeFileSync(path.join(root, target), repair.text);
+        proposals++;
+
+        success(`${target} written`);
+        for (const fix of repair.fixes) {
+            log(`     line ${fix.line}:${fix.column} [${fix.rule}] ${fix.message}`);
+        }
+        if (repair.problems.length > 0) {
+            warning(`${repair.problems.length} problem${repair.problems.length === 1 ? '' : 's'} still need fixing by hand`);
+        }
+        log(`     Review with: diff ${file} ${target}`);
     }
-    
-    return allFilesPresent;
+
+    if (proposals === 0) {
+        log('Nothing to repair.');
+    }
+
+    return true;
 }
 
 // Main validation function
-function runValidation() {
+async function runValidation({ repair = false } = {}) {
     log('🇮🇪 Irish Democratic Accountability Dashboard - Data Validation');
     log('================================================================');
-    
+
     const validations = [
         validateRequiredFiles,
+        validateSchemas,
         validateTDDatabase,
-        validatePropertyData,
-        validateVotingRecords,
-        validateHousingStats,
-        validateElectoralData
+        ...(repair ? [writeRepairs] : [])
     ];
-    
+
     let allPassed = true;
-    
+
     for (const validation of validations) {
         try {
-            const result = validation();
+            const result = await validation();
             if (!result) {
                 allPassed = false;
             }
@@ -242,7 +256,7 @@ function runValidation() {
             allPassed = false;
         }
     }
-    
+
     log('\n================================================================');
     if (allPassed) {
         success('All validations passed! ✅');
@@ -256,16 +270,16 @@ function runValidation() {
 }
 
 // Run validation if called directly
-if (require.main === module) {
-    runValidation();
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    runValidation({ repair: process.argv.includes('--repair') });
 }
 
-module.exports = {
-    validateTDDatabase,
-    validatePropertyData,
-    validateVotingRecords,
-    validateHousingStats,
-    validateElectoralData,
+export {
+    dataFiles,
+    validateFile,
     validateRequiredFiles,
+    validateSchemas,
+    validateTDDatabase,
+    writeRepairs,
     runValidation
-};
\ No newline at end of file
+};
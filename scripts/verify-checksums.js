@@ -3,11 +3,22 @@
  * 🇮🇪 Irish Democratic Accountability Dashboard - Checksum Verification Script
  * 
  * Verifies data integrity using cryptographic checksums to prevent tampering.
- * Used in CI/CD pipeline and runtime to ensure data authenticity.
+ * Used in CI/CD pipeline and runtime to ensure data authenticity. Files are read
+ * through the same DataLoader the site uses (data-loader.js). Every data and
+ * schema file the service worker keeps offline (build-precache.js) is covered,
+ * so the browser's data cache can serve any of them on a repeat visit.
  */
 
-const crypto = require('crypto');
-const fs = require('fs');
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { DataLoader, fsBackend } from '../data-loader.js';
+import { dataFiles } from './build-precache.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CHECKSUMS_FILE = 'data/checksums.json';
 
 // Colors for console output
 const colors = {
@@ -33,11 +44,15 @@ function warning(message) {
     log(`⚠️  ${message}`, colors.yellow);
 }
 
+// Calculate SHA-256 hash of a file's text
+function calculateHash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
 // Calculate SHA-256 hash of file
-function calculateFileHash(filePath) {
+async function calculateFileHash(filePath, loader = new DataLoader(fsBackend({ root: ROOT }))) {
     try {
-        const data = fs.readFileSync(filePath);
-        return crypto.createHash('sha256').update(data).digest('hex');
+        return calculateHash(await loader.text(filePath));
     } catch (err) {
         error(`Failed to calculate hash for ${filePath}: ${err.message}`);
         return null;
@@ -56,7 +71,7 @@ function calculateJSONHash(data) {
     }
 }
 
-// Expected checksums (to be updated when data changes)
+// Descriptions for the main data files (the checksums themselves are in data/checksums.json)
 const EXPECTED_CHECKSUMS = {
     'complete-td-database.json': {
         description: 'Complete TD database with all 174 TDs',
@@ -78,58 +93,78 @@ const EXPECTED_CHECKSUMS = {
     'data/electoral-margins.json': {
         description: 'Electoral vulnerability data',
         expected: null
+    },
+    'data/td-remuneration.json': {
+        description: 'TD pay scales and allowances',
+        expected: null
+    },
+    'data/td-aliases.json': {
+        description: 'Alternative and Irish-language TD names',
+        expected: null
+    },
+    'data/constituency-counties.json': {
+        description: 'Counties each constituency covers',
+        expected: null
     }
 };
 
-function generateChecksums() {
+/**
+ * The files data/checksums.json covers: the same data and schema files as the
+ * offline precache, less the checksums file itself
+ */
+function checksumFiles(root = ROOT) {
+    return dataFiles(root).filter(file => file !== CHECKSUMS_FILE);
+}
+
+async function generateChecksums(root = ROOT) {
     log('\n🔐 Generating Data Checksums...');
     
+    const loader = new DataLoader(fsBackend({ root }));
     const checksums = {};
     let allCalculated = true;
     
-    for (const [filePath, info] of Object.entries(EXPECTED_CHECKSUMS)) {
-        if (fs.existsSync(filePath)) {
-            const hash = calculateFileHash(filePath);
-            if (hash) {
-                checksums[filePath] = {
-                    hash,
-                    description: info.description,
-                    timestamp: new Date().toISOString(),
-                    fileSize: fs.statSync(filePath).size
-                };
-                success(`${filePath}: ${hash.substring(0, 16)}...`);
-            } else {
-                allCalculated = false;
-            }
-        } else {
+    for (const filePath of checksumFiles(root)) {
+        let text;
+        try {
+            text = await loader.text(filePath);
+        } catch (err) {
             warning(`File not found: ${filePath}`);
             allCalculated = false;
+            continue;
         }
+        
+        const hash = calculateHash(text);
+        checksums[filePath] = {
+            hash,
+            description: EXPECTED_CHECKSUMS[filePath]?.description,
+            timestamp: new Date().toISOString(),
+            fileSize: Buffer.byteLength(text)
+        };
+        success(`${filePath}: ${hash.substring(0, 16)}...`);
     }
     
     if (allCalculated) {
         // Save checksums to file
-        const checksumsFile = 'data/checksums.json';
-        fs.writeFileSync(checksumsFile, JSON.stringify(checksums, null, 2));
-        success(`Checksums saved to ${checksumsFile}`);
+        fs.writeFileSync(path.join(root, CHECKSUMS_FILE), JSON.stringify(checksums, null, 2));
+        success(`Checksums saved to ${CHECKSUMS_FILE}`);
     }
     
     return checksums;
 }
 
-function verifyChecksums() {
+async function verifyChecksums(root = ROOT) {
     log('\n🔍 Verifying Data Checksums...');
     
-    const checksumsFile = 'data/checksums.json';
+    const loader = new DataLoader(fsBackend({ root }));
     
-    if (!fs.existsSync(checksumsFile)) {
+    if (!fs.existsSync(path.join(root, CHECKSUMS_FILE))) {
         warning('No checksums file found. Generating new checksums...');
-        return generateChecksums();
+        return generateChecksums(root);
     }
     
     let savedChecksums;
     try {
-        savedChecksums = JSON.parse(fs.readFileSync(checksumsFile, 'utf8'));
+        savedChecksums = await loader.json(CHECKSUMS_FILE);
     } catch (err) {
         error(`Failed to read checksums file: ${err.message}`);
         return false;
@@ -137,48 +172,60 @@ function verifyChecksums() {
     
     let allVerified = true;
     
+    for (const filePath of checksumFiles(root).filter(file => !savedChecksums[file])) {
+        error(`${filePath}: No checksum - run npm run generate-checksums`);
+        allVerified = false;
+    }
+    
     for (const [filePath, savedData] of Object.entries(savedChecksums)) {
-        if (fs.existsSync(filePath)) {
-            const currentHash = calculateFileHash(filePath);
-            
-            if (currentHash === savedData.hash) {
-                success(`${filePath}: Verified ✓`);
-            } else {
-                error(`${filePath}: CHECKSUM MISMATCH!`);
-                error(`  Expected: ${savedData.hash}`);
-                error(`  Actual:   ${currentHash}`);
-                allVerified = false;
-            }
-        } else {
+        let text;
+        try {
+            text = await loader.text(filePath);
+        } catch (err) {
             error(`${filePath}: File missing!`);
             allVerified = false;
+            continue;
+        }
+        
+        const currentHash = calculateHash(text);
+        if (currentHash === savedData.hash) {
+            success(`${filePath}: Verified ✓`);
+        } else {
+            error(`${filePath}: CHECKSUM MISMATCH!`);
+            error(`  Expected: ${savedData.hash}`);
+            error(`  Actual:   ${currentHash}`);
+            allVerified = false;
         }
     }
     
     return allVerified;
 }
 
-function validateDataIntegrity() {
+async function validateDataIntegrity(root = ROOT) {
     log('\n🛡️  Validating Data Integrity...');
     
+    const loader = new DataLoader(fsBackend({ root }));
+    
     // Additional integrity checks beyond simple checksums
     
-    // 1. Check TD count consistency
+    // 1. Check TD count consistency - every TD filed under a constituency, and
+    //    how far the records are from the summary's count
     try {
-        const tdData = JSON.parse(fs.readFileSync('complete-td-database.json', 'utf8'));
-        let tdCount = 0;
+        const tdData = await loader.json('complete-td-database.json');
+        const tdCount = Object.keys(tdData.tds).length;
+        const indexed = Object.values(tdData.constituency_lookup).flat();
+        const expected = tdData.summary?.total_tds;
         
-        for (const county in tdData) {
-            for (const constituency in tdData[county]) {
-                tdCount += tdData[county][constituency].length;
-            }
+        const unfiled = indexed.filter(name => !tdData.tds[name]);
+        if (unfiled.length > 0) {
+            error(`TD count integrity failure: constituency_lookup lists ${unfiled.join(', ')}, not in tds`);
+            return false;
         }
         
-        if (tdCount === 174) {
-            success(`TD count integrity: ${tdCount} TDs confirmed`);
+        if (expected && tdCount !== expected) {
+            warning(`TD count: ${tdCount} records, summary says ${expected}`);
         } else {
-            error(`TD count integrity failure: Expected 174, found ${tdCount}`);
-            return false;
+            success(`TD count integrity: ${tdCount} TDs confirmed`);
         }
     } catch (err) {
         error(`TD data integrity check failed: ${err.message}`);
@@ -187,10 +234,10 @@ function validateDataIntegrity() {
     
     // 2. Check property data consistency
     try {
-        const propertyData = JSON.parse(fs.readFileSync('data/property-data.json', 'utf8'));
+        const propertyData = await loader.json('data/property-data.json');
         
-        if (Array.isArray(propertyData)) {
-            const landlordCount = propertyData.filter(td => td.landlord).length;
+        if (propertyData.tds && typeof propertyData.tds === 'object') {
+            const landlordCount = Object.values(propertyData.tds).filter(td => td.landlord_status).length;
             success(`Property data integrity: ${landlordCount} landlord TDs`);
         } else {
             warning('Property data format may need validation');
@@ -203,7 +250,7 @@ function validateDataIntegrity() {
     // 3. Check for suspicious modifications
     const criticalFiles = ['complete-td-database.json', 'data/property-data.json'];
     for (const file of criticalFiles) {
-        const stats = fs.statSync(file);
+        const stats = fs.statSync(path.join(root, file));
         const modifiedTime = stats.mtime;
         const now = new Date();
         const hoursSinceModified = (now - modifiedTime) / (1000 * 60 * 60);
@@ -216,13 +263,13 @@ function validateDataIntegrity() {
     return true;
 }
 
-function runChecksumVerification() {
+async function runChecksumVerification() {
     log('🇮🇪 Irish Democratic Accountability Dashboard - Checksum Verification');
     log('====================================================================');
     
     const results = {
-        checksumVerification: verifyChecksums(),
-        dataIntegrity: validateDataIntegrity()
+        checksumVerification: await verifyChecksums(),
+        dataIntegrity: await validateDataIntegrity()
     };
     
     log('\n====================================================================');
@@ -248,26 +295,28 @@ function runChecksumVerification() {
 }
 
 // Command line interface
-if (require.main === module) {
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     const args = process.argv.slice(2);
     
     if (args.includes('--generate')) {
         log('🔐 Generating new checksums...');
-        generateChecksums();
+        await generateChecksums();
     } else if (args.includes('--verify')) {
         log('🔍 Verifying existing checksums...');
-        const verified = verifyChecksums();
+        const verified = await verifyChecksums();
         process.exit(verified ? 0 : 1);
     } else {
-        runChecksumVerification();
+        await runChecksumVerification();
     }
 }
 
-module.exports = {
+export {
+    EXPECTED_CHECKSUMS,
+    checksumFiles,
     calculateFileHash,
     calculateJSONHash,
     generateChecksums,
     verifyChecksums,
     validateDataIntegrity,
     runChecksumVerification
-};
\ No newline at end of file
+};
@@ -0,0 +1,581 @@
+/**
+ * Secure Extraction Calculator
+ *
+ * Single source of truth for the "Your Income vs Political Class" comparison.
+ * Used by the inline dashboard script in index.html, by app.js and by the Node test suite.
+ */
+
+import { IrishTaxEngine, DEFAULT_TAX_YEAR, EMPLOYMENT_TYPES } from './tax-engine.js';
+import { MortgageAffordability, BUYER_TYPES } from './mortgage-affordability.js';
+import { FirstHomeSchemes, PROPERTY_TYPES } from './first-home-schemes.js';
+import { HouseholdSupports } from './household-supports.js';
+import { TDRemunerationModel } from './td-remuneration.js';
+import { createReceipt } from './calculation-receipt.js';
+import StaticDataManager from './static-data-manager.js';
+
+// Comparison figures that are not tax rates - frozen so page scripts cannot quietly alter them
+const COMPARISON_DEFAULTS = Object.freeze({
+    // TD REAL FINANCIAL DATA (2024)
+    TD_SALARY: 113679,
+    TD_MIN_ALLOWANCES: 45000,  // Minimum Dublin TD package
+    TD_MAX_ALLOWANCES: 85000,  // Maximum rural TD package
+    TD_AVERAGE_TOTAL: 170000,  // Average total TD package
+    LANDLORD_TD_PROPERTY_INCOME: 250000,  // Last resort only: callers pass the TD's or the landlord average estimate
+    ESSENTIAL_MONTHLY_COSTS: 800,  // Per adult
+    ESSENTIAL_MONTHLY_COSTS_PER_CHILD: 350  // Minimum essential standard of living, excluding childcare
+});
+
+// Share of newly LPT-liable properties bought by owners of 10+ properties (property-hoarding-integration.js)
+const HOARDING_RATES = Object.freeze({
+    dublin: 75,
+    national: 45
+});
+
+// private: pays the market rent; hap / ras: pays the local authority differential rent
+const TENANCY_TYPES = Object.freeze(['private', 'hap', 'ras']);
+const MAX_CHILDREN = 15;
+
+const WORKING_DAYS = 5;
+const NO_DEPOSIT_POSSIBLE = 999;
+
+class SecureExtractionCalculator {
+    /**
+     * data: the StaticDataManager the rate tables and TD data are loaded through
+     * (schema-checked and cached - a new one by default, the page's own on the site)
+     * readFile: (path) => text or bytes for receipt checksums (defaults to a DataLoader)
+     * remuneration / rentalEstimates / tds: a TDRemunerationModel, a RentalIncomeEstimator
+     * estimateAll() result and the complete-td-database.json tds map, for the TD
+     * comparison (by default from the data manager, loaded by useTDComparison())
+     */
+    constructor({
+        taxEngine = null, affordability = null, schemes = null, supports = null,
+        remuneration = null, rentalEstimates = null, tds = null, comparison = COMPARISON_DEFAULTS, readFile,
+        data = null
+    } = {}) {
+        this.data = data || new StaticDataManager();
+        this.taxEngine = taxEngine;
+        this.readFile = readFile;
+        this.affordability = affordability;
+        this.schemes = schemes;
+        this.supports = supports;
+        this.remuneration = remuneration;
+        this.rentalEstimates = rentalEstimates;
+        this.tds = tds;
+        this.comparison = comparison;
+        this.taxEngines = new Map();
+
+        if (taxEngine) {
+            this.taxEngines.set(taxEngine.year, taxEngine);
+        }
+    }
+
+    /**
+     * Switch to a tax year's rate table (loaded once, then cached)
+     */
+    async useTaxYear(year = DEFAULT_TAX_YEAR) {
+        const key = Number(year);
+
+        if (!this.taxEngines.has(key)) {
+            this.taxEngines.set(key, await IrishTaxEngine.load(key, this.data));
+        }
+
+        this.taxEngine = this.taxEngines.get(key);
+        return this.taxEngine;
+    }
+
+    /**
+     * Load county prices and Central Bank rules (loaded once)
+     */
+    async useHousingStats(file) {
+        if (!this.affordability) {
+            this.affordability = await MortgageAffordability.load(file, this.data);
+        }
+        return this.affordability;
+    }
+
+    /**
+     * Load Help to Buy / First Home / LAAP rules and price ceilings (loaded once)
+     */
+    async useSchemes(file) {
+        if (!this.schemes) {
+            this.schemes = await FirstHomeSchemes.load(file, this.data);
+        }
+        return this.schemes;
+    }
+
+    /**
+     * Load Child Benefit and HAP/RAS differential rent rules (loaded once)
+     */
+    async useHouseholdSupports(file) {
+        if (!this.supports) {
+            this.supports = await HouseholdSupports.load(file, this.data);
+        }
+        return this.supports;
+    }
+
+    /**
+     * Load TD pay scales, the TDs and every landlord TD's rental income estimate (loaded once)
+     */
+    async useTDComparison() {
+        if (!this.remuneration) {
+            this.remuneration = await TDRemunerationModel.load(this.data.dataFiles.remuneration, this.data);
+        }
+        if (!this.rentalEstimates) {
+            this.rentalEstimates = await this.data.getRentalEstimates();
+        }
+        if (!this.tds) {
+            this.tds = (await this.data.loadTDDatabase()).tds;
+        }
+        return { remuneration: this.remuneration, rentalEstimates: this.rentalEstimates, tds: this.tds };
+    }
+
+    /**
+     * The tdPackage and landlordIncome options for the TD the user picked to compare
+     * with ({ name }, or null for the average TD): their package and rental estimate,
+     * or the average across landlord TDs. Always worked out from the data files, never
+     * taken from the caller - the TD's constituency included, which is looked up by
+     * name - so a receipt can't carry its own figures. A name that is not a TD in
+     * complete-td-database.json is refused.
+     */
+    comparisonOptions(compareTD) {
+        if (!this.remuneration || !this.rentalEstimates || !this.tds) {
+            throw new Error('TD comparison data not loaded - call useTDComparison() first');
+        }
+
+        const td = compareTD && Object.hasOwn(this.tds, compareTD.name) ? this.tds[compareTD.name] : null;
+        if (compareTD && !td) {
+            throw new Error(`Invalid TD to compare with: "${compareTD.name}" is not in the TD database`);
+        }
+
+        const tdPackage = td ? this.remuneration.calculate(compareTD.name, td) : null;
+        const { estimates, average } = this.rentalEstimates;
+        const landlordIncome = (compareTD && estimates[compareTD.name]) || (average.landlords > 0 ? average : null);
+
+        return { tdPackage, landlordIncome };
+    }
+
+    _requireSupports() {
+        if (!this.supports) {
+            throw new Error('Household supports not loaded - call useHouseholdSupports() first');
+        }
+        return this.supports;
+    }
+
+    _requireAffordability() {
+        if (!this.affordability) {
+            throw new Error('Housing data not loaded - call useHousingStats() first');
+        }
+        return this.affordability;
+    }
+
+    _requireTaxEngine() {
+        if (!this.taxEngine) {
+            throw new Error('Tax rates not loaded - call useTaxYear() first');
+        }
+        return this.taxEngine;
+    }
+
+    /**
+     * Income tax + USC + PRSI for a person (see IrishTaxEngine.calculate)
+     */
+    calculateTotalTax(person) {
+        return this._requireTaxEngine().calculate(person);
+    }
+
+    /**
+     * Household defaults for a single adult, or the normalised household mode inputs
+     *
+     * household: { hasPartner, partnerIncome, partnerEmployment, partnerMedicalCard, children,
+     *             childcareMonthly, tenancy }
+     */
+    _household(household) {
+        return {
+            hasPartner: Boolean(household?.hasPartner),
+            partnerIncome: household?.hasPartner ? (household.partnerIncome ?? 0) : 0,
+            partnerEmployment: household?.partnerEmployment || 'paye',
+            partnerMedicalCard: Boolean(household?.hasPartner && household.partnerMedicalCard),
+            children: household?.children ?? 0,
+            childcareMonthly: household?.childcareMonthly ?? 0,
+            tenancy: household?.tenancy || 'private'
+        };
+    }
+
+    /**
+     * Reject inputs the comparison cannot meaningfully handle
+     *
+     * options: the same options passed to calculate() - household mode and filing status are checked
+     */
+    validateInputs(income, monthlyRent, age, options = {}) {
+        const errors = [];
+        const household = this._household(options.household);
+        const filingStatus = options.filingStatus || 'single';
+
+        if (!Number.isFinite(income) || income <= 0) {
+            errors.push('Income must be a positive number');
+        }
+
+        if (!Number.isFinite(monthlyRent) || monthlyRent < 0) {
+            errors.push('Monthly rent must be zero or more');
+        }
+
+        if (age !== undefined && age !== null && (!Number.isFinite(age) || age < 0)) {
+            errors.push('Age must be a positive number');
+        }
+
+        if (household.hasPartner && (!Number.isFinite(household.partnerIncome) || household.partnerIncome < 0)) {
+            errors.push('Partner income must be zero or more');
+        }
+
+        if (!EMPLOYMENT_TYPES.includes(household.partnerEmployment)) {
+            errors.push(`Unknown partner employment type "${household.partnerEmployment}"`);
+        }
+
+        if (!Number.isInteger(household.children) || household.children < 0 || household.children > MAX_CHILDREN) {
+            errors.push(`Number of children must be a whole number from 0 to ${MAX_CHILDREN}`);
+        }
+
+        if (!Number.isFinite(household.childcareMonthly) || household.childcareMonthly < 0) {
+            errors.push('Childcare costs must be zero or more');
+        } else if (household.childcareMonthly > 0 && household.children === 0) {
+            errors.push('Childcare costs need at least one child');
+        }
+
+        if (!TENANCY_TYPES.includes(household.tenancy)) {
+            errors.push(`Unknown tenancy type "${household.tenancy}"`);
+        }
+
+        if (options.buyerType !== undefined && !BUYER_TYPES.includes(options.buyerType)) {
+            errors.push(`Unknown buyer type "${options.buyerType}"`);
+        }
+
+        if (options.savings !== undefined && (!Number.isFinite(options.savings) || options.savings < 0)) {
+            errors.push('Savings must be zero or more');
+        }
+
+        if (options.propertyType !== undefined && !PROPERTY_TYPES.includes(options.propertyType)) {
+            errors.push(`Unknown property type "${options.propertyType}"`);
+        }
+
+        if (filingStatus === 'single_parent' && household.hasPartner) {
+            errors.push('A single parent household cannot include a partner');
+        }
+
+        if (options.household && filingStatus === 'single_parent' && household.children === 0) {
+            errors.push('Single parent tax status needs at least one child');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+    }
+
+    /**
+     * The TD package the user is compared against - a specific TD's package from
+     * TDRemunerationModel.calculate(), or the average TD. Salary and office
+     * allowances are taxed; the Parliamentary Standard Allowance is not.
+     */
+    _comparisonTD(tdPackage) {
+        if (tdPackage) {
+            return {
+                name: tdPackage.name,
+                constituency: tdPackage.constituency,
+                taxableIncome: tdPackage.taxableIncome,
+                untaxedAllowances: tdPackage.untaxedAllowances,
+                salary: tdPackage.salary,
+                office: tdPackage.office?.label || null
+            };
+        }
+
+        const rates = this.comparison;
+        return {
+            name: null,
+            constituency: null,
+            taxableIncome: rates.TD_SALARY,
+            untaxedAllowances: rates.TD_AVERAGE_TOTAL - rates.TD_SALARY,
+            salary: rates.TD_SALARY,
+            office: null
+        };
+    }
+
+    /**
+     * Synchronous extraction comparison (no verification hash)
+     *
+     * options: { location, filingStatus, employment, medicalCard, household, buyerType, savings,
+     *            propertyType, newBuild, tdPackage, landlordIncome }
+     *
+     * buyerType and savings feed the Central Bank affordability check on an average
+     * home in the user's county (see MortgageAffordability.assess). When schemes are
+     * loaded, propertyType and newBuild feed the Help to Buy / First Home / LAAP
+     * estimate in housing.schemes (null otherwise).
+     *
+     * household (optional) switches on household mode - see _household(). Married / civil
+     * partners are jointly assessed; other couples are taxed as two single people.
+     *
+     * landlordIncome is a RentalIncomeEstimator estimate ({ low, central, high }) for the
+     * landlord TD comparison - the selected TD's, or the average across landlord TDs. The flat
+     * LANDLORD_TD_PROPERTY_INCOME is only a last resort for when no estimate could be made
+     * (property or housing data failed to load), and is reported as basis 'default'.
+     */
+    calculate(income, monthlyRent, age, options = {}) {
+        this.validateInputs(income, monthlyRent, age, options);
+
+        const location = options.location || 'Other';
+        const filingStatus = options.filingStatus || 'single';
+        const employment = options.employment || 'paye';
+        const medicalCard = Boolean(options.medicalCard);
+        const household = this._household(options.household);
+        const rates = this.comparison;
+        const engine = this._requireTaxEngine();
+
+        // Household taxes - a spouse is jointly assessed, any other partner is taxed separately
+        const person = { income, employment, filingStatus, medicalCard, age };
+        const partner = { income: household.partnerIncome, employment: household.partnerEmployment, medicalCard: household.partnerMedicalCard };
+        let partnerTax = null;
+
+        if (household.hasPartner && filingStatus === 'married') {
+            person.spouse = partner;
+        } else if (household.hasPartner) {
+            partnerTax = this.calculateTotalTax(partner);
+        }
+
+        const userTax = this.calculateTotalTax(person);
+        const householdIncome = income + household.partnerIncome;
+        const householdTax = {
+            total: userTax.total + (partnerTax?.total || 0),
+            incomeTax: userTax.incomeTax + (partnerTax?.incomeTax || 0),
+            usc: userTax.usc + (partnerTax?.usc || 0),
+            prsi: userTax.prsi + (partnerTax?.prsi || 0)
+        };
+        const netIncome = householdIncome - householdTax.total;
+
+        // Housing costs - HAP/RAS tenants pay a differential rent, the State pays the rest
+        const rentPaid = household.tenancy === 'private'
+            ? monthlyRent
+            : Math.min(monthlyRent, this._requireSupports().differentialRent(netIncome));
+        const statePaidRent = monthlyRent - rentPaid;
+
+        const yearlyRent = rentPaid * 12;
+        const totalExtracted = householdTax.total + yearlyRent;
+        const extractionRate = (totalExtracted / householdIncome) * 100;
+        const userKeepRate = 100 - extractionRate;
+
+        // Regular TD finances (the selected TD, or the average TD)
+        const td = this._comparisonTD(options.tdPackage);
+        const regularTDGross = td.taxableIncome + td.untaxedAllowances;
+        const regularTDTax = this.calculateTotalTax({ income: td.taxableIncome }).total;
+        const regularTDNet = regularTDGross - regularTDTax;
+        const tdExtraction = (regularTDTax / regularTDGross) * 100;
+        const regularTDKeepRate = 100 - tdExtraction;
+
+        // Landlord TD finances
+        const landlordIncome = options.landlordIncome || null;
+        const propertyIncome = landlordIncome ? landlordIncome.central : rates.LANDLORD_TD_PROPERTY_INCOME;
+        const landlordTDGross = regularTDGross + propertyIncome;
+        const landlordTDTax = this.calculateTotalTax({
+            income: td.taxableIncome,
+            otherIncome: propertyIncome
+        }).total;
+        const landlordTDNet = landlordTDGross - landlordTDTax;
+        const landlordTDKeepRate = (landlordTDNet / landlordTDGross) * 100;
+
+        const differential = extractionRate - tdExtraction;
+        const systemBias = Math.max(regularTDKeepRate - userKeepRate, landlordTDKeepRate - userKeepRate);
+
+        // Take-home and affordability (Child Benefit is not taxed)
+        const childBenefit = household.children > 0 ? this._requireSupports().childBenefit(household.children) : 0;
+        const monthlyNet = (netIncome + childBenefit) / 12;
+        const essentialCosts = rates.ESSENTIAL_MONTHLY_COSTS * (household.hasPartner ? 2 : 1) +
+            rates.ESSENTIAL_MONTHLY_COSTS_PER_CHILD * household.children;
+        const disposableIncome = monthlyNet - rentPaid - essentialCosts - household.childcareMonthly;
+
+        // Saving towards the gap between the county price and what a lender may offer
+        const affordability = this._requireAffordability().assess({
+            grossIncome: householdIncome,
+            county: location,
+            buyerType: options.buyerType || 'first_time',
+            savings: options.savings || 0,
+            monthlySaving: Math.max(disposableIncome, 0)
+        });
+        const yearsToDeposit = affordability.monthsToSave === null
+            ? NO_DEPOSIT_POSSIBLE
+            : affordability.monthsToSave / 12;
+
+        const schemes = this.schemes
+            ? this.schemes.estimate(affordability, {
+                propertyType: options.propertyType || 'house',
+                newBuild: options.newBuild ?? true,
+                annualIncomeTax: householdTax.incomeTax
+            })
+            : null;
+
+        const workingDaysForOthers = this._round(WORKING_DAYS * Math.min(extractionRate, 100) / 100);
+
+        const hoardingRate = location === 'Dublin' ? HOARDING_RATES.dublin : HOARDING_RATES.national;
+
+        const revolution = this.calculateRevolutionScore({
+            extractionRate,
+            yearlyRent,
+            netIncome,
+            yearsToDeposit,
+            differential,
+            disposableIncome
+        });
+
+        return {
+            inputs: {
+                grossIncome: income,
+                monthlyRent,
+                age,
+                location,
+                filingStatus,
+                employment,
+                medicalCard,
+                household: options.household ? household : null,
+                buyerType: affordability.buyerType,
+                savings: affordability.savings,
+                comparisonTD: td.name
+            },
+            taxYear: userTax.year,
+            rateTableVersion: userTax.version,
+            income: householdIncome,
+            totalTax: Math.round(householdTax.total),
+            yearlyRent,
+            extractionRate: this._round(extractionRate),
+            userKeepRate: this._round(userKeepRate),
+            regularTDKeepRate: this._round(regularTDKeepRate),
+            landlordTDKeepRate: this._round(landlordTDKeepRate),
+            systemBias: this._round(systemBias),
+            monthlyNet: Math.round(monthlyNet),
+            disposableIncome: Math.round(disposableIncome),
+            yearsToDeposit: this._round(yearsToDeposit),
+            comparison: {
+                tdExtraction: this._round(tdExtraction),
+                differential: this._round(differential),
+                workingDaysForOthers,
+                workingDaysForSelf: this._round(WORKING_DAYS - workingDaysForOthers)
+            },
+            housing: {
+                ...affordability,
+                depositNeeded: affordability.minimumDeposit,
+                yearsToDeposit: this._round(yearsToDeposit),
+                maxMortgage: affordability.maxBorrowable,
+                canAfford: affordability.monthsToSave !== null,
+                schemes
+            },
+            tdFinances: {
+                name: td.name,
+                constituency: td.constituency,
+                office: td.office,
+                salary: td.salary,
+                taxableIncome: td.taxableIncome,
+                untaxedAllowances: td.untaxedAllowances,
+                regularGross: regularTDGross,
+                regularNet: Math.round(regularTDNet),
+                landlordGross: landlordTDGross,
+                landlordNet: Math.round(landlordTDNet),
+                landlordPropertyIncome: propertyIncome,
+                landlordPropertyIncomeRange: landlordIncome
+                    ? { low: landlordIncome.low, high: landlordIncome.high }
+                    : null,
+                landlordIncomeBasis: landlordIncome ? 'estimate' : 'default'
+            },
+            hoardingContext: {
+                location,
+                hoardingRate,
+                isDublin: location === 'Dublin',
+                systemMessage: `${hoardingRate}% of new ${location === 'Dublin' ? 'Dublin' : 'national'} properties captured by mega-landlords`
+            },
+            household: {
+                adults: household.hasPartner ? 2 : 1,
+                children: household.children,
+                jointAssessment: household.hasPartner && filingStatus === 'married',
+                partnerIncome: household.partnerIncome,
+                childBenefit,
+                childcare: household.childcareMonthly * 12,
+                essentialMonthlyCosts: essentialCosts,
+                tenancy: household.tenancy,
+                marketRent: monthlyRent,
+                rentPaid: Math.round(rentPaid),
+                statePaidRent: Math.round(statePaidRent)
+            },
+            breakdown: {
+                incomeTax: Math.round(householdTax.incomeTax),
+                usc: Math.round(householdTax.usc),
+                prsi: Math.round(householdTax.prsi),
+                rent: yearlyRent,
+                credits: userTax.credits
+            },
+            revolution
+        };
+    }
+
+    /**
+     * Full calculation with a sealed receipt (see calculation-receipt.js) - used by
+     * app.js and the dashboard
+     *
+     * options: what the user entered - calculate()'s options, with compareTD ({ name }
+     * from Compare With, or null) in place of tdPackage and landlordIncome,
+     * which are worked out by comparisonOptions() - any passed in are ignored
+     */
+    async calculateExtraction(income, monthlyRent, age, options = {}) {
+        if (options.taxYear || !this.taxEngine) {
+            await this.useTaxYear(options.taxYear);
+        }
+        await this.useHousingStats();
+        await this.useSchemes();
+        await this.useHouseholdSupports();
+        await this.useTDComparison();
+
+        const results = this.calculate(income, monthlyRent, age, { ...options, ...this.comparisonOptions(options.compareTD) });
+
+        // A missing receipt (no WebCrypto, a data file that will not load) should not cost the user their result
+        try {
+            const receipt = await createReceipt({ income, monthlyRent, age, options }, results, {
+                readFile: this.readFile
+            });
+            results.security = { timestamp: receipt.generatedAt, verificationHash: receipt.hash, receipt };
+        } catch (error) {
+            results.security = { timestamp: new Date().toISOString(), verificationHash: null, receipt: null, error: error.message };
+        }
+
+        return results;
+    }
+
+    /**
+     * Revolution score out of 100 - see app.js displayExtractionResults for the breakdown labels
+     */
+    calculateRevolutionScore({ extractionRate, yearlyRent, netIncome, yearsToDeposit, differential, disposableIncome }) {
+        const clamp = value => Math.min(Math.max(value, 0), 1);
+
+        const breakdown = {
+            extraction: clamp(extractionRate / 70) * 40,           // 70%+ of gross extracted = maximum
+            housing: clamp(yearlyRent / Math.max(netIncome, 1) / 0.5) * 25,  // half of take-home on rent = maximum
+            yearsToHouse: clamp(yearsToDeposit / 15) * 15,         // 15+ years to a deposit = maximum
+            differential: clamp(differential / 30) * 10,           // 30 points above TDs = maximum
+            disposable: disposableIncome <= 0 ? 10 : clamp(1 - disposableIncome / 1000) * 10
+        };
+
+        const score = Math.round(Object.values(breakdown).reduce((sum, points) => sum + points, 0));
+
+        let interpretation;
+        if (score >= 80) interpretation = 'Critical';
+        else if (score >= 60) interpretation = 'Severe';
+        else if (score >= 40) interpretation = 'High';
+        else if (score >= 20) interpretation = 'Moderate';
+        else interpretation = 'Low';
+
+        return { score, breakdown, interpretation };
+    }
+
+    _round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.SecureExtractionCalculator = SecureExtractionCalculator;
+}
+
+export { SecureExtractionCalculator, COMPARISON_DEFAULTS, HOARDING_RATES, TENANCY_TYPES };
+export default SecureExtractionCalculator;
@@ -1,21 +1,61 @@
 /**
  * Static Data Manager - No CORS Required
  * 
- * Loads all data from static JSON files for maximum security and performance
+ * Loads all data from static JSON files for maximum security and performance.
+ * Files are read through a DataLoader (data-loader.js): fetch on the site, the
+ * file system under Node.
  */
 
+import { TDRemunerationModel } from './td-remuneration.js';
+import { RentalIncomeEstimator } from './rental-income-estimator.js';
+import { parseAndValidate, schemaFor, DataValidationError } from './schema-validator.js';
+import { queryTDs } from './td-query.js';
+import { TDSearchIndex } from './td-search.js';
+import { assessTDDatabase, assessFile, fileStatus, recordCoverage, STALE_AFTER_DAYS } from './data-quality.js';
+import { DataCache, DEFAULT_CHECKSUMS_PATH } from './data-cache.js';
+import { DataLoader } from './data-loader.js';
+import { memberKey } from './register-history.js';
+
+// getDataStatus() key for each data file
+const STATUS_KEYS = Object.freeze({
+    tds: 'td_database',
+    properties: 'property_data',
+    voting: 'voting_records',
+    housing: 'housing_stats',
+    electoral: 'electoral_data',
+    remuneration: 'td_remuneration',
+    aliases: 'td_aliases',
+    counties: 'constituency_counties',
+    registerHistory: 'register_history'
+});
+
 class StaticDataManager {
-    constructor() {
+    /**
+     * loader: the DataLoader to read files with (by default fetch in a browser,
+     * the file system under Node). persistentCache: a DataCache to keep files in
+     * between visits, or null for none - by default IndexedDB where the browser
+     * has it
+     */
+    constructor({ loader = new DataLoader(), persistentCache } = {}) {
+        this.loader = loader;
         this.cache = new Map();
+        this.persistentCache = persistentCache;
+        this.checksumsFile = DEFAULT_CHECKSUMS_PATH;
         this.dataFiles = {
             tds: 'complete-td-database.json',
             properties: 'data/property-data.json',
             voting: 'data/voting-records-2024.json',
             housing: 'data/housing-stats.json',
-            electoral: 'data/electoral-margins.json'
+            electoral: 'data/electoral-margins.json',
+            remuneration: 'data/td-remuneration.json',
+            aliases: 'data/td-aliases.json',
+            counties: 'data/constituency-counties.json',
+            registerHistory: 'data/register-history.json'
         };
         
         this.loadingPromises = new Map();
+        this.schemas = new Map();
+        this.validationErrors = new Map();  // file -> DataValidationError
     }
 
     /**
@@ -80,53 +120,70 @@ class StaticDataManager {
     }
 
     /**
-     * Get all constituencies grouped by county
+     * Find TDs from a free-text query, forgiving fadas, case, typos and
+     * alternative or Irish-language names - see td-search.js. Returns
+     * [{ name, td, score, matchedOn, matchedText }], best first.
      */
-    async getConstituencyData() {
-        const database = await this.loadTDDatabase();
-        
-        // Group constituencies by county for dropdowns
-        const countyMap = {};
-        
-        for (const [constituency, tdNames] of Object.entries(database.constituency_lookup || {})) {
-            // Extract county from constituency name
-            let county = this._extractCounty(constituency);
-            
-            if (!countyMap[county]) {
-                countyMap[county] = [];
-            }
-            
-            countyMap[county].push({
-                name: constituency,
-                tdCount: tdNames.length,
-                tds: tdNames
-            });
+    async searchTDs(query, options = {}) {
+        if (!this.cache.has('searchIndex')) {
+            const [database, aliases] = await Promise.all([
+                this.loadTDDatabase(),
+                this._loadJSON(this.dataFiles.aliases)
+            ]);
+            this.cache.set('searchIndex', new TDSearchIndex(database.tds, aliases.tds));
         }
-        
-        return countyMap;
+
+        return this.cache.get('searchIndex').search(query, options);
     }
 
     /**
-     * Extract county from constituency name
+     * Filter, sort, project and page TDs, e.g.
+     *   query({ where: { party: 'SF', property_count: { min: 2 } }, sort: ['-property_count', 'last_name'], limit: 10 })
+     * See queryTDs() in td-query.js for the options. database: query this instead
+     * of complete-td-database.json (e.g. one with voting records merged in)
      */
-    _extractCounty(constituency) {
-        // Handle multi-county constituencies
-        if (constituency.includes('-')) {
-            const parts = constituency.split('-');
-            return parts[0].trim();
-        }
+    async query(options = {}, database = null) {
+        const { tds } = database || await this.loadTDDatabase();
+        return queryTDs(tds, options);
+    }
+
+    /**
+     * Get all constituencies grouped by county for dropdowns, using the table in
+     * data/constituency-counties.json: a constituency that crosses county lines
+     * (Cavan-Monaghan, Roscommon-Galway) is listed under every county it covers.
+     * Former constituencies are included only while TDs are still filed under them.
+     */
+    async getConstituencyData() {
+        const [database, counties] = await Promise.all([
+            this.loadTDDatabase(),
+            this._loadJSON(this.dataFiles.counties)
+        ]);
+        const lookup = database.constituency_lookup || {};
         
-        // Handle Dublin constituencies
-        if (constituency.startsWith('Dublin')) {
-            return 'Dublin';
+        const countyMap = {};
+        
+        for (const [constituency, entry] of Object.entries(counties.constituencies)) {
+            if (entry.former && !lookup[constituency]) continue;
+            
+            const tdNames = lookup[constituency] || [];
+            for (const county of entry.counties) {
+                if (!countyMap[county]) {
+                    countyMap[county] = [];
+                }
+                
+                countyMap[county].push({
+                    name: constituency,
+                    tdCount: tdNames.length,
+                    tds: tdNames
+                });
+            }
         }
         
-        // Handle Cork constituencies  
-        if (constituency.startsWith('Cork')) {
-            return 'Cork';
+        for (const constituencies of Object.values(countyMap)) {
+            constituencies.sort((a, b) => a.name.localeCompare(b.name, 'en-IE'));
         }
         
-        return constituency;
+        return countyMap;
     }
 
     /**
@@ -157,6 +214,7 @@ class StaticDataManager {
             return vulnerable.sort((a, b) => a.electoral_margin - b.electoral_margin);
             
         } catch (error) {
+            if (error instanceof DataValidationError) throw error;
             console.warn('Electoral data not available:', error);
             
             // Return hardcoded vulnerable constituencies based on 2024 results
@@ -168,63 +226,205 @@ class StaticDataManager {
      * Get housing statistics (CSO data)
      */
     async getHousingStats(county = 'State') {
-        try {
-            const housing = await this._loadJSON(this.dataFiles.housing);
-            return housing.counties[county] || housing.counties['State'] || this._getFallbackHousingStats(county);
-        } catch (error) {
-            console.warn('Housing stats not available:', error);
-            return this._getFallbackHousingStats(county);
+        const housing = await this._loadJSON(this.dataFiles.housing);
+        return housing.counties[county] || housing.counties.State;
+    }
+
+    /**
+     * Pay package for a TD (salary, office allowance, PSA band) - see td-remuneration.js
+     */
+    async getTDRemuneration(name) {
+        if (!this.cache.has('remuneration')) {
+            this.cache.set('remuneration', new TDRemunerationModel(await this._loadJSON(this.dataFiles.remuneration)));
         }
+
+        const td = await this.getTD(name);
+        return this.cache.get('remuneration').calculate(name, td);
     }
 
     /**
-     * Load property data from Register extractions
+     * Every landlord TD's estimated gross rental income and the average across them
+     * (RentalIncomeEstimator.estimateAll()), made once from the Register extractions
+     * in data/property-data.json. The calculator, the TD finder and the insights all
+     * show these figures, so a TD's estimate is the same wherever it appears.
      */
-    async getPropertyData(tdName) {
-        try {
-            const properties = await this._loadJSON(this.dataFiles.properties);
-            return properties.tds[tdName] || this._getDefaultPropertyData();
-        } catch (error) {
-            console.warn('Property data not available:', error);
-            return this._getDefaultPropertyData();
+    async getRentalEstimates() {
+        if (!this.loadingPromises.has('rentalEstimates')) {
+            const promise = Promise.all([
+                this._loadJSON(this.dataFiles.housing),
+                this._loadJSON(this.dataFiles.properties)
+            ]).then(([housing, properties]) => new RentalIncomeEstimator(housing).estimateAll(properties.tds));
+
+            this.loadingPromises.set('rentalEstimates', promise);
+            promise.catch(() => this.loadingPromises.delete('rentalEstimates'));
         }
+
+        return this.loadingPromises.get('rentalEstimates');
+    }
+
+    /**
+     * Estimated gross rental income for a TD from their declared rental properties
+     * (low/central/high band plus methodology - see rental-income-estimator.js), or
+     * null if the Register extractions list no rental property for them
+     */
+    async getRentalIncomeEstimate(name) {
+        const { estimates } = await this.getRentalEstimates();
+        return estimates[name] || null;
+    }
+
+    /**
+     * Load property data from Register extractions (the default record is for TDs
+     * not yet extracted - a broken file throws)
+     */
+    async getPropertyData(tdName) {
+        const properties = await this._loadJSON(this.dataFiles.properties);
+        return properties.tds[tdName] || this._getDefaultPropertyData();
     }
 
     /**
-     * Get voting records for TD
+     * Get voting records for TD (the default record is for TDs not yet compiled)
      */
     async getVotingRecord(tdName) {
-        try {
-            const voting = await this._loadJSON(this.dataFiles.voting);
-            return voting.tds[tdName] || this._getDefaultVotingRecord();
-        } catch (error) {
-            console.warn('Voting data not available:', error);
-            return this._getDefaultVotingRecord();
-        }
+        const voting = await this._loadJSON(this.dataFiles.voting);
+        return voting.tds[tdName] || this._getDefaultVotingRecord();
+    }
+
+    /**
+     * A TD's declared land and property per registration period, with what
+     * changed from the year before (register-history.js), or null when the
+     * registers in data/ don't list them
+     */
+    async getPortfolioTimeline(tdName) {
+        const history = await this._loadJSON(this.dataFiles.registerHistory);
+        return history.members[memberKey('dail', tdName)] || null;
+    }
+
+    /**
+     * Any data file, parsed and schema-checked - the same interface as
+     * DataLoader.json(), so the rate table modules can load() through this manager
+     */
+    async json(file) {
+        return this._loadJSON(file);
     }
 
     /**
-     * Generic JSON loader with error handling
+     * Load, parse and schema-check a data file. Parse and schema failures throw a
+     * DataValidationError and are kept for getDataStatus()
      */
     async _loadJSON(file) {
+        const text = await this._readText(file);
+
         try {
-            const response = await fetch(file);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
+            const data = parseAndValidate(file, text, await this._loadSchema(file));
+            this.validationErrors.delete(file);
             return data;
-            
         } catch (error) {
-            if (error.name === 'SyntaxError') {
-                throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+            if (error instanceof DataValidationError) {
+                this.validationErrors.set(file, error);
             }
-            throw new Error(`Failed to load ${file}: ${error.message}`);
+            throw error;
         }
     }
 
+    /**
+     * A file's text - from the persistent cache while it holds the published
+     * version (see data-cache.js), otherwise from the loader and then cached
+     */
+    async _readText(file) {
+        const cache = await this._persistentCache();
+        const hash = cache ? (await this._checksums())?.[file]?.hash : null;
+
+        if (hash) {
+            const cached = await cache.get(file, hash).catch(() => null);
+            if (cached !== null) return cached;
+        }
+
+        const text = await this.loader.text(file);
+        if (hash) {
+            await cache.put(file, hash, text).catch(error => console.warn(`Could not cache ${file}:`, error));
+        }
+        return text;
+    }
+
+    /**
+     * The persistent cache, opened on first use (null if there is none)
+     */
+    async _persistentCache() {
+        if (this.persistentCache === undefined) {
+            this.persistentCache = globalThis.indexedDB
+                ? DataCache.open().catch(error => {
+                    console.warn('Offline data cache not available:', error);
+                    return null;
+                })
+                : null;
+        }
+        return this.persistentCache;
+    }
+
+    /**
+     * Checksums of the published data release, fetched once per page load and
+     * saved to the persistent cache, which drops whatever they no longer match.
+     * Offline, the checksums saved on the last visit.
+     */
+    async _checksums() {
+        if (!this.loadingPromises.has('checksums')) {
+            this.loadingPromises.set('checksums', (async () => {
+                const cache = await this._persistentCache();
+                let checksums;
+                try {
+                    checksums = await this.loader.json(this.checksumsFile, { fresh: true });
+                } catch (error) {
+                    return cache.savedChecksums().catch(() => null);
+                }
+
+                await cache.saveChecksums(checksums).catch(error => console.warn('Could not save data checksums:', error));
+                return checksums;
+            })());
+        }
+
+        return this.loadingPromises.get('checksums');
+    }
+
+    /**
+     * What the persistent cache holds: { available, files: [{ file, hash, bytes,
+     * stored_at }], bytes }
+     */
+    async getCacheStatus() {
+        const cache = await this._persistentCache();
+        if (!cache) {
+            return { available: false, files: [], bytes: 0 };
+        }
+        return { available: true, ...await cache.stats() };
+    }
+
+    /**
+     * Forget every cached file, in memory and persistent - the next load of each
+     * comes from the network
+     */
+    async clearCachedData() {
+        const cache = await this._persistentCache();
+        if (cache) {
+            await cache.clear();
+        }
+        this.cache.clear();
+        this.loadingPromises.clear();
+    }
+
+    /**
+     * Schema for a data file from schemas/ (null if the file has none), loaded once
+     * and kept in the persistent cache like the data
+     */
+    async _loadSchema(file) {
+        const schemaFile = schemaFor(file);
+        if (!schemaFile) return null;
+
+        if (!this.schemas.has(schemaFile)) {
+            this.schemas.set(schemaFile, JSON.parse(await this._readText(schemaFile)));
+        }
+
+        return this.schemas.get(schemaFile);
+    }
+
     /**
      * Fallback data for when files are missing
      */
@@ -241,19 +441,6 @@ class StaticDataManager {
         ];
     }
 
-    _getFallbackHousingStats(county) {
-        const estimates = {
-            'Dublin': { averageRent: 2200, averagePrice: 450000 },
-            'Cork': { averageRent: 1650, averagePrice: 350000 },
-            'Galway': { averageRent: 1750, averagePrice: 380000 },
-            'Limerick': { averageRent: 1500, averagePrice: 280000 },
-            'Waterford': { averageRent: 1300, averagePrice: 250000 },
-            'default': { averageRent: 1650, averagePrice: 350000 }
-        };
-        
-        return estimates[county] || estimates.default;
-    }
-
     _getDefaultPropertyData() {
         return {
             owns_property: null,
@@ -277,46 +464,90 @@ class StaticDataManager {
     }
 
     /**
-     * Data completeness report
+     * Data completeness report, measured from the data itself (see data-quality.js).
+     * Each file is COMPLETE, PARTIAL (records missing), STALE (over a year old),
+     * ESTIMATED or PATTERN_ANALYSIS (as its metadata declares), INVALID (fails to
+     * parse or match its schema - listed in errors as { file, pointer, rule,
+     * message }) or UNAVAILABLE. quality holds the measurements behind each status
+     * and completeness the share of tracked TD fields filled in (0-100).
      */
-    async getDataStatus() {
-        const status = {
-            td_database: 'COMPLETE',
-            property_data: 'COMPLETE', 
-            voting_records: 'COMPLETE',
-            housing_stats: 'ESTIMATED',
-            electoral_data: 'COMPLETE'
-        };
+    async getDataStatus({ now = new Date() } = {}) {
+        const status = { errors: [] };
+        const files = {};
+        const loaded = {};
 
-        // Check if optional data files exist and update status
         for (const [key, file] of Object.entries(this.dataFiles)) {
-            if (key !== 'tds') { // TD database is required, others are optional
-                try {
-                    const data = await this._loadJSON(file);
-                    
-                    // More specific status based on data quality
-                    if (key === 'voting') {
-                        status.voting_records = data.metadata?.verification_status === 'PATTERN_ANALYSIS_BASED' ? 
-                            'PATTERN_ANALYSIS' : 'COMPLETE';
-                    } else if (key === 'properties') {
-                        status.property_data = 'COMPLETE';
-                    } else if (key === 'electoral') {
-                        status.electoral_data = 'COMPLETE';
-                    } else {
-                        status[key.replace('s', '_data')] = 'AVAILABLE';
-                    }
-                } catch (error) {
-                    // File doesn't exist or is invalid - keep default status
+            const statusKey = STATUS_KEYS[key];
+
+            try {
+                loaded[key] = await this._loadJSON(file);
+                files[statusKey] = { file, ...assessFile(loaded[key], { now }) };
+            } catch (error) {
+                if (error instanceof DataValidationError) {
+                    status[statusKey] = 'INVALID';
+                    status.errors.push(...error.errors.map(e => ({ file, ...e })));
+                } else {
+                    status[statusKey] = 'UNAVAILABLE';
+                    status.errors.push({ file, pointer: '', rule: 'load', message: error.message });
                 }
+                files[statusKey] = { file, status: status[statusKey] };
             }
         }
 
+        const tds = loaded.tds ? assessTDDatabase(loaded.tds, { now }) : null;
+        const records = this._expectedRecords(loaded, tds);
+
+        for (const [statusKey, assessment] of Object.entries(files)) {
+            if (assessment.status) continue;
+
+            assessment.records = records[statusKey] || null;
+            assessment.status = fileStatus(assessment, assessment.records?.percent);
+            status[statusKey] = assessment.status;
+        }
+
+        status.completeness = tds ? tds.completeness : 0;
+        status.quality = { checked_at: now.toISOString(), stale_after_days: STALE_AFTER_DAYS, files, tds };
+
         return status;
     }
+
+    /**
+     * Records each file should hold, where the other files say: every TD in the
+     * summary's count, a Register extraction per landlord TD, a voting record per
+     * TD and margins for every current constituency
+     */
+    _expectedRecords(loaded, tds) {
+        const records = {};
+        const names = Object.keys(loaded.tds?.tds || {});
+
+        if (tds) {
+            records.td_database = {
+                present: tds.records,
+                total: tds.expected,
+                percent: Math.round(100 * tds.records / tds.expected),
+                missing: []
+            };
+        }
+        if (loaded.tds && loaded.properties) {
+            const landlords = names.filter(name => loaded.tds.tds[name].properties?.landlord_status);
+            records.property_data = recordCoverage(landlords, loaded.properties.tds);
+        }
+        if (loaded.tds && loaded.voting) {
+            records.voting_records = recordCoverage(names, loaded.voting.tds);
+        }
+        if (loaded.counties && loaded.electoral) {
+            const current = Object.keys(loaded.counties.constituencies).filter(name => !loaded.counties.constituencies[name].former);
+            records.electoral_data = recordCoverage(current, loaded.electoral.constituencies);
+        }
+
+        return records;
+    }
 }
 
 // Create global instance
-window.staticDataManager = new StaticDataManager();
+if (typeof window !== 'undefined') {
+    window.staticDataManager = new StaticDataManager();
+}
 
 // Export for modules
 export default StaticDataManager;
\ No newline at end of file
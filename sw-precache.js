@@ -0,0 +1,65 @@
+// Generated by scripts/build-precache.js (npm run build:precache) - do not edit
+self.PRECACHE = {
+  "version": "41d583243d01d6e7",
+  "files": [
+    "Irish Democratic Accountability Dashboard.jpg",
+    "calculation-receipt.js",
+    "complete-td-database.json",
+    "dark-theme.css",
+    "data-cache.js",
+    "data-linter.js",
+    "data-loader.js",
+    "data-quality.js",
+    "data/checksums.json",
+    "data/constituency-counties.json",
+    "data/electoral-margins.json",
+    "data/first-home-schemes.json",
+    "data/household-supports.json",
+    "data/housing-stats.json",
+    "data/property-data.json",
+    "data/register-history.json",
+    "data/rpz-rules.json",
+    "data/tax-rates/2023.json",
+    "data/tax-rates/2024.json",
+    "data/tax-rates/2025.json",
+    "data/tax-rates/2026.json",
+    "data/td-aliases.json",
+    "data/td-remuneration.json",
+    "data/voting-records-2024.json",
+    "enhanced-voting-integration.js",
+    "first-home-schemes.js",
+    "household-supports.js",
+    "index.html",
+    "manifest.json",
+    "mortgage-affordability.js",
+    "offline-support.js",
+    "permalink-state.js",
+    "register-history.js",
+    "register-positions.js",
+    "rental-income-estimator.js",
+    "rpz-checker.js",
+    "schema-validator.js",
+    "schemas/checksums.schema.json",
+    "schemas/complete-td-database.schema.json",
+    "schemas/constituency-counties.schema.json",
+    "schemas/electoral-margins.schema.json",
+    "schemas/first-home-schemes.schema.json",
+    "schemas/household-supports.schema.json",
+    "schemas/housing-stats.schema.json",
+    "schemas/member-resolution.schema.json",
+    "schemas/property-data.schema.json",
+    "schemas/register-history.schema.json",
+    "schemas/register-staging.schema.json",
+    "schemas/rpz-rules.schema.json",
+    "schemas/tax-rates.schema.json",
+    "schemas/td-aliases.schema.json",
+    "schemas/td-remuneration.schema.json",
+    "schemas/voting-records.schema.json",
+    "secure-extraction-calculator.js",
+    "static-data-manager.js",
+    "tax-engine.js",
+    "td-query.js",
+    "td-remuneration.js",
+    "td-search.js"
+  ]
+};
@@ -0,0 +1,64 @@
+/**
+ * Service Worker - offline use
+ *
+ * Keeps the files listed in sw-precache.js (npm run build:precache) - the page,
+ * its modules and stylesheets, and every data file - and serves them from that
+ * cache, so the dashboard works without signal once it has been opened online.
+ *
+ * Any change to a precached file changes sw-precache.js, so the browser installs
+ * the new release next to the old one. It waits until the page posts
+ * SKIP_WAITING (the "Update" button - see offline-support.js), then takes over
+ * and drops the old release's cache.
+ */
+
+importScripts('sw-precache.js');
+
+const CACHE_PREFIX = 'accountability-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.PRECACHE.version}`;
+
+self.addEventListener('install', event => {
+    // cache: 'reload' skips the HTTP cache, so the release is stored as published
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(self.PRECACHE.files.map(file => new Request(file, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // The site root is index.html; permalink state is in the hash, so never in the request
+        const isHome = request.mode === 'navigate' && new URL(request.url).pathname === new URL('./', self.registration.scope).pathname;
+        const cached = await cache.match(isHome ? 'index.html' : request, { ignoreSearch: true });
+        if (cached) return cached;
+
+        try {
+            return await fetch(request);
+        } catch (error) {
+            return new Response('Offline - this file is not kept for offline use', {
+                status: 503,
+                statusText: 'Offline',
+                headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+            });
+        }
+    })());
+});
@@ -0,0 +1,259 @@
+/**
+ * Irish Tax Engine
+ *
+ * Rate-table driven income tax, USC and PRSI. Each year's bands, credits and
+ * thresholds live in data/tax-rates/<year>.json so figures can be checked
+ * line-by-line against Revenue's published tables.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const TAX_YEARS = Object.freeze([2023, 2024, 2025, 2026]);
+const DEFAULT_TAX_YEAR = 2026;
+const TAX_RATES_PATH = 'data/tax-rates/';
+
+const FILING_STATUSES = Object.freeze(['single', 'single_parent', 'married']);
+const EMPLOYMENT_TYPES = Object.freeze(['paye', 'self_employed']);
+
+const WEEKS_PER_YEAR = 52;
+
+/**
+ * Recursively freeze a parsed rate table
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+class IrishTaxEngine {
+    constructor(table) {
+        if (!table?.metadata?.year || !table.income_tax || !table.usc || !table.prsi) {
+            throw new Error('Invalid tax rate table: metadata, income_tax, usc and prsi are required');
+        }
+
+        this.table = deepFreeze(table);
+        this.year = table.metadata.year;
+        this.version = table.metadata.version;
+    }
+
+    /**
+     * Load a year's rate table and build an engine for it. loader: anything with
+     * json(file) - a DataLoader, or a StaticDataManager to schema-check and cache it
+     */
+    static async load(year = DEFAULT_TAX_YEAR, loader = new DataLoader(), basePath = TAX_RATES_PATH) {
+        if (!TAX_YEARS.includes(Number(year))) {
+            throw new Error(`No tax rate table for ${year} (available: ${TAX_YEARS.join(', ')})`);
+        }
+
+        return new IrishTaxEngine(await loader.json(`${basePath}${year}.json`));
+    }
+
+    /**
+     * Apply a progressive band table (max: null = no upper limit)
+     */
+    _applyBands(amount, bands) {
+        let total = 0;
+        for (const band of bands) {
+            const max = band.max === null ? Infinity : band.max;
+            if (amount > band.min) {
+                total += (Math.min(amount, max) - band.min) * band.rate;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Normalise a person (and spouse) into a list of individual earners
+     */
+    _earners(person) {
+        const earners = [{
+            income: person.income || 0,
+            employment: person.employment || 'paye',
+            otherIncome: person.otherIncome || 0,
+            medicalCard: Boolean(person.medicalCard),
+            age: person.age ?? null
+        }];
+
+        if (person.filingStatus === 'married' && person.spouse) {
+            earners.push({
+                income: person.spouse.income || 0,
+                employment: person.spouse.employment || 'paye',
+                otherIncome: person.spouse.otherIncome || 0,
+                medicalCard: Boolean(person.spouse.medicalCard),
+                age: person.spouse.age ?? null
+            });
+        }
+
+        return earners;
+    }
+
+    _validate(person) {
+        const status = person.filingStatus || 'single';
+
+        if (!FILING_STATUSES.includes(status)) {
+            throw new Error(`Unknown filing status "${status}"`);
+        }
+
+        for (const earner of this._earners(person)) {
+            if (!EMPLOYMENT_TYPES.includes(earner.employment)) {
+                throw new Error(`Unknown employment type "${earner.employment}"`);
+            }
+            if (!Number.isFinite(earner.income) || earner.income < 0 ||
+                !Number.isFinite(earner.otherIncome) || earner.otherIncome < 0) {
+                throw new Error('Incomes must be zero or more');
+            }
+        }
+    }
+
+    /**
+     * Standard rate band for the assessment unit
+     */
+    standardRateBand(person) {
+        const bands = this.table.income_tax.standard_rate_band;
+        const status = person.filingStatus || 'single';
+
+        if (status === 'single_parent') return bands.single_parent;
+        if (status !== 'married') return bands.single;
+
+        // Married / civil partners: the band increases by the lower earner's income, up to a cap
+        const incomes = this._earners(person).map(e => e.income + e.otherIncome);
+        const secondIncome = incomes.length > 1 ? Math.min(...incomes) : 0;
+        return bands.married_one_income + Math.min(secondIncome, bands.married_two_income_increase);
+    }
+
+    /**
+     * Tax credits for the assessment unit, itemised
+     */
+    taxCredits(person) {
+        const { credits, employee_credit_income_cap_rate: capRate } = this.table.income_tax;
+        const status = person.filingStatus || 'single';
+
+        const items = {
+            personal: status === 'married' ? credits.personal_married : credits.personal_single,
+            single_person_child_carer: status === 'single_parent' ? credits.single_person_child_carer : 0,
+            employee: 0,
+            earned_income: 0
+        };
+
+        // Employee / earned income credit per earner, capped at 20% of the income it relates to
+        for (const earner of this._earners(person)) {
+            if (earner.income <= 0) continue;
+
+            const cap = earner.income * capRate;
+            if (earner.employment === 'paye') {
+                items.employee += Math.min(credits.employee, cap);
+            } else {
+                items.earned_income += Math.min(credits.earned_income, cap);
+            }
+        }
+
+        return {
+            ...items,
+            total: Object.values(items).reduce((sum, value) => sum + value, 0)
+        };
+    }
+
+    calculateIncomeTax(person) {
+        const { standard_rate: standardRate, higher_rate: higherRate } = this.table.income_tax;
+        const gross = this._earners(person).reduce((sum, e) => sum + e.income + e.otherIncome, 0);
+        const band = this.standardRateBand(person);
+
+        const grossTax = Math.min(gross, band) * standardRate + Math.max(gross - band, 0) * higherRate;
+        return Math.max(0, grossTax - this.taxCredits(person).total);
+    }
+
+    /**
+     * USC for one earner - exemption threshold, reduced rates for medical card holders
+     * and over-70s, and the surcharge on non-PAYE income
+     */
+    calculateUSC(earner) {
+        const usc = this.table.usc;
+        const total = earner.income + (earner.otherIncome || 0);
+
+        if (total <= usc.exemption_threshold) {
+            return 0;
+        }
+
+        const qualifiesForReduced = (earner.medicalCard || (earner.age !== null && earner.age >= usc.reduced.age)) &&
+            total <= usc.reduced.income_limit;
+
+        let charge = this._applyBands(total, qualifiesForReduced ? usc.reduced.bands : usc.bands);
+
+        const nonPaye = (earner.employment === 'self_employed' ? earner.income : 0) + (earner.otherIncome || 0);
+        if (nonPaye > usc.non_paye_surcharge.threshold) {
+            charge += (nonPaye - usc.non_paye_surcharge.threshold) * usc.non_paye_surcharge.rate;
+        }
+
+        return charge;
+    }
+
+    /**
+     * PRSI for one earner - Class A for employees (weekly exemption and tapered
+     * PRSI credit), Class S for self-employed and unearned income
+     */
+    calculatePRSI(earner) {
+        const { class_a: classA, class_s: classS } = this.table.prsi;
+        let prsi = 0;
+
+        if (earner.employment === 'paye') {
+            const weekly = earner.income / WEEKS_PER_YEAR;
+
+            if (weekly > classA.weekly_exemption) {
+                let weeklyCharge = weekly * classA.rate;
+
+                if (weekly <= classA.credit.upper_weekly) {
+                    const credit = Math.max(0, classA.credit.max_weekly -
+                        (weekly - classA.weekly_exemption) / classA.credit.taper_divisor);
+                    weeklyCharge = Math.max(0, weeklyCharge - credit);
+                }
+
+                prsi += weeklyCharge * WEEKS_PER_YEAR;
+            }
+        }
+
+        const classSIncome = (earner.employment === 'self_employed' ? earner.income : 0) + (earner.otherIncome || 0);
+        if (classSIncome >= classS.income_threshold) {
+            prsi += Math.max(classSIncome * classS.rate, classS.minimum_contribution);
+        }
+
+        return prsi;
+    }
+
+    /**
+     * Full calculation for a person (and spouse, if married)
+     *
+     * person: { income, employment, otherIncome, filingStatus, medicalCard, age, spouse }
+     */
+    calculate(person) {
+        this._validate(person);
+
+        const earners = this._earners(person);
+        const incomeTax = this.calculateIncomeTax(person);
+        const usc = earners.reduce((sum, earner) => sum + this.calculateUSC(earner), 0);
+        const prsi = earners.reduce((sum, earner) => sum + this.calculatePRSI(earner), 0);
+        const grossIncome = earners.reduce((sum, e) => sum + e.income + e.otherIncome, 0);
+
+        return {
+            year: this.year,
+            version: this.version,
+            grossIncome,
+            incomeTax,
+            usc,
+            prsi,
+            total: incomeTax + usc + prsi,
+            standardRateBand: this.standardRateBand(person),
+            credits: this.taxCredits(person)
+        };
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.IrishTaxEngine = IrishTaxEngine;
+}
+
+export { IrishTaxEngine, TAX_YEARS, DEFAULT_TAX_YEAR, FILING_STATUSES, EMPLOYMENT_TYPES };
+export default IrishTaxEngine;
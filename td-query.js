@@ -0,0 +1,136 @@
+/**
+ * TD Query
+ *
+ * Filtering, sorting, projection and paging over a TD database's `tds` map, so
+ * views and scripts share one implementation instead of each chaining their own
+ * Object.values().filter().sort(). StaticDataManager.query() runs it on the
+ * loaded database; Node scripts can call queryTDs() on a parsed file directly.
+ *
+ * Fields are dot paths into a TD record ("properties.property_count") or one of
+ * the short names in FIELD_ALIASES. Every record also has `name`, its key in tds.
+ */
+
+const FIELD_ALIASES = Object.freeze({
+    landlord_status: 'properties.landlord_status',
+    property_count: 'properties.property_count',
+    rental_properties: 'properties.rental_properties',
+    total_value_estimate: 'properties.total_value_estimate',
+    verification_status: 'properties.verification_status',
+    hypocrisy_score: 'voting_record.hypocrisy_score',
+    anti_tenant_votes: 'voting_record.housing_votes.anti_tenant_votes'
+});
+
+function fieldValue(td, field) {
+    const path = FIELD_ALIASES[field] || field;
+    return path.split('.').reduce((value, key) => value?.[key], td);
+}
+
+function isRange(expected) {
+    return expected !== null && typeof expected === 'object' && !Array.isArray(expected);
+}
+
+/**
+ * Does a record pass one filter? A value matches itself or any entry of an
+ * array; { min, max } is an inclusive numeric range. party also matches the
+ * abbreviation ("SF").
+ */
+function matchesFilter(td, field, expected) {
+    const actual = field === 'party' ? [td.party, td.party_abbrev] : [fieldValue(td, field)];
+
+    if (isRange(expected)) {
+        const unknown = Object.keys(expected).filter(key => key !== 'min' && key !== 'max');
+        if (unknown.length > 0) {
+            throw new Error(`Invalid query: "${field}" range only takes min and max`);
+        }
+        return actual.some(value => typeof value === 'number' &&
+            (expected.min === undefined || value >= expected.min) &&
+            (expected.max === undefined || value <= expected.max));
+    }
+
+    const allowed = Array.isArray(expected) ? expected : [expected];
+    return actual.some(value => allowed.includes(value));
+}
+
+/**
+ * "-field" sorts descending; anything else ascending
+ */
+function parseSortKey(key) {
+    if (typeof key !== 'string' || key === '' || key === '-') {
+        throw new Error(`Invalid query: sort keys must be field names (got ${JSON.stringify(key)})`);
+    }
+    return key.startsWith('-') ? { field: key.slice(1), direction: -1 } : { field: key, direction: 1 };
+}
+
+// Missing values sort last whichever way the key runs
+function compareValues(a, b, direction) {
+    const aMissing = a === null || a === undefined;
+    const bMissing = b === null || b === undefined;
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+    }
+
+    if (typeof a === 'string' && typeof b === 'string') {
+        return direction * a.localeCompare(b, 'en-IE', { sensitivity: 'base' });
+    }
+    return direction * (a < b ? -1 : a > b ? 1 : 0);
+}
+
+function checkPaging(value, label) {
+    if (value !== null && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`Invalid query: ${label} must be a non-negative integer`);
+    }
+}
+
+/**
+ * Query a tds map ({ name: record })
+ *
+ * where: { field: value | [values] | { min, max } } - all must match
+ * sort: field or list of fields, "-" prefix for descending; ties keep database order
+ * select: fields to return (flat, keyed as requested) - omit for whole records
+ * offset, limit: paging after filtering and sorting
+ *
+ * Returns { total, offset, limit, results } - total counts every match, not just this page.
+ */
+function queryTDs(tds, { where = {}, sort = [], select = null, offset = 0, limit = null } = {}) {
+    checkPaging(offset, 'offset');
+    checkPaging(limit, 'limit');
+
+    const sortKeys = (Array.isArray(sort) ? sort : [sort]).map(parseSortKey);
+    const filters = Object.entries(where).filter(([, expected]) => expected !== undefined);
+
+    const matches = Object.entries(tds || {})
+        .map(([name, td]) => ({ name, ...td }))
+        .filter(td => filters.every(([field, expected]) => matchesFilter(td, field, expected)));
+
+    if (sortKeys.length > 0) {
+        // Array.prototype.sort is stable, so equal records keep database order
+        matches.sort((a, b) => {
+            for (const { field, direction } of sortKeys) {
+                const order = compareValues(fieldValue(a, field), fieldValue(b, field), direction);
+                if (order !== 0) return order;
+            }
+            return 0;
+        });
+    }
+
+    const page = matches.slice(offset, limit === null ? undefined : offset + limit);
+
+    return {
+        total: matches.length,
+        offset,
+        limit,
+        results: select
+            ? page.map(td => Object.fromEntries(select.map(field => [field, fieldValue(td, field) ?? null])))
+            : page
+    };
+}
+
+const TDQuery = Object.freeze({ queryTDs, fieldValue, FIELD_ALIASES });
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.TDQuery = TDQuery;
+}
+
+export { queryTDs, fieldValue, FIELD_ALIASES };
+export default TDQuery;
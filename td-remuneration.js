@@ -0,0 +1,138 @@
+/**
+ * TD Remuneration Model
+ *
+ * Builds an individual TD's pay package from the published scales in
+ * data/td-remuneration.json: basic salary, office holder / committee chair
+ * allowance, and the Parliamentary Standard Allowance (PSA) travel band by
+ * distance from Leinster House. TDs are identified by their name in
+ * complete-td-database.json.
+ */
+
+import { DataLoader } from './data-loader.js';
+
+const REMUNERATION_PATH = 'data/td-remuneration.json';
+
+class TDRemunerationModel {
+    constructor(table) {
+        if (!table?.salary?.td_basic || !table.office_allowances || !table.parliamentary_standard_allowance) {
+            throw new Error('Invalid remuneration table: salary, office_allowances and parliamentary_standard_allowance are required');
+        }
+
+        this.table = table;
+        this.verificationStatus = table.metadata?.verification_status || 'UNKNOWN';
+    }
+
+    /**
+     * Load the remuneration table and build a model for it. loader: anything with json(file) - a
+     * DataLoader, or a StaticDataManager to schema-check and cache the file
+     */
+    static async load(file = REMUNERATION_PATH, loader = new DataLoader()) {
+        return new TDRemunerationModel(await loader.json(file));
+    }
+
+    /**
+     * Offices held by a TD (empty array for backbenchers)
+     */
+    rolesFor(name) {
+        return this.table.roles?.[name] || [];
+    }
+
+    /**
+     * The single office allowance payable - office holders are paid for their
+     * highest-ranked office only, and committee chairs only if they hold no office
+     */
+    officeAllowance(roles) {
+        const allowances = this.table.office_allowances;
+
+        for (const role of roles) {
+            if (!allowances[role]) {
+                throw new Error(`Unknown office "${role}" in remuneration table`);
+            }
+        }
+
+        const ranked = [...roles].sort((a, b) => allowances[a].rank - allowances[b].rank);
+        const holdsOffice = ranked.some(role => !allowances[role].office_holders_excluded);
+        const payable = ranked.find(role => !(holdsOffice && allowances[role].office_holders_excluded));
+
+        if (!payable) {
+            return { role: null, label: null, amount: 0, isOfficeHolder: false };
+        }
+
+        return {
+            role: payable,
+            label: allowances[payable].label,
+            amount: allowances[payable].amount,
+            isOfficeHolder: holdsOffice
+        };
+    }
+
+    /**
+     * PSA travel and accommodation band for a constituency
+     */
+    travelBand(constituency) {
+        const distance = this.table.constituency_distance_km?.[constituency];
+
+        if (distance === undefined) {
+            throw new Error(`No Leinster House distance for constituency "${constituency}"`);
+        }
+
+        const bands = this.table.parliamentary_standard_allowance.travel_accommodation_bands;
+        const band = bands.find(b => b.max_km === null || distance <= b.max_km);
+
+        return { band: band.band, distanceKm: distance, amount: band.amount };
+    }
+
+    /**
+     * Full package for one TD
+     *
+     * td: a complete-td-database.json record (constituency is required)
+     */
+    calculate(name, td) {
+        if (!td?.constituency) {
+            throw new Error(`TD "${name}" has no constituency`);
+        }
+
+        const psaTable = this.table.parliamentary_standard_allowance;
+        const salary = this.table.salary.td_basic;
+        const office = this.officeAllowance(this.rolesFor(name));
+        const band = this.travelBand(td.constituency);
+
+        const travelAccommodation = office.isOfficeHolder && !psaTable.office_holders_receive_travel_accommodation
+            ? 0
+            : band.amount;
+        const publicRepresentation = office.isOfficeHolder
+            ? psaTable.public_representation.office_holder
+            : psaTable.public_representation.td;
+
+        const taxableIncome = salary + office.amount;
+        const untaxedAllowances = travelAccommodation + publicRepresentation;
+
+        return {
+            name,
+            constituency: td.constituency,
+            party: td.party || null,
+            office,
+            salary,
+            psa: {
+                band: band.band,
+                distanceKm: band.distanceKm,
+                travelAccommodation,
+                publicRepresentation,
+                total: untaxedAllowances
+            },
+            taxableIncome,
+            untaxedAllowances,
+            total: taxableIncome + untaxedAllowances,
+            verificationStatus: this.verificationStatus,
+            effectiveFrom: this.table.metadata?.effective_from || null
+        };
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.TDRemunerationModel = TDRemunerationModel;
+}
+
+export { TDRemunerationModel };
+export default TDRemunerationModel;
@@ -0,0 +1,189 @@
+/**
+ * TD Search
+ *
+ * Forgiving name search over the TD database. Names are folded before matching
+ * (fadas dropped, case ignored, apostrophes and hyphens treated as spaces), so
+ * "Micheal Martin", "eoin o broin" and "healy rae" find the TDs getTD() would
+ * reject. Each query word may also be a prefix or a near miss (one or two typed
+ * characters out), and the index includes alternative and Irish-language names
+ * from data/td-aliases.json plus each TD's constituency.
+ */
+
+const DEFAULT_SEARCH_LIMIT = 10;
+const MIN_QUERY_LENGTH = 2;
+
+// How much a match on each field counts - a name beats a constituency
+const FIELD_WEIGHTS = Object.freeze({
+    name: 1,
+    alias: 0.95,
+    irish: 0.95,
+    constituency: 0.6
+});
+
+const MATCH_QUALITY = Object.freeze({ exact: 1, prefix: 0.85, typo: 0.7 });
+
+/**
+ * Lower-case, fada-free, punctuation-free form of a name: "Ó Laoghaire" -> "o laoghaire"
+ */
+function foldText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Words of a folded name, plus each neighbouring pair run together so "O'Reilly"
+ * (o reilly) also matches "oreilly" and "Ó Broin" matches "obroin"
+ */
+function nameTokens(folded) {
+    const words = folded.split(' ').filter(Boolean);
+    const pairs = words.slice(1).map((word, i) => words[i] + word);
+    return [...words, ...pairs];
+}
+
+/**
+ * Edit distance counting a swap of neighbouring letters as one edit (optimal
+ * string alignment). Gives up and returns max + 1 once it is past max.
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Typos allowed in a query word of this length
+function allowedTypos(length) {
+    if (length >= 7) return 2;
+    if (length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * How well one query word matches one indexed word (0 = not at all)
+ */
+function wordScore(query, word) {
+    if (query === word) return MATCH_QUALITY.exact;
+    if (query.length >= MIN_QUERY_LENGTH && word.startsWith(query)) return MATCH_QUALITY.prefix;
+
+    const max = allowedTypos(query.length);
+    if (max === 0) return 0;
+
+    const distance = editDistance(query, word, max);
+    return distance <= max ? MATCH_QUALITY.typo - 0.1 * (distance - 1) : 0;
+}
+
+class TDSearchIndex {
+    /**
+     * tds: the database's { name: record } map
+     * aliases: { name: { aliases: [...], irish: [...] } } from data/td-aliases.json
+     */
+    constructor(tds, aliases = {}) {
+        if (!tds || typeof tds !== 'object') {
+            throw new Error('Invalid TD search data: tds are required');
+        }
+
+        this.entries = Object.entries(tds).map(([name, td]) => {
+            const extra = aliases[name] || {};
+            const terms = [
+                { field: 'name', text: name },
+                { field: 'name', text: `${td.first_name} ${td.last_name}` },
+                ...(extra.aliases || []).map(text => ({ field: 'alias', text })),
+                ...(extra.irish || []).map(text => ({ field: 'irish', text })),
+                { field: 'constituency', text: td.constituency || '' }
+            ].map(term => {
+                const folded = foldText(term.text);
+                return { ...term, compact: folded.replace(/ /g, ''), tokens: nameTokens(folded) };
+            });
+
+            return { name, td, terms };
+        });
+    }
+
+    /**
+     * TDs matching a free-text query, best first:
+     * [{ name, td, score (0-100), matchedOn: 'name' | 'alias' | 'irish' | 'constituency', matchedText }]
+     *
+     * Every word in the query has to match something (name, alias or constituency).
+     */
+    search(query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+        const folded = foldText(query ?? '');
+        if (folded.replace(/ /g, '').length < MIN_QUERY_LENGTH) {
+            return [];
+        }
+
+        const words = folded.split(' ');
+        const compact = folded.replace(/ /g, '');
+        const results = [];
+
+        for (const entry of this.entries) {
+            const whole = entry.terms.find(term => term.field !== 'constituency' && term.compact === compact);
+            if (whole) {
+                results.push({ name: entry.name, td: entry.td, score: 100, matchedOn: whole.field, matchedText: whole.text });
+                continue;
+            }
+
+            let total = 0;
+            let best = null;
+            for (const word of words) {
+                let wordBest = null;
+                for (const term of entry.terms) {
+                    const score = Math.max(0, ...term.tokens.map(token => wordScore(word, token))) * FIELD_WEIGHTS[term.field];
+                    if (score > 0 && (!wordBest || score > wordBest.score)) {
+                        wordBest = { score, term };
+                    }
+                }
+                if (!wordBest) {
+                    total = 0;
+                    break;
+                }
+                total += wordBest.score;
+                if (!best || wordBest.score > best.score) best = wordBest;
+            }
+
+            if (total > 0) {
+                results.push({
+                    name: entry.name,
+                    td: entry.td,
+                    // Below 100 so a whole-name match always ranks first
+                    score: Math.round(99 * total / words.length),
+                    matchedOn: best.term.field,
+                    matchedText: best.term.text
+                });
+            }
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name, 'en-IE'))
+            .slice(0, limit);
+    }
+}
+
+// Browser compatibility
+if (typeof window !== 'undefined') {
+    window.TDSearchIndex = TDSearchIndex;
+}
+
+export { TDSearchIndex, foldText, editDistance, DEFAULT_SEARCH_LIMIT };
+export default TDSearchIndex;
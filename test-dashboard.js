@@ -6,8 +6,7 @@
  * Quick validation to ensure everything works before going live
  */
 
-const fs = require('fs');
-const path = require('path');
+import fs from 'node:fs';
 
 console.log('🧪 IRISH DEMOCRATIC ACCOUNTABILITY DASHBOARD - PRE-DEPLOYMENT TEST');
 console.log('==================================================================');
@@ -122,7 +121,8 @@ console.log('\n📱 PHASE 6: Functionality Tests');
 console.log('==============================');
 
 // Test JavaScript functionality indicators
-test('Tax calculation functions present', () => fileContains('index.html', 'calculateIncomeTax'));
+test('Tax calculation functions present', () => fileContains('tax-engine.js', 'calculateIncomeTax') && fileContains('secure-extraction-calculator.js', 'calculateTotalTax'));
+test('Calculator module loaded by index.html', () => fileContains('index.html', 'secure-extraction-calculator.js'));
 test('TD database integration', () => fileContains('index.html', 'TD_DATABASE'));
 test('Hoarding statistics integration', () => fileContains('index.html', 'HOARDING_DATA'));
 test('Event handlers attached', () => fileContains('index.html', 'addEventListener'));
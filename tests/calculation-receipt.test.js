@@ -0,0 +1,125 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { createReceipt, verifyReceipt, canonicalJSON, receiptFiles, sha256Hex } from '../calculation-receipt.js';
+import { SecureExtractionCalculator } from '../secure-extraction-calculator.js';
+import { IrishTaxEngine } from '../tax-engine.js';
+import { MortgageAffordability } from '../mortgage-affordability.js';
+import { FirstHomeSchemes } from '../first-home-schemes.js';
+import { HouseholdSupports } from '../household-supports.js';
+import { TDRemunerationModel } from '../td-remuneration.js';
+import { RentalIncomeEstimator } from '../rental-income-estimator.js';
+
+const load = file => JSON.parse(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'));
+const readFile = file => readFileSync(new URL(`../${file}`, import.meta.url));
+
+const calculator = new SecureExtractionCalculator({
+    taxEngine: new IrishTaxEngine(load('data/tax-rates/2024.json')),
+    affordability: new MortgageAffordability(load('data/housing-stats.json')),
+    schemes: new FirstHomeSchemes(load('data/first-home-schemes.json')),
+    supports: new HouseholdSupports(load('data/household-supports.json')),
+    remuneration: new TDRemunerationModel(load('data/td-remuneration.json')),
+    rentalEstimates: new RentalIncomeEstimator(load('data/housing-stats.json')).estimateAll(load('data/property-data.json').tds),
+    tds: load('complete-td-database.json').tds,
+    readFile
+});
+
+const call = {
+    income: 52000,
+    monthlyRent: 1750,
+    age: 29,
+    options: { location: 'Galway', savings: 15000, compareTD: { name: 'Michael Healy-Rae', constituency: 'Kerry' } }
+};
+
+async function makeReceipt({ options = call.options, derived = calculator.comparisonOptions(options.compareTD) } = {}) {
+    const results = calculator.calculate(call.income, call.monthlyRent, call.age, { ...options, ...derived });
+    return createReceipt({ ...call, options }, results, { readFile, timestamp: '2026-01-01T00:00:00.000Z' });
+}
+
+describe('canonicalJSON', () => {
+    test('is independent of key order', () => {
+        assert.equal(canonicalJSON({ b: 1, a: { d: [1, 2], c: null } }), canonicalJSON({ a: { c: null, d: [1, 2] }, b: 1 }));
+    });
+});
+
+describe('createReceipt', () => {
+    test('records inputs, rate table, file checksums and a SHA-256 hash', async () => {
+        const receipt = await makeReceipt();
+
+        assert.deepEqual(receipt.inputs, { ...call, options: call.options });
+        assert.deepEqual(receipt.rateTable, { year: 2024, version: calculator.taxEngine.version });
+        assert.deepEqual(Object.keys(receipt.files), receiptFiles(2024));
+        Object.values(receipt.files).forEach(checksum => assert.match(checksum, /^[0-9a-f]{64}$/));
+        assert.match(receipt.hash, /^[0-9a-f]{64}$/);
+    });
+
+    test('the same calculation at the same time gives the same hash', async () => {
+        assert.equal((await makeReceipt()).hash, (await makeReceipt()).hash);
+    });
+});
+
+describe('verifyReceipt', () => {
+    test('confirms an untouched receipt', async () => {
+        const result = await verifyReceipt(await makeReceipt(), calculator);
+        assert.deepEqual(result, { valid: true, hashMatches: true, changedFiles: [], changedFigures: [] });
+    });
+
+    test('catches an edited figure', async () => {
+        const receipt = await makeReceipt();
+        receipt.figures.extractionRate = 12.3;
+
+        const result = await verifyReceipt(receipt, calculator);
+        assert.equal(result.valid, false);
+        assert.equal(result.hashMatches, false);
+        assert.deepEqual(result.changedFigures.map(c => c.figure), ['extractionRate']);
+    });
+
+    test('catches a receipt made from different data files', async () => {
+        const receipt = await makeReceipt();
+        const tampered = file => file === 'data/housing-stats.json' ? Buffer.from('{}') : readFile(file);
+
+        const result = await verifyReceipt(receipt, calculator, { readFile: tampered });
+        assert.equal(result.hashMatches, true);
+        assert.deepEqual(result.changedFiles, ['data/housing-stats.json']);
+    });
+
+    test('catches figures from a TD package or rental estimate the data files do not give', async () => {
+        const landlordIncome = { low: 1, central: 1, high: 1 };
+        const options = { ...call.options, landlordIncome };
+        const receipt = await makeReceipt({ options, derived: { ...calculator.comparisonOptions(options.compareTD), landlordIncome } });
+        assert.equal(receipt.inputs.options.landlordIncome, undefined);
+
+        // Even with the estimate written back in and the hash resealed, verification uses the data files'
+        const { hash, ...body } = receipt;
+        body.inputs.options.landlordIncome = landlordIncome;
+        const resealed = { ...body, hash: await sha256Hex(canonicalJSON(body)) };
+
+        const result = await verifyReceipt(resealed, calculator);
+        assert.equal(result.hashMatches, true);
+        assert.equal(result.valid, false);
+        assert.ok(result.changedFigures.some(change => change.figure === 'landlordTDKeepRate'));
+    });
+
+    test('catches a TD package worked out for a constituency the TD does not represent', async () => {
+        const options = { ...call.options, compareTD: { name: 'Danny Healy-Rae', constituency: 'Dublin Central' } };
+        const tdPackage = calculator.remuneration.calculate('Danny Healy-Rae', { constituency: 'Dublin Central' });
+        const receipt = await makeReceipt({ options, derived: { ...calculator.comparisonOptions(options.compareTD), tdPackage } });
+
+        const result = await verifyReceipt(receipt, calculator);
+        assert.equal(result.hashMatches, true);
+        assert.equal(result.valid, false);
+        assert.ok(result.changedFigures.some(change => change.figure === 'regularTDKeepRate'));
+    });
+
+    test('rejects a receipt comparing with someone who is not a TD', async () => {
+        const options = { ...call.options, compareTD: { name: 'Nobody' } };
+        const receipt = await makeReceipt({ options, derived: calculator.comparisonOptions(null) });
+
+        await assert.rejects(verifyReceipt(receipt, calculator), /Invalid TD to compare with/);
+    });
+
+    test('rejects something that is not a receipt', async () => {
+        await assert.rejects(verifyReceipt({ hello: 'world' }, calculator), /Not a calculation receipt/);
+    });
+});
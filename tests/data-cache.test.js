@@ -0,0 +1,146 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+
+import { DataCache, memoryStore } from '../data-cache.js';
+import StaticDataManager from '../static-data-manager.js';
+import { DataLoader, fetchBackend } from '../data-loader.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+const sha256 = text => createHash('sha256').update(text).digest('hex');
+
+describe('DataCache', () => {
+    const text = '{"a": 1}\n';
+    const hash = sha256(text);
+
+    test('returns a file only under the hash it was stored with', async () => {
+        const cache = new DataCache(memoryStore());
+        assert.equal(await cache.put('data/a.json', hash, text), true);
+
+        assert.equal(await cache.get('data/a.json', hash), text);
+        assert.equal(await cache.get('data/a.json', sha256('other')), null);
+        assert.equal(await cache.get('data/a.json', null), null);
+        assert.equal(await cache.get('data/b.json', hash), null);
+    });
+
+    test('refuses text that does not match its checksum', async () => {
+        const cache = new DataCache(memoryStore());
+        assert.equal(await cache.put('data/a.json', sha256('published'), text), false);
+        assert.equal(await cache.put('data/a.json', null, text), false);
+        assert.deepEqual((await cache.stats()).files, []);
+    });
+
+    test('a new release drops the files whose checksum changed', async () => {
+        const cache = new DataCache(memoryStore());
+        const other = '[]';
+        await cache.put('data/a.json', hash, text);
+        await cache.put('data/b.json', sha256(other), other);
+
+        const dropped = await cache.saveChecksums({
+            'data/a.json': { hash },
+            'data/b.json': { hash: sha256('[1]') }
+        });
+
+        assert.deepEqual(dropped, ['data/b.json']);
+        assert.deepEqual((await cache.stats()).files.map(entry => entry.file), ['data/a.json']);
+        assert.deepEqual(await cache.savedChecksums(), { 'data/a.json': { hash }, 'data/b.json': { hash: sha256('[1]') } });
+    });
+
+    test('reports cached files and clears them', async () => {
+        const cache = new DataCache(memoryStore());
+        await cache.put('data/a.json', hash, text);
+
+        const stats = await cache.stats();
+        assert.equal(stats.bytes, Buffer.byteLength(text));
+        assert.equal(stats.files[0].hash, hash);
+
+        await cache.clear();
+        assert.equal((await cache.stats()).files.length, 0);
+        assert.equal(await cache.savedChecksums(), null);
+    });
+
+    test('needs a store', () => {
+        assert.throws(() => new DataCache(), /Invalid data cache/);
+    });
+});
+
+describe('StaticDataManager with a persistent cache', () => {
+    const realFetch = globalThis.fetch;
+    let requests;
+    let offline;
+    let checksums;
+
+    before(() => {
+        globalThis.fetch = async file => {
+            if (offline) throw new TypeError('Failed to fetch');
+            requests.push(file);
+            return file === 'data/checksums.json'
+                ? new Response(JSON.stringify(checksums))
+                : new Response(read(file));
+        };
+    });
+    after(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    test('a repeat visit loads data files from the cache', async () => {
+        const cache = new DataCache(memoryStore());
+        checksums = JSON.parse(read('data/checksums.json'));
+        offline = false;
+
+        requests = [];
+        await new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache }).loadTDDatabase();
+        assert.ok(requests.includes('complete-td-database.json'));
+
+        requests = [];
+        const database = await new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache }).loadTDDatabase();
+        assert.deepEqual(requests, ['data/checksums.json']);
+        assert.equal(database.tds['Simon Harris'].constituency, 'Wicklow');
+    });
+
+    test('a new data release is fetched again', async () => {
+        const cache = new DataCache(memoryStore());
+        checksums = JSON.parse(read('data/checksums.json'));
+        offline = false;
+        await new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache }).loadTDDatabase();
+
+        checksums = { ...checksums, 'complete-td-database.json': { ...checksums['complete-td-database.json'], hash: sha256('next release') } };
+        requests = [];
+        await new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache }).loadTDDatabase();
+        assert.ok(requests.includes('complete-td-database.json'));
+    });
+
+    test('offline, uses the checksums from the last visit', async () => {
+        const cache = new DataCache(memoryStore());
+        checksums = JSON.parse(read('data/checksums.json'));
+        offline = false;
+        const manager = new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache });
+        await manager.loadTDDatabase();
+
+        offline = true;
+        const offlineManager = new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache });
+        const database = await offlineManager.loadTDDatabase();
+        assert.equal(Object.keys(database.tds).length, Object.keys(JSON.parse(read('complete-td-database.json')).tds).length);
+    });
+
+    test('clearing the cache sends the next load to the network', async () => {
+        const cache = new DataCache(memoryStore());
+        checksums = JSON.parse(read('data/checksums.json'));
+        offline = false;
+        const manager = new StaticDataManager({ loader: new DataLoader(fetchBackend()), persistentCache: cache });
+        await manager.loadTDDatabase();
+        assert.ok((await manager.getCacheStatus()).files.length > 0);
+
+        await manager.clearCachedData();
+        assert.deepEqual(await manager.getCacheStatus(), { available: true, files: [], bytes: 0 });
+
+        requests = [];
+        await manager.loadTDDatabase();
+        assert.ok(requests.includes('complete-td-database.json'));
+    });
+
+    test('without a cache reports it unavailable', async () => {
+        assert.deepEqual(await new StaticDataManager({ persistentCache: null }).getCacheStatus(), { available: false, files: [], bytes: 0 });
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { lintJSON, proposeRepair, lintFiles, knownDataFiles, proposedFileName } from '../data-linter.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+const pretty = value => JSON.stringify(value, null, 2);
+
+const TD = JSON.parse(read('complete-td-database.json')).tds['Pa Daly'];
+
+describe('lintJSON', () => {
+    test('locates a syntax error by line and column with a snippet', () => {
+        const text = '{\n  "a": 1,\n  "b": tru\n}';
+        const result = lintJSON(text, { file: 'x.json' });
+
+        assert.equal(result.valid, false);
+        assert.equal(result.data, null);
+        const [problem] = result.problems;
+        assert.equal(problem.file, 'x.json');
+        assert.equal(problem.rule, 'syntax');
+        assert.deepEqual([problem.line, problem.column], [3, 8]);
+        assert.match(problem.snippet, />\s+3 \| {3}"b": tru\n\s+\| {8}\^/);
+    });
+
+    test('reports duplicate keys that JSON.parse would swallow', () => {
+        const text = '{\n  "tds": {\n    "Pa Daly": 1,\n    "Pa Daly": 2\n  },\n' +
+            '  "constituency_lookup": {\n    "Kerry": [],\n    "Kerry": []\n  }\n}';
+        const result = lintJSON(text);
+
+        assert.deepEqual(result.problems.map(p => [p.rule, p.pointer, p.line]), [
+            ['duplicate-key', '/tds/Pa Daly', 4],
+            ['duplicate-key', '/constituency_lookup/Kerry', 8]
+        ]);
+        assert.match(result.problems[0].message, /first at line 3/);
+        assert.equal(result.data.tds['Pa Daly'], 2);
+    });
+
+    test('trailing commas are reported but the data still reads', () => {
+        const result = lintJSON('{ "a": [1, 2,], "b": 3, }');
+        assert.deepEqual(result.problems.map(p => [p.rule, p.column]), [['trailing-comma', 13], ['trailing-comma', 23]]);
+        assert.deepEqual(result.data, { a: [1, 2], b: 3 });
+    });
+
+    test('schema problems point at the offending line', () => {
+        const schema = JSON.parse(read('schemas/housing-stats.schema.json'));
+        const housing = JSON.parse(read('data/housing-stats.json'));
+        housing.counties.Cork.average_rent = 'lots';
+        const text = pretty(housing);
+
+        const [problem] = lintJSON(text, { schema }).problems;
+        assert.equal(problem.pointer, '/counties/Cork/average_rent');
+        assert.match(text.split('\n')[problem.line - 1], /"average_rent": "lots"/);
+    });
+
+    test('the TD database is clean', () => {
+        const schema = JSON.parse(read('schemas/complete-td-database.schema.json'));
+        assert.deepEqual(lintJSON(read('complete-td-database.json'), { schema }).problems, []);
+    });
+});
+
+describe('proposeRepair', () => {
+    test('removes a closing bracket that shuts an object early', () => {
+        const schema = JSON.parse(read('schemas/complete-td-database.schema.json'));
+        const database = { metadata: { sources: [] }, tds: { 'A B': TD, 'C D': TD }, constituency_lookup: { Kerry: ['A B', 'C D'] } };
+        const good = pretty(database);
+        // Close "tds" after the first TD, as happened to complete-td-database.json
+        const broken = good.replace('    },\n    "C D"', '    }\n  },\n    "C D"');
+        assert.equal(lintJSON(broken).problems[0].rule, 'extra-data');
+
+        const repair = proposeRepair(broken, { schema });
+        const closerLine = broken.split('\n').indexOf('    "C D": {');
+        assert.deepEqual(repair.fixes.map(f => [f.rule, f.line]), [['stray-closer', closerLine]]);
+        assert.match(repair.fixes[0].message, /closed \/tds early/);
+        assert.deepEqual(JSON.parse(repair.text), database);
+        assert.deepEqual(repair.problems, []);
+    });
+
+    test('drops trailing commas and repeats with the same value, keeps conflicting repeats', () => {
+        const text = '{\n  "a": 1,\n  "b": [1, 2,],\n  "a": 1,\n  "c": 1,\n  "c": 2\n}';
+        const repair = proposeRepair(text);
+
+        assert.deepEqual(repair.fixes.map(f => [f.rule, f.line]), [['trailing-comma', 3], ['duplicate-key', 4]]);
+        assert.deepEqual(JSON.parse(repair.text), { a: 1, b: [1, 2], c: 2 });
+        assert.deepEqual(repair.problems.map(p => [p.rule, p.pointer]), [['duplicate-key', '/c']]);
+    });
+
+    test('proposes nothing it cannot fix safely', () => {
+        const repair = proposeRepair('{\n  "a": 1\n  "b": 2\n}');
+        assert.equal(repair.text, null);
+        assert.deepEqual(repair.fixes, []);
+        assert.equal(repair.problems[0].rule, 'syntax');
+    });
+
+    test('writes proposals beside the original', () => {
+        assert.equal(proposedFileName('data/housing-stats.json'), 'data/housing-stats.proposed.json');
+    });
+});
+
+describe('lintFiles', () => {
+    test('checks every known data file against its schema', async () => {
+        const files = knownDataFiles(['2025', '2026']);
+        const results = await lintFiles(files, { readText: read });
+
+        assert.equal(results.length, files.length);
+        assert.ok(files.includes('data/tax-rates/2026.json'));
+        results.forEach(result => assert.deepEqual(result.problems, [], result.file));
+    });
+
+    test('reports files that cannot be loaded', async () => {
+        const [result] = await lintFiles(['data/missing.json'], {
+            readText: async file => { throw new Error(`Failed to load ${file}: HTTP 404`); }
+        });
+        assert.equal(result.valid, false);
+        assert.equal(result.problems[0].rule, 'load');
+    });
+});
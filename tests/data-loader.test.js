@@ -0,0 +1,102 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+import { DataLoader, fetchBackend, fsBackend, memoryBackend, defaultBackend } from '../data-loader.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+describe('fetchBackend', () => {
+    const realFetch = globalThis.fetch;
+    let requests;
+
+    before(() => {
+        globalThis.fetch = async (url, options) => {
+            requests.push({ url, options });
+            return url.endsWith('missing.json')
+                ? new Response('', { status: 404, statusText: 'Not Found' })
+                : new Response(read(url.replace(/^site\//, '')));
+        };
+    });
+    after(() => {
+        globalThis.fetch = realFetch;
+    });
+
+    test('fetches files relative to the page', async () => {
+        requests = [];
+        const loader = new DataLoader(fetchBackend());
+        assert.deepEqual(await loader.json('data/td-aliases.json'), JSON.parse(read('data/td-aliases.json')));
+        assert.deepEqual(requests, [{ url: 'data/td-aliases.json', options: undefined }]);
+    });
+
+    test('revalidates fresh reads and prefixes a base URL', async () => {
+        requests = [];
+        await new DataLoader(fetchBackend({ baseUrl: 'site/' })).text('data/checksums.json', { fresh: true });
+        assert.deepEqual(requests, [{ url: 'site/data/checksums.json', options: { cache: 'no-cache' } }]);
+    });
+
+    test('names the file and HTTP status on failure', async () => {
+        requests = [];
+        await assert.rejects(new DataLoader(fetchBackend()).text('data/missing.json'),
+            { message: 'Failed to load data/missing.json: HTTP 404: Not Found' });
+    });
+});
+
+describe('fsBackend', () => {
+    test('reads repo-relative paths from the repo root', async () => {
+        assert.equal(await new DataLoader(fsBackend()).text('data/rpz-rules.json'), read('data/rpz-rules.json'));
+    });
+
+    test('takes the root as a directory path', async () => {
+        const root = fileURLToPath(new URL('../data/', import.meta.url));
+        assert.equal(await new DataLoader(fsBackend({ root })).text('rpz-rules.json'), read('data/rpz-rules.json'));
+    });
+
+    test('refuses URLs and reports missing files', async () => {
+        const loader = new DataLoader(fsBackend());
+        await assert.rejects(loader.text('https://example.com/data.json'), /Failed to load https:\/\/example.com\/data.json: not a file path/);
+        await assert.rejects(loader.text('data/missing.json'), /Failed to load data\/missing.json: ENOENT/);
+    });
+});
+
+describe('memoryBackend', () => {
+    test('serves strings as they are and other values as JSON', async () => {
+        const loader = new DataLoader(memoryBackend({ 'a.json': '{"a": 1}', 'b.json': { b: [2] } }));
+        assert.equal(await loader.text('a.json'), '{"a": 1}');
+        assert.deepEqual(await loader.json('b.json'), { b: [2] });
+        await assert.rejects(loader.text('c.json'), { message: 'Failed to load c.json: not found' });
+    });
+
+    test('passes files it does not hold to a fallback', async () => {
+        const files = { 'data/rpz-rules.json': { overridden: true } };
+        const loader = new DataLoader(memoryBackend(files, { fallback: fsBackend() }));
+        assert.deepEqual(await loader.json('data/rpz-rules.json'), { overridden: true });
+        assert.equal(await loader.text('data/td-aliases.json'), read('data/td-aliases.json'));
+
+        delete files['data/rpz-rules.json'];
+        assert.equal(await loader.text('data/rpz-rules.json'), read('data/rpz-rules.json'));
+    });
+});
+
+describe('DataLoader', () => {
+    test('reports unparseable JSON with the file name', async () => {
+        await assert.rejects(new DataLoader(memoryBackend({ 'x.json': '{ nope' })).json('x.json'), /^Error: Failed to parse x.json:/);
+    });
+
+    test('needs a backend', () => {
+        assert.throws(() => new DataLoader(null), /Invalid data loader/);
+        assert.throws(() => new DataLoader({}), /Invalid data loader/);
+    });
+
+    test('reads from disk by default under Node', async () => {
+        const realFetch = globalThis.fetch;
+        globalThis.fetch = async () => { throw new Error('fetch should not be used'); };
+        try {
+            assert.equal(await new DataLoader().text('data/rpz-rules.json'), read('data/rpz-rules.json'));
+            assert.equal(await defaultBackend().read('data/rpz-rules.json'), read('data/rpz-rules.json'));
+        } finally {
+            globalThis.fetch = realFetch;
+        }
+    });
+});
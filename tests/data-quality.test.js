@@ -0,0 +1,115 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    assessTDDatabase,
+    assessFile,
+    fileStatus,
+    fieldCoverage,
+    recordCoverage,
+    staleRecords,
+    ageInDays
+} from '../data-quality.js';
+
+const now = new Date('2026-10-19T00:00:00.000Z');
+
+const td = (overrides = {}) => ({
+    email: 'td@oireachtas.ie',
+    member_code: 'TD.D.2024-11-01',
+    properties: { property_count: 0, last_updated: '2026-02-01T00:00:00.000Z', verification_status: 'VERIFIED_CLEAN' },
+    voting_record: { voting_attendance: 92, last_updated: '2026-09-01T00:00:00.000Z', verification_status: 'VERIFIED' },
+    electoral_data: { margin_percentage: 4.2, vote_count_2024: 9120 },
+    ...overrides
+});
+
+const database = {
+    summary: { total_tds: 4 },
+    tds: {
+        'Full Record': td(),
+        'No Votes': td({ voting_record: { voting_attendance: null, last_updated: null, verification_status: 'PENDING_API_INTEGRATION' } }),
+        'Old Register': td({ member_code: '', properties: { property_count: 2, last_updated: '2024-01-31T00:00:00.000Z', verification_status: 'VERIFIED_LANDLORD' } })
+    }
+};
+
+describe('ageInDays', () => {
+    test('counts whole days and is null without a valid date', () => {
+        assert.equal(ageInDays('2026-10-09T12:00:00.000Z', now), 9);
+        assert.equal(ageInDays(null, now), null);
+        assert.equal(ageInDays('not a date', now), null);
+    });
+});
+
+describe('fieldCoverage', () => {
+    test('counts filled-in values and names the records missing each field', () => {
+        const coverage = Object.fromEntries(fieldCoverage(database.tds).map(field => [field.field, field]));
+
+        assert.deepEqual(coverage['voting_record.voting_attendance'], {
+            field: 'voting_record.voting_attendance',
+            label: 'Voting attendance',
+            present: 2,
+            total: 3,
+            percent: 67,
+            missing: ['No Votes']
+        });
+        assert.deepEqual(coverage.member_code.missing, ['Old Register']);
+        assert.equal(coverage.email.percent, 100);
+    });
+
+    test('treats zero as filled in', () => {
+        const [count] = fieldCoverage({ A: td() }, { 'properties.property_count': 'Count' });
+        assert.equal(count.present, 1);
+    });
+});
+
+describe('recordCoverage', () => {
+    test('lists expected keys with no record', () => {
+        assert.deepEqual(recordCoverage(['Kerry', 'Clare', 'Mayo'], { Kerry: {}, Mayo: {} }),
+            { present: 2, total: 3, percent: 67, missing: ['Clare'] });
+        assert.equal(recordCoverage([], {}).percent, 100);
+    });
+});
+
+describe('staleRecords', () => {
+    test('flags dates over the limit but not missing dates', () => {
+        assert.deepEqual(staleRecords(database.tds, 'properties.last_updated', { now }), ['Old Register']);
+        assert.deepEqual(staleRecords(database.tds, 'voting_record.last_updated', { now }), []);
+        assert.deepEqual(staleRecords(database.tds, 'voting_record.last_updated', { now, maxAgeDays: 30 }), ['Full Record', 'Old Register']);
+    });
+});
+
+describe('assessTDDatabase', () => {
+    const assessment = assessTDDatabase(database, { now });
+
+    test('measures records against the summary and scores completeness over every expected TD', () => {
+        assert.equal(assessment.records, 3);
+        assert.equal(assessment.expected, 4);
+        // 8 fields x 4 TDs = 32; 3 gaps in the records held and 8 for the missing TD
+        assert.equal(assessment.completeness, Math.round(100 * 21 / 32));
+    });
+
+    test('counts verification_status per section', () => {
+        assert.deepEqual(assessment.verification.properties, { VERIFIED_CLEAN: 2, VERIFIED_LANDLORD: 1 });
+        assert.deepEqual(assessment.verification.voting_record, { VERIFIED: 2, PENDING_API_INTEGRATION: 1 });
+        assert.deepEqual(assessment.stale.properties, ['Old Register']);
+    });
+
+    test('scores an empty database as 0', () => {
+        assert.equal(assessTDDatabase({ tds: {} }, { now }).completeness, 0);
+    });
+});
+
+describe('assessFile and fileStatus', () => {
+    test('reads the compiled date from metadata', () => {
+        const file = assessFile({ metadata: { compiled_at: '2025-08-17T12:00:00.000Z', verification_status: 'BASED_ON_OFFICIAL_RESULTS' } }, { now });
+        assert.deepEqual(file, { updated: '2025-08-17T12:00:00.000Z', age_days: 427, stale: true, verification_status: 'BASED_ON_OFFICIAL_RESULTS' });
+        assert.equal(assessFile({ summary: { last_updated: '2026-10-01' } }, { now }).age_days, 18);
+    });
+
+    test('prefers a declared estimate, then missing records, then age', () => {
+        assert.equal(fileStatus({ verification_status: 'ESTIMATED_FROM_PUBLIC_SOURCES', stale: true }, 50), 'ESTIMATED');
+        assert.equal(fileStatus({ verification_status: 'PATTERN_ANALYSIS_BASED' }), 'PATTERN_ANALYSIS');
+        assert.equal(fileStatus({ verification_status: 'VERIFIED', stale: true }, 80), 'PARTIAL');
+        assert.equal(fileStatus({ verification_status: 'VERIFIED', stale: true }), 'STALE');
+        assert.equal(fileStatus({ verification_status: null, stale: false }, 100), 'COMPLETE');
+    });
+});
@@ -0,0 +1,71 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import EnhancedVotingIntegration from '../enhanced-voting-integration.js';
+import { DataLoader, memoryBackend } from '../data-loader.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+describe('EnhancedVotingIntegration', () => {
+    const realLog = console.log;
+
+    before(() => {
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = realLog;
+    });
+
+    test('runs the integration on the repo data', async () => {
+        const { integratedDatabase, targetingReport, success } = await new EnhancedVotingIntegration().executeIntegration();
+        const database = JSON.parse(read('complete-td-database.json'));
+
+        assert.equal(success, true);
+        assert.deepEqual(Object.keys(integratedDatabase.tds), Object.keys(database.tds));
+        assert.equal(targetingReport.metadata.total_landlord_tds,
+            Object.values(database.tds).filter(td => td.properties.landlord_status).length);
+    });
+
+    test('uses recorded votes where the voting records have them', async () => {
+        const voting = JSON.parse(read('data/voting-records-2024.json'));
+        const { tds } = JSON.parse(read('complete-td-database.json'));
+        const name = Object.keys(voting.tds).find(name => tds[name]?.properties.landlord_status);
+        const { integratedDatabase } = await new EnhancedVotingIntegration().executeIntegration();
+        const record = integratedDatabase.tds[name].voting_record;
+
+        assert.equal(record.verification_status, 'EXISTING_DATA_ENHANCED');
+        assert.deepEqual(record.detailed_votes.map(vote => vote.vote_cast),
+            voting.key_housing_votes.map(bill => bill.landlord_td_votes.find(vote => vote.td_name === name).vote_cast));
+        assert.equal(record.detailed_votes[0].vote_id, 'RTB2024_001');
+    });
+
+    test('reads its data through the loader it is given', async () => {
+        const td = (first_name, last_name, landlord) => ({
+            first_name, last_name, party: 'Independent', constituency: 'Kerry',
+            properties: { landlord_status: landlord, property_count: landlord ? 3 : 0 }
+        });
+        const loader = new DataLoader(memoryBackend({
+            'complete-td-database.json': { metadata: {}, tds: { 'A B': td('A', 'B', true), 'C D': td('C', 'D', false) } },
+            'data/voting-records-2024.json': { tds: {}, key_housing_votes: [] },
+            'data/electoral-margins.json': { constituencies: { Kerry: { margin_percentage: 0.5, vulnerability_level: 'CRITICAL' } } }
+        }));
+
+        const { integratedDatabase, targetingReport } = await new EnhancedVotingIntegration({ loader }).executeIntegration();
+        assert.equal(integratedDatabase.tds['A B'].voting_record.verification_status, 'PATTERN_GENERATED');
+        assert.equal(integratedDatabase.tds['A B'].voting_record.detailed_votes.length, 5);
+        assert.equal(integratedDatabase.tds['C D'].voting_record.verification_status, 'NON_LANDLORD_CLEAN');
+        assert.equal(targetingReport.metadata.tier_1_targets, 1);
+    });
+
+    test('fails when a data file is missing', async () => {
+        const realError = console.error;
+        console.error = () => {};
+        try {
+            const loader = new DataLoader(memoryBackend({}));
+            await assert.rejects(new EnhancedVotingIntegration({ loader }).executeIntegration(), /Failed to load required data sources/);
+        } finally {
+            console.error = realError;
+        }
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { FirstHomeSchemes } from '../first-home-schemes.js';
+import { MortgageAffordability } from '../mortgage-affordability.js';
+
+const table = JSON.parse(readFileSync(new URL('../data/first-home-schemes.json', import.meta.url), 'utf8'));
+const housing = JSON.parse(readFileSync(new URL('../data/housing-stats.json', import.meta.url), 'utf8'));
+const schemes = new FirstHomeSchemes(table);
+const affordability = new MortgageAffordability(housing);
+
+// Dublin average home is 450,000; first-time buyers borrow up to 4x income
+const dublin = (grossIncome, extra = {}) => affordability.assess({ grossIncome, county: 'Dublin', ...extra });
+
+describe('FirstHomeSchemes table', () => {
+    test('has First Home ceilings for every county', () => {
+        assert.equal(Object.keys(table.counties).length, 26);
+        for (const entry of Object.values(table.counties)) {
+            assert.ok(entry.first_home.house > 0 && entry.first_home.apartment > 0);
+        }
+    });
+
+    test('rejects a table without counties', () => {
+        assert.throws(() => new FirstHomeSchemes({ ...table, counties: undefined }), /counties are required/);
+    });
+
+    test('rejects unknown property types', () => {
+        assert.throws(() => schemes.ceilings('Dublin', 'castle'), /Unknown property type/);
+    });
+});
+
+describe('FirstHomeSchemes.estimate', () => {
+    test('Help to Buy is the lesser of the cap, 10% of the price and four years of income tax', () => {
+        const full = schemes.estimate(dublin(90000), { annualIncomeTax: 10000 });
+        assert.equal(full.helpToBuy.eligible, true);
+        assert.equal(full.helpToBuy.value, 30000);
+
+        const limited = schemes.estimate(dublin(90000), { annualIncomeTax: 5000 });
+        assert.equal(limited.helpToBuy.value, 20000);
+        assert.equal(limited.helpToBuy.limitedByTax, true);
+    });
+
+    test('Help to Buy needs a mortgage of at least 70% of the price', () => {
+        // 4 x 60,000 = 240,000 is under 70% of 450,000
+        const result = schemes.estimate(dublin(60000), { annualIncomeTax: 10000 });
+        assert.equal(result.helpToBuy.eligible, false);
+        assert.match(result.helpToBuy.reasons[0], /70%/);
+    });
+
+    test('First Home equity is capped at 30%, or 20% alongside Help to Buy', () => {
+        const withoutHTB = schemes.estimate(dublin(60000, { savings: 20000 }));
+        assert.equal(withoutHTB.firstHome.maxShare, 0.3);
+        assert.equal(withoutHTB.firstHome.equity, 135000);
+        assert.equal(withoutHTB.gapAfterSchemes, 450000 - 240000 - 20000 - 135000);
+
+        const withHTB = schemes.estimate(dublin(90000), { annualIncomeTax: 10000 });
+        assert.equal(withHTB.firstHome.maxShare, 0.2);
+        assert.equal(withHTB.firstHome.equity, 450000 - 360000 - 30000);
+        assert.equal(withHTB.gapAfterSchemes, 0);
+        assert.equal(withHTB.totalSupport, 90000);
+    });
+
+    test('homes over the county ceiling do not qualify for First Home', () => {
+        const result = schemes.estimate(affordability.assess({ grossIncome: 60000, county: 'Leitrim', price: 300000 }));
+        assert.equal(result.firstHome.eligible, false);
+        assert.match(result.firstHome.reasons[0], /ceiling for a house in Leitrim/);
+    });
+
+    test('second-hand homes miss Help to Buy and First Home but not LAAP', () => {
+        const result = schemes.estimate(dublin(60000), { newBuild: false });
+        assert.equal(result.helpToBuy.eligible, false);
+        assert.equal(result.firstHome.eligible, false);
+        assert.equal(result.laap.eligible, true);
+        assert.equal(result.laap.equity, 135000);
+    });
+
+    test('LAAP is only offered where a local authority runs a scheme', () => {
+        const result = schemes.estimate(affordability.assess({ grossIncome: 60000, county: 'Leitrim', price: 200000 }));
+        assert.equal(result.laap.available, false);
+        assert.equal(result.laap.equity, 0);
+    });
+
+    test('only first-time buyers qualify', () => {
+        const result = schemes.estimate(dublin(90000, { buyerType: 'second_time' }), { annualIncomeTax: 10000 });
+        assert.equal(result.helpToBuy.eligible, false);
+        assert.equal(result.firstHome.eligible, false);
+        assert.equal(result.laap.eligible, false);
+        assert.equal(result.totalSupport, 0);
+    });
+
+    test('areas without a ceiling are reported rather than guessed', () => {
+        const result = schemes.estimate(affordability.assess({ grossIncome: 60000, county: 'Other' }));
+        assert.equal(result.firstHome.ceiling, null);
+        assert.match(result.firstHome.reasons[0], /choose a county/);
+    });
+});
@@ -0,0 +1,26 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { HouseholdSupports } from '../household-supports.js';
+
+const table = JSON.parse(readFileSync(new URL('../data/household-supports.json', import.meta.url), 'utf8'));
+const supports = new HouseholdSupports(table);
+
+describe('HouseholdSupports', () => {
+    test('Child Benefit is paid monthly per child', () => {
+        assert.equal(supports.childBenefit(0), 0);
+        assert.equal(supports.childBenefit(3), 3 * 140 * 12);
+    });
+
+    test('differential rent is a share of net income with a weekly minimum', () => {
+        // 15% of 26,000 net = 3,900 a year
+        assert.equal(supports.differentialRent(26000), 3900 / 12);
+        assert.equal(supports.differentialRent(0), 30 * 52 / 12);
+    });
+
+    test('rejects a table without the required sections', () => {
+        const { differential_rent: _omitted, ...partial } = table;
+        assert.throws(() => new HouseholdSupports(partial), /Invalid household supports table/);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { MemberResolver, forenameMatch, splitName } from '../member-resolver.js';
+import { RESOLUTION_FILE, SOURCES, buildResolution, reviewReport } from '../scripts/resolve-members.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+const td = (first, last, constituency, memberCode = null) => ({
+    first_name: first,
+    last_name: last,
+    constituency,
+    member_code: memberCode
+});
+
+const tds = {
+    'Michael Healy-Rae': td('Michael', 'Healy-Rae', 'Kerry', 'Michael-Healy-Rae.D.2024-11-01'),
+    'Danny Healy-Rae': td('Danny', 'Healy-Rae', 'Kerry'),
+    'Thomas Byrne': td('Thomas', 'Byrne', 'Meath East', 'Thomas-Byrne.D.2024-11-01'),
+    'Joanna Byrne': td('Joanna', 'Byrne', 'Louth', 'Joanna-Byrne.D.2024-11-01'),
+    'Pearse Doherty': td('Pearse', 'Doherty', 'Donegal', 'Pearse-Doherty.D.2024-11-01'),
+    'Richard Boyd Barrett': td('Richard', 'Boyd Barrett', 'Dún Laoghaire'),
+    'Eoin Ó Broin': td('Eoin', 'Ó Broin', 'Dublin Mid-West', 'Eoin-O-Broin.D.2024-11-01')
+};
+
+const aliases = { 'Pearse Doherty': { irish: ['Piaras Ó Dochartaigh'] } };
+
+const resolver = new MemberResolver(tds, aliases);
+
+describe('Member resolver', () => {
+    test('matches a register header to the member code', () => {
+        const match = resolver.resolve({ name: 'Michael Healy-Rae', surname: 'HEALY-RAE', forename: 'Michael', constituency: 'Kerry' });
+        assert.equal(match.name, 'Michael Healy-Rae');
+        assert.equal(match.member_code, 'Michael-Healy-Rae.D.2024-11-01');
+        assert.equal(match.confidence, 1);
+        assert.equal(match.status, 'matched');
+    });
+
+    test('tells members of one family apart by forename', () => {
+        assert.equal(resolver.resolve({ name: 'Danny Healy-Rae', constituency: 'Kerry' }).name, 'Danny Healy-Rae');
+        assert.equal(resolver.resolve({ name: 'Joanna Byrne' }).name, 'Joanna Byrne');
+
+        const malcolm = resolver.resolve({ name: 'Malcolm Byrne', constituency: 'Wicklow–Wexford' });
+        assert.equal(malcolm.status, 'unmatched');
+        assert.equal(malcolm.name, null);
+        assert.deepEqual(malcolm.candidates.map(candidate => candidate.name).sort(), ['Joanna Byrne', 'Thomas Byrne']);
+    });
+
+    test('takes Irish, English and familiar forms of a name', () => {
+        assert.equal(forenameMatch('Tomás', 'Thomas'), 'variant');
+        assert.equal(forenameMatch('Paddy', 'Pa'), 'variant');
+        assert.equal(forenameMatch('Danny', 'Michael'), 'different');
+
+        const tomas = resolver.resolve({ name: 'Tomás Byrne', constituency: 'Meath-East' });
+        assert.equal(tomas.name, 'Thomas Byrne');
+        assert.equal(tomas.status, 'matched');
+
+        const irish = resolver.resolve({ name: 'Piaras Ó Dochartaigh' });
+        assert.equal(irish.name, 'Pearse Doherty');
+        assert.equal(irish.method, 'irish');
+
+        assert.equal(resolver.resolve({ name: "Eoin O'Broin" }).confidence, 1);
+        assert.equal(resolver.resolve({ name: 'Deputy Richard Boyd Barrett' }).name, 'Richard Boyd Barrett');
+    });
+
+    test('asks for review when only an initial fits or a family can\'t be told apart', () => {
+        const initial = resolver.resolve({ name: 'T. Byrne', constituency: 'Meath East' });
+        assert.equal(initial.status, 'probable');
+        assert.equal(initial.name, 'Thomas Byrne');
+
+        const family = resolver.resolve({ name: 'Healy-Rae', constituency: 'Kerry' });
+        assert.equal(family.status, 'ambiguous');
+        assert.equal(family.name, null);
+    });
+
+    test('a constituency that disagrees lowers the score', () => {
+        const moved = resolver.resolve({ name: 'Pearse Doherty', constituency: 'Dún na nGall' });
+        assert.equal(moved.name, 'Pearse Doherty');
+        assert.ok(moved.confidence < 1);
+    });
+
+    test('splits off surname particles', () => {
+        assert.deepEqual(splitName('Aengus Ó Snodaigh'), { forename: 'aengus', surname: 'o snodaigh' });
+        assert.deepEqual(splitName('Charlie Mac Conalogue'), { forename: 'charlie', surname: 'mac conalogue' });
+    });
+
+    test('rejects missing TD data', () => {
+        assert.throws(() => new MemberResolver(null), /Invalid member resolver data/);
+    });
+});
+
+describe('Member resolution', () => {
+    const data = Object.fromEntries(Object.entries(SOURCES).map(([key, file]) => [key, JSON.parse(read(file))]));
+    const resolution = buildResolution(data);
+
+    test(`${RESOLUTION_FILE} is up to date`, () => {
+        assert.deepEqual(JSON.parse(read(RESOLUTION_FILE)), resolution, 'run npm run resolve:members');
+    });
+
+    test('resolves the register, voting and electoral records', () => {
+        const find = (source, id) => resolution.records.find(record => record.source === source && record.id === id);
+
+        assert.equal(find('register', 'dail/michael-healy-rae').member_code, 'Michael-Healy-Rae.D.2024-11-01');
+        assert.equal(find('register', 'dail/danny-healy-rae').td, 'Danny Healy-Rae');
+        assert.equal(find('register', 'dail/paul-nicholas-gogarty').td, 'Paul Gogarty');
+        assert.equal(find('voting', 'Thomas Byrne').member_code, 'Thomas-Byrne.D.2024-11-01');
+        assert.equal(find('electoral', 'Dublin Bay South/last_elected_td').status, 'unmatched');
+        // In the voting records but not yet in the TD database
+        assert.deepEqual(find('voting', 'Colm Burke').candidates, []);
+    });
+
+    test('lists every record not matched for review', () => {
+        const { counts } = resolution.metadata;
+        assert.equal(resolution.review.length, counts.probable + counts.ambiguous + counts.unmatched);
+
+        const report = reviewReport(resolution);
+        assert.equal(report.length, resolution.review.length);
+        assert.ok(report.includes('[register] Malcolm Byrne (Wicklow–Wexford) - unmatched: Thomas Byrne 0.495, Joanna Byrne 0.495'));
+        assert.ok(report.includes('[voting] Colm Burke (Cork North-Central) - unmatched: no TD with that surname in the database'));
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { MortgageAffordability } from '../mortgage-affordability.js';
+
+const housing = JSON.parse(readFileSync(new URL('../data/housing-stats.json', import.meta.url), 'utf8'));
+const affordability = new MortgageAffordability(housing);
+
+describe('MortgageAffordability.rules', () => {
+    test('first-time buyers can borrow 4x income, second-time buyers 3.5x', () => {
+        assert.equal(affordability.rules('first_time').lti, 4);
+        assert.equal(affordability.rules('second_time').lti, 3.5);
+    });
+
+    test('buy-to-let is exempt from the income limit but capped at 70% LTV', () => {
+        assert.deepEqual(affordability.rules('buy_to_let'), { label: 'Buy-to-let', lti: null, ltv: 0.7 });
+    });
+
+    test('rejects unknown buyer types', () => {
+        assert.throws(() => affordability.rules('investor'), /Unknown buyer type/);
+    });
+});
+
+describe('MortgageAffordability.assess', () => {
+    test('income limit binds for an average earner in Dublin', () => {
+        // 450,000 home: LTV allows 405,000, LTI allows 4 x 60,000 = 240,000
+        const result = affordability.assess({ grossIncome: 60000, county: 'Dublin', monthlySaving: 1000 });
+        assert.equal(result.price, 450000);
+        assert.equal(result.maxBorrowable, 240000);
+        assert.equal(result.bindingLimit, 'LTI');
+        assert.equal(result.fundingGap, 210000);
+        assert.equal(result.monthsToSave, 210);
+    });
+
+    test('value limit binds for a high earner - the gap is the 10% deposit', () => {
+        const result = affordability.assess({ grossIncome: 200000, county: 'Cork', savings: 5000, monthlySaving: 2000 });
+        const price = housing.counties.Cork.average_house_price;
+        assert.equal(result.bindingLimit, 'LTV');
+        assert.equal(result.minimumDeposit, Math.round(price * 0.1));
+        assert.equal(result.fundingGap, Math.round(price * 0.1) - 5000);
+    });
+
+    test('second-time buyers borrow less on the same income', () => {
+        const first = affordability.assess({ grossIncome: 60000, county: 'Galway' });
+        const second = affordability.assess({ grossIncome: 60000, county: 'Galway', buyerType: 'second_time' });
+        assert.equal(first.maxBorrowable - second.maxBorrowable, 30000);
+    });
+
+    test('enough savings means the household can buy now', () => {
+        const result = affordability.assess({ grossIncome: 100000, county: 'State', savings: 100000 });
+        assert.equal(result.fundingGap, 0);
+        assert.equal(result.monthsToSave, 0);
+        assert.ok(result.canBuyNow);
+    });
+
+    test('no capacity to save means the gap is never closed', () => {
+        const result = affordability.assess({ grossIncome: 30000, county: 'Dublin', monthlySaving: 0 });
+        assert.equal(result.monthsToSave, null);
+    });
+
+    test('counties without statistics use the State average', () => {
+        const result = affordability.assess({ grossIncome: 50000, county: 'Leitrim' });
+        assert.equal(result.statsCounty, 'State');
+        assert.equal(result.price, housing.counties.State.average_house_price);
+    });
+
+    test('monthly repayment follows the annuity formula', () => {
+        const rate = housing.mortgage_data.average_mortgage_rate / 12;
+        const n = housing.mortgage_data.average_loan_term_years * 12;
+        const expected = 300000 * rate / (1 - Math.pow(1 + rate, -n));
+        assert.equal(Math.round(affordability.monthlyRepayment(300000)), Math.round(expected));
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { registerServiceWorker, applyUpdate, dataReleaseDate, SKIP_WAITING } from '../offline-support.js';
+import { buildPrecache, renderPrecache, writePrecache, checkPrecache, dataFiles, PRECACHE_FILE } from '../scripts/build-precache.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+// Just enough of ServiceWorkerContainer / Registration / ServiceWorker to drive the update flow
+function fakeWorker(state = 'installing') {
+    const worker = new EventTarget();
+    worker.state = state;
+    worker.messages = [];
+    worker.postMessage = message => worker.messages.push(message);
+    worker.becomes = newState => {
+        worker.state = newState;
+        worker.dispatchEvent(new Event('statechange'));
+    };
+    return worker;
+}
+
+function fakeContainer({ controller = null, waiting = null } = {}) {
+    const registration = new EventTarget();
+    registration.waiting = waiting;
+    registration.installing = null;
+    registration.install = worker => {
+        registration.installing = worker;
+        registration.dispatchEvent(new Event('updatefound'));
+    };
+
+    const container = new EventTarget();
+    container.controller = controller;
+    container.registration = registration;
+    container.register = async script => {
+        container.script = script;
+        return registration;
+    };
+    return container;
+}
+
+describe('dataReleaseDate', () => {
+    test('is the newest checksum timestamp', () => {
+        assert.equal(dataReleaseDate({
+            'a.json': { timestamp: '2025-08-17T12:00:00.000Z' },
+            'b.json': { timestamp: '2026-10-01T09:30:00.000Z' },
+            'c.json': { timestamp: 'unknown' }
+        }), '2026-10-01T09:30:00.000Z');
+    });
+
+    test('is null without dated checksums', () => {
+        assert.equal(dataReleaseDate({}), null);
+        assert.equal(dataReleaseDate(null), null);
+    });
+
+    test('dates the published data release', () => {
+        assert.ok(dataReleaseDate(JSON.parse(read('data/checksums.json'))));
+    });
+});
+
+describe('registerServiceWorker', () => {
+    test('does nothing where service workers are not supported', async () => {
+        assert.equal(await registerServiceWorker({ container: null }), null);
+    });
+
+    test('does not offer the first install as an update', async () => {
+        const container = fakeContainer();
+        const offered = [];
+        await registerServiceWorker({ container, onUpdateReady: worker => offered.push(worker) });
+        assert.equal(container.script, 'sw.js');
+
+        const worker = fakeWorker();
+        container.registration.install(worker);
+        worker.becomes('installed');
+        assert.deepEqual(offered, []);
+    });
+
+    test('offers a new release once it is installed behind the current one', async () => {
+        const container = fakeContainer({ controller: fakeWorker('activated') });
+        const offered = [];
+        await registerServiceWorker({ container, onUpdateReady: worker => offered.push(worker) });
+
+        const worker = fakeWorker();
+        container.registration.install(worker);
+        assert.deepEqual(offered, []);
+        worker.becomes('installed');
+        assert.deepEqual(offered, [worker]);
+    });
+
+    test('offers a release already waiting from an earlier visit', async () => {
+        const waiting = fakeWorker('installed');
+        const container = fakeContainer({ controller: fakeWorker('activated'), waiting });
+        const offered = [];
+        await registerServiceWorker({ container, onUpdateReady: worker => offered.push(worker) });
+        assert.deepEqual(offered, [waiting]);
+    });
+});
+
+describe('applyUpdate', () => {
+    test('asks the waiting release to take over and reloads once it has', () => {
+        const container = fakeContainer();
+        const worker = fakeWorker('installed');
+        let reloads = 0;
+
+        applyUpdate(worker, { container, reload: () => reloads++ });
+        assert.deepEqual(worker.messages, [{ type: SKIP_WAITING }]);
+        assert.equal(reloads, 0);
+
+        container.dispatchEvent(new Event('controllerchange'));
+        container.dispatchEvent(new Event('controllerchange'));
+        assert.equal(reloads, 1);
+    });
+});
+
+describe('sw-precache.js', () => {
+    const precache = buildPrecache();
+
+    test('is up to date - run npm run build:precache after changing a page, module or data file', () => {
+        assert.equal(read(PRECACHE_FILE), renderPrecache(precache));
+    });
+
+    test('keeps the page, its modules and the data for offline use', () => {
+        for (const file of ['index.html', 'manifest.json', 'offline-support.js', 'static-data-manager.js',
+            'data-cache.js', 'calculation-receipt.js', 'complete-td-database.json', 'data/checksums.json',
+            'data/tax-rates/2026.json', 'schemas/complete-td-database.schema.json']) {
+            assert.ok(precache.files.includes(file), file);
+        }
+    });
+
+    test('--check fails until the file is rebuilt', () => {
+        const root = mkdtempSync(path.join(tmpdir(), 'precache-'));
+        try {
+            ['data', 'schemas'].forEach(dir => mkdirSync(path.join(root, dir)));
+            writeFileSync(path.join(root, 'index.html'), '<script src="app.js"></script>');
+            writeFileSync(path.join(root, 'complete-td-database.json'), '{}');
+            assert.equal(checkPrecache(root), false);
+
+            writePrecache(root);
+            assert.equal(checkPrecache(root), true);
+
+            writeFileSync(path.join(root, 'data/new.json'), '{}');
+            assert.equal(checkPrecache(root), false);
+        } finally {
+            rmSync(root, { recursive: true, force: true });
+        }
+    });
+
+    test('leaves out the service worker itself, tests and register PDFs', () => {
+        assert.equal(precache.files.includes('sw.js'), false);
+        assert.equal(precache.files.includes(PRECACHE_FILE), false);
+        assert.deepEqual(precache.files.filter(file => file.startsWith('tests/') || file.endsWith('.pdf')), []);
+    });
+});
+
+describe('data/checksums.json', () => {
+    test('covers every data and schema file kept offline, so the data cache can serve any of them', () => {
+        const checksums = JSON.parse(read('data/checksums.json'));
+        assert.deepEqual(Object.keys(checksums).sort(), dataFiles().filter(file => file !== 'data/checksums.json').sort());
+    });
+});
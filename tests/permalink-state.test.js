@@ -0,0 +1,61 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeState, decodeState, readForm, writeForm } from '../permalink-state.js';
+
+// Minimal stand-in for the page's form elements
+function fakeDocument(elements) {
+    return { getElementById: id => elements[id] || null };
+}
+
+const select = (value, options) => ({ tagName: 'SELECT', value, options: options.map(v => ({ value: v })) });
+const input = value => ({ tagName: 'INPUT', value });
+const checkbox = checked => ({ tagName: 'INPUT', checked });
+
+describe('encodeState / decodeState', () => {
+    test('round-trips calculator and TD finder state', () => {
+        const state = { income: 45000, rent: 1600, loc: 'Dublin', mc: true, hh: false, county: 'Cork', con: 'Cork South-Central' };
+        assert.deepEqual(decodeState('#' + encodeState(state)), state);
+    });
+
+    test('leaves out empty values', () => {
+        const hash = encodeState({ income: 45000, savings: null, td: '' });
+        assert.equal(hash, 'v=1&income=45000');
+    });
+
+    test('ignores plain anchors', () => {
+        assert.equal(decodeState('#td-finder'), null);
+        assert.equal(decodeState(''), null);
+    });
+
+    test('drops values that are out of range or malformed', () => {
+        const state = decodeState('#v=1&income=-5&rent=abc&age=300&mc=yes&kids=2&loc=Cork');
+        assert.deepEqual(state, { kids: 2, loc: 'Cork' });
+    });
+
+    test('encodes names with spaces and fadas safely', () => {
+        const state = { td: 'Cork South-Central|Micheál Martin' };
+        assert.deepEqual(decodeState(encodeState(state)), state);
+    });
+});
+
+describe('readForm / writeForm', () => {
+    test('reads numbers, checkboxes and selects from the page', () => {
+        const doc = fakeDocument({
+            income: input('52000'),
+            location: select('Galway', ['Dublin', 'Galway']),
+            'medical-card': checkbox(false)
+        });
+        assert.deepEqual(readForm(doc), { income: 52000, loc: 'Galway', mc: false });
+    });
+
+    test('only selects options the page offers', () => {
+        const location = select('Dublin', ['Dublin', 'Galway']);
+        const doc = fakeDocument({ location, income: input('') });
+
+        assert.deepEqual(writeForm(doc, { loc: 'Atlantis', income: 40000 }), ['income']);
+        assert.equal(location.value, 'Dublin');
+        assert.deepEqual(writeForm(doc, { loc: 'Galway' }), ['loc']);
+        assert.equal(location.value, 'Galway');
+    });
+});
@@ -0,0 +1,177 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { diffItems, portfolioTimeline, notableAdditions, buildRegisterHistory } from '../register-history.js';
+import { HISTORY_FILE, reviewedPositions, reviewedHistory, notableAdditionsFor, setNotableAdditions } from '../scripts/build-register-history.js';
+import StaticDataManager from '../static-data-manager.js';
+import { DataLoader, fsBackend, memoryBackend } from '../data-loader.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+const position = (period, land, propertySupplied = []) => ({
+    id: `dail-${period}/joe-bloggs`,
+    chamber: 'dail',
+    period,
+    member: { name: 'Joe Bloggs', constituency: 'Kerry' },
+    base: `register-${period}/joe-bloggs`,
+    as_of: `${period + 1}-02-27`,
+    categories: {
+        land: { nil: land.length === 0, items: land.map(text => ({ text, page: 3, entry: `register-${period}/joe-bloggs` })) },
+        property_supplied: { nil: propertySupplied.length === 0, items: propertySupplied.map(text => ({ text, page: 4, entry: `register-${period}/joe-bloggs` })) },
+        travel: { nil: false, items: [{ text: 'Washington: flights.', page: 5, entry: `register-${period}/joe-bloggs` }] }
+    }
+});
+
+const declaration = (...texts) => ({
+    nil: texts.length === 0,
+    text: texts.join('; ') || 'Nil',
+    items: texts.map(text => ({ text, page: 3 })),
+    pages: [3]
+});
+
+const review = (land, propertySupplied = 'approved') => ({
+    status: 'pending',
+    fields: Object.fromEntries([['land', land], ['property_supplied', propertySupplied]]
+        .filter(([, decision]) => decision)
+        .map(([category, decision]) => [category, { decision, reviewer: 'AB', reviewed_at: '2025-09-01' }]))
+});
+
+const entry = (period, land, fields) => ({
+    id: `register-${period}/joe-bloggs`,
+    document: `register-${period}`,
+    chamber: 'dail',
+    kind: 'register',
+    periods: [period],
+    member: { name: 'Joe Bloggs', constituency: 'Kerry' },
+    pages: [3],
+    categories: { land: declaration(...land), property_supplied: declaration() },
+    review: fields
+});
+
+const staged = (...entries) => ({
+    metadata: {
+        generated_at: '2025-09-01T00:00:00.000Z',
+        sources: [{ id: 'register-2023', published: '2024-02-27' }, { id: 'register-2024', published: '2025-02-27' }]
+    },
+    entries
+});
+
+describe('Register history', () => {
+    test('tells unchanged, reworded, added and removed items apart', () => {
+        const diff = diffItems(
+            ['Rock Street, Tralee, Co. Kerry: vacant premises', 'Main Street, Dingle: shop.', 'Lissacha, Schull, Co. Cork: farming', 'Pound Road, Castleisland: house'],
+            ['Main Street, Dingle: shop', 'Rock Street, Tralee, Co. Kerry: storage facility', 'Lissacaha, Schull, Co. Cork: farming', 'Oakpark, Tralee, Co. Kerry: B&B guesthouse']
+        );
+        assert.deepEqual(diff.unchanged, ['Main Street, Dingle: shop']);
+        assert.deepEqual(diff.changed, [
+            { from: 'Rock Street, Tralee, Co. Kerry: vacant premises', to: 'Rock Street, Tralee, Co. Kerry: storage facility' },
+            { from: 'Lissacha, Schull, Co. Cork: farming', to: 'Lissacaha, Schull, Co. Cork: farming' }
+        ]);
+        assert.deepEqual(diff.added, ['Oakpark, Tralee, Co. Kerry: B&B guesthouse']);
+        assert.deepEqual(diff.removed, ['Pound Road, Castleisland: house']);
+    });
+
+    test('pairs a place described in other words', () => {
+        const diff = diffItems(['Constituency Office, 5 Church Street, Portlaoise: constituency service.'], ['Office at Church Street, Portlaoise: constituency office']);
+        assert.equal(diff.changed.length, 1);
+        assert.deepEqual(diff.added, []);
+    });
+
+    test('compares consecutive periods of land and property only', () => {
+        const timeline = portfolioTimeline([
+            position(2024, ['Main Street, Tralee: rental.', 'Quay Street, Dingle: site'], ['Office: Abbey Road, Thurles.']),
+            position(2023, ['Main Street, Tralee: rental.', 'Neamh-infheidhme'])
+        ]);
+
+        assert.deepEqual(timeline.map(period => period.period), [2023, 2024]);
+        assert.equal(timeline[0].added, null);
+        assert.deepEqual(timeline[0].items.map(item => item.text), ['Main Street, Tralee: rental.']);
+        assert.deepEqual(timeline[1].added, ['Quay Street, Dingle: site', 'Office: Abbey Road, Thurles.']);
+        assert.deepEqual(timeline[1].items.map(item => item.category), ['land', 'land', 'property_supplied']);
+        assert.deepEqual(notableAdditions(timeline), { 2024: ['Quay Street, Dingle: site', 'Office: Abbey Road, Thurles'] });
+    });
+
+    test('does not compare across a missing period', () => {
+        const timeline = portfolioTimeline([position(2022, []), position(2024, ['Quay Street, Dingle: site'])]);
+        assert.equal(timeline[1].added, null);
+        assert.deepEqual(notableAdditions(timeline), {});
+    });
+
+    test('rewrites notable additions in the TD database text and nothing else', () => {
+        const text = [
+            '{',
+            '  "tds": {',
+            '    "Joe Bloggs": {',
+            '      "properties": {',
+            '        "property_types": ["commercial"],',
+            '        "notable_additions_2024": ["B&B in Tralee"],',
+            '        "last_updated": "2025-08-20T15:00:00.000Z"',
+            '      }',
+            '    },',
+            '    "Mary Murphy": {',
+            '      "properties": {',
+            '        "locations": [],',
+            '        "last_updated": "2025-08-20T15:00:00.000Z"',
+            '      }',
+            '    }',
+            '  }',
+            '}'
+        ].join('\n');
+
+        const updated = setNotableAdditions(text, { 'Joe Bloggs': {}, 'Mary Murphy': { 2024: ['Oakpark, Tralee: B&B'] } });
+        assert.equal(JSON.parse(updated).tds['Joe Bloggs'].properties.notable_additions_2024, undefined);
+        assert.deepEqual(JSON.parse(updated).tds['Mary Murphy'].properties.notable_additions_2024, ['Oakpark, Tralee: B&B']);
+        assert.equal(updated.split('\n')[11], '        "notable_additions_2024": ["Oakpark, Tralee: B&B"],');
+        assert.equal(setNotableAdditions(text, {}), text);
+    });
+
+    test('notable additions come only from periods whose land and property were reviewed', () => {
+        const database = { tds: { 'Joe Bloggs': {}, 'Mary Murphy': {} } };
+        const additionsFor = staging => notableAdditionsFor(database, buildRegisterHistory({ ...staging, positions: reviewedPositions(staging) }));
+
+        const register2024 = entry(2024, ['Main Street, Tralee: rental.', 'Quay Street, Dingle: site.'], review('approved'));
+        assert.deepEqual(additionsFor(staged(entry(2023, ['Main Street, Tralee: rental.'], review(null)), register2024)), {});
+        assert.deepEqual(additionsFor(staged(entry(2023, ['Main Street, Tralee: rental.'], review('rejected')), register2024)), {});
+
+        const edited = review('edited');
+        edited.fields.land.items = ['Main Street, Tralee: rental.', 'Quay Street, Dingle: building site.'];
+        assert.deepEqual(additionsFor(staged(entry(2023, ['Main Street, Tralee: rental.'], review('approved')), { ...register2024, review: edited })),
+            { 'Joe Bloggs': { 2024: ['Quay Street, Dingle: building site'] } });
+    });
+
+    test('the published history holds reviewed periods only', () => {
+        const unreviewed = reviewedHistory(staged(entry(2023, ['Main Street, Tralee: rental.'], review(null)),
+            entry(2024, ['Main Street, Tralee: rental.'], review('approved'))));
+        assert.deepEqual(unreviewed.members['dail/joe-bloggs'].timeline.map(period => period.period), [2024]);
+        assert.equal(unreviewed.metadata.verification_status, 'REVIEWED');
+
+        assert.deepEqual(reviewedHistory(staged(entry(2024, ['Main Street, Tralee: rental.'], review('rejected')))).members, {});
+    });
+
+    test(`${HISTORY_FILE} and the TD database's notable additions are up to date`, () => {
+        const staging = JSON.parse(read('data/register-staging.json'));
+        const history = reviewedHistory(staging);
+        assert.deepEqual(JSON.parse(read(HISTORY_FILE)), history, 'run npm run build:register-history');
+
+        const text = read('complete-td-database.json');
+        assert.equal(setNotableAdditions(text, notableAdditionsFor(JSON.parse(text), history)), text, 'run npm run build:register-history');
+        // Nothing is reviewed yet, so the hand-kept additions stand
+        assert.deepEqual(JSON.parse(text).tds['Michael Healy-Rae'].properties.notable_additions_2024,
+            ['B&B in Tralee', '42 acres forestry at Kilgarvan']);
+    });
+
+    test('the data manager gives a TD\'s reviewed timeline, or null for a TD with none', async () => {
+        const history = reviewedHistory(staged(entry(2023, ['Main Street, Tralee: rental.'], review('approved')),
+            entry(2024, ['Main Street, Tralee: rental.', 'Quay Street, Dingle: site.'], review('approved'))));
+        const loader = new DataLoader(memoryBackend({ [HISTORY_FILE]: history }, { fallback: fsBackend() }));
+        const manager = new StaticDataManager({ loader, persistentCache: null });
+
+        const member = await manager.getPortfolioTimeline('Joe Bloggs');
+        assert.deepEqual(member.timeline.map(period => period.period), [2023, 2024]);
+        assert.deepEqual(member.timeline[1].added, ['Quay Street, Dingle: site.']);
+        assert.equal(await manager.getPortfolioTimeline('Nobody At All'), null);
+        // Nothing in the staged registers has been reviewed yet, so nobody has a published timeline
+        assert.equal(await new StaticDataManager({ persistentCache: null }).getPortfolioTimeline('Michael Healy-Rae'), null);
+    });
+});
@@ -0,0 +1,159 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { extractPages } from '../scripts/pdf-text.js';
+import { CATEGORIES, STAGING_FILE, ingestDocument, buildStaging, splitItems, parseMemberHeader, statementDate } from '../scripts/ingest-register.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+const readBytes = file => readFileSync(new URL(`../${file}`, import.meta.url));
+
+const DAIL_2024 = 'data/2025-02-27_register-of-members-interests-dail-eireann-2024_en.pdf';
+const SEANAD_2024 = 'data/2025-02-27_register-of-members-interests-seanad-eireann-2024_en.pdf';
+
+// Each PDF is read once however many tests look at it
+const ingested = new Map();
+const ingest = file => {
+    if (!ingested.has(file)) ingested.set(file, ingestDocument(file, readBytes(file)));
+    return ingested.get(file);
+};
+const member = (file, printed) => ingest(file).entries.find(entry => entry.member.name_as_printed === printed);
+
+describe('PDF text extraction', () => {
+    test('reads the register text line by line, per page', () => {
+        const pages = extractPages(readBytes(DAIL_2024));
+        assert.equal(pages.length, 111);
+        assert.ok(pages[1].lines.includes('AHERN, Ciarán (Dublin South-West)'));
+        assert.ok(pages[1].lines.some(line => line.startsWith('1. Occupations Etc.') && line.endsWith('Solicitor: McInnes Dunne Murphy LLP, 6 Mount Street')));
+    });
+
+    test('rejects a file that is not a PDF', () => {
+        assert.throws(() => extractPages(Buffer.from('{"not": "a pdf"}')), /PDF/);
+    });
+});
+
+describe('Register ingestion', () => {
+    test('describes each document from its notice and file name', () => {
+        assert.deepEqual(ingest(DAIL_2024).document, {
+            id: 'dail-register-2024-2025-02-27',
+            file: DAIL_2024,
+            published: '2025-02-27',
+            chamber: 'dail',
+            kind: 'register',
+            periods: [2024],
+            pages: 111,
+            entries: 174
+        });
+
+        const supplement = ingest('data/2025-06-18_register-of-member-s-interests-dail-eireann-2022-2024_en.pdf').document;
+        assert.equal(supplement.kind, 'supplement');
+        assert.deepEqual(supplement.periods, [2022, 2023, 2024]);
+        assert.equal(ingest(SEANAD_2024).document.chamber, 'seanad');
+    });
+
+    test('segments an annual register into members with all nine categories', () => {
+        const ahern = member(DAIL_2024, 'AHERN, Ciarán (Dublin South-West)');
+        assert.equal(ahern.member.name, 'Ciarán Ahern');
+        assert.equal(ahern.member.constituency, 'Dublin South-West');
+        assert.deepEqual(ahern.pages, [2]);
+        assert.deepEqual(Object.keys(ahern.categories), CATEGORIES.map(category => category.key));
+        assert.deepEqual(ahern.categories.occupations.items, [{ text: 'Solicitor: McInnes Dunne Murphy LLP, 6 Mount Street Crescent, Dublin 2.', page: 2 }]);
+        assert.equal(ahern.categories.land.nil, true);
+        assert.deepEqual(ahern.categories.land.items, []);
+    });
+
+    test('splits numbered declarations into items and follows them across pages', () => {
+        const aird = member(DAIL_2024, 'AIRD, William (Laois)');
+        assert.deepEqual(aird.categories.occupations.items.map(item => item.text), ['Farmer: Nutgrove, Portlaoise', 'Public Representative.']);
+        assert.deepEqual(aird.pages, [2, 3]);
+        assert.deepEqual(aird.categories.contracts.pages, [3]);
+    });
+
+    test('leaves the end of the property-supplied heading and the Clerk\'s signature out', () => {
+        const lowry = member(DAIL_2024, 'LOWRY, Michael (Tipperary North)');
+        assert.equal(lowry.categories.property_supplied.text, 'Office: Garuda T/A Streamline Enterprises, Abbey Road, Thurles, Co. Tipperary.');
+
+        const last = ingest(DAIL_2024).entries.at(-1);
+        assert.equal(last.categories.contracts.text, 'Nil');
+        assert.equal(last.categories.contracts.nil, true);
+    });
+
+    test('reads Seanad headers, Irish-language statements and other information', () => {
+        const ahearn = member(SEANAD_2024, 'AHEARN, Garret');
+        assert.equal(ahearn.member.constituency, null);
+        assert.equal(ahearn.categories.property_supplied.nil, true);
+
+        const mullen = member(SEANAD_2024, 'MULLEN, Rónán');
+        assert.equal(mullen.categories.land.items.length, 3);
+        assert.equal(mullen.categories.gifts.nil, true);
+
+        const moynihan = member(SEANAD_2024, 'MOYNIHAN, Rebecca');
+        assert.equal(moynihan.categories.occupations.nil, true);
+        assert.match(moynihan.categories.occupations.note, /career break/);
+        assert.equal(moynihan.categories.land.items.length, 2);
+    });
+
+    test('reads a supplement statement\'s categories, answers and date', () => {
+        const [statement] = ingest('data/2025-03-06_supplement-to-register-of-members-interests-2024-dail_en.pdf').entries;
+        assert.equal(statement.member.name, 'Erin McGreehan');
+        assert.equal(statement.statement_date, '2025-03-07');
+        assert.deepEqual(Object.keys(statement.categories), ['travel']);
+        assert.equal(statement.categories.travel.text,
+            'Working visit to Washington – flights and accommodation.: Government of the United States of America – as part of 100 years of relations.');
+        assert.equal(statement.categories.travel.details[1].question,
+            'Name and address of person or company who supplied the travel facilities, etc. to you');
+
+        const [toole] = ingest('data/2025-06-18_supplement-to-register-of-members-interests-2024-dail_en.pdf').entries;
+        assert.deepEqual(Object.keys(toole.categories), ['shares', 'directorships', 'land', 'contracts']);
+        assert.equal(toole.categories.land.note, 'Included previously in (9)');
+        assert.deepEqual(toole.categories.contracts.pages, [3]);
+        assert.doesNotMatch(toole.categories.contracts.text, /FINNEGAN/);
+    });
+
+    test('keeps a lead-in with every numbered item and the page each starts on', () => {
+        const items = splitItems([
+            { text: 'Director: (1) Alpha Ltd (Cork): retail; (2) Beta', page: 4 },
+            { text: 'Ltd: farming; and (3) Gamma CLG: charity.', page: 5 }
+        ]);
+        assert.deepEqual(items, [
+            { text: 'Director: Alpha Ltd (Cork): retail', page: 4 },
+            { text: 'Director: Beta Ltd: farming', page: 4 },
+            { text: 'Director: Gamma CLG: charity.', page: 5 }
+        ]);
+    });
+
+    test('parses member headers and statement dates', () => {
+        assert.deepEqual(parseMemberHeader('BOYD BARRETT, Richard (Dún Laoghaire)'), {
+            name_as_printed: 'BOYD BARRETT, Richard (Dún Laoghaire)',
+            name: 'Richard Boyd Barrett',
+            surname: 'BOYD BARRETT',
+            forename: 'Richard',
+            constituency: 'Dún Laoghaire'
+        });
+        assert.equal(parseMemberHeader('O’CALLAGHAN, Cian (Dublin Bay North)').name, 'Cian O’Callaghan');
+        assert.equal(statementDate('An 11ú lá seo de Mhárta, 2024 This 11th day of March, 2024'), '2024-03-11');
+        assert.equal(statementDate('Cléireach Dháil Éireann'), null);
+    });
+
+    test('a re-run keeps reviews only for entries that read the same', () => {
+        const documents = [ingest('data/2025-03-07_supplement-to-register-of-members-interests-2024-dail_en.pdf')];
+        const first = buildStaging(documents);
+        const [entry] = first.entries;
+        assert.equal(entry.review.status, 'pending');
+
+        const reviewed = { ...first, entries: [{ ...entry, review: { status: 'approved' } }] };
+        assert.equal(buildStaging(documents, { previous: reviewed }).entries[0].review.status, 'approved');
+
+        const stale = { ...first, entries: [{ ...entry, categories: {}, review: { status: 'approved' } }] };
+        assert.equal(buildStaging(documents, { previous: stale }).entries[0].review.status, 'pending');
+    });
+
+    test(`${STAGING_FILE} is up to date with the register PDFs`, () => {
+        const pdfs = readdirSync(new URL('../data/', import.meta.url)).filter(name => name.endsWith('.pdf')).sort().map(name => `data/${name}`);
+        const staging = JSON.parse(read(STAGING_FILE));
+        const fresh = buildStaging(pdfs.map(ingest), { previous: staging });
+
+        assert.deepEqual(staging.metadata.sources, fresh.metadata.sources, 'run npm run ingest:register');
+        assert.deepEqual(staging.entries, fresh.entries, 'run npm run ingest:register');
+    });
+});
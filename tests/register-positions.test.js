@@ -0,0 +1,132 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { mergePositions, flaggedPositions, positionId } from '../register-positions.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+const sources = [
+    { id: 'register-2024', published: '2025-02-27' },
+    { id: 'supplement-march', published: '2025-03-28' },
+    { id: 'supplement-june', published: '2025-06-18' }
+];
+
+const declaration = (...texts) => ({
+    nil: texts.length === 0,
+    text: texts.join('; ') || 'Nil',
+    items: texts.map(text => ({ text, page: 2 })),
+    pages: [2]
+});
+
+const member = { name_as_printed: 'BLOGGS, Joe (Kerry)', name: 'Joe Bloggs', surname: 'BLOGGS', forename: 'Joe', constituency: 'Kerry' };
+
+const register = {
+    id: 'register-2024/joe-bloggs',
+    document: 'register-2024',
+    chamber: 'dail',
+    kind: 'register',
+    periods: [2024],
+    member,
+    categories: {
+        land: declaration('Main Street, Tralee: rental property.'),
+        travel: declaration()
+    }
+};
+
+const supplement = (document, statementDate, categories, periods = [2024]) => ({
+    id: `${document}/joe-bloggs`,
+    document,
+    chamber: 'dail',
+    kind: 'supplement',
+    periods,
+    member: { name_as_printed: 'Deputy Joe Bloggs', name: 'Joe Bloggs', surname: null, forename: null, constituency: null },
+    statement_date: statementDate,
+    categories
+});
+
+describe('Register positions', () => {
+    test('without supplements a position is the register declaration', () => {
+        const [position] = mergePositions([register], sources);
+        assert.equal(position.id, 'dail-2024/joe-bloggs');
+        assert.equal(position.base, register.id);
+        assert.equal(position.as_of, '2025-02-27');
+        assert.deepEqual(position.categories.land.items, [{ text: 'Main Street, Tralee: rental property.', page: 2, entry: register.id }]);
+        assert.deepEqual(position.history, {});
+        assert.deepEqual(position.flags, []);
+    });
+
+    test('applies supplements in the order they were made, keeping the history', () => {
+        const june = supplement('supplement-june', '2025-06-20', { land: declaration('Killarney Road, Tralee: letting.') });
+        const march = supplement('supplement-march', '2025-04-01', { land: declaration('Main Street, Tralee: sold in 2024.') });
+
+        const [position] = mergePositions([june, register, march], sources);
+        assert.deepEqual(position.amendments, [march.id, june.id]);
+        assert.equal(position.as_of, '2025-06-20');
+        assert.deepEqual(position.categories.land.items.map(item => item.text), ['Killarney Road, Tralee: letting.']);
+        assert.deepEqual(position.history.land.map(change => [change.change, change.date]), [
+            ['declared', '2025-02-27'],
+            ['removed', '2025-04-01'],
+            ['added', '2025-06-20']
+        ]);
+        assert.deepEqual(position.flags, ['land_removed', 'land_added']);
+        assert.equal(position.categories.travel.nil, true);
+        assert.equal(position.history.travel, undefined);
+    });
+
+    test('a supplement only for other interests is not flagged', () => {
+        const travel = supplement('supplement-march', '2025-03-07', { travel: declaration('Washington: flights.') });
+        const [position] = mergePositions([register, travel], sources);
+        assert.equal(position.categories.travel.nil, false);
+        assert.deepEqual(position.history.travel.map(change => change.change), ['added']);
+        assert.deepEqual(flaggedPositions([position]), []);
+    });
+
+    test('keeps the history per item - a reworded item is changed, not added', () => {
+        const march = supplement('supplement-march', '2025-04-01', {
+            land: declaration('Main Street, Tralee: rental property and shop.', 'Farmland at Ballyheigue, Co. Kerry.')
+        });
+        const [position] = mergePositions([register, march], sources);
+        assert.deepEqual(position.categories.land.items.map(item => item.text),
+            ['Main Street, Tralee: rental property and shop.', 'Farmland at Ballyheigue, Co. Kerry.']);
+        assert.deepEqual(position.history.land.slice(1).map(({ change, from, to, item }) => ({ change, from, to, item })), [
+            { change: 'changed', from: 'Main Street, Tralee: rental property.', to: 'Main Street, Tralee: rental property and shop.', item: undefined },
+            { change: 'added', from: undefined, to: undefined, item: 'Farmland at Ballyheigue, Co. Kerry.' }
+        ]);
+        assert.deepEqual(position.flags, ['land_changed', 'land_added']);
+    });
+
+    test('a disposal records the item it removes', () => {
+        const march = supplement('supplement-march', '2025-04-01', { land: declaration('Main Street, Tralee: sold in 2024.') });
+        const [position] = mergePositions([register, march], sources);
+        assert.equal(position.history.land.at(-1).item, 'Main Street, Tralee: rental property.');
+        assert.deepEqual(position.categories.land.items, []);
+    });
+
+    test('a supplement for a period with no register starts from nothing', () => {
+        const earlier = supplement('supplement-june', null, { directorships: declaration('Director: Community Hall CLG.') }, [2022, 2024]);
+        const positions = mergePositions([register, earlier], sources);
+
+        const [position2022, position2024] = positions;
+        assert.equal(position2022.id, 'dail-2022/joe-bloggs');
+        assert.equal(position2022.base, null);
+        assert.equal(position2022.as_of, '2025-06-18');
+        assert.deepEqual(position2022.history.directorships.map(change => change.change), ['added']);
+        assert.equal(position2024.categories.directorships.items.length, 1);
+    });
+
+    test('matches supplement names to register names whatever the apostrophe', () => {
+        assert.equal(positionId({ chamber: 'dail', member: { name: 'Richard O’Donoghue' } }, 2024),
+            positionId({ chamber: 'dail', member: { name: 'Richard O\'Donoghue' } }, 2024));
+    });
+
+    test('the staging file flags the 2024 supplements that added or changed land', () => {
+        const staging = JSON.parse(read('data/register-staging.json'));
+        const flagged = flaggedPositions(staging.positions).map(position => position.id);
+        assert.deepEqual(flagged, ['dail-2024/gillian-toole', 'dail-2024/richard-odonoghue']);
+
+        const mcgreehan = staging.positions.find(position => position.id === 'dail-2024/erin-mcgreehan');
+        assert.equal(mcgreehan.member.name, 'Erin McGreehan');
+        assert.equal(mcgreehan.history.travel.at(-1).entry, 'dail-supplement-2024-2025-03-06/erin-mcgreehan');
+    });
+});
@@ -0,0 +1,278 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync, readdirSync, mkdtempSync, mkdirSync, writeFileSync, cpSync, rmSync } from 'node:fs';
+import http from 'node:http';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { reviewQueue, recordDecision, reviewedRecord, replaceRecord } from '../scripts/register-review.js';
+import { createReviewServer } from '../scripts/review-server.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+const staged = () => JSON.parse(read('data/register-staging.json'));
+
+const decide = (staging, entry, category, decision, extra = {}) =>
+    recordDecision(staging, { entry, category, decision, reviewer: 'jb', date: '2026-10-19', ...extra });
+
+const HEALY_RAE_2024 = 'dail-register-2024-2025-02-27/michael-healy-rae';
+
+describe('Register review', () => {
+    test('queues every field of Dáil and Seanad entries with their PDF pages', () => {
+        const staging = staged();
+        const queue = reviewQueue(staging);
+        assert.equal(queue.length, staging.entries.reduce((count, entry) => count + Object.keys(entry.categories).length, 0));
+        assert.ok(queue.some(field => field.chamber === 'seanad'));
+        assert.deepEqual(queue.filter(field => field.entry === HEALY_RAE_2024).map(field => field.label),
+            staging.metadata.categories.map(({ number, label }) => `${number}. ${label}`));
+
+        const land = queue.find(field => field.entry === HEALY_RAE_2024 && field.category === 'land');
+        assert.equal(land.file, 'data/2025-02-27_register-of-members-interests-dail-eireann-2024_en.pdf');
+        assert.deepEqual(land.pages, [51, 52]);
+        assert.equal(land.review, null);
+    });
+
+    test('records each decision with the reviewer and date, and the entry status from all its fields', () => {
+        const staging = staged();
+        const entry = decide(staging, HEALY_RAE_2024, 'land', 'approved');
+        assert.deepEqual(entry.review.fields.land, { decision: 'approved', reviewer: 'JB', reviewed_at: '2026-10-19' });
+        assert.equal(entry.review.status, 'pending');
+
+        decide(staging, HEALY_RAE_2024, 'property_supplied', 'edited', { items: [' Office: Main Street, Kilgarvan ', ''] });
+        assert.deepEqual(entry.review.fields.property_supplied.items, ['Office: Main Street, Kilgarvan']);
+        // Pending until the other seven categories are decided too
+        assert.equal(entry.review.status, 'pending');
+
+        for (const category of Object.keys(entry.categories).filter(key => !entry.review.fields[key])) {
+            decide(staging, HEALY_RAE_2024, category, 'approved');
+        }
+        assert.equal(entry.review.status, 'edited');
+
+        for (const category of Object.keys(entry.categories)) {
+            decide(staging, HEALY_RAE_2024, category, 'rejected');
+        }
+        assert.equal(entry.review.status, 'rejected');
+    });
+
+    test('refuses a decision it cannot record', () => {
+        const staging = staged();
+        assert.throws(() => decide(staging, HEALY_RAE_2024, 'land', 'approved', { reviewer: '' }), /reviewer initials/);
+        assert.throws(() => decide(staging, HEALY_RAE_2024, 'land', 'maybe'), /decision must be one of/);
+        assert.throws(() => decide(staging, HEALY_RAE_2024, 'pensions', 'approved'), /has no pensions field/);
+        assert.throws(() => decide(staging, 'dail-register-2024/nobody', 'land', 'approved'), /no staged entry/);
+    });
+
+    test('builds the record from approved and edited fields only, with their provenance', () => {
+        const staging = staged();
+        const current = JSON.parse(read('data/property-data.json')).tds['Michael Healy-Rae'];
+        assert.deepEqual(reviewedRecord(staging, 'Michael Healy-Rae', current, null), current);
+
+        decide(staging, HEALY_RAE_2024, 'land', 'rejected');
+        decide(staging, HEALY_RAE_2024, 'property_supplied', 'edited', { items: ['Office: Main Street, Kilgarvan'] });
+        const record = reviewedRecord(staging, 'Michael Healy-Rae', current, null);
+
+        assert.equal(record.notes, current.notes);
+        assert.equal(record.register_interests.period, 2024);
+        assert.deepEqual(record.register_interests.land, []);
+        assert.deepEqual(record.register_interests.property_supplied, [{ text: 'Office: Main Street, Kilgarvan', page: 52, entry: HEALY_RAE_2024 }]);
+        assert.deepEqual(record.provenance, [{
+            entry: HEALY_RAE_2024,
+            category: 'property_supplied',
+            file: 'data/2025-02-27_register-of-members-interests-dail-eireann-2024_en.pdf',
+            pages: [52],
+            decision: 'edited',
+            reviewer: 'JB',
+            reviewed_at: '2026-10-19'
+        }]);
+
+        decide(staging, HEALY_RAE_2024, 'property_supplied', 'rejected');
+        assert.deepEqual(reviewedRecord(staging, 'Michael Healy-Rae', record, null), current);
+    });
+
+    test('starts a record for a TD not in the property data from the TD database', () => {
+        const staging = staged();
+        const td = JSON.parse(read('complete-td-database.json')).tds['Simon Harris'];
+        const entry = 'dail-register-2024-2025-02-27/simon-harris';
+        decide(staging, entry, 'land', 'approved');
+
+        const record = reviewedRecord(staging, 'Simon Harris', null, td);
+        assert.equal(record.party, 'Fine Gael');
+        assert.equal(record.landlord_status, td.properties.landlord_status);
+        assert.deepEqual(record.provenance.map(source => source.category), ['land']);
+    });
+
+    test('rewrites one record of the property data and leaves every other line as it was', () => {
+        const text = read('data/property-data.json');
+        const data = JSON.parse(text);
+        const record = { ...data.tds['Gillian Toole'], provenance: [] };
+
+        const updated = replaceRecord(text, 'Gillian Toole', record);
+        assert.deepEqual(JSON.parse(updated), { ...data, tds: { ...data.tds, 'Gillian Toole': record } });
+        const changed = updated.split('\n').filter(line => !text.split('\n').includes(line));
+        assert.deepEqual(changed, ['      "notes": "First-time TD elected December 2024. Significant property portfolio for new TD.",', '      "provenance": []']);
+
+        const added = JSON.parse(replaceRecord(text, 'Joe Bloggs', { party: 'Independent' }));
+        assert.deepEqual(Object.keys(added.tds).slice(-1), ['Joe Bloggs']);
+        assert.deepEqual(added.summary, data.summary);
+    });
+});
+
+describe('Register review server', () => {
+    const SUPPLEMENT = 'data/2025-03-28_supplement-to-register-of-members-interests-2024-dail_en.pdf';
+    const ENTRY = 'dail-supplement-2024-2025-03-28/richard-odonoghue';
+    let root;
+    let server;
+    let base;
+
+    before(async () => {
+        root = mkdtempSync(path.join(tmpdir(), 'register-review-'));
+        mkdirSync(path.join(root, 'data'));
+        cpSync(new URL('../schemas', import.meta.url), path.join(root, 'schemas'), { recursive: true });
+        cpSync(new URL(`../${SUPPLEMENT}`, import.meta.url), path.join(root, SUPPLEMENT));
+        cpSync(new URL('../review.html', import.meta.url), path.join(root, 'review.html'));
+
+        const staging = staged();
+        const write = (file, data) => writeFileSync(path.join(root, file), JSON.stringify(data, null, 2) + '\n');
+        write('data/register-staging.json', {
+            metadata: { ...staging.metadata, sources: staging.metadata.sources.filter(source => source.file === SUPPLEMENT) },
+            entries: staging.entries.filter(entry => entry.id === ENTRY),
+            positions: []
+        });
+        write('complete-td-database.json', {
+            tds: {
+                "Richard O'Donoghue": {
+                    first_name: 'Richard',
+                    last_name: "O'Donoghue",
+                    party: 'Independent Ireland',
+                    constituency: 'Limerick County',
+                    properties: { landlord_status: false, property_count: 0, rental_properties: 0 }
+                }
+            }
+        });
+        write('data/td-aliases.json', { tds: {} });
+        write('data/property-data.json', { metadata: { source_documents: [], verification_status: 'TEST' }, tds: {} });
+
+        server = createReviewServer({ root, today: () => '2026-10-19' });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        rmSync(root, { recursive: true, force: true });
+    });
+
+    const post = (body, headers = {}) => fetch(`${base}/api/review`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Origin: base, ...headers },
+        body: JSON.stringify(body)
+    });
+
+    // fetch() sets its own Host, so a request for another name goes by http.request
+    const requestAs = (host, method = 'GET') => new Promise((resolve, reject) => {
+        const request = http.request(`${base}/api/queue`, { method, headers: { Host: host } }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('error', reject);
+        request.end();
+    });
+
+    test('serves the queue, the page and the source PDF only', async () => {
+        assert.match(await (await fetch(`${base}/`)).text(), /extraction review/);
+
+        const { fields } = await (await fetch(`${base}/api/queue`)).json();
+        assert.deepEqual(fields.map(field => [field.entry, field.category]), [[ENTRY, 'land']]);
+
+        const layout = await (await fetch(`${base}/api/page?file=${encodeURIComponent(SUPPLEMENT)}&page=1`)).json();
+        assert.equal(layout.pages, 1);
+        assert.equal(layout.width, 595.32);
+        assert.ok(layout.lines.some(line => line.text.includes('Purchase of property')));
+
+        assert.equal((await fetch(`${base}/api/page?file=${encodeURIComponent(SUPPLEMENT)}&page=2`)).status, 404);
+        assert.equal((await fetch(`${base}/${SUPPLEMENT}`)).headers.get('content-type'), 'application/pdf');
+        assert.equal((await fetch(`${base}/api/page?file=complete-td-database.json&page=1`)).status, 404);
+        assert.equal((await fetch(`${base}/data/property-data.json`)).status, 404);
+    });
+
+    test('serves pdf.js for the page images from the installed package', async () => {
+        const installed = existsSync(new URL('../node_modules/pdfjs-dist/build/pdf.min.mjs', import.meta.url));
+        for (const file of ['build/pdf.min.mjs', 'build/pdf.worker.min.mjs', 'standard_fonts/FoxitSerif.pfb']) {
+            const response = await fetch(`${base}/vendor/pdfjs/${file}`);
+            if (installed) {
+                assert.equal(response.status, 200);
+                assert.equal(response.headers.get('content-type'), file.endsWith('.mjs') ? 'text/javascript; charset=utf-8' : 'application/octet-stream');
+            } else {
+                assert.equal(response.status, 404);
+                assert.match((await response.json()).error, /run npm install/);
+            }
+        }
+        assert.equal((await fetch(`${base}/vendor/pdfjs/build/pdf.sandbox.min.mjs`)).status, 404);
+        assert.equal((await fetch(`${base}/vendor/pdfjs/..%2Fpackage.json`)).status, 404);
+
+        const page = await (await fetch(`${base}/`)).text();
+        assert.match(page, /\/vendor\/pdfjs\/build\/pdf\.min\.mjs/);
+        assert.match(page, /Open the original PDF at this page/);
+    });
+
+    test('refuses requests from anywhere but the review page on this machine', async () => {
+        const decision = { entry: ENTRY, category: 'land', decision: 'approved', reviewer: 'JB' };
+        assert.equal((await post(decision, { 'Content-Type': 'text/plain' })).status, 415);
+        assert.equal((await post(decision, { Origin: 'http://attacker.example' })).status, 403);
+        assert.equal((await fetch(`${base}/api/review`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(decision) })).status, 403);
+
+        const port = server.address().port;
+        assert.equal(await requestAs(`attacker.example:${port}`), 403);
+        assert.equal(await requestAs(`localhost:${port}`), 200);
+
+        const staging = JSON.parse(readFileSync(path.join(root, 'data/register-staging.json'), 'utf8'));
+        assert.deepEqual(staging.entries[0].review, { status: 'pending' });
+    });
+
+    test('writes a decision to the staging file and the TD\'s property record', async () => {
+        const refused = await post({ entry: ENTRY, category: 'land', decision: 'approved' });
+        assert.equal(refused.status, 400);
+        assert.match((await refused.json()).error, /reviewer initials/);
+
+        const response = await post({ entry: ENTRY, category: 'land', decision: 'edited', items: ['Deposit paid on a property'], reviewer: 'jb' });
+        assert.deepEqual(await response.json(), {
+            entry: ENTRY,
+            status: 'edited',
+            field: { decision: 'edited', reviewer: 'JB', reviewed_at: '2026-10-19', items: ['Deposit paid on a property'] },
+            td: "Richard O'Donoghue",
+            property_data: "data/property-data.json: Richard O'Donoghue updated"
+        });
+
+        const staging = JSON.parse(readFileSync(path.join(root, 'data/register-staging.json'), 'utf8'));
+        assert.equal(staging.entries[0].review.status, 'edited');
+
+        const record = JSON.parse(readFileSync(path.join(root, 'data/property-data.json'), 'utf8')).tds["Richard O'Donoghue"];
+        assert.equal(record.party, 'Independent Ireland');
+        assert.deepEqual(record.register_interests.land.map(item => item.text), ['Deposit paid on a property']);
+        assert.equal(record.register_interests.as_of, '2025-04-01');
+        assert.deepEqual(record.provenance.map(source => [source.file, source.reviewer, source.reviewed_at]), [[SUPPLEMENT, 'JB', '2026-10-19']]);
+    });
+
+    test('takes decisions made in quick succession one after the other', async () => {
+        const file = path.join(root, 'data/register-staging.json');
+        const before = JSON.parse(readFileSync(file, 'utf8'));
+        before.entries[0].categories.property_supplied = before.entries[0].categories.land;
+        writeFileSync(file, JSON.stringify(before, null, 2) + '\n');
+
+        const responses = await Promise.all([
+            post({ entry: ENTRY, category: 'property_supplied', decision: 'rejected', reviewer: 'AB' }),
+            ...['CD', 'EF'].map((reviewer, i) =>
+                post({ entry: ENTRY, category: 'land', decision: 'edited', items: [`Deposit paid on a property (${i + 1})`], reviewer }))
+        ]);
+        assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+
+        // Neither decision is lost, and the property record follows the last one taken
+        const { fields } = JSON.parse(readFileSync(file, 'utf8')).entries[0].review;
+        assert.equal(fields.property_supplied.reviewer, 'AB');
+        assert.ok(['CD', 'EF'].includes(fields.land.reviewer));
+        const record = JSON.parse(readFileSync(path.join(root, 'data/property-data.json'), 'utf8')).tds["Richard O'Donoghue"];
+        assert.deepEqual(record.register_interests.land.map(item => item.text), fields.land.items);
+        assert.deepEqual(record.register_interests.property_supplied, []);
+        assert.deepEqual(readdirSync(path.join(root, 'data')).filter(file => file.endsWith('.tmp')), []);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { RentalIncomeEstimator, VOID_ALLOWANCE } from '../rental-income-estimator.js';
+
+const housing = JSON.parse(readFileSync(new URL('../data/housing-stats.json', import.meta.url), 'utf8'));
+const propertyData = JSON.parse(readFileSync(new URL('../data/property-data.json', import.meta.url), 'utf8'));
+const estimator = new RentalIncomeEstimator(housing);
+
+describe('RentalIncomeEstimator.resolveCounty', () => {
+    test('finds the county in a Register location', () => {
+        assert.equal(estimator.resolveCounty('Westmeath (Mullingar)'), 'Westmeath');
+        assert.equal(estimator.resolveCounty('Cork South-Central'), 'Cork');
+    });
+
+    test('maps towns named without a county', () => {
+        assert.equal(estimator.resolveCounty('Kilgarvan'), 'Kerry');
+        assert.equal(estimator.resolveCounty('Tuam'), 'Galway');
+    });
+
+    test('returns null for places it cannot place', () => {
+        assert.equal(estimator.resolveCounty('Somewhere abroad'), null);
+    });
+});
+
+describe('RentalIncomeEstimator.estimate', () => {
+    test('non-landlords have a zero estimate', () => {
+        const estimate = estimator.estimate({ properties: { rental_properties: 0, locations: ['Bray family home only'] } });
+        assert.equal(estimate.central, 0);
+        assert.equal(estimate.counties.length, 0);
+    });
+
+    test('one Dublin property: rent-based and yield-based figures bound the band', () => {
+        const dublin = housing.counties.Dublin;
+        const byRent = dublin.average_rent * 12;
+        const byYield = dublin.average_house_price * dublin.rental_yield / 100;
+
+        const estimate = estimator.estimate({ properties: { rental_properties: 1, locations: ['Dublin (Blackrock)'] } });
+        assert.equal(estimate.low, Math.round(Math.min(byRent, byYield) * (1 - VOID_ALLOWANCE)));
+        assert.equal(estimate.high, Math.round(Math.max(byRent, byYield)));
+        assert.ok(estimate.low < estimate.central && estimate.central < estimate.high);
+    });
+
+    test('counties without statistics fall back to State figures', () => {
+        const estimate = estimator.estimate({ properties: { rental_properties: 2, locations: ['Mayo (Killala)'] } });
+        assert.equal(estimate.counties[0].county, 'Mayo');
+        assert.equal(estimate.counties[0].statsCounty, 'State');
+    });
+
+    test('properties are split across the counties named', () => {
+        const estimate = estimator.estimate({
+            properties: { rental_properties: 7, locations: ['Dublin (Phibsborough)', 'Westmeath (Mullingar)', 'Ballynacargy'] }
+        });
+        assert.deepEqual(estimate.counties.map(c => [c.county, c.properties]), [['Dublin', 3.5], ['Westmeath', 3.5]]);
+    });
+
+    test('uses the constituency when no location is declared', () => {
+        const estimate = estimator.estimate({ constituency: 'Donegal', rental_properties: 1 });
+        assert.equal(estimate.counties[0].county, 'Donegal');
+    });
+
+    test('declared portfolio value widens the band', () => {
+        const base = { rental_properties: 2, property_count: 2, locations: ['Dublin'] };
+        const plain = estimator.estimate({ properties: base });
+        const valued = estimator.estimate({ properties: { ...base, total_value_estimate: 5000000 } });
+        assert.ok(valued.high > plain.high);
+        assert.equal(valued.low, plain.low);
+    });
+
+    test('every estimate carries its methodology', () => {
+        const estimate = estimator.estimate({ properties: { rental_properties: 1, locations: ['Kerry'] } });
+        assert.match(estimate.methodology, /rental yield/);
+    });
+});
+
+describe('RentalIncomeEstimator.estimateAll', () => {
+    const { estimates, average } = estimator.estimateAll(propertyData.tds);
+
+    test('large portfolios are no longer quoted the same as one property', () => {
+        assert.ok(estimates['Michael Healy-Rae'].central > 10 * estimates['Pa Daly'].central);
+    });
+
+    test('average covers every landlord in the property data', () => {
+        const landlords = Object.values(propertyData.tds).filter(td => td.rental_properties > 0).length;
+        assert.equal(average.landlords, landlords);
+        assert.ok(average.low <= average.central && average.central <= average.high);
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { RPZChecker } from '../rpz-checker.js';
+
+const rules = JSON.parse(readFileSync(new URL('../data/rpz-rules.json', import.meta.url), 'utf8'));
+const checker = new RPZChecker(rules);
+
+const dublin = { localAuthority: 'Dublin City Council' };
+
+describe('RPZChecker rules table', () => {
+    test('covers all 31 local authorities', () => {
+        assert.equal(checker.localAuthorities().length, 31);
+    });
+
+    test('formula periods are contiguous and the last is open-ended', () => {
+        for (let i = 1; i < rules.periods.length; i++) {
+            const previousEnd = new Date(`${rules.periods[i - 1].to}T00:00:00Z`);
+            const nextStart = new Date(`${rules.periods[i].from}T00:00:00Z`);
+            assert.equal(nextStart - previousEnd, 24 * 60 * 60 * 1000, rules.periods[i].id);
+        }
+        assert.equal(rules.periods.at(-1).to, null);
+    });
+});
+
+describe('RPZChecker.check', () => {
+    test('2016-2021: 4% a year pro rata', () => {
+        const result = checker.check({ ...dublin, previousRent: 1500, tenancyStart: '2018-01-15', increaseDate: '2019-07-15' });
+        assert.equal(result.period.id, 'rpz_4_percent');
+        assert.equal(result.monthsSinceLastSet, 18);
+        assert.equal(result.maxLawfulRent, 1590);
+    });
+
+    test('since December 2021: 2% cap when inflation is higher', () => {
+        const result = checker.check({
+            ...dublin, previousRent: 1500, newRent: 1600, tenancyStart: '2023-03-01', increaseDate: '2024-03-01'
+        });
+        assert.equal(result.period.id, 'rpz_hicp_or_2_percent');
+        assert.equal(result.maxLawfulRent, 1530);
+        assert.equal(result.excess, 70);
+        assert.equal(result.lawful, false);
+    });
+
+    test('since December 2021: HICP when inflation is lower than 2%', () => {
+        // 12 months of 2024 at 1.3%
+        const result = checker.check({ ...dublin, previousRent: 1000, tenancyStart: '2024-01-01', increaseDate: '2025-01-01' });
+        assert.ok(Math.abs(result.capRate - 0.013) < 1e-9);
+        assert.equal(result.maxLawfulRent, 1013);
+    });
+
+    test('July to December 2021: HICP only', () => {
+        const result = checker.check({ ...dublin, previousRent: 1000, tenancyStart: '2020-08-01', increaseDate: '2021-08-01' });
+        assert.equal(result.period.id, 'rpz_hicp');
+        assert.ok(result.maxLawfulRent > 1000 && result.maxLawfulRent < 1020);
+    });
+
+    test('falling prices allow no increase', () => {
+        const deflation = new RPZChecker({ ...rules, hicp_annual: { ...rules.hicp_annual, 2024: -0.01 } });
+        const result = deflation.check({ ...dublin, previousRent: 1000, tenancyStart: '2024-01-01', increaseDate: '2025-01-01' });
+        assert.equal(result.maxLawfulRent, 1000);
+    });
+
+    test('reviews less than 12 months apart are unlawful', () => {
+        const result = checker.check({
+            ...dublin, previousRent: 1500, newRent: 1510, tenancyStart: '2023-01-01',
+            lastSetDate: '2024-01-01', increaseDate: '2024-09-01'
+        });
+        assert.ok(result.tooSoon);
+        assert.equal(result.lawful, false);
+    });
+
+    test('an increase within the cap is lawful', () => {
+        const result = checker.check({
+            ...dublin, previousRent: 1500, newRent: 1530, tenancyStart: '2023-03-01', increaseDate: '2024-03-01'
+        });
+        assert.equal(result.lawful, true);
+    });
+
+    test('areas outside an RPZ on the date get no cap', () => {
+        const result = checker.check({
+            localAuthority: 'Mayo County Council', previousRent: 900, tenancyStart: '2020-01-01', increaseDate: '2022-01-01'
+        });
+        assert.equal(result.rpzStatus, 'NOT_RPZ');
+        assert.equal(result.maxLawfulRent, null);
+    });
+
+    test('the whole country is covered from 20 June 2025', () => {
+        const result = checker.check({
+            localAuthority: 'Mayo County Council', previousRent: 900, tenancyStart: '2024-07-01', increaseDate: '2025-07-01'
+        });
+        assert.equal(result.rpzStatus, 'RPZ');
+    });
+
+    test('partly designated councils are flagged for the tenant to check', () => {
+        const result = checker.check({
+            localAuthority: 'Cork County Council', previousRent: 1200, tenancyStart: '2022-01-01', increaseDate: '2023-01-01'
+        });
+        assert.equal(result.rpzStatus, 'DEPENDS_ON_LEA');
+        assert.ok(result.warnings.some(w => /local electoral areas/.test(w)));
+    });
+
+    test('periods beyond the HICP table fall back to the 2% cap with a warning', () => {
+        const result = checker.check({ ...dublin, previousRent: 1000, tenancyStart: '2026-01-01', increaseDate: '2027-01-01' });
+        assert.equal(result.maxLawfulRent, 1020);
+        assert.ok(result.hicpApproximate);
+        assert.ok(result.warnings.some(w => /2% cap has been applied/.test(w)));
+    });
+
+    test('rejects impossible inputs', () => {
+        assert.throws(() => checker.check({ ...dublin, previousRent: 0, tenancyStart: '2024-01-01', increaseDate: '2025-01-01' }), /Previous rent/);
+        assert.throws(() => checker.check({ ...dublin, previousRent: 1000, tenancyStart: '2024-02-30', increaseDate: '2025-01-01' }), /YYYY-MM-DD/);
+        assert.throws(() => checker.check({ ...dublin, previousRent: 1000, tenancyStart: '2025-01-01', increaseDate: '2024-01-01' }), /after the rent was last set/);
+        assert.throws(() => checker.check({ localAuthority: 'Atlantis', previousRent: 1000, tenancyStart: '2024-01-01', increaseDate: '2025-01-01' }), /Unknown local authority/);
+    });
+});
@@ -0,0 +1,106 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { validateSchema, parseAndValidate, schemaFor, DataValidationError } from '../schema-validator.js';
+import { validateFile, dataFiles } from '../scripts/validate-data.js';
+import StaticDataManager from '../static-data-manager.js';
+import { DataLoader, memoryBackend, fsBackend } from '../data-loader.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+describe('validateSchema', () => {
+    const schema = {
+        type: 'object',
+        required: ['name', 'count'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            count: { type: 'integer', minimum: 0 },
+            kind: { enum: ['house', 'apartment'] },
+            tags: { type: 'array', items: { $ref: '#/$defs/tag' } },
+            ends: { anyOf: [{ type: 'string', pattern: '^\\d{4}$' }, { type: 'null' }] }
+        },
+        additionalProperties: false,
+        $defs: { tag: { type: 'string', pattern: '^[a-z]+$' } }
+    };
+
+    test('accepts a valid value', () => {
+        assert.deepEqual(validateSchema({ name: 'x', count: 2, kind: 'house', tags: ['a'], ends: null }, schema), []);
+    });
+
+    test('reports each problem with a JSON pointer and the rule broken', () => {
+        const errors = validateSchema({ count: 1.5, kind: 'castle', tags: ['ok', 'NO'], ends: '20', 'a/b': 1 }, schema);
+        assert.deepEqual(errors.map(e => [e.pointer, e.rule]), [
+            ['/name', 'required'],
+            ['/count', 'type'],
+            ['/kind', 'enum'],
+            ['/tags/1', 'pattern'],
+            ['/ends', 'anyOf'],
+            ['/a~1b', 'additionalProperties']
+        ]);
+    });
+
+    test('integers count as numbers', () => {
+        assert.deepEqual(validateSchema(3, { type: 'number' }), []);
+    });
+});
+
+describe('parseAndValidate', () => {
+    test('throws a typed error for invalid JSON', () => {
+        assert.throws(() => parseAndValidate('data/x.json', '{ "a": 1,, }', null), error =>
+            error instanceof DataValidationError && error.file === 'data/x.json' && error.rule === 'json');
+    });
+
+    test('throws a typed error pointing at the first schema failure', () => {
+        assert.throws(() => parseAndValidate('data/x.json', '{"count": -1}', {
+            properties: { count: { type: 'integer', minimum: 0 } }
+        }), { name: 'DataValidationError', pointer: '/count', rule: 'minimum' });
+    });
+});
+
+describe('schemas', () => {
+    test('every data file has a schema', () => {
+        for (const file of dataFiles()) {
+            assert.ok(schemaFor(file), `${file} has no schema`);
+        }
+    });
+
+    test('data files match their schemas', async () => {
+        for (const file of dataFiles()) {
+            assert.deepEqual((await validateFile(file)).errors, [], file);
+        }
+    });
+
+    test('schemas catch a broken record', () => {
+        const housing = JSON.parse(read('data/housing-stats.json'));
+        housing.counties.Dublin.average_rent = 'lots';
+        const errors = validateSchema(housing, JSON.parse(read('schemas/housing-stats.schema.json')));
+        assert.deepEqual(errors.map(e => e.pointer), ['/counties/Dublin/average_rent']);
+    });
+});
+
+describe('StaticDataManager validation', () => {
+    // Broken versions of data files, over the real ones
+    const files = {};
+    const loader = new DataLoader(memoryBackend(files, { fallback: fsBackend() }));
+
+    test('a file that breaks its schema throws instead of falling back', async () => {
+        const housing = JSON.parse(read('data/housing-stats.json'));
+        delete housing.counties.State;
+        files['data/housing-stats.json'] = JSON.stringify(housing);
+
+        const manager = new StaticDataManager({ loader });
+        await assert.rejects(manager.getHousingStats('Cork'), { name: 'DataValidationError', pointer: '/counties/State' });
+        delete files['data/housing-stats.json'];
+    });
+
+    test('getDataStatus lists typed errors per file', async () => {
+        files['data/electoral-margins.json'] = '{ not json';
+
+        const status = await new StaticDataManager({ loader }).getDataStatus();
+        assert.equal(status.electoral_data, 'INVALID');
+        assert.ok(status.errors.some(e => e.file === 'data/electoral-margins.json' && e.rule === 'json'));
+        assert.equal(status.housing_stats, 'ESTIMATED');
+        delete files['data/electoral-margins.json'];
+    });
+});
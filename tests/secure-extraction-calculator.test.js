@@ -0,0 +1,365 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { SecureExtractionCalculator, COMPARISON_DEFAULTS } from '../secure-extraction-calculator.js';
+import { IrishTaxEngine } from '../tax-engine.js';
+import { TDRemunerationModel } from '../td-remuneration.js';
+import { MortgageAffordability } from '../mortgage-affordability.js';
+import { FirstHomeSchemes } from '../first-home-schemes.js';
+import { HouseholdSupports } from '../household-supports.js';
+import { RentalIncomeEstimator } from '../rental-income-estimator.js';
+import StaticDataManager from '../static-data-manager.js';
+
+const table2024 = JSON.parse(readFileSync(new URL('../data/tax-rates/2024.json', import.meta.url), 'utf8'));
+const remuneration = JSON.parse(readFileSync(new URL('../data/td-remuneration.json', import.meta.url), 'utf8'));
+const housing = JSON.parse(readFileSync(new URL('../data/housing-stats.json', import.meta.url), 'utf8'));
+const schemesTable = JSON.parse(readFileSync(new URL('../data/first-home-schemes.json', import.meta.url), 'utf8'));
+const supportsTable = JSON.parse(readFileSync(new URL('../data/household-supports.json', import.meta.url), 'utf8'));
+const properties = JSON.parse(readFileSync(new URL('../data/property-data.json', import.meta.url), 'utf8'));
+const rentalEstimates = new RentalIncomeEstimator(housing).estimateAll(properties.tds);
+const calculator = new SecureExtractionCalculator({
+    taxEngine: new IrishTaxEngine(table2024),
+    affordability: new MortgageAffordability(housing),
+    supports: new HouseholdSupports(supportsTable)
+});
+const withSchemes = new SecureExtractionCalculator({
+    taxEngine: new IrishTaxEngine(table2024),
+    affordability: new MortgageAffordability(housing),
+    schemes: new FirstHomeSchemes(schemesTable),
+    supports: new HouseholdSupports(supportsTable),
+    remuneration: new TDRemunerationModel(remuneration),
+    rentalEstimates,
+    tds: JSON.parse(readFileSync(new URL('../complete-td-database.json', import.meta.url), 'utf8')).tds,
+    readFile: file => readFileSync(new URL(`../${file}`, import.meta.url))
+});
+
+describe('SecureExtractionCalculator setup', () => {
+    test('comparison figures cannot be modified at runtime', () => {
+        assert.ok(Object.isFrozen(COMPARISON_DEFAULTS));
+    });
+
+    test('refuses to calculate before a tax year is loaded', () => {
+        assert.throws(() => new SecureExtractionCalculator().calculate(45000, 1600, 32), /useTaxYear/);
+    });
+
+    test('refuses to calculate before housing data is loaded', () => {
+        const noHousing = new SecureExtractionCalculator({ taxEngine: new IrishTaxEngine(table2024) });
+        assert.throws(() => noHousing.calculate(45000, 1600, 32), /useHousingStats/);
+    });
+
+    test('loads every table itself under Node when none are passed in', async () => {
+        const results = await new SecureExtractionCalculator().calculateExtraction(45000, 1500, 30, { location: 'Dublin' });
+
+        assert.equal(results.taxYear, 2026);
+        assert.ok(results.housing.schemes);
+        assert.match(results.security.verificationHash, /^[0-9a-f]{64}$/);
+    });
+
+    test('compares with the data manager\'s rental estimates', async () => {
+        const data = new StaticDataManager({ persistentCache: null });
+        const { rentalEstimates: loaded } = await new SecureExtractionCalculator({ data }).useTDComparison();
+
+        assert.equal(loaded, await data.getRentalEstimates());
+    });
+});
+
+describe('SecureExtractionCalculator.calculate', () => {
+    const results = calculator.calculate(45000, 1600, 32, { location: 'Dublin' });
+
+    test('extraction rate covers taxes and rent', () => {
+        // (5,850 income tax + 1,104.62 USC + 1,811.25 PRSI + 19,200 rent) / 45,000
+        assert.equal(results.totalTax, 8766);
+        assert.equal(results.extractionRate, 62.1);
+        assert.equal(results.userKeepRate, 37.9);
+    });
+
+    test('records which rate table produced the figures', () => {
+        assert.equal(results.taxYear, 2024);
+        assert.equal(results.rateTableVersion, '2024.1');
+    });
+
+    test('returns the shape displayExtractionResults() reads', () => {
+        assert.equal(results.inputs.grossIncome, 45000);
+        assert.equal(typeof results.comparison.tdExtraction, 'number');
+        // Each figure is rounded separately, so allow one decimal place of drift
+        assert.ok(Math.abs(results.comparison.differential -
+            (results.extractionRate - results.comparison.tdExtraction)) <= 0.1 + 1e-9);
+        assert.equal(typeof results.housing.yearsToDeposit, 'number');
+        assert.equal(typeof results.housing.canAfford, 'boolean');
+
+        for (const key of ['extraction', 'housing', 'yearsToHouse', 'differential', 'disposable']) {
+            assert.equal(typeof results.revolution.breakdown[key], 'number', key);
+        }
+    });
+
+    test('returns the fields the inline dashboard script reads', () => {
+        assert.equal(results.breakdown.rent, 19200);
+        assert.equal(results.tdFinances.landlordGross,
+            COMPARISON_DEFAULTS.TD_AVERAGE_TOTAL + COMPARISON_DEFAULTS.LANDLORD_TD_PROPERTY_INCOME);
+        assert.equal(results.hoardingContext.hoardingRate, 75);
+        assert.ok(results.hoardingContext.isDublin);
+    });
+
+    test('taxes the average TD on salary only, with the rest of the package as allowances', () => {
+        assert.equal(results.tdFinances.taxableIncome, COMPARISON_DEFAULTS.TD_SALARY);
+        assert.equal(results.tdFinances.untaxedAllowances, 56321);
+        assert.equal(results.tdFinances.regularGross, 170000);
+        // 170,000 - 43,494 tax on the 113,679 salary (it was 97,205 when all 170,000 was taxed)
+        assert.equal(results.tdFinances.regularNet, 126506);
+        assert.equal(results.comparison.tdExtraction, 25.6);
+    });
+
+    test('working days split adds up to a five-day week', () => {
+        const { workingDaysForOthers, workingDaysForSelf } = results.comparison;
+        assert.equal(workingDaysForOthers, 3.1);
+        assert.equal(Math.round((workingDaysForOthers + workingDaysForSelf) * 10) / 10, 5);
+    });
+
+    test('revolution score is bounded and matches its breakdown', () => {
+        const total = Object.values(results.revolution.breakdown).reduce((sum, points) => sum + points, 0);
+        assert.equal(results.revolution.score, Math.round(total));
+        assert.ok(results.revolution.score >= 0 && results.revolution.score <= 100);
+        assert.equal(typeof results.revolution.interpretation, 'string');
+    });
+
+    test('no disposable income means no deposit is ever saved', () => {
+        const broke = calculator.calculate(20000, 1500, 25);
+        assert.ok(broke.disposableIncome < 0);
+        assert.equal(broke.housing.yearsToDeposit, 999);
+        assert.equal(broke.housing.canAfford, false);
+        assert.equal(broke.revolution.breakdown.disposable, 10);
+    });
+
+    test('locations outside Dublin use the national hoarding rate', () => {
+        assert.equal(calculator.calculate(45000, 1200, 30, { location: 'Cork' }).hoardingContext.hoardingRate, 45);
+    });
+
+    test('rejects invalid inputs', () => {
+        assert.throws(() => calculator.calculate(0, 1000, 30), /Income/);
+        assert.throws(() => calculator.calculate(45000, -1, 30), /rent/);
+        assert.throws(() => calculator.calculate(45000, 1000, NaN), /Age/);
+    });
+});
+
+describe('SecureExtractionCalculator.calculateExtraction', () => {
+    test('adds a SHA-256 verification hash and timestamp', async () => {
+        const results = await withSchemes.calculateExtraction(45000, 1600, 32, { location: 'Cork' });
+
+        assert.match(results.security.verificationHash, /^[0-9a-f]{64}$/);
+        assert.ok(!Number.isNaN(Date.parse(results.security.timestamp)));
+    });
+
+    test('attaches the receipt the hash seals', async () => {
+        const results = await withSchemes.calculateExtraction(45000, 1600, 32, { location: 'Cork' });
+
+        assert.equal(results.security.receipt.hash, results.security.verificationHash);
+        assert.equal(results.security.receipt.figures.extractionRate, results.extractionRate);
+    });
+});
+
+describe('SecureExtractionCalculator with a selected TD', () => {
+    const model = new TDRemunerationModel(remuneration);
+    const tdPackage = model.calculate('Micheál Martin', { constituency: 'Cork South-Central' });
+    const average = calculator.calculate(45000, 1600, 32);
+    const selected = calculator.calculate(45000, 1600, 32, { tdPackage });
+
+    test('compares against that TD\'s package instead of the average', () => {
+        assert.equal(selected.tdFinances.name, 'Micheál Martin');
+        assert.equal(selected.tdFinances.office, 'Taoiseach');
+        assert.equal(selected.tdFinances.regularGross, tdPackage.total);
+        assert.equal(selected.inputs.comparisonTD, 'Micheál Martin');
+        assert.notEqual(selected.comparison.tdExtraction, average.comparison.tdExtraction);
+    });
+
+    test('only taxable pay is taxed - the PSA passes through untaxed', () => {
+        const tax = calculator.calculateTotalTax({ income: tdPackage.taxableIncome }).total;
+        assert.equal(selected.tdFinances.regularNet, Math.round(tdPackage.total - tax));
+    });
+
+    test('user-side figures do not depend on the TD chosen', () => {
+        assert.equal(selected.extractionRate, average.extractionRate);
+        assert.equal(selected.totalTax, average.totalTax);
+    });
+});
+
+describe('SecureExtractionCalculator with an estimated landlord income', () => {
+    const landlordIncome = { low: 90000, central: 100000, high: 110000 };
+    const results = calculator.calculate(45000, 1600, 32, { landlordIncome });
+
+    test('uses the central estimate instead of the flat default', () => {
+        assert.equal(results.tdFinances.landlordPropertyIncome, 100000);
+        assert.equal(results.tdFinances.landlordIncomeBasis, 'estimate');
+        assert.deepEqual(results.tdFinances.landlordPropertyIncomeRange, { low: 90000, high: 110000 });
+    });
+
+    test('falls back to the flat default without an estimate', () => {
+        const fallback = calculator.calculate(45000, 1600, 32);
+        assert.equal(fallback.tdFinances.landlordPropertyIncome, COMPARISON_DEFAULTS.LANDLORD_TD_PROPERTY_INCOME);
+        assert.equal(fallback.tdFinances.landlordIncomeBasis, 'default');
+    });
+});
+
+describe('SecureExtractionCalculator.comparisonOptions', () => {
+    const martin = { name: 'Micheál Martin', constituency: 'Cork South-Central' };
+
+    test('without a TD, compares with the average TD and the average landlord estimate', () => {
+        const { tdPackage, landlordIncome } = withSchemes.comparisonOptions(null);
+        assert.equal(tdPackage, null);
+        assert.equal(landlordIncome, rentalEstimates.average);
+        assert.ok(landlordIncome.landlords > 0);
+    });
+
+    test('builds the chosen TD\'s package, and their own estimate when they are a landlord', () => {
+        assert.equal(withSchemes.comparisonOptions(martin).tdPackage.office.label, 'Taoiseach');
+
+        const healyRae = withSchemes.comparisonOptions({ name: 'Michael Healy-Rae', constituency: 'Kerry' });
+        assert.equal(healyRae.landlordIncome, rentalEstimates.estimates['Michael Healy-Rae']);
+    });
+
+    test('takes the TD\'s constituency from the TD database, not the caller', () => {
+        const { tdPackage } = withSchemes.comparisonOptions({ name: 'Danny Healy-Rae', constituency: 'Dublin Central' });
+        assert.equal(tdPackage.constituency, 'Kerry');
+        assert.deepEqual(tdPackage, withSchemes.comparisonOptions({ name: 'Danny Healy-Rae' }).tdPackage);
+    });
+
+    test('refuses a name that is not a TD in the database', () => {
+        assert.throws(() => withSchemes.comparisonOptions({ name: 'Nobody' }), /Invalid TD to compare with/);
+        assert.throws(() => withSchemes.comparisonOptions({ name: 'constructor' }), /Invalid TD to compare with/);
+    });
+
+    test('calculateExtraction works them out itself and ignores any passed in', async () => {
+        const forged = { low: 1, central: 1, high: 1 };
+        const results = await withSchemes.calculateExtraction(45000, 1600, 32, { compareTD: martin, landlordIncome: forged });
+
+        assert.equal(results.tdFinances.name, 'Micheál Martin');
+        assert.equal(results.tdFinances.landlordPropertyIncome, rentalEstimates.average.central);
+        assert.deepEqual(results.security.receipt.inputs.options, { compareTD: martin });
+    });
+
+    test('refuses before the TD data is loaded', () => {
+        assert.throws(() => calculator.comparisonOptions(null), /useTDComparison/);
+    });
+});
+
+describe('SecureExtractionCalculator household mode', () => {
+    const single = calculator.calculate(45000, 1600, 32);
+    const couple = { hasPartner: true, partnerIncome: 30000, children: 2, childcareMonthly: 600 };
+
+    test('without household options the result matches a single adult', () => {
+        const explicit = calculator.calculate(45000, 1600, 32, { household: {} });
+        assert.equal(explicit.disposableIncome, single.disposableIncome);
+        assert.equal(explicit.household.adults, 1);
+        assert.equal(single.inputs.household, null);
+    });
+
+    test('married couples are jointly assessed on both incomes', () => {
+        const results = calculator.calculate(45000, 1600, 32, { filingStatus: 'married', household: couple });
+        const joint = calculator.calculateTotalTax({
+            income: 45000, filingStatus: 'married', spouse: { income: 30000 }
+        });
+
+        assert.ok(results.household.jointAssessment);
+        assert.equal(results.income, 75000);
+        assert.equal(results.totalTax, Math.round(joint.total));
+    });
+
+    test('unmarried partners are taxed as two single people', () => {
+        const results = calculator.calculate(45000, 1600, 32, { household: couple });
+        const separate = calculator.calculateTotalTax({ income: 45000 }).total +
+            calculator.calculateTotalTax({ income: 30000 }).total;
+
+        assert.equal(results.household.jointAssessment, false);
+        assert.equal(results.totalTax, Math.round(separate));
+    });
+
+    test('the partner has their own medical card flag', () => {
+        const userOnly = calculator.calculate(45000, 1600, 32, { medicalCard: true, household: couple });
+        const both = calculator.calculate(45000, 1600, 32, { medicalCard: true, household: { ...couple, partnerMedicalCard: true } });
+        const user = calculator.calculateTotalTax({ income: 45000, medicalCard: true }).total;
+
+        assert.equal(userOnly.totalTax, Math.round(user + calculator.calculateTotalTax({ income: 30000 }).total));
+        assert.equal(both.totalTax, Math.round(user + calculator.calculateTotalTax({ income: 30000, medicalCard: true }).total));
+        assert.ok(both.totalTax < userOnly.totalTax);
+    });
+
+    test('Child Benefit and childcare flow into disposable income and years to deposit', () => {
+        const withChildcare = calculator.calculate(45000, 1600, 32, { filingStatus: 'married', household: couple });
+        const noChildcare = calculator.calculate(45000, 1600, 32, {
+            filingStatus: 'married', household: { ...couple, childcareMonthly: 0 }
+        });
+
+        assert.equal(withChildcare.household.childBenefit, 2 * 140 * 12);
+        assert.equal(noChildcare.disposableIncome - withChildcare.disposableIncome, 600);
+        assert.ok(withChildcare.housing.yearsToDeposit > noChildcare.housing.yearsToDeposit);
+    });
+
+    test('HAP tenants pay the differential rent, not the market rent', () => {
+        const results = calculator.calculate(30000, 1600, 32, { household: { tenancy: 'hap' } });
+        const net = 30000 - calculator.calculateTotalTax({ income: 30000 }).total;
+
+        assert.equal(results.household.rentPaid, Math.round(net * 0.15 / 12));
+        assert.equal(results.household.rentPaid + results.household.statePaidRent, 1600);
+        assert.equal(results.breakdown.rent, results.yearlyRent);
+    });
+
+    test('mortgage capacity uses both incomes', () => {
+        const results = calculator.calculate(45000, 1600, 32, { household: couple });
+        assert.equal(results.housing.maxByIncome, 75000 * 4);
+    });
+
+    test('rejects inconsistent households', () => {
+        assert.throws(() => calculator.calculate(45000, 1600, 32, { household: { children: 1.5 } }), /whole number/);
+        assert.throws(() => calculator.calculate(45000, 1600, 32, { household: { childcareMonthly: 500 } }), /at least one child/);
+        assert.throws(() => calculator.calculate(45000, 1600, 32, { household: { tenancy: 'council' } }), /Unknown tenancy/);
+        assert.throws(() => calculator.calculate(45000, 1600, 32, {
+            filingStatus: 'single_parent', household: { hasPartner: true, children: 1 }
+        }), /cannot include a partner/);
+        assert.throws(() => calculator.calculate(45000, 1600, 32, {
+            filingStatus: 'single_parent', household: { children: 0 }
+        }), /at least one child/);
+    });
+});
+
+describe('SecureExtractionCalculator affordability', () => {
+    test('uses the county price and first-time buyer rules by default', () => {
+        const results = calculator.calculate(45000, 1600, 32, { location: 'Dublin' });
+        assert.equal(results.housing.price, housing.counties.Dublin.average_house_price);
+        assert.equal(results.housing.buyerType, 'first_time');
+        assert.equal(results.housing.maxBorrowable, 45000 * 4);
+    });
+
+    test('years to deposit is the months needed to close the funding gap', () => {
+        const results = calculator.calculate(45000, 1600, 32, { location: 'Dublin' });
+        const months = Math.ceil(results.housing.fundingGap / results.disposableIncome);
+        assert.equal(results.housing.monthsToSave, months);
+        assert.equal(results.yearsToDeposit, Math.round(months / 12 * 10) / 10);
+    });
+
+    test('savings shrink the funding gap', () => {
+        const none = calculator.calculate(45000, 1600, 32, { location: 'Cork' });
+        const some = calculator.calculate(45000, 1600, 32, { location: 'Cork', savings: 20000 });
+        assert.equal(none.housing.fundingGap - some.housing.fundingGap, 20000);
+    });
+
+    test('rejects unknown buyer types and negative savings', () => {
+        assert.throws(() => calculator.calculate(45000, 1600, 32, { buyerType: 'investor' }), /buyer type/);
+        assert.throws(() => calculator.calculate(45000, 1600, 32, { savings: -1 }), /Savings/);
+    });
+});
+
+describe('SecureExtractionCalculator first-home schemes', () => {
+    test('schemes are omitted until their data is loaded', () => {
+        assert.equal(calculator.calculate(45000, 1600, 32, { location: 'Dublin' }).housing.schemes, null);
+    });
+
+    test('Help to Buy uses the household income tax over the look-back years', () => {
+        const results = withSchemes.calculate(90000, 1600, 32, { location: 'Dublin' });
+        const taxPaid = results.breakdown.incomeTax * schemesTable.help_to_buy.tax_years;
+        assert.equal(results.housing.schemes.helpToBuy.value, Math.round(Math.min(30000, taxPaid)));
+    });
+
+    test('rejects unknown property types', () => {
+        assert.throws(() => withSchemes.calculate(45000, 1600, 32, { propertyType: 'castle' }), /property type/);
+    });
+});
@@ -0,0 +1,112 @@
+import { describe, test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import StaticDataManager from '../static-data-manager.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+describe('StaticDataManager.getConstituencyData', () => {
+    let countyMap;
+
+    before(async () => {
+        countyMap = await new StaticDataManager().getConstituencyData();
+    });
+
+    const names = county => countyMap[county].map(constituency => constituency.name);
+
+    test('lists a constituency under every county it covers', () => {
+        assert.ok(names('Cavan').includes('Cavan-Monaghan'));
+        assert.ok(names('Monaghan').includes('Cavan-Monaghan'));
+        assert.ok(names('Roscommon').includes('Roscommon-Galway'));
+        assert.deepEqual(names('Galway'), ['Galway East', 'Galway West', 'Roscommon-Galway']);
+    });
+
+    test('groups constituencies not named after their county', () => {
+        assert.ok(names('Dublin').includes('Dún Laoghaire'));
+        assert.equal(countyMap['Dún Laoghaire'], undefined);
+        assert.equal(countyMap['Cavan-Monaghan'], undefined);
+    });
+
+    test('includes constituencies without TDs in the database yet, with their TD counts', () => {
+        const rathdown = countyMap.Dublin.find(constituency => constituency.name === 'Dublin Rathdown');
+        assert.deepEqual(rathdown, { name: 'Dublin Rathdown', tdCount: 0, tds: [] });
+
+        const kerry = countyMap.Kerry.find(constituency => constituency.name === 'Kerry');
+        assert.ok(kerry.tdCount > 0);
+        assert.equal(kerry.tds.length, kerry.tdCount);
+    });
+
+    test('keeps a former constituency only while TDs are filed under it', () => {
+        const { constituency_lookup: lookup } = JSON.parse(read('complete-td-database.json'));
+        assert.equal(names('Tipperary').includes('Tipperary'), Boolean(lookup.Tipperary));
+        assert.equal(names('Laois').includes('Laois-Offaly'), Boolean(lookup['Laois-Offaly']));
+    });
+
+    test('every constituency in the TD database has a county', () => {
+        const { constituency_lookup: lookup } = JSON.parse(read('complete-td-database.json'));
+        const listed = new Set(Object.values(countyMap).flat().map(constituency => constituency.name));
+        assert.deepEqual(Object.keys(lookup).filter(constituency => !listed.has(constituency)), []);
+    });
+});
+
+describe('StaticDataManager.getDataStatus', () => {
+    const database = JSON.parse(read('complete-td-database.json'));
+    let status;
+
+    before(async () => {
+        status = await new StaticDataManager().getDataStatus({ now: new Date('2026-10-19T00:00:00.000Z') });
+    });
+
+    test('measures the TD database against the TDs there should be', () => {
+        const records = Object.keys(database.tds).length;
+        assert.deepEqual(
+            { present: status.quality.files.td_database.records.present, total: status.quality.files.td_database.records.total },
+            { present: records, total: database.summary.total_tds }
+        );
+        if (records < database.summary.total_tds) {
+            assert.equal(status.td_database, 'PARTIAL');
+        }
+        assert.equal(status.completeness, status.quality.tds.completeness);
+    });
+
+    test('names the TDs missing a field', () => {
+        const attendance = status.quality.tds.coverage.find(field => field.field === 'voting_record.voting_attendance');
+        const missing = Object.keys(database.tds).filter(name => database.tds[name].voting_record?.voting_attendance == null);
+        assert.deepEqual(attendance.missing, missing);
+    });
+
+    test('keeps declared estimates and reports each file\'s age', () => {
+        assert.equal(status.housing_stats, 'ESTIMATED');
+        assert.equal(status.voting_records, 'PATTERN_ANALYSIS');
+        assert.equal(status.quality.files.property_data.updated, JSON.parse(read('data/property-data.json')).metadata.extracted_at);
+        assert.equal(typeof status.quality.files.property_data.age_days, 'number');
+    });
+
+    test('expects margins for every current constituency', () => {
+        const { constituencies } = JSON.parse(read('data/constituency-counties.json'));
+        const current = Object.keys(constituencies).filter(name => !constituencies[name].former);
+        assert.equal(status.quality.files.electoral_data.records.total, current.length);
+    });
+});
+
+describe('StaticDataManager.getRentalEstimates', () => {
+    const manager = new StaticDataManager({ persistentCache: null });
+
+    test('makes one set of estimates from the Register extractions', async () => {
+        const { tds } = JSON.parse(read('data/property-data.json'));
+        const { estimates, average } = await manager.getRentalEstimates();
+
+        const landlords = Object.keys(tds).filter(name => tds[name].rental_properties > 0);
+        assert.deepEqual(Object.keys(estimates).sort(), landlords.sort());
+        assert.equal(average.landlords, landlords.length);
+        assert.equal(await manager.getRentalEstimates(), await manager.getRentalEstimates());
+    });
+
+    test('a TD\'s own estimate is the one in the set', async () => {
+        const { estimates } = await manager.getRentalEstimates();
+
+        assert.equal(await manager.getRentalIncomeEstimate('Eamon Scanlon'), estimates['Eamon Scanlon']);
+        assert.equal(await manager.getRentalIncomeEstimate('Simon Harris'), null);
+    });
+});
@@ -0,0 +1,144 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { IrishTaxEngine, TAX_YEARS } from '../tax-engine.js';
+
+const loadTable = year =>
+    JSON.parse(readFileSync(new URL(`../data/tax-rates/${year}.json`, import.meta.url), 'utf8'));
+
+const engine2024 = new IrishTaxEngine(loadTable(2024));
+const engine2025 = new IrishTaxEngine(loadTable(2025));
+
+const cents = value => Math.round(value * 100) / 100;
+
+describe('rate tables', () => {
+    for (const year of TAX_YEARS) {
+        test(`${year} table loads and is frozen`, () => {
+            const engine = new IrishTaxEngine(loadTable(year));
+            assert.equal(engine.year, year);
+            assert.ok(Object.isFrozen(engine.table.usc.bands[0]));
+        });
+    }
+
+    test('rejects a table without the required sections', () => {
+        assert.throws(() => new IrishTaxEngine({ metadata: { year: 2024 } }), /Invalid tax rate table/);
+    });
+});
+
+describe('income tax', () => {
+    test('single PAYE earner gets personal and employee credits', () => {
+        // 42,000 @ 20% + 3,000 @ 40% - (1,875 + 1,875)
+        assert.equal(engine2024.calculateIncomeTax({ income: 45000 }), 5850);
+    });
+
+    test('single parent gets the wider band and child carer credit', () => {
+        // 45,000 @ 20% - (1,875 + 1,750 + 1,875)
+        assert.equal(engine2024.calculateIncomeTax({ income: 45000, filingStatus: 'single_parent' }), 3500);
+    });
+
+    test('married one-income couple gets the married band and credit', () => {
+        // 51,000 @ 20% + 9,000 @ 40% - (3,750 + 1,875)
+        assert.equal(engine2024.calculateIncomeTax({ income: 60000, filingStatus: 'married' }), 8175);
+    });
+
+    test('married two-income band increase is capped', () => {
+        const person = { income: 60000, filingStatus: 'married', spouse: { income: 50000 } };
+        assert.equal(engine2024.standardRateBand(person), 51000 + 33000);
+        // Lower earner below the cap increases the band by their income only
+        assert.equal(engine2024.standardRateBand({ ...person, spouse: { income: 20000 } }), 71000);
+    });
+
+    test('self-employed get the earned income credit instead of the employee credit', () => {
+        const credits = engine2024.taxCredits({ income: 45000, employment: 'self_employed' });
+        assert.equal(credits.employee, 0);
+        assert.equal(credits.earned_income, 1875);
+    });
+
+    test('employee credit is capped at 20% of low earnings', () => {
+        assert.equal(engine2024.taxCredits({ income: 5000 }).employee, 1000);
+    });
+});
+
+describe('USC', () => {
+    test('income at or below the exemption threshold pays none', () => {
+        assert.equal(engine2024.calculateUSC({ income: 13000, employment: 'paye', age: null }), 0);
+    });
+
+    test('standard bands for 2024', () => {
+        // 60.06 + 274.96 + 769.60
+        assert.equal(cents(engine2024.calculateUSC({ income: 45000, employment: 'paye', age: null })), 1104.62);
+    });
+
+    test('medical card holders under the income limit are capped at 2%', () => {
+        // 60.06 + 32,988 @ 2%
+        assert.equal(
+            cents(engine2024.calculateUSC({ income: 45000, employment: 'paye', medicalCard: true, age: null })),
+            719.82
+        );
+    });
+
+    test('medical card cap does not apply above the income limit', () => {
+        const withCard = engine2024.calculateUSC({ income: 70000, employment: 'paye', medicalCard: true, age: null });
+        const without = engine2024.calculateUSC({ income: 70000, employment: 'paye', age: null });
+        assert.equal(withCard, without);
+    });
+
+    test('non-PAYE income over 100,000 carries the 3% surcharge', () => {
+        const paye = engine2024.calculateUSC({ income: 150000, employment: 'paye', age: null });
+        const selfEmployed = engine2024.calculateUSC({ income: 150000, employment: 'self_employed', age: null });
+        assert.equal(cents(selfEmployed - paye), 1500);
+    });
+});
+
+describe('PRSI', () => {
+    test('employees earning up to the weekly exemption pay none', () => {
+        assert.equal(engine2024.calculatePRSI({ income: 352 * 52, employment: 'paye' }), 0);
+    });
+
+    test('PRSI credit tapers away by 424 a week', () => {
+        const weekly = 400;
+        const expectedCredit = 12 - (weekly - 352) / 6;
+        const expected = (weekly * 0.04025 - expectedCredit) * 52;
+        assert.equal(cents(engine2024.calculatePRSI({ income: weekly * 52, employment: 'paye' })), cents(expected));
+    });
+
+    test('self-employed pay Class S with a minimum contribution', () => {
+        assert.equal(engine2024.calculatePRSI({ income: 6000, employment: 'self_employed' }), 500);
+        assert.equal(engine2024.calculatePRSI({ income: 4000, employment: 'self_employed' }), 0);
+    });
+});
+
+describe('calculate', () => {
+    test('2025 single PAYE earner on 45,000', () => {
+        const result = engine2025.calculate({ income: 45000 });
+
+        // 44,000 @ 20% + 1,000 @ 40% - 4,000 credits
+        assert.equal(result.incomeTax, 5200);
+        // 60.06 + 307.40 + 528.54
+        assert.equal(cents(result.usc), 896);
+        assert.equal(cents(result.prsi), 1856.25);
+        assert.equal(result.year, 2025);
+    });
+
+    test('married couple is jointly assessed for income tax, individually for USC and PRSI', () => {
+        const result = engine2024.calculate({
+            income: 50000,
+            filingStatus: 'married',
+            spouse: { income: 30000 }
+        });
+
+        assert.equal(result.grossIncome, 80000);
+        assert.equal(result.standardRateBand, 51000 + 30000);
+        // 80,000 @ 20% - (3,750 + 2 x 1,875)
+        assert.equal(result.incomeTax, 8500);
+        assert.equal(cents(result.usc),
+            cents(engine2024.calculateUSC({ income: 50000, employment: 'paye', age: null }) +
+                  engine2024.calculateUSC({ income: 30000, employment: 'paye', age: null })));
+    });
+
+    test('rejects unknown statuses', () => {
+        assert.throws(() => engine2024.calculate({ income: 1, filingStatus: 'cohabiting' }), /filing status/);
+        assert.throws(() => engine2024.calculate({ income: 1, employment: 'contractor' }), /employment type/);
+    });
+});
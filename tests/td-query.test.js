@@ -0,0 +1,86 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { queryTDs, fieldValue } from '../td-query.js';
+import StaticDataManager from '../static-data-manager.js';
+
+const database = JSON.parse(readFileSync(new URL('../complete-td-database.json', import.meta.url), 'utf8'));
+const { tds } = database;
+
+describe('queryTDs', () => {
+    test('with no options returns every TD with its name', () => {
+        const { total, results } = queryTDs(tds);
+        assert.equal(total, Object.keys(tds).length);
+        assert.equal(results[0].name, Object.keys(tds)[0]);
+    });
+
+    test('filters by party name or abbreviation and constituency', () => {
+        const byName = queryTDs(tds, { where: { party: 'Sinn Féin' } }).results.map(td => td.name);
+        const byAbbrev = queryTDs(tds, { where: { party: 'SF' } }).results.map(td => td.name);
+        assert.deepEqual(byName, byAbbrev);
+        assert.ok(byName.includes('Pa Daly'));
+
+        const kerry = queryTDs(tds, { where: { constituency: 'Kerry', party: ['SF', 'Independent'] } });
+        assert.ok(kerry.results.every(td => td.constituency === 'Kerry'));
+        assert.ok(kerry.results.some(td => td.name === 'Pa Daly'));
+    });
+
+    test('filters on landlord status, property count range and verification status', () => {
+        const { results } = queryTDs(tds, {
+            where: { landlord_status: true, property_count: { min: 2, max: 5 }, verification_status: 'VERIFIED_LANDLORD' }
+        });
+        assert.ok(results.length > 0);
+        results.forEach(td => {
+            assert.equal(td.properties.landlord_status, true);
+            assert.ok(td.properties.property_count >= 2 && td.properties.property_count <= 5);
+        });
+    });
+
+    test('sorts on several keys, descending with a "-" prefix', () => {
+        const { results } = queryTDs(tds, { sort: ['-property_count', 'last_name'] });
+        for (let i = 1; i < results.length; i++) {
+            const [a, b] = [results[i - 1], results[i]];
+            const countOrder = (b.properties.property_count ?? -1) - (a.properties.property_count ?? -1);
+            assert.ok(countOrder < 0 || (countOrder === 0 && a.last_name.localeCompare(b.last_name, 'en-IE', { sensitivity: 'base' }) <= 0));
+        }
+    });
+
+    test('missing values sort last in either direction', () => {
+        const sample = { a: { score: 2 }, b: {}, c: { score: 5 } };
+        assert.deepEqual(queryTDs(sample, { sort: 'score' }).results.map(td => td.name), ['a', 'c', 'b']);
+        assert.deepEqual(queryTDs(sample, { sort: '-score' }).results.map(td => td.name), ['c', 'a', 'b']);
+    });
+
+    test('projects the selected fields and pages after sorting', () => {
+        const all = queryTDs(tds, { sort: 'name', select: ['name', 'property_count'] });
+        const page = queryTDs(tds, { sort: 'name', select: ['name', 'property_count'], offset: 10, limit: 5 });
+
+        assert.equal(page.total, all.total);
+        assert.deepEqual(page.results, all.results.slice(10, 15));
+        assert.deepEqual(Object.keys(page.results[0]), ['name', 'property_count']);
+    });
+
+    test('rejects malformed options', () => {
+        assert.throws(() => queryTDs(tds, { limit: -1 }), /limit must be a non-negative integer/);
+        assert.throws(() => queryTDs(tds, { sort: '-' }), /sort keys/);
+        assert.throws(() => queryTDs(tds, { where: { property_count: { above: 2 } } }), /only takes min and max/);
+    });
+
+    test('field aliases resolve into nested records', () => {
+        assert.equal(fieldValue(tds['Pa Daly'], 'property_count'), 1);
+        assert.equal(fieldValue(tds['Pa Daly'], 'voting_record.housing_votes.total_votes'), 0);
+    });
+});
+
+describe('StaticDataManager.query', () => {
+    test('queries a supplied database, e.g. one with voting records merged in', async () => {
+        const integrated = structuredClone(database);
+        integrated.tds['Pa Daly'].voting_record.hypocrisy_score = 99;
+
+        const { results } = await new StaticDataManager().query({
+            where: { landlord_status: true }, sort: '-hypocrisy_score', limit: 1
+        }, integrated);
+        assert.equal(results[0].name, 'Pa Daly');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { TDRemunerationModel } from '../td-remuneration.js';
+
+const table = JSON.parse(readFileSync(new URL('../data/td-remuneration.json', import.meta.url), 'utf8'));
+const model = new TDRemunerationModel(table);
+
+describe('TDRemunerationModel setup', () => {
+    test('rejects a table without salary or allowances', () => {
+        assert.throws(() => new TDRemunerationModel({ metadata: {} }), /Invalid remuneration table/);
+    });
+
+    test('every role in the table is a known office', () => {
+        for (const [name, roles] of Object.entries(table.roles)) {
+            for (const role of roles) {
+                assert.ok(table.office_allowances[role], `${name}: ${role}`);
+            }
+        }
+    });
+});
+
+describe('TDRemunerationModel.travelBand', () => {
+    test('Dublin constituencies fall in the lowest band', () => {
+        assert.deepEqual(model.travelBand('Dublin Central'), { band: 1, distanceKm: 2, amount: 9000 });
+    });
+
+    test('the furthest constituencies get the top band', () => {
+        assert.equal(model.travelBand('Kerry').amount, 33750);
+        assert.ok(model.travelBand('Kerry').amount > model.travelBand('Louth').amount);
+    });
+
+    test('unknown constituencies are an error rather than a guess', () => {
+        assert.throws(() => model.travelBand('Atlantis'), /No Leinster House distance/);
+    });
+});
+
+describe('TDRemunerationModel.officeAllowance', () => {
+    test('backbenchers receive no office allowance', () => {
+        assert.equal(model.officeAllowance([]).amount, 0);
+    });
+
+    test('only the highest-ranked office is paid', () => {
+        const office = model.officeAllowance(['minister', 'taoiseach']);
+        assert.equal(office.role, 'taoiseach');
+        assert.ok(office.isOfficeHolder);
+    });
+
+    test('committee chair allowance is not paid on top of an office', () => {
+        assert.equal(model.officeAllowance(['minister_of_state', 'committee_chair']).role, 'minister_of_state');
+        assert.equal(model.officeAllowance(['committee_chair']).amount, 9500);
+    });
+
+    test('unknown offices are rejected', () => {
+        assert.throws(() => model.officeAllowance(['archbishop']), /Unknown office/);
+    });
+});
+
+describe('TDRemunerationModel.calculate', () => {
+    test('backbench TD: salary taxable, PSA untaxed', () => {
+        const pkg = model.calculate('Backbench Example', { constituency: 'Mayo', party: 'Independent' });
+        assert.equal(pkg.taxableIncome, 113679);
+        assert.equal(pkg.psa.travelAccommodation, 32600);
+        assert.equal(pkg.psa.publicRepresentation, 20350);
+        assert.equal(pkg.total, 113679 + 32600 + 20350);
+    });
+
+    test('office holders get the office allowance and the reduced PSA', () => {
+        const pkg = model.calculate('Micheál Martin', { constituency: 'Cork South-Central' });
+        assert.equal(pkg.office.label, 'Taoiseach');
+        assert.equal(pkg.taxableIncome, 113679 + 110356);
+        assert.equal(pkg.psa.travelAccommodation, 0);
+        assert.equal(pkg.psa.publicRepresentation, 15600);
+    });
+
+    test('every TD in the database has a distance for their constituency', () => {
+        // complete-td-database.json is not yet strict JSON, so read constituencies line by line
+        const source = readFileSync(new URL('../complete-td-database.json', import.meta.url), 'utf8');
+        const constituencies = new Set([...source.matchAll(/"constituency": "([^"]+)"/g)].map(m => m[1]));
+
+        for (const constituency of constituencies) {
+            assert.doesNotThrow(() => model.travelBand(constituency), constituency);
+        }
+    });
+
+    test('requires a constituency', () => {
+        assert.throws(() => model.calculate('Nobody', {}), /no constituency/);
+    });
+});
@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { TDSearchIndex, foldText, editDistance } from '../td-search.js';
+import StaticDataManager from '../static-data-manager.js';
+
+const read = file => readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+const { tds } = JSON.parse(read('complete-td-database.json'));
+const aliases = JSON.parse(read('data/td-aliases.json')).tds;
+const index = new TDSearchIndex(tds, aliases);
+
+const names = (query, options) => index.search(query, options).map(result => result.name);
+
+describe('foldText', () => {
+    test('drops fadas, case, apostrophes and hyphens', () => {
+        assert.equal(foldText('Donnchadh Ó Laoghaire'), 'donnchadh o laoghaire');
+        assert.equal(foldText("Willie O'Dea"), 'willie o dea');
+        assert.equal(foldText('Healy-Rae'), 'healy rae');
+    });
+});
+
+describe('editDistance', () => {
+    test('counts a swapped pair as one edit and stops past the limit', () => {
+        assert.equal(editDistance('mcdonlad', 'mcdonald', 2), 1);
+        assert.equal(editDistance('martin', 'martn', 2), 1);
+        assert.equal(editDistance('harris', 'kelly', 1), 2);
+    });
+});
+
+describe('TDSearchIndex', () => {
+    test('finds TDs without their fadas', () => {
+        assert.equal(names('Micheal Martin')[0], 'Micheál Martin');
+        assert.equal(names('Eoin O Broin')[0], 'Eoin Ó Broin');
+        assert.equal(names('sinead gibney')[0], 'Sinéad Gibney');
+    });
+
+    test('matches hyphenated and apostrophe surnames however they are typed', () => {
+        assert.deepEqual(names('healy rae'), ['Danny Healy-Rae', 'Michael Healy-Rae']);
+        assert.equal(names('oreilly')[0], "Louise O'Reilly");
+        assert.equal(names('obroin')[0], 'Eoin Ó Broin');
+    });
+
+    test('tolerates small typos and ranks exact names first', () => {
+        assert.equal(names('Mary Lou McDonlad')[0], 'Mary Lou McDonald');
+        assert.equal(names('paschal donahue')[0], 'Paschal Donohoe');
+
+        const results = index.search('smith');
+        assert.deepEqual(results.slice(0, 2).map(r => r.name), ['Brendan Smith', 'Duncan Smith']);
+        assert.ok(results[1].score > results.find(r => r.name === 'Niamh Smyth').score);
+    });
+
+    test('searches aliases and Irish-language names', () => {
+        const [result] = index.search('Micheál Ó Máirtín');
+        assert.equal(result.name, 'Micheál Martin');
+        assert.equal(result.matchedOn, 'irish');
+        assert.equal(names('Piaras')[0], 'Pearse Doherty');
+        assert.equal(names('RBB')[0], 'Richard Boyd Barrett');
+    });
+
+    test('constituency matches rank below name matches', () => {
+        const results = index.search('kerry');
+        assert.ok(results.length >= 2);
+        assert.ok(results.every(r => r.matchedOn === 'constituency' && r.td.constituency === 'Kerry'));
+        assert.equal(names('doherty donegal')[0], 'Pearse Doherty');
+    });
+
+    test('needs every word to match and at least two characters', () => {
+        assert.deepEqual(names('martin xyzzy'), []);
+        assert.deepEqual(names('m'), []);
+        assert.equal(names('mich', { limit: 2 }).length, 2);
+    });
+
+    test('every alias belongs to a TD in the database', () => {
+        Object.keys(aliases).forEach(name => assert.ok(tds[name], name));
+    });
+});
+
+describe('StaticDataManager.searchTDs', () => {
+    test('searches the loaded database with its aliases', async () => {
+        const manager = new StaticDataManager();
+        const [result] = await manager.searchTDs('micheal martin');
+        assert.equal(result.name, 'Micheál Martin');
+        assert.equal(result.td.constituency, 'Cork South-Central');
+        assert.equal((await manager.searchTDs('Ó Máirtín'))[0].name, 'Micheál Martin');
+    });
+});